@@ -7,6 +7,7 @@ import {
 } from "react-router-dom";
 import { Toaster } from "react-hot-toast";
 import { AuthProvider, useAuth } from "./contexts/AuthContext";
+import { SettingsProvider } from "./contexts/SettingsContext";
 
 // Import components
 import Layout from "./components/Layout/Layout";
@@ -16,9 +17,13 @@ import Products from "./pages/Products/Products";
 import ProductDetail from "./pages/Products/ProductDetail";
 import AddProduct from "./pages/Products/AddProduct";
 import EditProduct from "./pages/Products/EditProduct";
+import ImportProducts from "./pages/Products/ImportProducts";
+import PrintLabels from "./pages/Products/PrintLabels";
+import Categories from "./pages/Categories/Categories";
 import Sales from "./pages/Sales/Sales";
 import SaleDetail from "./pages/Sales/SaleDetail";
 import POS from "./pages/POS/POS";
+import CustomerDisplay from "./pages/CustomerDisplay/CustomerDisplay";
 import Orders from "./pages/Orders/Orders";
 import OrderDetail from "./pages/Orders/OrderDetail";
 import CreateOrder from "./pages/Orders/CreateOrder";
@@ -89,6 +94,16 @@ function AppRoutes() {
         }
       />
 
+      {/* Customer-facing second screen, opened from the POS */}
+      <Route
+        path="/customer-display"
+        element={
+          <ProtectedRoute requiredPermission="sales.create">
+            <CustomerDisplay />
+          </ProtectedRoute>
+        }
+      />
+
       {/* Protected Routes */}
       <Route
         path="/"
@@ -129,6 +144,22 @@ function AppRoutes() {
             </ProtectedRoute>
           }
         />
+        <Route
+          path="products/import"
+          element={
+            <ProtectedRoute requiredPermission="products.create">
+              <ImportProducts />
+            </ProtectedRoute>
+          }
+        />
+        <Route
+          path="products/labels"
+          element={
+            <ProtectedRoute requiredPermission="products.read">
+              <PrintLabels />
+            </ProtectedRoute>
+          }
+        />
         <Route
           path="products/:id"
           element={
@@ -145,6 +176,14 @@ function AppRoutes() {
             </ProtectedRoute>
           }
         />
+        <Route
+          path="categories"
+          element={
+            <ProtectedRoute requiredPermission="products.read">
+              <Categories />
+            </ProtectedRoute>
+          }
+        />
 
         {/* Sales */}
         <Route
@@ -276,34 +315,36 @@ function App() {
   return (
     <Router>
       <AuthProvider>
-        <div className="App">
-          <AppRoutes />
-          <Toaster
-            position="center"
-            toastOptions={{
-              duration: 4000,
-              style: {
-                background: "#fff",
-                color: "#374151",
-                boxShadow:
-                  "0 10px 15px -3px rgba(0, 0, 0, 0.1), 0 4px 6px -2px rgba(0, 0, 0, 0.05)",
-                border: "1px solid #e5e7eb",
-              },
-              success: {
-                iconTheme: {
-                  primary: "#10B981",
-                  secondary: "#fff",
+        <SettingsProvider>
+          <div className="App">
+            <AppRoutes />
+            <Toaster
+              position="center"
+              toastOptions={{
+                duration: 4000,
+                style: {
+                  background: "#fff",
+                  color: "#374151",
+                  boxShadow:
+                    "0 10px 15px -3px rgba(0, 0, 0, 0.1), 0 4px 6px -2px rgba(0, 0, 0, 0.05)",
+                  border: "1px solid #e5e7eb",
+                },
+                success: {
+                  iconTheme: {
+                    primary: "#10B981",
+                    secondary: "#fff",
+                  },
                 },
-              },
-              error: {
-                iconTheme: {
-                  primary: "#EF4444",
-                  secondary: "#fff",
+                error: {
+                  iconTheme: {
+                    primary: "#EF4444",
+                    secondary: "#fff",
+                  },
                 },
-              },
-            }}
-          />
-        </div>
+              }}
+            />
+          </div>
+        </SettingsProvider>
       </AuthProvider>
     </Router>
   );
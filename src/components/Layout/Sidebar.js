@@ -5,6 +5,7 @@ import {
   HomeIcon,
   ShoppingCartIcon,
   CubeIcon,
+  FolderIcon,
   ClipboardDocumentListIcon,
   UsersIcon,
   CogIcon,
@@ -34,6 +35,12 @@ const Sidebar = ({ open, setOpen }) => {
       icon: CubeIcon,
       show: hasPermission("products", "read"),
     },
+    {
+      name: "Categories",
+      href: "/categories",
+      icon: FolderIcon,
+      show: hasPermission("products", "read"),
+    },
     {
       name: "Sales",
       href: "/sales",
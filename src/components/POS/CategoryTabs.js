@@ -0,0 +1,77 @@
+// src/components/POS/CategoryTabs.js
+import { StarIcon } from "@heroicons/react/24/outline";
+
+const tabClass = (active) =>
+  `flex items-center px-3 py-1.5 text-sm rounded-md whitespace-nowrap ${
+    active
+      ? "bg-primary-500 text-white"
+      : "bg-secondary-100 text-secondary-700 hover:bg-secondary-200"
+  }`;
+
+const chipClass = (active) =>
+  `px-2 py-0.5 text-xs border rounded-full whitespace-nowrap ${
+    active
+      ? "border-primary-500 bg-primary-50 text-primary-700"
+      : "border-secondary-300 text-secondary-600 hover:bg-secondary-50"
+  }`;
+
+/**
+ * Favourites, All and one tab per top-level category, with the selected
+ * category's sub-categories underneath
+ */
+const CategoryTabs = ({ categories, activeTab, subCategory, onChange }) => {
+  const activeCategory = categories.find(
+    (category) => category._id === activeTab
+  );
+
+  return (
+    <div className="flex-shrink-0 px-4 pt-3 space-y-2">
+      <div className="flex space-x-2 overflow-x-auto pb-1">
+        <button
+          onClick={() => onChange("favourites")}
+          className={tabClass(activeTab === "favourites")}
+        >
+          <StarIcon className="h-4 w-4 mr-1" />
+          Favourites
+        </button>
+        <button
+          onClick={() => onChange("all")}
+          className={tabClass(activeTab === "all")}
+        >
+          All
+        </button>
+        {categories.map((category) => (
+          <button
+            key={category._id}
+            onClick={() => onChange(category._id)}
+            className={tabClass(activeTab === category._id)}
+          >
+            {category.name}
+          </button>
+        ))}
+      </div>
+
+      {activeCategory?.children?.length > 0 && (
+        <div className="flex space-x-2 overflow-x-auto pb-1">
+          <button
+            onClick={() => onChange(activeCategory._id)}
+            className={chipClass(!subCategory)}
+          >
+            All {activeCategory.name}
+          </button>
+          {activeCategory.children.map((child) => (
+            <button
+              key={child._id}
+              onClick={() => onChange(activeCategory._id, child._id)}
+              className={chipClass(subCategory === child._id)}
+            >
+              {child.name}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CategoryTabs;
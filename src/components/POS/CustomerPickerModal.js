@@ -0,0 +1,253 @@
+// src/components/POS/CustomerPickerModal.js
+import { useState, useEffect } from "react";
+import { customersAPI } from "../../services/api";
+import {
+  formatCurrency,
+  isValidKenyanPhone,
+  sanitizeInput,
+} from "../../utils/helpers";
+import LoadingSpinner from "../common/LoadingSpinner";
+import toast from "react-hot-toast";
+import {
+  MagnifyingGlassIcon,
+  UserIcon,
+  UserPlusIcon,
+  XMarkIcon,
+} from "@heroicons/react/24/outline";
+
+const CustomerPickerModal = ({ onSelect, onClose }) => {
+  const [customers, setCustomers] = useState([]);
+  const [searchTerm, setSearchTerm] = useState("");
+  const [loading, setLoading] = useState(false);
+  const [showCreateForm, setShowCreateForm] = useState(false);
+  const [creating, setCreating] = useState(false);
+  const [newCustomer, setNewCustomer] = useState({ name: "", phone: "" });
+  const [errors, setErrors] = useState({});
+
+  useEffect(() => {
+    const delayedSearch = setTimeout(() => {
+      fetchCustomers(searchTerm);
+    }, 300);
+
+    return () => clearTimeout(delayedSearch);
+  }, [searchTerm]);
+
+  const fetchCustomers = async (search) => {
+    try {
+      setLoading(true);
+      const response = await customersAPI.getCustomers({
+        search: search || undefined,
+        limit: 20,
+        status: "active",
+      });
+      setCustomers(response.data.data);
+    } catch (error) {
+      console.error("Failed to fetch customers:", error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const openCreateForm = () => {
+    // Most searches are by phone or name, so carry the term across
+    const term = searchTerm.trim();
+    setNewCustomer(
+      /^[+\d\s]+$/.test(term)
+        ? { name: "", phone: term.replace(/\s/g, "") }
+        : { name: term, phone: "" }
+    );
+    setErrors({});
+    setShowCreateForm(true);
+  };
+
+  const validateNewCustomer = () => {
+    const newErrors = {};
+
+    if (!newCustomer.name.trim()) {
+      newErrors.name = "Name is required";
+    }
+
+    if (!newCustomer.phone.trim()) {
+      newErrors.phone = "Phone number is required";
+    } else if (!isValidKenyanPhone(newCustomer.phone)) {
+      newErrors.phone = "Enter a valid Kenyan phone number";
+    }
+
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const createCustomer = async (e) => {
+    e.preventDefault();
+    if (!validateNewCustomer()) return;
+
+    try {
+      setCreating(true);
+      const response = await customersAPI.createCustomer({
+        name: sanitizeInput(newCustomer.name.trim()),
+        phone: newCustomer.phone.trim(),
+      });
+      toast.success("Customer created");
+      onSelect(response.data.data);
+    } catch (error) {
+      console.error("Failed to create customer:", error);
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg p-6 w-full max-w-lg max-h-[90vh] overflow-y-auto">
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="text-lg font-semibold text-secondary-900">
+            {showCreateForm ? "New Customer" : "Select Customer"}
+          </h3>
+          <button
+            onClick={onClose}
+            className="text-secondary-400 hover:text-secondary-600"
+          >
+            <XMarkIcon className="h-6 w-6" />
+          </button>
+        </div>
+
+        {showCreateForm ? (
+          <form onSubmit={createCustomer} className="space-y-4">
+            <div>
+              <label className="block text-sm font-medium text-secondary-700 mb-1">
+                Name *
+              </label>
+              <input
+                type="text"
+                value={newCustomer.name}
+                onChange={(e) =>
+                  setNewCustomer((prev) => ({ ...prev, name: e.target.value }))
+                }
+                className={`input-field ${errors.name ? "border-red-300" : ""}`}
+                placeholder="Customer name"
+                autoFocus
+              />
+              {errors.name && (
+                <p className="mt-1 text-sm text-red-600">{errors.name}</p>
+              )}
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-secondary-700 mb-1">
+                Phone *
+              </label>
+              <input
+                type="tel"
+                value={newCustomer.phone}
+                onChange={(e) =>
+                  setNewCustomer((prev) => ({ ...prev, phone: e.target.value }))
+                }
+                className={`input-field ${
+                  errors.phone ? "border-red-300" : ""
+                }`}
+                placeholder="e.g., 0712345678"
+              />
+              {errors.phone && (
+                <p className="mt-1 text-sm text-red-600">{errors.phone}</p>
+              )}
+            </div>
+
+            <div className="flex space-x-3">
+              <button
+                type="button"
+                onClick={() => setShowCreateForm(false)}
+                className="flex-1 btn-secondary"
+              >
+                Back
+              </button>
+              <button
+                type="submit"
+                disabled={creating}
+                className="flex-1 btn-primary disabled:opacity-50"
+              >
+                {creating ? (
+                  <LoadingSpinner size="small" text="Saving..." />
+                ) : (
+                  "Create & Select"
+                )}
+              </button>
+            </div>
+          </form>
+        ) : (
+          <>
+            <div className="flex space-x-2 mb-4">
+              <div className="relative flex-1">
+                <MagnifyingGlassIcon className="absolute left-3 top-1/2 transform -translate-y-1/2 h-5 w-5 text-secondary-400" />
+                <input
+                  type="text"
+                  placeholder="Search customers by name or phone..."
+                  value={searchTerm}
+                  onChange={(e) => setSearchTerm(e.target.value)}
+                  className="w-full pl-10 pr-4 py-2 border border-secondary-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500"
+                  autoFocus
+                />
+              </div>
+              <button
+                onClick={openCreateForm}
+                className="btn-secondary flex items-center"
+                title="New customer"
+              >
+                <UserPlusIcon className="h-5 w-5" />
+              </button>
+            </div>
+
+            <div className="max-h-80 overflow-y-auto">
+              {loading ? (
+                <div className="flex justify-center py-8">
+                  <LoadingSpinner />
+                </div>
+              ) : customers.length > 0 ? (
+                customers.map((customer) => (
+                  <div
+                    key={customer._id}
+                    onClick={() => onSelect(customer)}
+                    className="flex items-center justify-between p-3 hover:bg-secondary-50 cursor-pointer rounded-lg"
+                  >
+                    <div className="flex items-center">
+                      <UserIcon className="h-5 w-5 text-secondary-400 mr-3" />
+                      <div>
+                        <p className="font-medium text-secondary-900">
+                          {customer.name}
+                          {customer.isWholesale && (
+                            <span className="ml-2 px-1.5 py-0.5 rounded text-xs font-medium bg-primary-100 text-primary-800">
+                              Wholesale
+                            </span>
+                          )}
+                        </p>
+                        <p className="text-sm text-secondary-500">
+                          {customer.phone}
+                        </p>
+                      </div>
+                    </div>
+                    {customer.credit?.allowCredit && (
+                      <span className="text-xs text-secondary-500">
+                        Balance {formatCurrency(customer.credit.balance || 0)}
+                      </span>
+                    )}
+                  </div>
+                ))
+              ) : (
+                <div className="text-center py-8">
+                  <p className="text-secondary-600 mb-2">No customers found</p>
+                  <button
+                    onClick={openCreateForm}
+                    className="text-primary-600 hover:text-primary-700 text-sm"
+                  >
+                    Create a new customer
+                  </button>
+                </div>
+              )}
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CustomerPickerModal;
@@ -0,0 +1,214 @@
+// src/components/POS/DiscountModal.js
+import { useState } from "react";
+import { authAPI } from "../../services/api";
+import { formatCurrency } from "../../utils/helpers";
+import {
+  checkDiscount,
+  getDiscountAmount,
+  toDiscountPercentage,
+} from "../../utils/discounts";
+import LoadingSpinner from "../common/LoadingSpinner";
+import toast from "react-hot-toast";
+import { ShieldCheckIcon, XMarkIcon } from "@heroicons/react/24/outline";
+
+const APPROVER_ROLES = ["owner", "manager"];
+
+const DiscountModal = ({
+  title,
+  baseAmount,
+  discount,
+  policy,
+  onApply,
+  onRemove,
+  onClose,
+}) => {
+  const [type, setType] = useState(discount?.type || "percentage");
+  const [value, setValue] = useState(discount?.value ?? "");
+  const [approver, setApprover] = useState({ email: "", pin: "" });
+  const [approving, setApproving] = useState(false);
+
+  const numericValue = parseFloat(value) || 0;
+  const percentage = toDiscountPercentage(type, numericValue, baseAmount);
+  const check = checkDiscount(percentage, policy);
+  const preview = getDiscountAmount(
+    { type, value: numericValue, percentage },
+    baseAmount
+  );
+
+  const approveWithPin = async () => {
+    if (!approver.email || !approver.pin) {
+      toast.error("Enter the manager's email and PIN");
+      return null;
+    }
+
+    try {
+      setApproving(true);
+      // Only verifies the manager, their session tokens are not kept
+      const response = await authAPI.pinLogin(approver);
+      const manager = response.data.data.user;
+
+      if (!APPROVER_ROLES.includes(manager.role)) {
+        toast.error(`${manager.name} cannot approve discounts`);
+        return null;
+      }
+
+      return {
+        approvedBy: manager._id,
+        approverName: manager.name,
+        approvedAt: new Date().toISOString(),
+      };
+    } catch (error) {
+      console.error("Discount approval failed:", error);
+      return null;
+    } finally {
+      setApproving(false);
+    }
+  };
+
+  const handleApply = async () => {
+    if (numericValue <= 0) {
+      toast.error("Enter a discount");
+      return;
+    }
+
+    if (!check.allowed) {
+      toast.error(check.error);
+      return;
+    }
+
+    let approval = null;
+    if (check.needsApproval) {
+      approval = await approveWithPin();
+      if (!approval) return;
+    }
+
+    onApply({
+      type,
+      value: numericValue,
+      percentage,
+      ...(approval && { approval }),
+    });
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg p-6 w-full max-w-sm">
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="text-lg font-semibold text-secondary-900">{title}</h3>
+          <button
+            onClick={onClose}
+            className="text-secondary-400 hover:text-secondary-600"
+          >
+            <XMarkIcon className="h-6 w-6" />
+          </button>
+        </div>
+
+        <div className="space-y-4">
+          <div className="grid grid-cols-2 gap-2">
+            {[
+              { id: "percentage", label: "Percent (%)" },
+              { id: "amount", label: "Amount (KSh)" },
+            ].map((option) => (
+              <button
+                key={option.id}
+                onClick={() => setType(option.id)}
+                className={`p-2 border rounded-lg text-sm ${
+                  type === option.id
+                    ? "border-primary-500 bg-primary-50 text-primary-700"
+                    : "border-secondary-300 text-secondary-700"
+                }`}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+
+          <input
+            type="number"
+            value={value}
+            onChange={(e) => setValue(e.target.value)}
+            className="input-field"
+            placeholder={type === "percentage" ? "e.g., 10" : "e.g., 50"}
+            step="0.01"
+            min="0"
+            autoFocus
+          />
+
+          <div className="bg-secondary-50 rounded-lg p-3 text-sm space-y-1">
+            <div className="flex justify-between">
+              <span className="text-secondary-600">Before discount</span>
+              <span>{formatCurrency(baseAmount)}</span>
+            </div>
+            <div className="flex justify-between">
+              <span className="text-secondary-600">
+                Discount ({percentage.toFixed(1)}%)
+              </span>
+              <span className="text-green-700">-{formatCurrency(preview)}</span>
+            </div>
+            <p className="text-xs text-secondary-500 pt-1">
+              Maximum allowed: {policy.maxPercentage}%
+              {policy.requireApproval &&
+                ` · Manager approval above ${policy.approvalThreshold}%`}
+            </p>
+          </div>
+
+          {numericValue > 0 && !check.allowed && (
+            <p className="text-sm text-red-600">{check.error}</p>
+          )}
+
+          {check.allowed && check.needsApproval && (
+            <div className="border border-yellow-200 bg-yellow-50 rounded-lg p-3 space-y-2">
+              <div className="flex items-center text-sm font-medium text-yellow-800">
+                <ShieldCheckIcon className="h-5 w-5 mr-1" />
+                Manager approval required
+              </div>
+              <input
+                type="email"
+                value={approver.email}
+                onChange={(e) =>
+                  setApprover((prev) => ({ ...prev, email: e.target.value }))
+                }
+                className="input-field"
+                placeholder="Manager email"
+              />
+              <input
+                type="password"
+                inputMode="numeric"
+                value={approver.pin}
+                onChange={(e) =>
+                  setApprover((prev) => ({ ...prev, pin: e.target.value }))
+                }
+                className="input-field"
+                placeholder="Manager PIN"
+                maxLength={6}
+              />
+            </div>
+          )}
+
+          <div className="flex space-x-3">
+            {discount && (
+              <button onClick={onRemove} className="flex-1 btn-secondary">
+                Remove
+              </button>
+            )}
+            <button
+              onClick={handleApply}
+              disabled={approving || !check.allowed}
+              className="flex-1 btn-primary disabled:opacity-50"
+            >
+              {approving ? (
+                <LoadingSpinner size="small" text="Verifying..." />
+              ) : check.needsApproval ? (
+                "Approve & Apply"
+              ) : (
+                "Apply"
+              )}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DiscountModal;
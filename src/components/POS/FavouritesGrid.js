@@ -0,0 +1,100 @@
+// src/components/POS/FavouritesGrid.js
+import { formatCurrency } from "../../utils/helpers";
+import { getPrimaryImage, getThumbnailUrl } from "../../utils/images";
+import LoadingSpinner from "../common/LoadingSpinner";
+import { StarIcon, XMarkIcon } from "@heroicons/react/24/outline";
+
+/**
+ * Large quick-key buttons for the products rung up most often
+ */
+const FavouritesGrid = ({
+  products,
+  loading,
+  selectedIndex,
+  gridRef,
+  canPin,
+  onSelect,
+  onUnpin,
+}) => {
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center h-64">
+        <LoadingSpinner />
+      </div>
+    );
+  }
+
+  if (products.length === 0) {
+    return (
+      <div className="text-center py-12">
+        <StarIcon className="h-12 w-12 text-secondary-400 mx-auto mb-4" />
+        <p className="text-secondary-600">No favourites yet</p>
+        {canPin && (
+          <p className="text-sm text-secondary-500">
+            Pin products from the All tab with the star button
+          </p>
+        )}
+      </div>
+    );
+  }
+
+  return (
+    <div
+      ref={gridRef}
+      className="grid grid-cols-3 lg:grid-cols-4 xl:grid-cols-5 gap-3"
+    >
+      {products.map((product, index) => {
+        const outOfStock = (product.inventory?.currentStock || 0) <= 0;
+        const image = getPrimaryImage(product);
+
+        return (
+          <div
+            key={product._id}
+            onClick={() => !outOfStock && onSelect(product, index)}
+            className={`relative h-24 p-3 border rounded-lg flex flex-col justify-between transition-shadow duration-200 ${
+              outOfStock
+                ? "opacity-50 cursor-not-allowed"
+                : "cursor-pointer hover:shadow-md"
+            } ${
+              selectedIndex === index
+                ? "border-primary-500 ring-2 ring-primary-500 bg-primary-50"
+                : "border-secondary-200 bg-white"
+            }`}
+          >
+            <div className="flex items-start pr-4">
+              {image && (
+                <img
+                  src={getThumbnailUrl(image)}
+                  alt={product.name}
+                  className="h-8 w-8 rounded object-cover mr-2 flex-shrink-0"
+                />
+              )}
+              <span className="font-medium text-secondary-900 text-sm line-clamp-2">
+                {product.name}
+              </span>
+            </div>
+            <span className="font-bold text-primary-600">
+              {outOfStock
+                ? "Out of stock"
+                : formatCurrency(product.pricing.sellingPrice)}
+            </span>
+            {canPin && (
+              <button
+                onClick={(e) => {
+                  e.stopPropagation();
+                  onUnpin(product);
+                }}
+                className="absolute top-1 right-1 p-0.5 text-secondary-400 hover:text-red-600"
+                title="Remove from favourites"
+              >
+                <XMarkIcon className="h-4 w-4" />
+              </button>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default FavouritesGrid;
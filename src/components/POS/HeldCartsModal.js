@@ -0,0 +1,80 @@
+// src/components/POS/HeldCartsModal.js
+import { formatCurrency, formatRelativeTime } from "../../utils/helpers";
+import {
+  XMarkIcon,
+  TrashIcon,
+  PlayIcon,
+  PauseCircleIcon,
+} from "@heroicons/react/24/outline";
+
+const HeldCartsModal = ({ heldCarts, onResume, onDelete, onClose }) => {
+  const cartTotal = (items) =>
+    items.reduce((sum, item) => sum + item.unitPrice * item.quantity, 0);
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg p-6 w-full max-w-lg max-h-[90vh] overflow-y-auto">
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="text-lg font-semibold text-secondary-900">
+            Parked Carts
+          </h3>
+          <button
+            onClick={onClose}
+            className="text-secondary-400 hover:text-secondary-600"
+          >
+            <XMarkIcon className="h-6 w-6" />
+          </button>
+        </div>
+
+        {heldCarts.length === 0 ? (
+          <div className="text-center py-8">
+            <PauseCircleIcon className="h-12 w-12 text-secondary-400 mx-auto mb-2" />
+            <p className="text-secondary-600">No parked carts</p>
+          </div>
+        ) : (
+          <div className="space-y-3">
+            {heldCarts.map((heldCart) => (
+              <div
+                key={heldCart.id}
+                className="flex items-center justify-between p-3 bg-secondary-50 rounded-lg border-l-4 border-primary-200"
+              >
+                <div className="flex-1 min-w-0">
+                  <p className="font-medium text-secondary-900 truncate">
+                    {heldCart.label}
+                  </p>
+                  <p className="text-xs text-secondary-500">
+                    {heldCart.items.length} items ·{" "}
+                    {formatRelativeTime(heldCart.heldAt)}
+                    {heldCart.customer && ` · ${heldCart.customer.name}`}
+                  </p>
+                </div>
+
+                <div className="flex items-center space-x-3 ml-3">
+                  <span className="font-medium text-secondary-900">
+                    {formatCurrency(cartTotal(heldCart.items))}
+                  </span>
+                  <button
+                    onClick={() => onResume(heldCart.id)}
+                    className="text-primary-600 hover:text-primary-700"
+                    title="Resume cart"
+                  >
+                    <PlayIcon className="h-5 w-5" />
+                  </button>
+                  <button
+                    onClick={() => onDelete(heldCart.id)}
+                    className="text-red-500 hover:text-red-700"
+                    title="Discard cart"
+                  >
+                    <TrashIcon className="h-5 w-5" />
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default HeldCartsModal;
@@ -0,0 +1,132 @@
+// src/components/POS/OfflineSalesModal.js
+import { formatCurrency, formatDateTime } from "../../utils/helpers";
+import LoadingSpinner from "../common/LoadingSpinner";
+import {
+  ArrowPathIcon,
+  ExclamationTriangleIcon,
+  TrashIcon,
+  XMarkIcon,
+} from "@heroicons/react/24/outline";
+
+const OfflineSalesModal = ({
+  queuedSales,
+  isOnline,
+  syncing,
+  onSync,
+  onRetry,
+  onDiscard,
+  onClose,
+}) => {
+  const conflicts = queuedSales.filter((sale) => sale.status === "conflict");
+
+  const handleDiscard = (pendingSale) => {
+    if (
+      window.confirm(
+        `Discard offline sale ${pendingSale.receiptNumber}? It will not be recorded.`
+      )
+    ) {
+      onDiscard(pendingSale);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg p-6 w-full max-w-lg max-h-[90vh] overflow-y-auto">
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="text-lg font-semibold text-secondary-900">
+            Unsynced Sales ({queuedSales.length})
+          </h3>
+          <button
+            onClick={onClose}
+            className="text-secondary-400 hover:text-secondary-600"
+          >
+            <XMarkIcon className="h-6 w-6" />
+          </button>
+        </div>
+
+        {conflicts.length > 0 && (
+          <div className="flex items-start bg-red-50 border border-red-200 rounded-lg p-3 mb-4 text-sm text-red-700">
+            <ExclamationTriangleIcon className="h-5 w-5 mr-2 flex-shrink-0" />
+            {conflicts.length} sale{conflicts.length === 1 ? " was" : "s were"}{" "}
+            rejected by the server. Fix the stock and retry, or discard them.
+          </div>
+        )}
+
+        {queuedSales.length === 0 ? (
+          <p className="text-center text-secondary-600 py-8">
+            All sales are synced
+          </p>
+        ) : (
+          <div className="space-y-2 mb-4">
+            {queuedSales.map((pendingSale) => (
+              <div
+                key={pendingSale.localId}
+                className={`p-3 border rounded-lg ${
+                  pendingSale.status === "conflict"
+                    ? "border-red-200 bg-red-50"
+                    : "border-secondary-200"
+                }`}
+              >
+                <div className="flex justify-between items-start">
+                  <div className="min-w-0">
+                    <p className="font-medium text-secondary-900 truncate">
+                      {pendingSale.receiptNumber}
+                    </p>
+                    <p className="text-xs text-secondary-500">
+                      {formatDateTime(pendingSale.createdAt)} ·{" "}
+                      {pendingSale.saleData.items.length} items
+                    </p>
+                  </div>
+                  <span className="font-semibold text-secondary-900">
+                    {formatCurrency(pendingSale.saleData.totals.total)}
+                  </span>
+                </div>
+
+                {pendingSale.status === "conflict" && (
+                  <div className="flex justify-between items-center mt-2">
+                    <p className="text-xs text-red-700 mr-2">
+                      {pendingSale.error}
+                    </p>
+                    <div className="flex space-x-2 flex-shrink-0">
+                      <button
+                        onClick={() => onRetry(pendingSale)}
+                        disabled={!isOnline || syncing}
+                        className="text-primary-600 hover:text-primary-700 disabled:opacity-50"
+                        title="Retry"
+                      >
+                        <ArrowPathIcon className="h-4 w-4" />
+                      </button>
+                      <button
+                        onClick={() => handleDiscard(pendingSale)}
+                        className="text-red-600 hover:text-red-700"
+                        title="Discard"
+                      >
+                        <TrashIcon className="h-4 w-4" />
+                      </button>
+                    </div>
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+
+        <button
+          onClick={onSync}
+          disabled={!isOnline || syncing || queuedSales.length === 0}
+          className="w-full btn-primary disabled:opacity-50"
+        >
+          {syncing ? (
+            <LoadingSpinner size="small" text="Syncing..." />
+          ) : isOnline ? (
+            "Sync Now"
+          ) : (
+            "Waiting for connection..."
+          )}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default OfflineSalesModal;
@@ -0,0 +1,75 @@
+// src/components/POS/OpenShiftPanel.js
+import { useState } from "react";
+import LoadingSpinner from "../common/LoadingSpinner";
+import toast from "react-hot-toast";
+import { LockClosedIcon } from "@heroicons/react/24/outline";
+
+const OpenShiftPanel = ({ onOpen }) => {
+  const [openingFloat, setOpeningFloat] = useState("");
+  const [opening, setOpening] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const amount = parseFloat(openingFloat);
+    if (isNaN(amount) || amount < 0) {
+      toast.error("Enter the cash in the drawer to start with");
+      return;
+    }
+
+    try {
+      setOpening(true);
+      await onOpen({ openingFloat: amount });
+      toast.success("Shift opened");
+    } catch (error) {
+      console.error("Failed to open shift:", error);
+    } finally {
+      setOpening(false);
+    }
+  };
+
+  return (
+    <div className="flex-1 flex items-center justify-center p-4">
+      <form
+        onSubmit={handleSubmit}
+        className="card w-full max-w-sm text-center"
+      >
+        <LockClosedIcon className="h-10 w-10 text-secondary-400 mx-auto mb-3" />
+        <h2 className="text-lg font-semibold text-secondary-900">
+          No shift open
+        </h2>
+        <p className="text-sm text-secondary-600 mb-4">
+          Count the cash in the drawer and open a shift to start selling.
+        </p>
+
+        <label className="block text-sm font-medium text-secondary-700 mb-1 text-left">
+          Opening Float (KSh)
+        </label>
+        <input
+          type="number"
+          value={openingFloat}
+          onChange={(e) => setOpeningFloat(e.target.value)}
+          className="input-field mb-4"
+          placeholder="0"
+          min="0"
+          step="0.01"
+          autoFocus
+        />
+
+        <button
+          type="submit"
+          disabled={opening}
+          className="w-full btn-primary disabled:opacity-50"
+        >
+          {opening ? (
+            <LoadingSpinner size="small" text="Opening..." />
+          ) : (
+            "Open Shift"
+          )}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default OpenShiftPanel;
@@ -0,0 +1,392 @@
+// src/components/POS/PaymentModal.js
+import { useState, useEffect, useRef } from "react";
+import { formatCurrency, generateId } from "../../utils/helpers";
+import { DEFAULT_SHORTCUTS, formatKeyName } from "../../utils/shortcuts";
+import useKeyboardShortcuts from "../../hooks/useKeyboardShortcuts";
+import LoadingSpinner from "../common/LoadingSpinner";
+import MpesaPayment from "../common/MpesaPayment";
+import toast from "react-hot-toast";
+import {
+  BanknotesIcon,
+  CreditCardIcon,
+  UserCircleIcon,
+  PlusIcon,
+  TrashIcon,
+  XMarkIcon,
+} from "@heroicons/react/24/outline";
+
+const TENDER_METHODS = {
+  cash: { label: "Cash", icon: BanknotesIcon },
+  mpesa: { label: "M-Pesa", icon: CreditCardIcon },
+  credit: { label: "Account", icon: UserCircleIcon },
+};
+
+const amountOf = (tender) => parseFloat(tender.amount) || 0;
+
+// Each M-Pesa tender keeps its pending checkout under its own slot so it can
+// be resumed after a reload
+const getFreeMpesaSlot = (tenders) => {
+  const used = tenders.map((tender) => tender.slot);
+  let slot = 0;
+  while (used.includes(slot)) slot += 1;
+  return slot;
+};
+
+const PaymentModal = ({
+  total,
+  customer,
+  offline = false,
+  initialMethod = "cash",
+  shortcuts = DEFAULT_SHORTCUTS,
+  processing,
+  onSubmit,
+  onClose,
+  onProgress,
+}) => {
+  const [tenders, setTenders] = useState(() => [
+    initialMethod === "mpesa"
+      ? { id: generateId(), method: "mpesa", amount: String(total), slot: 0 }
+      : { id: generateId(), method: "cash", amount: "" },
+  ]);
+
+  const availableCredit =
+    (customer?.credit?.limit || 0) - (customer?.credit?.balance || 0);
+  const canUseCredit = Boolean(customer?.credit?.allowCredit);
+
+  const sumOf = (methods) =>
+    tenders
+      .filter((tender) => methods.includes(tender.method))
+      .reduce((sum, tender) => sum + amountOf(tender), 0);
+
+  const tendered = sumOf(["cash", "mpesa", "credit"]);
+  const nonCashTendered = sumOf(["mpesa", "credit"]);
+  const creditTendered = sumOf(["credit"]);
+  const remaining = Math.max(0, total - tendered);
+  // Only cash can be over-tendered, so change always comes out of cash
+  const change = Math.max(0, tendered - total);
+
+  // The latest M-Pesa request, for the customer display
+  const activeMpesa = [...tenders]
+    .reverse()
+    .find(
+      (tender) =>
+        tender.method === "mpesa" && tender.status && tender.status !== "idle"
+    );
+
+  const mpesaStatus = activeMpesa?.status;
+  const mpesaAmount = activeMpesa ? amountOf(activeMpesa) : 0;
+
+  // Reported whenever the figures change, to the latest onProgress
+  const onProgressRef = useRef(onProgress);
+  useEffect(() => {
+    onProgressRef.current = onProgress;
+  });
+
+  useEffect(() => {
+    if (!onProgressRef.current) return;
+    onProgressRef.current({
+      tendered,
+      remaining,
+      change,
+      mpesa: mpesaStatus ? { status: mpesaStatus, amount: mpesaAmount } : null,
+    });
+  }, [tendered, remaining, change, mpesaStatus, mpesaAmount]);
+
+  const addTender = (method) => {
+    setTenders((prev) => [
+      ...prev,
+      {
+        id: generateId(),
+        method,
+        amount: remaining > 0 ? String(remaining) : "",
+        ...(method === "mpesa" && { slot: getFreeMpesaSlot(prev) }),
+      },
+    ]);
+  };
+
+  const updateTender = (tenderId, changes) => {
+    setTenders((prev) =>
+      prev.map((tender) =>
+        tender.id === tenderId ? { ...tender, ...changes } : tender
+      )
+    );
+  };
+
+  const removeTender = (tenderId) => {
+    setTenders((prev) => prev.filter((tender) => tender.id !== tenderId));
+  };
+
+  const getValidationError = () => {
+    if (tenders.length === 0) return "Add at least one payment";
+
+    if (tenders.some((tender) => amountOf(tender) <= 0)) {
+      return "Enter an amount for each payment";
+    }
+
+    if (nonCashTendered > total) {
+      return "M-Pesa and account payments cannot exceed the total";
+    }
+
+    if (tendered < total) return "Amount paid is less than total";
+
+    if (offline && nonCashTendered > 0) {
+      return "Only cash can be taken while offline";
+    }
+
+    const unpaidMpesa = tenders.some(
+      (tender) => tender.method === "mpesa" && tender.status !== "success"
+    );
+    if (unpaidMpesa) return "Complete each M-Pesa payment before finishing";
+
+    if (creditTendered > 0) {
+      if (!canUseCredit) return "Customer is not allowed credit";
+      if (creditTendered > availableCredit) {
+        return "Amount exceeds the customer's available credit";
+      }
+    }
+
+    return null;
+  };
+
+  const validationError = getValidationError();
+
+  const handleComplete = () => {
+    if (validationError) {
+      toast.error(validationError);
+      return;
+    }
+
+    const methods = [...new Set(tenders.map((tender) => tender.method))];
+    const amountPaid = tendered - creditTendered;
+
+    onSubmit({
+      method: methods.length === 1 ? methods[0] : "mixed",
+      status:
+        creditTendered === 0 ? "paid" : amountPaid > 0 ? "partial" : "pending",
+      totalPaid: amountPaid,
+      change,
+      details: tenders.map((tender) => ({
+        method: tender.method,
+        amount: amountOf(tender),
+        ...(tender.method === "mpesa" && {
+          phone: tender.phone,
+          transactionId: tender.transactionId,
+          ...(tender.manual && { manual: true }),
+        }),
+      })),
+    });
+  };
+
+  const handleClose = () => {
+    const mpesaStatuses = tenders
+      .filter((tender) => tender.method === "mpesa")
+      .map((tender) => tender.status);
+
+    if (
+      mpesaStatuses.some((status) => ["sending", "pending"].includes(status)) &&
+      !window.confirm(
+        "An M-Pesa request is still waiting for the customer. It will resume when you reopen payment. Close anyway?"
+      )
+    ) {
+      return;
+    }
+    if (
+      mpesaStatuses.includes("success") &&
+      !window.confirm(
+        "An M-Pesa payment has already been received for this sale. Close anyway?"
+      )
+    ) {
+      return;
+    }
+    onClose();
+  };
+
+  const busy = processing;
+
+  useKeyboardShortcuts({
+    shortcuts,
+    enabled: !busy,
+    handlers: {
+      payCash: () => addTender("cash"),
+      payMpesa: () => !offline && addTender("mpesa"),
+      checkout: handleComplete,
+      closeModal: handleClose,
+    },
+  });
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg p-6 w-full max-w-md max-h-[90vh] overflow-y-auto">
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="text-lg font-semibold text-secondary-900">Payment</h3>
+          <button
+            onClick={handleClose}
+            disabled={busy}
+            className="text-secondary-400 hover:text-secondary-600"
+          >
+            <XMarkIcon className="h-6 w-6" />
+          </button>
+        </div>
+
+        <div className="space-y-4">
+          {/* Order Summary */}
+          <div className="bg-secondary-50 rounded-lg p-4 space-y-1">
+            <div className="flex justify-between font-bold">
+              <span>Total</span>
+              <span>{formatCurrency(total)}</span>
+            </div>
+            <div className="flex justify-between text-sm text-secondary-600">
+              <span>Tendered</span>
+              <span>{formatCurrency(tendered)}</span>
+            </div>
+            <div
+              className={`flex justify-between text-sm font-medium ${
+                remaining > 0 ? "text-red-600" : "text-green-700"
+              }`}
+            >
+              <span>Remaining</span>
+              <span>{formatCurrency(remaining)}</span>
+            </div>
+          </div>
+
+          {/* Tenders */}
+          <div className="space-y-3">
+            {tenders.map((tender) => {
+              const { label, icon: Icon } = TENDER_METHODS[tender.method];
+              const locked =
+                tender.method === "mpesa" &&
+                ["sending", "pending", "success"].includes(tender.status);
+
+              return (
+                <div
+                  key={tender.id}
+                  className="border border-secondary-200 rounded-lg p-3 space-y-2"
+                >
+                  <div className="flex items-center space-x-2">
+                    <div className="flex items-center w-24 text-sm font-medium text-secondary-700">
+                      <Icon className="h-5 w-5 mr-1" />
+                      {label}
+                    </div>
+                    <input
+                      type="number"
+                      value={tender.amount}
+                      onChange={(e) =>
+                        updateTender(tender.id, { amount: e.target.value })
+                      }
+                      placeholder={formatCurrency(remaining)}
+                      className="input-field"
+                      step="0.01"
+                      min="0"
+                      disabled={locked || busy}
+                    />
+                    <button
+                      onClick={() => removeTender(tender.id)}
+                      disabled={locked || busy}
+                      className="text-red-500 hover:text-red-700 disabled:opacity-30"
+                    >
+                      <TrashIcon className="h-4 w-4" />
+                    </button>
+                  </div>
+
+                  {tender.method === "mpesa" && (
+                    <MpesaPayment
+                      amount={amountOf(tender)}
+                      defaultPhone={customer?.phone || ""}
+                      storageKey={`pos:${tender.slot}`}
+                      disabled={busy}
+                      onStatusChange={(status) =>
+                        updateTender(tender.id, { status })
+                      }
+                      onSuccess={(result) =>
+                        updateTender(tender.id, {
+                          ...result,
+                          amount: String(result.amount),
+                        })
+                      }
+                    />
+                  )}
+
+                  {tender.method === "credit" && (
+                    <p className="text-xs text-secondary-500">
+                      Charged to {customer?.name}. Available credit:{" "}
+                      {formatCurrency(availableCredit)}
+                    </p>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+
+          {/* Add Tender */}
+          <div className="grid grid-cols-3 gap-2">
+            {Object.entries(TENDER_METHODS).map(([method, { label }]) => (
+              <button
+                key={method}
+                onClick={() => addTender(method)}
+                disabled={
+                  busy ||
+                  (offline && method !== "cash") ||
+                  (method === "credit" && !canUseCredit)
+                }
+                title={
+                  offline && method !== "cash"
+                    ? "Only cash can be taken while offline"
+                    : method === "credit" && !canUseCredit
+                    ? "Select a customer with a credit account"
+                    : undefined
+                }
+                className="p-2 border border-secondary-300 rounded-lg flex items-center justify-center text-sm text-secondary-700 hover:bg-secondary-50 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                <PlusIcon className="h-4 w-4 mr-1" />
+                {label}
+              </button>
+            ))}
+          </div>
+
+          {/* Change */}
+          {change > 0 && (
+            <div className="bg-green-50 border border-green-200 rounded-lg p-3">
+              <div className="flex justify-between">
+                <span className="text-green-700">Change</span>
+                <span className="font-bold text-green-700">
+                  {formatCurrency(change)}
+                </span>
+              </div>
+            </div>
+          )}
+
+          {validationError && tendered > 0 && (
+            <p className="text-sm text-red-600">{validationError}</p>
+          )}
+
+          {/* Actions */}
+          <div className="flex space-x-3">
+            <button
+              onClick={handleClose}
+              disabled={busy}
+              className="flex-1 btn-secondary"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={handleComplete}
+              disabled={busy || Boolean(validationError)}
+              className="flex-1 btn-primary disabled:opacity-50"
+            >
+              {busy ? (
+                <div className="flex items-center justify-center">
+                  <LoadingSpinner size="small" text="" />
+                  <span className="ml-2">Processing Sale...</span>
+                </div>
+              ) : (
+                `Complete Sale (${formatKeyName(shortcuts.checkout)})`
+              )}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PaymentModal;
@@ -0,0 +1,229 @@
+// src/components/POS/PrinterSetupModal.js
+import { useState } from "react";
+import { createEncoder } from "../../utils/escpos";
+import {
+  connectPrinter,
+  getPrinterPreference,
+  isSerialSupported,
+  isUsbSupported,
+  savePrinterPreference,
+  sendToPrinter,
+} from "../../utils/printer";
+import toast from "react-hot-toast";
+import { XMarkIcon } from "@heroicons/react/24/outline";
+
+const PRINTER_TYPES = [
+  {
+    id: "browser",
+    label: "Browser print dialog",
+    supported: () => true,
+  },
+  {
+    id: "usb",
+    label: "ESC/POS printer over USB",
+    supported: isUsbSupported,
+  },
+  {
+    id: "serial",
+    label: "ESC/POS printer over serial / Bluetooth",
+    supported: isSerialSupported,
+  },
+];
+
+const BAUD_RATES = [9600, 19200, 38400, 115200];
+
+const PrinterSetupModal = ({ onClose }) => {
+  const [preference, setPreference] = useState(getPrinterPreference);
+  const [deviceName, setDeviceName] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  const updatePreference = (changes) => {
+    const next = { ...preference, ...changes };
+    setPreference(next);
+    savePrinterPreference(next);
+  };
+
+  const handleConnect = async () => {
+    try {
+      setBusy(true);
+      const name = await connectPrinter(preference.type, {
+        baudRate: preference.baudRate,
+      });
+      setDeviceName(name);
+      toast.success(`Connected to ${name}`);
+    } catch (error) {
+      // Closing the browser's device picker isn't worth an error toast
+      if (error.name !== "NotFoundError") {
+        console.error("Failed to connect printer:", error);
+        toast.error(error.message || "Failed to connect printer");
+      }
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const sendCommands = async (bytes, successMessage) => {
+    try {
+      setBusy(true);
+      await sendToPrinter(bytes, preference);
+      toast.success(successMessage);
+    } catch (error) {
+      console.error("Failed to send to printer:", error);
+      toast.error(error.message || "Failed to send to printer");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const printTestPage = () =>
+    sendCommands(
+      createEncoder()
+        .initialize()
+        .align("center")
+        .bold(true)
+        .line("Printer test")
+        .bold(false)
+        .line(new Date().toLocaleString())
+        .feed(3)
+        .cut()
+        .encode(),
+      "Test page sent"
+    );
+
+  const kickDrawer = () =>
+    sendCommands(
+      createEncoder().initialize().openDrawer().encode(),
+      "Drawer opened"
+    );
+
+  const isEscPos = preference.type !== "browser";
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg p-6 w-full max-w-md">
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="text-lg font-semibold text-secondary-900">
+            Receipt Printer
+          </h3>
+          <button
+            onClick={onClose}
+            className="text-secondary-400 hover:text-secondary-600"
+          >
+            <XMarkIcon className="h-6 w-6" />
+          </button>
+        </div>
+
+        <div className="space-y-4">
+          <div className="space-y-2">
+            {PRINTER_TYPES.map((type) => (
+              <label
+                key={type.id}
+                className={`flex items-center p-3 border rounded-lg ${
+                  type.supported()
+                    ? "cursor-pointer"
+                    : "opacity-50 cursor-not-allowed"
+                } ${
+                  preference.type === type.id
+                    ? "border-primary-500 bg-primary-50"
+                    : "border-secondary-300"
+                }`}
+              >
+                <input
+                  type="radio"
+                  name="printerType"
+                  value={type.id}
+                  checked={preference.type === type.id}
+                  disabled={!type.supported()}
+                  onChange={() => {
+                    setDeviceName("");
+                    updatePreference({ type: type.id });
+                  }}
+                  className="text-primary-600 focus:ring-primary-500"
+                />
+                <span className="ml-2 text-sm text-secondary-700">
+                  {type.label}
+                  {!type.supported() && " (not supported in this browser)"}
+                </span>
+              </label>
+            ))}
+          </div>
+
+          {preference.type === "serial" && (
+            <div>
+              <label className="block text-sm font-medium text-secondary-700 mb-1">
+                Baud Rate
+              </label>
+              <select
+                value={preference.baudRate}
+                onChange={(e) =>
+                  updatePreference({ baudRate: parseInt(e.target.value) })
+                }
+                className="input-field"
+              >
+                {BAUD_RATES.map((rate) => (
+                  <option key={rate} value={rate}>
+                    {rate}
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
+
+          {isEscPos && (
+            <>
+              <label className="flex items-center">
+                <input
+                  type="checkbox"
+                  checked={preference.openDrawer}
+                  onChange={(e) =>
+                    updatePreference({ openDrawer: e.target.checked })
+                  }
+                  className="rounded border-secondary-300 text-primary-600 focus:ring-primary-500"
+                />
+                <span className="ml-2 text-sm text-secondary-700">
+                  Open cash drawer on cash sales
+                </span>
+              </label>
+
+              {deviceName && (
+                <p className="text-sm text-green-700">
+                  Connected: {deviceName}
+                </p>
+              )}
+
+              <div className="grid grid-cols-3 gap-2">
+                <button
+                  onClick={handleConnect}
+                  disabled={busy}
+                  className="btn-primary text-sm disabled:opacity-50"
+                >
+                  Connect
+                </button>
+                <button
+                  onClick={printTestPage}
+                  disabled={busy}
+                  className="btn-secondary text-sm disabled:opacity-50"
+                >
+                  Test Print
+                </button>
+                <button
+                  onClick={kickDrawer}
+                  disabled={busy}
+                  className="btn-secondary text-sm disabled:opacity-50"
+                >
+                  Open Drawer
+                </button>
+              </div>
+            </>
+          )}
+
+          <p className="text-xs text-secondary-500">
+            This setting only applies to this device.
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PrinterSetupModal;
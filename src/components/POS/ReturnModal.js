@@ -0,0 +1,234 @@
+// src/components/POS/ReturnModal.js
+import { useState } from "react";
+import { salesAPI } from "../../services/api";
+import { formatCurrency, formatDateTime } from "../../utils/helpers";
+import { calculateRefundAmount } from "../../utils/totals";
+import { getReturnableItems } from "../../utils/returns";
+import { formatQuantity, roundQuantity } from "../../utils/units";
+import LoadingSpinner from "../common/LoadingSpinner";
+import QuantityStepper from "../common/QuantityStepper";
+import toast from "react-hot-toast";
+import {
+  ArrowsRightLeftIcon,
+  MagnifyingGlassIcon,
+  XMarkIcon,
+} from "@heroicons/react/24/outline";
+
+/**
+ * Load a sale by receipt number and pick the lines coming back, either to
+ * refund them or to exchange them against a new cart
+ */
+const ReturnModal = ({ processing, onRefund, onExchange, onClose }) => {
+  const [receiptNumber, setReceiptNumber] = useState("");
+  const [searching, setSearching] = useState(false);
+  const [sale, setSale] = useState(null);
+  const [items, setItems] = useState([]);
+  const [reason, setReason] = useState("");
+
+  const findSale = async (e) => {
+    e.preventDefault();
+    const term = receiptNumber.trim();
+    if (!term) return;
+
+    try {
+      setSearching(true);
+      const response = await salesAPI.getSales({
+        receiptNumber: term,
+        limit: 5,
+      });
+      const match = (response.data.data || []).find(
+        (result) => result.receiptNumber?.toLowerCase() === term.toLowerCase()
+      );
+
+      if (!match) {
+        toast.error(`No sale found with receipt ${term}`);
+        return;
+      }
+      if (match.status === "voided") {
+        toast.error("Voided sales cannot be returned");
+        return;
+      }
+
+      // The list can leave out refund history, so load the full sale
+      const saleResponse = await salesAPI.getSale(match._id);
+      const fullSale = saleResponse.data.data;
+      const returnable = getReturnableItems(fullSale);
+
+      if (returnable.every((item) => item.maxQuantity === 0)) {
+        toast.error("Everything on this receipt has already been returned");
+        return;
+      }
+
+      setSale(fullSale);
+      setItems(returnable);
+    } catch (error) {
+      console.error("Failed to find sale:", error);
+      toast.error(
+        error.response?.status === 404
+          ? `No sale found with receipt ${term}`
+          : "Failed to look up the receipt"
+      );
+    } finally {
+      setSearching(false);
+    }
+  };
+
+  const updateQuantity = (lineKey, quantity) => {
+    setItems((prev) =>
+      prev.map((item) =>
+        item.lineKey === lineKey
+          ? {
+              ...item,
+              quantity: Math.min(
+                Math.max(0, roundQuantity(quantity, item.unit)),
+                item.maxQuantity
+              ),
+            }
+          : item
+      )
+    );
+  };
+
+  const returnedItems = items.filter((item) => item.quantity > 0);
+  const amount = sale
+    ? calculateRefundAmount(sale.items, returnedItems, sale.totals)
+    : 0;
+
+  const getReturn = () => {
+    if (returnedItems.length === 0) {
+      toast.error("Select the items being returned");
+      return null;
+    }
+    if (!reason.trim()) {
+      toast.error("Please provide a reason for the return");
+      return null;
+    }
+    return { sale, items: returnedItems, amount, reason: reason.trim() };
+  };
+
+  const handleRefund = () => {
+    const saleReturn = getReturn();
+    if (saleReturn) onRefund(saleReturn);
+  };
+
+  const handleExchange = () => {
+    const saleReturn = getReturn();
+    if (saleReturn) onExchange(saleReturn);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg p-6 w-full max-w-lg max-h-[90vh] overflow-y-auto">
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="text-lg font-semibold text-secondary-900">
+            Return / Exchange
+          </h3>
+          <button
+            onClick={onClose}
+            className="text-secondary-400 hover:text-secondary-600"
+          >
+            <XMarkIcon className="h-6 w-6" />
+          </button>
+        </div>
+
+        <form onSubmit={findSale} className="flex space-x-2 mb-4">
+          <input
+            type="text"
+            value={receiptNumber}
+            onChange={(e) => setReceiptNumber(e.target.value)}
+            placeholder="Scan or type the receipt number"
+            className="input-field"
+            autoFocus
+          />
+          <button
+            type="submit"
+            disabled={searching || !receiptNumber.trim()}
+            className="btn-secondary disabled:opacity-50"
+          >
+            {searching ? (
+              <LoadingSpinner size="small" text="" />
+            ) : (
+              <MagnifyingGlassIcon className="h-5 w-5" />
+            )}
+          </button>
+        </form>
+
+        {sale && (
+          <div className="space-y-4">
+            <div className="text-sm text-secondary-600">
+              Receipt{" "}
+              <span className="font-medium text-secondary-900">
+                {sale.receiptNumber}
+              </span>{" "}
+              · {formatDateTime(sale.createdAt)} · Paid{" "}
+              {formatCurrency(sale.totals?.total || 0)}
+            </div>
+
+            <div className="space-y-2">
+              {items.map((item) => (
+                <div
+                  key={item.lineKey}
+                  className="flex items-center justify-between p-2 bg-secondary-50 rounded-lg"
+                >
+                  <div className="min-w-0">
+                    <p className="text-sm font-medium text-secondary-900 truncate">
+                      {item.productName}
+                    </p>
+                    <p className="text-xs text-secondary-500">
+                      {formatQuantity(item.maxQuantity, item.unit)} of{" "}
+                      {formatQuantity(item.soldQuantity, item.unit)} returnable
+                    </p>
+                  </div>
+                  <QuantityStepper
+                    quantity={item.quantity}
+                    unit={item.unit}
+                    onChange={(quantity) =>
+                      updateQuantity(item.lineKey, quantity)
+                    }
+                  />
+                </div>
+              ))}
+            </div>
+
+            <textarea
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              placeholder="Reason for the return"
+              className="input-field"
+              rows={2}
+            />
+
+            <div className="flex justify-between font-semibold">
+              <span>Return value</span>
+              <span className="text-primary-600">{formatCurrency(amount)}</span>
+            </div>
+
+            <div className="flex space-x-3">
+              <button
+                onClick={handleRefund}
+                disabled={processing || returnedItems.length === 0}
+                className="flex-1 btn-secondary disabled:opacity-50"
+              >
+                {processing ? (
+                  <LoadingSpinner size="small" text="" />
+                ) : (
+                  `Refund ${formatCurrency(amount)}`
+                )}
+              </button>
+              <button
+                onClick={handleExchange}
+                disabled={processing || returnedItems.length === 0}
+                className="flex-1 btn-primary flex items-center justify-center disabled:opacity-50"
+              >
+                <ArrowsRightLeftIcon className="h-4 w-4 mr-1" />
+                Exchange
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ReturnModal;
@@ -0,0 +1,400 @@
+// src/components/POS/ShiftModal.js
+import { useState, useEffect } from "react";
+import {
+  formatCurrency,
+  formatDateTime,
+  sanitizeInput,
+} from "../../utils/helpers";
+import { PAYMENT_LABELS } from "../../utils/receipt";
+import { printShiftReport } from "../../utils/shifts";
+import LoadingSpinner from "../common/LoadingSpinner";
+import toast from "react-hot-toast";
+import { PrinterIcon, XMarkIcon } from "@heroicons/react/24/outline";
+
+const TABS = [
+  { id: "summary", label: "Summary" },
+  { id: "cash", label: "Pay In / Out" },
+  { id: "close", label: "Close Shift" },
+];
+
+const ShiftModal = ({
+  shift,
+  settings,
+  getReport,
+  addCashMovement,
+  closeShift,
+  unsyncedSales = 0,
+  syncing = false,
+  onSync,
+  onClose,
+}) => {
+  const [activeTab, setActiveTab] = useState("summary");
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [movement, setMovement] = useState({
+    type: "out",
+    amount: "",
+    reason: "",
+  });
+  const [countedCash, setCountedCash] = useState("");
+  const [notes, setNotes] = useState("");
+
+  useEffect(() => {
+    loadReport();
+  }, [shift, unsyncedSales]);
+
+  const loadReport = async () => {
+    try {
+      setLoading(true);
+      setReport(await getReport());
+    } catch (error) {
+      console.error("Failed to load shift report:", error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handlePrint = async (shiftReport, type) => {
+    try {
+      await printShiftReport(shiftReport, type, settings);
+    } catch (error) {
+      console.error("Failed to print shift report:", error);
+      toast.error("Failed to print report");
+    }
+  };
+
+  const handleMovement = async (e) => {
+    e.preventDefault();
+
+    const amount = parseFloat(movement.amount);
+    if (!amount || amount <= 0) {
+      toast.error("Enter an amount");
+      return;
+    }
+    if (!movement.reason.trim()) {
+      toast.error("Enter a reason");
+      return;
+    }
+
+    try {
+      setSaving(true);
+      await addCashMovement({
+        type: movement.type,
+        amount,
+        reason: sanitizeInput(movement.reason.trim()),
+      });
+      toast.success(
+        movement.type === "in" ? "Pay-in recorded" : "Pay-out recorded"
+      );
+      setMovement({ type: movement.type, amount: "", reason: "" });
+      setActiveTab("summary");
+    } catch (error) {
+      console.error("Failed to record cash movement:", error);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleCloseShift = async () => {
+    // Queued sales aren't in the report yet, so the drawer would look over
+    if (unsyncedSales > 0) {
+      toast.error("Sync the offline sales before closing the shift");
+      return;
+    }
+
+    const counted = parseFloat(countedCash);
+    if (isNaN(counted) || counted < 0) {
+      toast.error("Enter the cash counted in the drawer");
+      return;
+    }
+
+    try {
+      setSaving(true);
+      const zReport = await closeShift(counted, notes.trim() || undefined);
+      toast.success("Shift closed");
+      await handlePrint(zReport, "Z");
+      onClose();
+    } catch (error) {
+      console.error("Failed to close shift:", error);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const counted = parseFloat(countedCash);
+  const variance =
+    report && !isNaN(counted) ? counted - report.expectedCash : null;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg p-6 w-full max-w-lg max-h-[90vh] overflow-y-auto">
+        <div className="flex justify-between items-center mb-1">
+          <h3 className="text-lg font-semibold text-secondary-900">
+            Current Shift
+          </h3>
+          <button
+            onClick={onClose}
+            className="text-secondary-400 hover:text-secondary-600"
+          >
+            <XMarkIcon className="h-6 w-6" />
+          </button>
+        </div>
+        <p className="text-sm text-secondary-500 mb-4">
+          Opened {formatDateTime(shift.openedAt)}
+        </p>
+
+        <div className="flex border-b border-secondary-200 mb-4">
+          {TABS.map((tab) => (
+            <button
+              key={tab.id}
+              onClick={() => setActiveTab(tab.id)}
+              className={`px-4 py-2 text-sm font-medium border-b-2 -mb-px ${
+                activeTab === tab.id
+                  ? "border-primary-500 text-primary-600"
+                  : "border-transparent text-secondary-500 hover:text-secondary-700"
+              }`}
+            >
+              {tab.label}
+            </button>
+          ))}
+        </div>
+
+        {loading || !report ? (
+          <div className="flex justify-center py-8">
+            <LoadingSpinner />
+          </div>
+        ) : activeTab === "summary" ? (
+          <div className="space-y-4">
+            <div className="bg-secondary-50 rounded-lg p-4 text-sm space-y-2">
+              <div className="flex justify-between">
+                <span className="text-secondary-600">Sales</span>
+                <span className="font-medium">{report.salesCount}</span>
+              </div>
+              <div className="flex justify-between">
+                <span className="text-secondary-600">Net sales</span>
+                <span className="font-medium">
+                  {formatCurrency(report.netSales)}
+                </span>
+              </div>
+              {Object.entries(report.byMethod).map(([method, amount]) => (
+                <div key={method} className="flex justify-between">
+                  <span className="text-secondary-600">
+                    {PAYMENT_LABELS[method] || method}
+                  </span>
+                  <span>{formatCurrency(amount)}</span>
+                </div>
+              ))}
+            </div>
+
+            <div className="bg-secondary-50 rounded-lg p-4 text-sm space-y-2">
+              <div className="flex justify-between">
+                <span className="text-secondary-600">Opening float</span>
+                <span>{formatCurrency(report.openingFloat)}</span>
+              </div>
+              <div className="flex justify-between">
+                <span className="text-secondary-600">Cash sales</span>
+                <span>{formatCurrency(report.cashSales)}</span>
+              </div>
+              <div className="flex justify-between">
+                <span className="text-secondary-600">Pay-ins</span>
+                <span>{formatCurrency(report.payIns)}</span>
+              </div>
+              <div className="flex justify-between">
+                <span className="text-secondary-600">Pay-outs</span>
+                <span>-{formatCurrency(report.payOuts)}</span>
+              </div>
+              <div className="flex justify-between font-semibold border-t border-secondary-200 pt-2">
+                <span>Expected in drawer</span>
+                <span>{formatCurrency(report.expectedCash)}</span>
+              </div>
+            </div>
+
+            {shift.movements?.length > 0 && (
+              <div className="text-sm">
+                <p className="font-medium text-secondary-900 mb-2">
+                  Cash movements
+                </p>
+                {shift.movements.map((item, index) => (
+                  <div
+                    key={item._id || index}
+                    className="flex justify-between py-1 border-b border-secondary-100"
+                  >
+                    <span className="text-secondary-600 truncate mr-2">
+                      {item.reason}
+                    </span>
+                    <span
+                      className={
+                        item.type === "in" ? "text-green-700" : "text-red-600"
+                      }
+                    >
+                      {item.type === "in" ? "+" : "-"}
+                      {formatCurrency(item.amount)}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            )}
+
+            <button
+              onClick={() => handlePrint(report, "X")}
+              className="w-full btn-secondary flex items-center justify-center"
+            >
+              <PrinterIcon className="h-5 w-5 mr-2" />
+              Print X Report
+            </button>
+          </div>
+        ) : activeTab === "cash" ? (
+          <form onSubmit={handleMovement} className="space-y-4">
+            <div className="grid grid-cols-2 gap-2">
+              {[
+                { id: "in", label: "Pay In" },
+                { id: "out", label: "Pay Out" },
+              ].map((option) => (
+                <button
+                  key={option.id}
+                  type="button"
+                  onClick={() =>
+                    setMovement((prev) => ({ ...prev, type: option.id }))
+                  }
+                  className={`p-2 border rounded-lg text-sm ${
+                    movement.type === option.id
+                      ? "border-primary-500 bg-primary-50 text-primary-700"
+                      : "border-secondary-300 text-secondary-700"
+                  }`}
+                >
+                  {option.label}
+                </button>
+              ))}
+            </div>
+
+            <input
+              type="number"
+              value={movement.amount}
+              onChange={(e) =>
+                setMovement((prev) => ({ ...prev, amount: e.target.value }))
+              }
+              className="input-field"
+              placeholder="Amount (KSh)"
+              min="0"
+              step="0.01"
+            />
+            <input
+              type="text"
+              value={movement.reason}
+              onChange={(e) =>
+                setMovement((prev) => ({ ...prev, reason: e.target.value }))
+              }
+              className="input-field"
+              placeholder={
+                movement.type === "in"
+                  ? "e.g., Extra change from bank"
+                  : "e.g., Paid supplier for delivery"
+              }
+            />
+
+            <button
+              type="submit"
+              disabled={saving}
+              className="w-full btn-primary disabled:opacity-50"
+            >
+              {saving ? (
+                <LoadingSpinner size="small" text="Saving..." />
+              ) : movement.type === "in" ? (
+                "Record Pay In"
+              ) : (
+                "Record Pay Out"
+              )}
+            </button>
+          </form>
+        ) : (
+          <div className="space-y-4">
+            <div className="bg-secondary-50 rounded-lg p-4 text-sm space-y-2">
+              <div className="flex justify-between">
+                <span className="text-secondary-600">Expected in drawer</span>
+                <span className="font-medium">
+                  {formatCurrency(report.expectedCash)}
+                </span>
+              </div>
+              {variance !== null && (
+                <div className="flex justify-between">
+                  <span className="text-secondary-600">
+                    {variance < 0
+                      ? "Short"
+                      : variance > 0
+                      ? "Over"
+                      : "Balanced"}
+                  </span>
+                  <span
+                    className={`font-medium ${
+                      variance < 0
+                        ? "text-red-600"
+                        : variance > 0
+                        ? "text-yellow-700"
+                        : "text-green-700"
+                    }`}
+                  >
+                    {formatCurrency(variance)}
+                  </span>
+                </div>
+              )}
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-secondary-700 mb-1">
+                Counted Cash (KSh)
+              </label>
+              <input
+                type="number"
+                value={countedCash}
+                onChange={(e) => setCountedCash(e.target.value)}
+                className="input-field"
+                min="0"
+                step="0.01"
+                autoFocus
+              />
+            </div>
+
+            <textarea
+              value={notes}
+              onChange={(e) => setNotes(e.target.value)}
+              className="input-field"
+              rows={2}
+              placeholder="Notes (optional)"
+            />
+
+            {unsyncedSales > 0 && (
+              <div className="flex items-center justify-between p-3 bg-yellow-50 border border-yellow-200 rounded-lg text-sm text-yellow-800">
+                <span>
+                  {unsyncedSales} offline sale{unsyncedSales === 1 ? "" : "s"}{" "}
+                  not synced yet. Sync them before closing the shift.
+                </span>
+                <button
+                  onClick={onSync}
+                  disabled={syncing}
+                  className="btn-secondary ml-3 disabled:opacity-50"
+                >
+                  {syncing ? "Syncing..." : "Sync Now"}
+                </button>
+              </div>
+            )}
+
+            <button
+              onClick={handleCloseShift}
+              disabled={saving || unsyncedSales > 0}
+              className="w-full btn-primary disabled:opacity-50"
+            >
+              {saving ? (
+                <LoadingSpinner size="small" text="Closing..." />
+              ) : (
+                "Close Shift & Print Z Report"
+              )}
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ShiftModal;
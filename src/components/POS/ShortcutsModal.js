@@ -0,0 +1,151 @@
+// src/components/POS/ShortcutsModal.js
+import { useState, useEffect } from "react";
+import {
+  DEFAULT_SHORTCUTS,
+  SHORTCUT_ACTIONS,
+  formatKeyName,
+  getKeyName,
+} from "../../utils/shortcuts";
+import LoadingSpinner from "../common/LoadingSpinner";
+import toast from "react-hot-toast";
+import { XMarkIcon } from "@heroicons/react/24/outline";
+
+const GROUPS = [...new Set(SHORTCUT_ACTIONS.map((action) => action.group))];
+const RESERVED_KEYS = ["Tab", "Shift+Tab"];
+
+const ShortcutsModal = ({ shortcuts, onSave, onClose }) => {
+  const [draft, setDraft] = useState(shortcuts);
+  const [recording, setRecording] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const changed = SHORTCUT_ACTIONS.some(
+    (action) => draft[action.id] !== shortcuts[action.id]
+  );
+
+  useEffect(() => {
+    if (!recording) return;
+
+    // Capture phase so the key doesn't also fire its current action
+    const handleKeyDown = (e) => {
+      const keyName = getKeyName(e);
+      if (!keyName) return;
+
+      e.preventDefault();
+      e.stopPropagation();
+
+      if (keyName === "Escape") {
+        setRecording(null);
+        return;
+      }
+      if (RESERVED_KEYS.includes(keyName)) {
+        toast.error(`${keyName} is kept for moving between fields`);
+        return;
+      }
+
+      // Swap with whichever action had the key so nothing ends up unbound
+      setDraft((prev) => {
+        const next = { ...prev, [recording]: keyName };
+        const clash = SHORTCUT_ACTIONS.find(
+          (action) => action.id !== recording && prev[action.id] === keyName
+        );
+        if (clash) next[clash.id] = prev[recording];
+        return next;
+      });
+      setRecording(null);
+    };
+
+    window.addEventListener("keydown", handleKeyDown, true);
+    return () => window.removeEventListener("keydown", handleKeyDown, true);
+  }, [recording]);
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      await onSave(draft);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg p-6 w-full max-w-2xl max-h-[90vh] overflow-y-auto">
+        <div className="flex justify-between items-center mb-2">
+          <h3 className="text-lg font-semibold text-secondary-900">
+            Keyboard Shortcuts
+          </h3>
+          <button
+            onClick={onClose}
+            className="text-secondary-400 hover:text-secondary-600"
+          >
+            <XMarkIcon className="h-6 w-6" />
+          </button>
+        </div>
+        <p className="text-sm text-secondary-600 mb-4">
+          Click a key to change it, then press the new key. Esc cancels.
+        </p>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+          {GROUPS.map((group) => (
+            <div key={group}>
+              <h4 className="text-sm font-semibold text-secondary-900 mb-2">
+                {group}
+              </h4>
+              <div className="space-y-1">
+                {SHORTCUT_ACTIONS.filter(
+                  (action) => action.group === group
+                ).map((action) => (
+                  <div
+                    key={action.id}
+                    className="flex items-center justify-between text-sm"
+                  >
+                    <span className="text-secondary-700">{action.label}</span>
+                    <button
+                      onClick={() =>
+                        setRecording(recording === action.id ? null : action.id)
+                      }
+                      className={`min-w-[4rem] px-2 py-0.5 border rounded font-mono text-xs ${
+                        recording === action.id
+                          ? "border-primary-500 bg-primary-50 text-primary-700"
+                          : draft[action.id] !== DEFAULT_SHORTCUTS[action.id]
+                          ? "border-yellow-400 bg-yellow-50 text-secondary-900"
+                          : "border-secondary-300 bg-secondary-50 text-secondary-900"
+                      }`}
+                    >
+                      {recording === action.id
+                        ? "Press a key"
+                        : formatKeyName(draft[action.id])}
+                    </button>
+                  </div>
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+
+        <div className="flex justify-between items-center mt-6">
+          <button
+            onClick={() => setDraft(DEFAULT_SHORTCUTS)}
+            className="text-sm text-secondary-600 hover:text-secondary-800"
+          >
+            Reset to defaults
+          </button>
+          <div className="flex space-x-3">
+            <button onClick={onClose} className="btn-secondary">
+              Close
+            </button>
+            <button
+              onClick={handleSave}
+              disabled={!changed || saving}
+              className="btn-primary disabled:opacity-50"
+            >
+              {saving ? <LoadingSpinner size="small" text="" /> : "Save"}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ShortcutsModal;
@@ -0,0 +1,128 @@
+// src/components/POS/VariantPickerModal.js
+import { useState } from "react";
+import { formatCurrency } from "../../utils/helpers";
+import { findVariantByOptions, getVariantOptions } from "../../utils/variants";
+import { XMarkIcon } from "@heroicons/react/24/outline";
+
+/**
+ * Pick the size, colour... of a product with variants before it goes into
+ * the cart
+ */
+const VariantPickerModal = ({ product, onSelect, onClose }) => {
+  const options = getVariantOptions(product);
+  const [selection, setSelection] = useState({});
+
+  const activeVariants = product.variants.filter(
+    (variant) => variant.isActive !== false
+  );
+  const variant =
+    Object.keys(selection).length === options.length
+      ? findVariantByOptions({ variants: activeVariants }, selection)
+      : null;
+  const stock = Number(variant?.inventory?.currentStock) || 0;
+
+  // A value is only offered when some active variant has it alongside the
+  // values already picked for the other options
+  const isAvailable = (name, value) =>
+    activeVariants.some((item) =>
+      Object.entries({ ...selection, [name]: value }).every(
+        ([key, selected]) => item.options?.[key] === selected
+      )
+    );
+
+  const selectValue = (name, value) =>
+    setSelection((prev) => {
+      const next = { ...prev, [name]: value };
+      // Drop picks that no longer go together with the new value
+      return Object.fromEntries(
+        Object.entries(next).filter(
+          ([key, selected]) =>
+            key === name ||
+            activeVariants.some(
+              (item) =>
+                item.options?.[name] === value &&
+                item.options?.[key] === selected
+            )
+        )
+      );
+    });
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg p-6 w-full max-w-md">
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="text-lg font-semibold text-secondary-900">
+            {product.name}
+          </h3>
+          <button
+            onClick={onClose}
+            className="text-secondary-400 hover:text-secondary-600"
+          >
+            <XMarkIcon className="h-6 w-6" />
+          </button>
+        </div>
+
+        <div className="space-y-4">
+          {options.map((option) => (
+            <div key={option.name}>
+              <p className="text-sm font-medium text-secondary-700 mb-2">
+                {option.name}
+              </p>
+              <div className="flex flex-wrap gap-2">
+                {option.values.map((value) => (
+                  <button
+                    key={value}
+                    onClick={() => selectValue(option.name, value)}
+                    disabled={!isAvailable(option.name, value)}
+                    className={`px-3 py-2 border rounded-lg text-sm disabled:opacity-40 ${
+                      selection[option.name] === value
+                        ? "border-primary-500 bg-primary-50 text-primary-700"
+                        : "border-secondary-300 text-secondary-700"
+                    }`}
+                  >
+                    {value}
+                  </button>
+                ))}
+              </div>
+            </div>
+          ))}
+
+          <div className="bg-secondary-50 rounded-lg p-3 text-sm">
+            {variant ? (
+              <div className="flex justify-between">
+                <span>
+                  {variant.name}
+                  <span className="ml-2 text-secondary-500">
+                    {stock > 0 ? `${stock} in stock` : "Out of stock"}
+                  </span>
+                </span>
+                <span className="font-medium">
+                  {formatCurrency(variant.pricing?.sellingPrice)}
+                </span>
+              </div>
+            ) : (
+              <span className="text-secondary-500">
+                Choose {options.map((option) => option.name).join(", ")}
+              </span>
+            )}
+          </div>
+
+          <div className="flex space-x-3">
+            <button onClick={onClose} className="flex-1 btn-secondary">
+              Cancel
+            </button>
+            <button
+              onClick={() => onSelect(variant)}
+              disabled={!variant || stock <= 0}
+              className="flex-1 btn-primary disabled:opacity-50"
+            >
+              Add to Cart
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default VariantPickerModal;
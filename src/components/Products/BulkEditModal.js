@@ -0,0 +1,299 @@
+// src/components/Products/BulkEditModal.js
+import { useState, useEffect } from "react";
+import { productsAPI, categoriesAPI } from "../../services/api";
+import { formatCurrency } from "../../utils/helpers";
+import {
+  ROUNDING_RULES,
+  EMPTY_BULK_EDIT,
+  getBulkChanges,
+  hasBulkEdits,
+} from "../../utils/bulkEdit";
+import CategoryPicker from "../common/CategoryPicker";
+import toast from "react-hot-toast";
+import { ArrowRightIcon, XMarkIcon } from "@heroicons/react/24/outline";
+
+const formatValue = (change, value) =>
+  change.isPrice ? formatCurrency(value) : String(value);
+
+const BulkEditModal = ({ products, onSaved, onClose }) => {
+  const [tree, setTree] = useState([]);
+  const [edits, setEdits] = useState(EMPTY_BULK_EDIT);
+  const [previewing, setPreviewing] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    fetchCategories();
+  }, []);
+
+  const fetchCategories = async () => {
+    try {
+      const response = await categoriesAPI.getCategoryTree();
+      setTree(response.data.data || []);
+    } catch (error) {
+      console.error("Failed to fetch categories:", error);
+      toast.error("Failed to load categories");
+    }
+  };
+
+  const setPrice = (key, value) =>
+    setEdits((prev) => ({ ...prev, price: { ...prev.price, [key]: value } }));
+
+  const diff = products.map((product) => ({
+    product,
+    ...getBulkChanges(product, edits, tree),
+  }));
+  const changed = diff.filter((row) => !row.error && row.changes.length > 0);
+  const blocked = diff.filter((row) => row.error);
+
+  const showPreview = () => {
+    if (!hasBulkEdits(edits)) {
+      toast.error("Choose at least one change");
+      return;
+    }
+    if (edits.minStock !== "" && parseInt(edits.minStock) < 0) {
+      toast.error("Minimum stock cannot be negative");
+      return;
+    }
+    setPreviewing(true);
+  };
+
+  const applyChanges = async () => {
+    if (changed.length === 0) {
+      toast.error("None of the selected products would change");
+      return;
+    }
+
+    try {
+      setSaving(true);
+      await productsAPI.bulkUpdate({
+        updates: changed.map(({ product, update }) => ({
+          id: product._id,
+          data: update,
+        })),
+      });
+      toast.success(`${changed.length} products updated`);
+      onSaved();
+    } catch (error) {
+      console.error("Failed to update products:", error);
+      toast.error(error.response?.data?.message || "Failed to update products");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg p-6 w-full max-w-2xl max-h-[90vh] flex flex-col">
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="text-lg font-semibold text-secondary-900">
+            Edit {products.length} Products
+          </h3>
+          <button
+            onClick={onClose}
+            className="text-secondary-400 hover:text-secondary-600"
+          >
+            <XMarkIcon className="h-6 w-6" />
+          </button>
+        </div>
+
+        {!previewing ? (
+          <div className="space-y-4 overflow-y-auto">
+            <p className="text-sm text-secondary-600">
+              Leave a field empty to keep each product's current value.
+            </p>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <CategoryPicker
+                tree={tree}
+                category={edits.category}
+                subcategory={edits.subcategory}
+                required={false}
+                placeholder="No change"
+                onChange={({ category, subcategory }) =>
+                  setEdits((prev) => ({ ...prev, category, subcategory }))
+                }
+              />
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-secondary-700 mb-1">
+                  Status
+                </label>
+                <select
+                  value={edits.status}
+                  onChange={(e) =>
+                    setEdits((prev) => ({ ...prev, status: e.target.value }))
+                  }
+                  className="input-field"
+                >
+                  <option value="">No change</option>
+                  <option value="active">Active</option>
+                  <option value="inactive">Inactive</option>
+                </select>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-secondary-700 mb-1">
+                  Minimum Stock
+                </label>
+                <input
+                  type="number"
+                  min="0"
+                  value={edits.minStock}
+                  onChange={(e) =>
+                    setEdits((prev) => ({ ...prev, minStock: e.target.value }))
+                  }
+                  placeholder="No change"
+                  className="input-field"
+                />
+              </div>
+            </div>
+
+            <div className="border-t border-secondary-200 pt-4">
+              <h4 className="text-sm font-semibold text-secondary-900 mb-3">
+                Adjust Prices
+              </h4>
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+                <div>
+                  <label className="block text-xs font-medium text-secondary-700 mb-1">
+                    Price
+                  </label>
+                  <select
+                    value={edits.price.field}
+                    onChange={(e) => setPrice("field", e.target.value)}
+                    className="input-field"
+                  >
+                    <option value="sellingPrice">Selling</option>
+                    <option value="wholesalePrice">Wholesale</option>
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-xs font-medium text-secondary-700 mb-1">
+                    Change by
+                  </label>
+                  <select
+                    value={edits.price.mode}
+                    onChange={(e) => setPrice("mode", e.target.value)}
+                    className="input-field"
+                  >
+                    <option value="percent">Percent (%)</option>
+                    <option value="fixed">Amount (KSh)</option>
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-xs font-medium text-secondary-700 mb-1">
+                    Amount
+                  </label>
+                  <input
+                    type="number"
+                    step="any"
+                    value={edits.price.amount}
+                    onChange={(e) => setPrice("amount", e.target.value)}
+                    placeholder="e.g. 10 or -5"
+                    className="input-field"
+                  />
+                </div>
+                <div>
+                  <label className="block text-xs font-medium text-secondary-700 mb-1">
+                    Rounding
+                  </label>
+                  <select
+                    value={edits.price.rounding}
+                    onChange={(e) => setPrice("rounding", e.target.value)}
+                    className="input-field"
+                  >
+                    {ROUNDING_RULES.map((rule) => (
+                      <option key={rule.value} value={rule.value}>
+                        {rule.label}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+              <p className="text-xs text-secondary-500 mt-2">
+                Use a negative amount to lower prices. Variant prices change
+                too. Products whose new price would fall below cost or their
+                wholesale price are skipped.
+              </p>
+            </div>
+
+            <div className="flex justify-end space-x-3 pt-2">
+              <button onClick={onClose} className="btn-secondary">
+                Cancel
+              </button>
+              <button onClick={showPreview} className="btn-primary">
+                Preview Changes
+              </button>
+            </div>
+          </div>
+        ) : (
+          <>
+            <p className="text-sm text-secondary-600 mb-3">
+              {changed.length} of {products.length} products will change.
+              {blocked.length > 0 &&
+                ` ${blocked.length} will be skipped because of errors.`}
+            </p>
+
+            <div className="overflow-y-auto flex-1 divide-y divide-secondary-200 border border-secondary-200 rounded-lg">
+              {diff.map(({ product, changes, error }) => (
+                <div key={product._id} className="p-3">
+                  <p className="text-sm font-medium text-secondary-900">
+                    {product.name}
+                    <span className="ml-2 text-xs text-secondary-500">
+                      {product.sku}
+                    </span>
+                  </p>
+                  {error ? (
+                    <p className="text-xs text-red-600 mt-1">{error}</p>
+                  ) : changes.length === 0 ? (
+                    <p className="text-xs text-secondary-500 mt-1">No change</p>
+                  ) : (
+                    <ul className="mt-1 space-y-1">
+                      {changes.map((change) => (
+                        <li
+                          key={change.field}
+                          className="flex items-center text-xs text-secondary-700"
+                        >
+                          <span className="w-28 text-secondary-500">
+                            {change.label}
+                          </span>
+                          <span className="line-through text-red-600">
+                            {formatValue(change, change.from)}
+                          </span>
+                          <ArrowRightIcon className="h-3 w-3 mx-2 text-secondary-400" />
+                          <span className="text-green-700 font-medium">
+                            {formatValue(change, change.to)}
+                          </span>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
+              ))}
+            </div>
+
+            <div className="flex justify-end space-x-3 pt-4">
+              <button
+                onClick={() => setPreviewing(false)}
+                disabled={saving}
+                className="btn-secondary"
+              >
+                Back
+              </button>
+              <button
+                onClick={applyChanges}
+                disabled={saving || changed.length === 0}
+                className="btn-primary disabled:opacity-50"
+              >
+                {saving ? "Saving..." : `Apply to ${changed.length} Products`}
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default BulkEditModal;
@@ -0,0 +1,244 @@
+// src/components/Products/ImageGallery.js
+import { useRef, useState } from "react";
+import { productsAPI } from "../../services/api";
+import {
+  MAX_PRODUCT_IMAGES,
+  getThumbnailUrl,
+  isImageFile,
+  moveImage,
+  prepareImage,
+} from "../../utils/images";
+import LoadingSpinner from "../common/LoadingSpinner";
+import toast from "react-hot-toast";
+import {
+  ArrowUpTrayIcon,
+  CameraIcon,
+  PhotoIcon,
+  StarIcon,
+  XMarkIcon,
+} from "@heroicons/react/24/outline";
+
+/**
+ * Product photos. New photos are resized and uploaded straight away, the
+ * order (first image is the primary one) is saved with the product.
+ * `onChange` is given a function from the current images to the new ones.
+ *
+ * Removing a photo only takes it off the product. The uploaded file is kept
+ * on the server, as the form may still be left without saving.
+ */
+const ImageGallery = ({ images, alt, onChange }) => {
+  const fileInputRef = useRef(null);
+  const cameraInputRef = useRef(null);
+  const [uploading, setUploading] = useState(0);
+  // Slots held for uploads still in progress, so a second drop can't push
+  // the product past the limit
+  const reservedRef = useRef(0);
+  const [dropActive, setDropActive] = useState(false);
+  // Index of the image being dragged to a new position
+  const [dragged, setDragged] = useState(null);
+
+  const room = MAX_PRODUCT_IMAGES - images.length - uploading;
+
+  const addFiles = async (fileList) => {
+    const files = Array.from(fileList).filter(isImageFile);
+    if (files.length === 0) {
+      toast.error("Choose image files to upload");
+      return;
+    }
+    const free = MAX_PRODUCT_IMAGES - images.length - reservedRef.current;
+    if (free <= 0) {
+      toast.error(`A product can have up to ${MAX_PRODUCT_IMAGES} images`);
+      return;
+    }
+    if (files.length > free) {
+      toast.error(`Only the first ${free} images will be added`);
+    }
+
+    const batch = files.slice(0, free);
+    reservedRef.current += batch.length;
+    setUploading(reservedRef.current);
+
+    const uploaded = [];
+    for (const file of batch) {
+      try {
+        const { image, thumbnail } = await prepareImage(file);
+        const formData = new FormData();
+        formData.append("image", image);
+        formData.append("thumbnail", thumbnail);
+        const response = await productsAPI.uploadImage(formData);
+        uploaded.push({ ...response.data.data, alt });
+      } catch (error) {
+        console.error("Failed to upload image:", error);
+        toast.error(`Failed to upload ${file.name}`);
+      }
+    }
+    reservedRef.current -= batch.length;
+    setUploading(reservedRef.current);
+
+    if (uploaded.length > 0) {
+      onChange((current) =>
+        [...current, ...uploaded].slice(0, MAX_PRODUCT_IMAGES)
+      );
+    }
+  };
+
+  const handleFileInput = (e) => {
+    addFiles(e.target.files);
+    // Let the same file be chosen again after it was removed
+    e.target.value = "";
+  };
+
+  const removeImage = (index) =>
+    onChange((current) => current.filter((_, i) => i !== index));
+
+  return (
+    <div className="card">
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="text-lg font-semibold text-secondary-900">Images</h3>
+        <span className="text-sm text-secondary-500">
+          {images.length} / {MAX_PRODUCT_IMAGES}
+        </span>
+      </div>
+
+      {images.length > 0 && (
+        <>
+          <div className="grid grid-cols-2 sm:grid-cols-4 gap-3 mb-2">
+            {images.map((image, index) => (
+              <div
+                key={image.url}
+                draggable={!uploading}
+                onDragStart={(e) => {
+                  e.dataTransfer.effectAllowed = "move";
+                  setDragged(index);
+                }}
+                onDragEnd={() => setDragged(null)}
+                onDragOver={(e) => {
+                  if (dragged === null) return;
+                  e.preventDefault();
+                }}
+                onDrop={(e) => {
+                  if (dragged === null) return;
+                  e.preventDefault();
+                  onChange((current) => moveImage(current, dragged, index));
+                  setDragged(null);
+                }}
+                className={`relative group aspect-square rounded-lg overflow-hidden border-2 cursor-move ${
+                  index === 0 ? "border-primary-500" : "border-secondary-200"
+                } ${dragged === index ? "opacity-50" : ""}`}
+              >
+                <img
+                  src={getThumbnailUrl(image)}
+                  alt={image.alt || alt}
+                  className="w-full h-full object-cover"
+                />
+                {index === 0 && (
+                  <span className="absolute bottom-1 left-1 px-2 py-0.5 text-xs font-medium bg-primary-600 text-white rounded">
+                    Primary
+                  </span>
+                )}
+                <div className="absolute top-1 right-1 flex space-x-1 opacity-0 group-hover:opacity-100">
+                  {index > 0 && (
+                    <button
+                      type="button"
+                      onClick={() =>
+                        onChange((current) => moveImage(current, index, 0))
+                      }
+                      className="p-1 bg-white rounded-full shadow text-secondary-600 hover:text-yellow-500"
+                      title="Make primary"
+                    >
+                      <StarIcon className="h-4 w-4" />
+                    </button>
+                  )}
+                  <button
+                    type="button"
+                    onClick={() => removeImage(index)}
+                    className="p-1 bg-white rounded-full shadow text-secondary-600 hover:text-red-600"
+                    title="Remove image"
+                  >
+                    <XMarkIcon className="h-4 w-4" />
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+          <p className="text-xs text-secondary-500 mb-4">
+            Drag images to reorder them. The first image is shown on the product
+            list and at the till.
+          </p>
+        </>
+      )}
+
+      {(room > 0 || uploading > 0) && (
+        <div
+          onDragOver={(e) => {
+            if (dragged !== null) return;
+            e.preventDefault();
+            setDropActive(true);
+          }}
+          onDragLeave={() => setDropActive(false)}
+          onDrop={(e) => {
+            if (dragged !== null) return;
+            e.preventDefault();
+            setDropActive(false);
+            addFiles(e.dataTransfer.files);
+          }}
+          className={`flex flex-col items-center justify-center p-6 border-2 border-dashed rounded-lg text-sm ${
+            dropActive
+              ? "border-primary-500 bg-primary-50 text-primary-700"
+              : "border-secondary-300 text-secondary-500"
+          }`}
+        >
+          {uploading > 0 ? (
+            <LoadingSpinner
+              size="small"
+              text={`Uploading ${uploading} image${
+                uploading === 1 ? "" : "s"
+              }...`}
+            />
+          ) : (
+            <>
+              <PhotoIcon className="h-8 w-8 mb-2 text-secondary-400" />
+              <p className="mb-3">Drop photos here</p>
+              <div className="flex space-x-2">
+                <button
+                  type="button"
+                  onClick={() => fileInputRef.current?.click()}
+                  className="btn-secondary"
+                >
+                  <ArrowUpTrayIcon className="h-5 w-5 mr-2" />
+                  Browse
+                </button>
+                <button
+                  type="button"
+                  onClick={() => cameraInputRef.current?.click()}
+                  className="btn-secondary"
+                >
+                  <CameraIcon className="h-5 w-5 mr-2" />
+                  Take Photo
+                </button>
+              </div>
+            </>
+          )}
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept="image/*"
+            multiple
+            onChange={handleFileInput}
+            className="hidden"
+          />
+          <input
+            ref={cameraInputRef}
+            type="file"
+            accept="image/*"
+            capture="environment"
+            onChange={handleFileInput}
+            className="hidden"
+          />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ImageGallery;
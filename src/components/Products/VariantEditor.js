@@ -0,0 +1,266 @@
+// src/components/Products/VariantEditor.js
+import { useState } from "react";
+import {
+  MAX_VARIANT_OPTIONS,
+  buildVariants,
+  getVariantId,
+  parseOptionValues,
+} from "../../utils/variants";
+import { PlusIcon, XMarkIcon } from "@heroicons/react/24/outline";
+
+/**
+ * Option axes (size, colour...) and the variants generated from them, each
+ * with its own SKU, barcode, price and stock
+ */
+const VariantEditor = ({ options, variants, parent, onChange, error }) => {
+  // Value being typed for each option, added on Enter or comma
+  const [drafts, setDrafts] = useState({});
+
+  const setOptions = (nextOptions) =>
+    onChange({ variantOptions: nextOptions, variants });
+
+  const updateOption = (index, changes) =>
+    setOptions(
+      options.map((option, i) =>
+        i === index ? { ...option, ...changes } : option
+      )
+    );
+
+  const addValues = (index) => {
+    const values = parseOptionValues(drafts[index] || "");
+    if (values.length === 0) return;
+    updateOption(index, {
+      values: [...new Set([...options[index].values, ...values])],
+    });
+    setDrafts((prev) => ({ ...prev, [index]: "" }));
+  };
+
+  const handleValueKeyDown = (e, index) => {
+    if (e.key === "Enter" || e.key === ",") {
+      e.preventDefault();
+      addValues(index);
+    }
+  };
+
+  const updateVariant = (variant, changes) =>
+    onChange({
+      variantOptions: options,
+      variants: variants.map((item) =>
+        getVariantId(item) === getVariantId(variant)
+          ? { ...item, ...changes }
+          : item
+      ),
+    });
+
+  const removeVariant = (variant) =>
+    onChange({
+      variantOptions: options,
+      variants: variants.filter(
+        (item) => getVariantId(item) !== getVariantId(variant)
+      ),
+    });
+
+  const generateVariants = () =>
+    onChange({
+      variantOptions: options,
+      variants: buildVariants(options, variants, parent),
+    });
+
+  return (
+    <div className="card">
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="text-lg font-semibold text-secondary-900">Variants</h3>
+        {options.length < MAX_VARIANT_OPTIONS && (
+          <button
+            type="button"
+            onClick={() => setOptions([...options, { name: "", values: [] }])}
+            className="btn-secondary"
+          >
+            <PlusIcon className="h-5 w-5 mr-2" />
+            Add Option
+          </button>
+        )}
+      </div>
+
+      {options.length === 0 ? (
+        <p className="text-sm text-secondary-500">
+          Add options like size or colour when this product comes in several
+          versions. Each variant then gets its own SKU, barcode, price and
+          stock.
+        </p>
+      ) : (
+        <div className="space-y-3">
+          {options.map((option, index) => (
+            <div
+              key={index}
+              className="flex flex-col md:flex-row gap-3 p-3 bg-secondary-50 rounded-lg"
+            >
+              <input
+                type="text"
+                value={option.name}
+                onChange={(e) => updateOption(index, { name: e.target.value })}
+                className="input-field md:w-40"
+                placeholder="Option (e.g., Size)"
+              />
+              <div className="flex-1 flex flex-wrap items-center gap-2">
+                {option.values.map((value) => (
+                  <span
+                    key={value}
+                    className="inline-flex items-center px-2 py-1 bg-white border border-secondary-300 rounded text-sm"
+                  >
+                    {value}
+                    <button
+                      type="button"
+                      onClick={() =>
+                        updateOption(index, {
+                          values: option.values.filter(
+                            (item) => item !== value
+                          ),
+                        })
+                      }
+                      className="ml-1 text-secondary-400 hover:text-red-600"
+                    >
+                      <XMarkIcon className="h-4 w-4" />
+                    </button>
+                  </span>
+                ))}
+                <input
+                  type="text"
+                  value={drafts[index] || ""}
+                  onChange={(e) =>
+                    setDrafts((prev) => ({ ...prev, [index]: e.target.value }))
+                  }
+                  onKeyDown={(e) => handleValueKeyDown(e, index)}
+                  onBlur={() => addValues(index)}
+                  className="input-field flex-1 min-w-[10rem]"
+                  placeholder="Values (e.g., S, M, L)"
+                />
+              </div>
+              <button
+                type="button"
+                onClick={() =>
+                  setOptions(options.filter((_, i) => i !== index))
+                }
+                className="text-red-500 hover:text-red-700 self-center"
+                title="Remove option"
+              >
+                <XMarkIcon className="h-5 w-5" />
+              </button>
+            </div>
+          ))}
+
+          <button
+            type="button"
+            onClick={generateVariants}
+            className="btn-outline"
+          >
+            Generate Variants
+          </button>
+        </div>
+      )}
+
+      {variants.length > 0 && (
+        <div className="overflow-x-auto mt-4">
+          <table className="min-w-full divide-y divide-secondary-200">
+            <thead className="bg-secondary-50">
+              <tr>
+                <th className="table-header">Variant</th>
+                <th className="table-header">SKU</th>
+                <th className="table-header">Barcode</th>
+                <th className="table-header">Price</th>
+                <th className="table-header">Stock</th>
+                <th className="table-header">Active</th>
+                <th className="table-header"></th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-secondary-200">
+              {variants.map((variant) => (
+                <tr key={getVariantId(variant)}>
+                  <td className="table-cell font-medium">{variant.name}</td>
+                  <td className="table-cell">
+                    <input
+                      type="text"
+                      value={variant.sku}
+                      onChange={(e) =>
+                        updateVariant(variant, { sku: e.target.value })
+                      }
+                      className="input-field w-36"
+                    />
+                  </td>
+                  <td className="table-cell">
+                    <input
+                      type="text"
+                      value={variant.barcode || ""}
+                      onChange={(e) =>
+                        updateVariant(variant, { barcode: e.target.value })
+                      }
+                      className="input-field w-36"
+                    />
+                  </td>
+                  <td className="table-cell">
+                    <input
+                      type="number"
+                      value={variant.pricing?.sellingPrice ?? ""}
+                      onChange={(e) =>
+                        updateVariant(variant, {
+                          pricing: {
+                            ...variant.pricing,
+                            sellingPrice: e.target.value,
+                          },
+                        })
+                      }
+                      className="input-field w-24"
+                      min="0"
+                      step="0.01"
+                    />
+                  </td>
+                  <td className="table-cell">
+                    <input
+                      type="number"
+                      value={variant.inventory?.currentStock ?? 0}
+                      onChange={(e) =>
+                        updateVariant(variant, {
+                          inventory: {
+                            ...variant.inventory,
+                            currentStock: e.target.value,
+                          },
+                        })
+                      }
+                      className="input-field w-20"
+                      min="0"
+                      step="any"
+                    />
+                  </td>
+                  <td className="table-cell">
+                    <input
+                      type="checkbox"
+                      checked={variant.isActive !== false}
+                      onChange={(e) =>
+                        updateVariant(variant, { isActive: e.target.checked })
+                      }
+                      className="rounded border-secondary-300 text-primary-600 focus:ring-primary-500"
+                    />
+                  </td>
+                  <td className="table-cell">
+                    <button
+                      type="button"
+                      onClick={() => removeVariant(variant)}
+                      className="text-red-500 hover:text-red-700"
+                      title="Remove variant"
+                    >
+                      <XMarkIcon className="h-5 w-5" />
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {error && <p className="mt-2 text-sm text-red-600">{error}</p>}
+    </div>
+  );
+};
+
+export default VariantEditor;
@@ -0,0 +1,81 @@
+// src/components/common/CategoryPicker.js
+import {
+  flattenCategories,
+  getActiveCategories,
+  getCategoryPath,
+} from "../../utils/categories";
+
+/**
+ * Category and sub-category selects driven by the category tree. The
+ * category is always a top-level one and the sub-category can sit at any
+ * depth underneath it.
+ */
+const CategoryPicker = ({
+  tree,
+  category,
+  subcategory,
+  onChange,
+  error,
+  required = true,
+  placeholder = "Select Category",
+}) => {
+  const activeTree = getActiveCategories(tree);
+  // Older products may point their category straight at a sub-category
+  const categoryPath = getCategoryPath(tree, category);
+  const topLevelId = categoryPath[0]?._id || category;
+  const selectedSubcategory =
+    subcategory || (categoryPath.length > 1 ? category : "");
+  const topLevel = activeTree.find((node) => node._id === topLevelId);
+  const subcategories = flattenCategories(topLevel?.children || []);
+
+  return (
+    <>
+      <div>
+        <label className="block text-sm font-medium text-secondary-700 mb-1">
+          Category{required && " *"}
+        </label>
+        <select
+          value={topLevelId}
+          onChange={(e) =>
+            onChange({ category: e.target.value, subcategory: "" })
+          }
+          className={`input-field ${error ? "border-red-300" : ""}`}
+        >
+          <option value="">{placeholder}</option>
+          {activeTree.map((node) => (
+            <option key={node._id} value={node._id}>
+              {node.name}
+            </option>
+          ))}
+        </select>
+        {error && <p className="mt-1 text-sm text-red-600">{error}</p>}
+      </div>
+
+      {subcategories.length > 0 && (
+        <div>
+          <label className="block text-sm font-medium text-secondary-700 mb-1">
+            Subcategory
+          </label>
+          <select
+            value={selectedSubcategory}
+            onChange={(e) =>
+              onChange({ category: topLevelId, subcategory: e.target.value })
+            }
+            className="input-field"
+          >
+            <option value="">None</option>
+            {subcategories.map(({ category: node, depth }) => (
+              <option key={node._id} value={node._id}>
+                {`${"\u00a0\u00a0".repeat(depth)}${depth > 0 ? "└ " : ""}${
+                  node.name
+                }`}
+              </option>
+            ))}
+          </select>
+        </div>
+      )}
+    </>
+  );
+};
+
+export default CategoryPicker;
@@ -0,0 +1,184 @@
+// src/components/common/MpesaPayment.js
+import { useState, useEffect, useRef } from "react";
+import useMpesaPayment from "../../hooks/useMpesaPayment";
+import { formatCurrency, isValidKenyanPhone } from "../../utils/helpers";
+import { isValidMpesaCode } from "../../utils/mpesa";
+import toast from "react-hot-toast";
+
+/**
+ * STK push form with status, cancel and a manual confirmation code
+ * fallback. Calls onSuccess with { transactionId, phone, amount, manual }
+ * once the payment is confirmed.
+ */
+const MpesaPayment = ({
+  amount,
+  defaultPhone = "",
+  storageKey,
+  pollOptions,
+  disabled = false,
+  onSuccess,
+  onStatusChange,
+}) => {
+  const mpesa = useMpesaPayment({ storageKey, amount, ...pollOptions });
+  const [phone, setPhone] = useState(defaultPhone);
+  const [showManual, setShowManual] = useState(false);
+  const [code, setCode] = useState("");
+  const [codeError, setCodeError] = useState(null);
+
+  const { status, checkout } = mpesa;
+  const chargeAmount = checkout?.amount ?? amount;
+  const waiting = status === "sending" || status === "pending";
+
+  // The latest callbacks and payment, so the status effect below reports
+  // each status once without going stale
+  const latestRef = useRef();
+  useEffect(() => {
+    latestRef.current = {
+      onSuccess,
+      onStatusChange,
+      payment: {
+        transactionId: mpesa.transactionId,
+        phone: checkout?.phone || phone,
+        amount: chargeAmount,
+        manual: mpesa.manual,
+      },
+    };
+  });
+
+  useEffect(() => {
+    const latest = latestRef.current;
+    if (latest.onStatusChange) latest.onStatusChange(status);
+
+    if (status === "success") {
+      setShowManual(false);
+      latest.onSuccess(latest.payment);
+    }
+  }, [status]);
+
+  const sendRequest = () => {
+    if (!isValidKenyanPhone(phone)) {
+      toast.error("Please enter a valid M-Pesa phone number");
+      return;
+    }
+    if (!amount || amount <= 0) {
+      toast.error("Enter an amount to charge");
+      return;
+    }
+    mpesa.start(phone, amount);
+  };
+
+  const confirmCode = () => {
+    if (!isValidMpesaCode(code)) {
+      setCodeError("M-Pesa codes are 10 letters and numbers, e.g. SBK4XY12ZQ");
+      return;
+    }
+    setCodeError(null);
+    mpesa.confirmManually(code);
+  };
+
+  if (status === "success") {
+    return (
+      <div className="rounded-lg p-2 bg-green-50 border border-green-200 text-sm text-green-700">
+        ✅ Paid {formatCurrency(chargeAmount)}. Transaction ID:{" "}
+        {mpesa.transactionId}
+        {mpesa.manual && " (entered manually)"}
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-2">
+      <div className="flex space-x-2">
+        <input
+          type="tel"
+          value={checkout?.phone || phone}
+          onChange={(e) => setPhone(e.target.value)}
+          placeholder="M-Pesa phone, e.g., 0712345678"
+          className="input-field"
+          disabled={waiting || disabled}
+        />
+        {waiting ? (
+          <button
+            type="button"
+            onClick={mpesa.cancel}
+            disabled={status === "sending"}
+            className="btn-secondary whitespace-nowrap disabled:opacity-50"
+          >
+            Cancel
+          </button>
+        ) : (
+          <button
+            type="button"
+            onClick={sendRequest}
+            disabled={disabled}
+            className="btn-primary whitespace-nowrap disabled:opacity-50"
+          >
+            {status === "idle" ? "Send Request" : "Resend"}
+          </button>
+        )}
+      </div>
+
+      {waiting && (
+        <div className="flex items-center rounded-lg p-2 bg-yellow-50 border border-yellow-200 text-sm text-yellow-700">
+          <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-yellow-600 mr-2 flex-shrink-0"></div>
+          {status === "sending"
+            ? "Sending payment request..."
+            : `Request for ${formatCurrency(
+                chargeAmount
+              )} sent. Ask the customer to enter their M-Pesa PIN.`}
+        </div>
+      )}
+
+      {["failed", "timeout", "cancelled"].includes(status) && (
+        <div className="rounded-lg p-2 bg-red-50 border border-red-200 text-sm text-red-700">
+          ❌ {mpesa.error}
+        </div>
+      )}
+
+      {status !== "idle" && status !== "sending" && (
+        <>
+          {showManual ? (
+            <div>
+              <div className="flex space-x-2">
+                <input
+                  type="text"
+                  value={code}
+                  onChange={(e) => {
+                    setCode(e.target.value.toUpperCase());
+                    setCodeError(null);
+                  }}
+                  placeholder="Confirmation code, e.g. SBK4XY12ZQ"
+                  className="input-field font-mono uppercase"
+                  maxLength={10}
+                  disabled={disabled}
+                />
+                <button
+                  type="button"
+                  onClick={confirmCode}
+                  disabled={disabled || !code}
+                  className="btn-outline whitespace-nowrap disabled:opacity-50"
+                >
+                  Confirm
+                </button>
+              </div>
+              {codeError && (
+                <p className="text-xs text-red-600 mt-1">{codeError}</p>
+              )}
+            </div>
+          ) : (
+            <button
+              type="button"
+              onClick={() => setShowManual(true)}
+              disabled={disabled}
+              className="text-xs text-primary-600 hover:text-primary-700"
+            >
+              Customer already paid? Enter the M-Pesa code
+            </button>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default MpesaPayment;
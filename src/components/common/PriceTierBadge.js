@@ -0,0 +1,41 @@
+// src/components/common/PriceTierBadge.js
+import { PRICE_TIERS } from "../../utils/pricing";
+
+const TIER_STYLES = {
+  retail: "bg-secondary-100 text-secondary-700",
+  wholesale: "bg-primary-100 text-primary-800",
+  custom: "bg-yellow-100 text-yellow-800",
+};
+
+/**
+ * Pill showing the price tier a line is sold at. Users allowed to override
+ * prices can click it to switch the line to the other tier.
+ */
+const PriceTierBadge = ({ tier = "retail", overridden, onToggle }) => {
+  const className = `inline-flex items-center px-1.5 py-0.5 rounded text-xs font-medium ${TIER_STYLES[tier]}`;
+  const label = `${PRICE_TIERS[tier]}${overridden ? " *" : ""}`;
+
+  if (!onToggle) {
+    return <span className={className}>{label}</span>;
+  }
+
+  return (
+    <button
+      type="button"
+      onClick={(e) => {
+        e.stopPropagation();
+        onToggle();
+      }}
+      title={
+        overridden
+          ? "Price set by hand. Click to change the tier."
+          : "Click to change the price tier"
+      }
+      className={`${className} hover:opacity-75`}
+    >
+      {label}
+    </button>
+  );
+};
+
+export default PriceTierBadge;
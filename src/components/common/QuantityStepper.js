@@ -0,0 +1,67 @@
+// src/components/common/QuantityStepper.js
+import { useState, useEffect } from "react";
+import { getUnit, isMeasuredUnit, roundQuantity } from "../../utils/units";
+import { MinusIcon, PlusIcon } from "@heroicons/react/24/outline";
+
+/**
+ * +/- buttons around a quantity. Counted units step by whole pieces,
+ * measured ones by the unit's step and can be typed in directly.
+ */
+const QuantityStepper = ({ quantity, unit, onChange }) => {
+  const { step } = getUnit(unit);
+  const measured = isMeasuredUnit(unit);
+  const [draft, setDraft] = useState(String(quantity));
+
+  useEffect(() => {
+    setDraft(String(quantity));
+  }, [quantity]);
+
+  const commitDraft = () => {
+    const value = roundQuantity(parseFloat(draft), unit);
+    // Show the current quantity again in case the change is refused
+    setDraft(String(quantity));
+    if (value !== quantity) onChange(value);
+  };
+
+  const stepBy = (change) => onChange(roundQuantity(quantity + change, unit));
+
+  return (
+    <div className="flex items-center space-x-2">
+      <button
+        type="button"
+        onClick={() => stepBy(-step)}
+        className="w-6 h-6 bg-white border border-secondary-300 rounded flex items-center justify-center hover:bg-secondary-100"
+      >
+        <MinusIcon className="h-3 w-3" />
+      </button>
+
+      {measured ? (
+        <div className="flex items-center">
+          <input
+            type="number"
+            value={draft}
+            min="0"
+            step={step}
+            onChange={(e) => setDraft(e.target.value)}
+            onBlur={commitDraft}
+            onKeyDown={(e) => e.key === "Enter" && e.target.blur()}
+            className="w-16 border border-secondary-300 rounded px-1 py-0.5 text-sm text-center"
+          />
+          <span className="ml-1 text-xs text-secondary-500">{unit}</span>
+        </div>
+      ) : (
+        <span className="w-8 text-center font-medium">{quantity}</span>
+      )}
+
+      <button
+        type="button"
+        onClick={() => stepBy(step)}
+        className="w-6 h-6 bg-white border border-secondary-300 rounded flex items-center justify-center hover:bg-secondary-100"
+      >
+        <PlusIcon className="h-3 w-3" />
+      </button>
+    </div>
+  );
+};
+
+export default QuantityStepper;
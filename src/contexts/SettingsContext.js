@@ -0,0 +1,53 @@
+// src/contexts/SettingsContext.js
+import { createContext, useContext, useState, useEffect } from "react";
+import { settingsAPI } from "../services/api";
+import { useAuth } from "./AuthContext";
+
+const SettingsContext = createContext();
+
+export const SettingsProvider = ({ children }) => {
+  const { isAuthenticated } = useAuth();
+  const [settings, setSettings] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+
+  // Load business settings once the user is signed in
+  useEffect(() => {
+    if (isAuthenticated) {
+      refreshSettings();
+    } else {
+      setSettings(null);
+    }
+  }, [isAuthenticated]);
+
+  const refreshSettings = async () => {
+    try {
+      setIsLoading(true);
+      const response = await settingsAPI.getSettings();
+      setSettings(response.data.data || {});
+    } catch (error) {
+      console.error("Failed to fetch settings:", error);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const value = {
+    settings: settings || {},
+    isLoading,
+    refreshSettings,
+  };
+
+  return (
+    <SettingsContext.Provider value={value}>
+      {children}
+    </SettingsContext.Provider>
+  );
+};
+
+export const useSettings = () => {
+  const context = useContext(SettingsContext);
+  if (!context) {
+    throw new Error("useSettings must be used within a SettingsProvider");
+  }
+  return context;
+};
@@ -0,0 +1,56 @@
+// src/hooks/useBarcodeGenerator.js
+import { useState } from "react";
+import { useSettings } from "../contexts/SettingsContext";
+import { productsAPI } from "../services/api";
+import {
+  generateInternalEan13,
+  getInternalBarcodeConfig,
+} from "../utils/barcodes";
+
+const MAX_ATTEMPTS = 10;
+
+/**
+ * In-store EAN-13 barcodes for goods packed in the shop. Each candidate is
+ * looked up in the catalogue so a code no product uses yet is handed out.
+ */
+const useBarcodeGenerator = () => {
+  const { settings } = useSettings();
+  const [generating, setGenerating] = useState(false);
+  const config = getInternalBarcodeConfig(settings);
+
+  // Inactive products and variants keep their barcode, so both lists are
+  // checked, variants included
+  const isBarcodeTaken = async (barcode) => {
+    const responses = await Promise.all(
+      ["active", "inactive"].map((status) =>
+        productsAPI.getProducts({ search: barcode, status, limit: 5 })
+      )
+    );
+    return responses.some((response) =>
+      (response.data.data || []).some(
+        (product) =>
+          product.barcode === barcode ||
+          (product.variants || []).some(
+            (variant) => variant.barcode === barcode
+          )
+      )
+    );
+  };
+
+  const generateBarcode = async () => {
+    try {
+      setGenerating(true);
+      for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt += 1) {
+        const barcode = generateInternalEan13(config.prefix);
+        if (!(await isBarcodeTaken(barcode))) return barcode;
+      }
+      throw new Error("No free barcode found under the in-store prefix");
+    } finally {
+      setGenerating(false);
+    }
+  };
+
+  return { generateBarcode, generating, autoGenerate: config.autoGenerate };
+};
+
+export default useBarcodeGenerator;
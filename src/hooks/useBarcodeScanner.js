@@ -0,0 +1,74 @@
+// src/hooks/useBarcodeScanner.js
+import { useEffect, useRef } from "react";
+
+const EDITABLE_TAGS = ["INPUT", "TEXTAREA", "SELECT"];
+
+/**
+ * Listen for keyboard-wedge barcode scanner input anywhere on the page.
+ *
+ * Scanners "type" the whole code in a few milliseconds and finish with Enter,
+ * so a burst of keys arriving faster than `maxKeyInterval` and ending in Enter
+ * is treated as a scan. Keystrokes inside other form fields are ignored unless
+ * the field is marked with `data-scanner-input`. Outside fields, the keys of a
+ * burst are swallowed so they don't trigger keyboard shortcuts.
+ */
+const useBarcodeScanner = ({
+  onScan,
+  enabled = true,
+  minLength = 4,
+  maxKeyInterval = 50,
+}) => {
+  const onScanRef = useRef(onScan);
+
+  useEffect(() => {
+    onScanRef.current = onScan;
+  }, [onScan]);
+
+  useEffect(() => {
+    if (!enabled) return;
+
+    let buffer = "";
+    let lastKeyTime = 0;
+
+    const handleKeyDown = (e) => {
+      if (e.ctrlKey || e.altKey || e.metaKey) return;
+
+      const target = e.target;
+      const isEditable =
+        target?.isContentEditable || EDITABLE_TAGS.includes(target?.tagName);
+      if (isEditable && !target.dataset?.scannerInput) return;
+
+      const now = Date.now();
+      if (now - lastKeyTime > maxKeyInterval) {
+        buffer = "";
+      }
+      lastKeyTime = now;
+
+      if (e.key === "Enter") {
+        if (buffer.length >= minLength) {
+          e.preventDefault();
+          e.stopPropagation();
+          onScanRef.current?.(buffer, { target });
+        }
+        buffer = "";
+        return;
+      }
+
+      if (e.key.length === 1) {
+        // Keys after the first of a burst belong to the scan, so they must
+        // not reach keyboard shortcuts such as "-" and "+". Fields keep them,
+        // the scanned text is taken back out of the field after the scan.
+        if (buffer && !isEditable) {
+          e.preventDefault();
+        }
+        buffer += e.key;
+      }
+    };
+
+    // Capture phase so the Enter never reaches buttons or forms underneath
+    window.addEventListener("keydown", handleKeyDown, true);
+    return () => window.removeEventListener("keydown", handleKeyDown, true);
+  }, [enabled, minLength, maxKeyInterval]);
+};
+
+export default useBarcodeScanner;
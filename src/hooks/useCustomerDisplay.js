@@ -0,0 +1,57 @@
+// src/hooks/useCustomerDisplay.js
+import { useEffect, useRef } from "react";
+import {
+  createDisplayChannel,
+  isCustomerDisplaySupported,
+  openCustomerDisplay,
+} from "../utils/customerDisplay";
+import toast from "react-hot-toast";
+
+/**
+ * Mirror the POS state to any open customer display window over
+ * BroadcastChannel. `state` should be plain data, it is posted as-is.
+ */
+const useCustomerDisplay = (state) => {
+  const channelRef = useRef(null);
+  const stateRef = useRef(state);
+  const serializedState = JSON.stringify(state);
+
+  useEffect(() => {
+    const channel = createDisplayChannel();
+    if (!channel) return;
+
+    channelRef.current = channel;
+    // A display that opens mid-sale asks for the current state
+    channel.onmessage = (event) => {
+      if (event.data?.type === "request-state") {
+        channel.postMessage({ type: "state", state: stateRef.current });
+      }
+    };
+
+    return () => {
+      // Leaving the POS puts the display back on the logo
+      channel.postMessage({ type: "state", state: null });
+      channel.close();
+      channelRef.current = null;
+    };
+  }, []);
+
+  // Posted only when the state's contents change, not on every render
+  useEffect(() => {
+    stateRef.current = JSON.parse(serializedState);
+    channelRef.current?.postMessage({
+      type: "state",
+      state: stateRef.current,
+    });
+  }, [serializedState]);
+
+  const openDisplay = () => {
+    if (!openCustomerDisplay()) {
+      toast.error("Allow pop-ups for this site to open the customer display");
+    }
+  };
+
+  return { supported: isCustomerDisplaySupported(), openDisplay };
+};
+
+export default useCustomerDisplay;
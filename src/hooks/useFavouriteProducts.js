@@ -0,0 +1,117 @@
+// src/hooks/useFavouriteProducts.js
+import { useState, useEffect } from "react";
+import { useAuth } from "../contexts/AuthContext";
+import { useSettings } from "../contexts/SettingsContext";
+import { dashboardAPI, productsAPI, settingsAPI } from "../services/api";
+import { deductStock } from "../utils/helpers";
+import { getCachedProducts, isNetworkError } from "../utils/offlineStore";
+import toast from "react-hot-toast";
+
+export const MAX_FAVOURITES = 24;
+const PIN_ROLES = ["owner", "manager"];
+const SEED_DAYS = 30;
+const SEED_LIMIT = 12;
+
+// Products in the order of `ids`. Deleted or deactivated products just drop
+// off the grid.
+const pickById = (products, ids) =>
+  ids
+    .map((id) => products.find((product) => product._id === id))
+    .filter((product) => product && product.status?.isActive !== false);
+
+const fetchProductsById = async (ids) => {
+  if (ids.length === 0) return [];
+
+  try {
+    const response = await productsAPI.getProducts({
+      ids: ids.join(","),
+      status: "active",
+      limit: ids.length,
+    });
+    return pickById(response.data.data || [], ids);
+  } catch (error) {
+    if (!isNetworkError(error)) throw error;
+    return pickById(await getCachedProducts(), ids);
+  }
+};
+
+/**
+ * Quick-key products for the POS. Managers pin them in the business
+ * settings (pos.favourites); until anything is pinned the grid is seeded
+ * with the best sellers of the last 30 days.
+ */
+const useFavouriteProducts = () => {
+  const { hasRole } = useAuth();
+  const { settings, isLoading, refreshSettings } = useSettings();
+  const [favourites, setFavourites] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const pinnedIds = settings.pos?.favourites;
+  const pinnedKey = Array.isArray(pinnedIds) ? pinnedIds.join(",") : null;
+  const canPin = hasRole(PIN_ROLES);
+
+  useEffect(() => {
+    if (!isLoading) loadFavourites();
+  }, [isLoading, pinnedKey]);
+
+  const getSeedIds = async () => {
+    const response = await dashboardAPI.getTopProducts({
+      days: SEED_DAYS,
+      limit: SEED_LIMIT,
+    });
+    return (response.data.data || []).map((item) => item._id);
+  };
+
+  const loadFavourites = async () => {
+    try {
+      setLoading(true);
+      const ids = Array.isArray(pinnedIds) ? pinnedIds : await getSeedIds();
+      setFavourites(await fetchProductsById(ids));
+    } catch (error) {
+      console.error("Failed to load favourite products:", error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const isPinned = (productId) =>
+    favourites.some((product) => product._id === productId);
+
+  // The first pin turns the seeded best sellers into the pinned list
+  const togglePin = async (product) => {
+    const pinned = isPinned(product._id);
+    const ids = favourites.map((favourite) => favourite._id);
+
+    if (!pinned && ids.length >= MAX_FAVOURITES) {
+      toast.error(`Favourites are limited to ${MAX_FAVOURITES} products`);
+      return;
+    }
+
+    try {
+      await settingsAPI.updateSettings({
+        ...settings,
+        pos: {
+          ...settings.pos,
+          favourites: pinned
+            ? ids.filter((id) => id !== product._id)
+            : [...ids, product._id],
+        },
+      });
+      await refreshSettings();
+      toast.success(
+        pinned
+          ? `${product.name} removed from favourites`
+          : `${product.name} pinned to favourites`
+      );
+    } catch (error) {
+      console.error("Failed to update favourites:", error);
+    }
+  };
+
+  const updateStock = (items) => {
+    setFavourites((prev) => deductStock(prev, items));
+  };
+
+  return { favourites, loading, canPin, isPinned, togglePin, updateStock };
+};
+
+export default useFavouriteProducts;
@@ -0,0 +1,56 @@
+// src/hooks/useKeyboardShortcuts.js
+import { useEffect, useRef } from "react";
+import {
+  getKeyName,
+  getShortcutAction,
+  isFieldSafeKey,
+} from "../utils/shortcuts";
+
+const EDITABLE_TAGS = ["INPUT", "TEXTAREA", "SELECT"];
+
+/**
+ * Call handlers[actionId] when the key bound to that action is pressed.
+ *
+ * While the cashier is typing in a field only F-keys, Esc and Ctrl/Alt
+ * combinations are picked up, and Enter on a focused button is left to the
+ * button. Keys already handled by the barcode scanner are ignored.
+ */
+const useKeyboardShortcuts = ({ shortcuts, handlers, enabled = true }) => {
+  const handlersRef = useRef(handlers);
+
+  useEffect(() => {
+    handlersRef.current = handlers;
+  });
+
+  useEffect(() => {
+    if (!enabled) return;
+
+    const handleKeyDown = (e) => {
+      if (e.defaultPrevented) return;
+
+      const keyName = getKeyName(e);
+      const actionId = keyName && getShortcutAction(shortcuts, keyName);
+      const handler = actionId && handlersRef.current[actionId];
+      if (!handler) return;
+
+      const target = e.target;
+      const isEditable =
+        target?.isContentEditable || EDITABLE_TAGS.includes(target?.tagName);
+      if (isEditable && !isFieldSafeKey(keyName)) return;
+      if (
+        target?.tagName === "BUTTON" &&
+        ["Enter", "Space"].includes(keyName)
+      ) {
+        return;
+      }
+
+      e.preventDefault();
+      handler(e);
+    };
+
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [enabled, shortcuts]);
+};
+
+export default useKeyboardShortcuts;
@@ -0,0 +1,194 @@
+// src/hooks/useMpesaPayment.js
+import { useState, useEffect, useRef } from "react";
+import { salesAPI } from "../services/api";
+import {
+  clearPendingCheckout,
+  getPendingCheckout,
+  getPollDelay,
+  isValidMpesaCode,
+  normalizeMpesaCode,
+  savePendingCheckout,
+} from "../utils/mpesa";
+
+const IDLE_STATE = {
+  status: "idle",
+  checkout: null,
+  transactionId: null,
+  manual: false,
+  error: null,
+};
+
+/**
+ * Send an M-Pesa STK push and poll until the customer pays, declines or
+ * the request times out.
+ *
+ * status is one of idle, sending, pending, success, failed, timeout or
+ * cancelled. With a storageKey the pending checkout survives a reload and
+ * is resumed on mount, as long as it was for the same amount. One for a
+ * different amount is dropped.
+ */
+const useMpesaPayment = ({
+  storageKey,
+  amount,
+  initialDelay = 2000,
+  interval = 3000,
+  backoff = 1.5,
+  maxInterval = 10000,
+  timeout = 90000,
+} = {}) => {
+  const [state, setState] = useState(IDLE_STATE);
+  const timerRef = useRef(null);
+  // Only responses for the current checkout are acted on
+  const activeRef = useRef(null);
+
+  // A saved checkout is resumed once per storageKey, against the amount and
+  // polling of the latest render
+  const latestRef = useRef();
+  useEffect(() => {
+    latestRef.current = { amount, startPolling };
+  });
+
+  useEffect(() => {
+    const latest = latestRef.current;
+    const pending = storageKey && getPendingCheckout(storageKey);
+    if (pending && (!latest.amount || pending.amount === latest.amount)) {
+      setState({ ...IDLE_STATE, status: "pending", checkout: pending });
+      latest.startPolling(pending);
+    } else if (pending) {
+      // Left over from a different charge, so it would never be resumed
+      clearPendingCheckout(storageKey);
+    }
+
+    return () => {
+      clearTimeout(timerRef.current);
+      activeRef.current = null;
+    };
+  }, [storageKey]);
+
+  const stopPolling = () => {
+    clearTimeout(timerRef.current);
+    activeRef.current = null;
+    if (storageKey) clearPendingCheckout(storageKey);
+  };
+
+  const finish = (result) => {
+    stopPolling();
+    setState((prev) => ({ ...prev, ...result }));
+  };
+
+  const startPolling = (checkout) => {
+    activeRef.current = checkout.checkoutRequestId;
+    timerRef.current = setTimeout(() => checkStatus(checkout, 1), initialDelay);
+  };
+
+  const checkStatus = async (checkout, attempt) => {
+    const isActive = () => activeRef.current === checkout.checkoutRequestId;
+    if (!isActive()) return;
+
+    try {
+      const response = await salesAPI.checkMpesaPaymentStatus(
+        checkout.checkoutRequestId
+      );
+      if (!isActive()) return;
+
+      const { status, transactionId, resultDesc } = response.data.data;
+      if (status === "success") {
+        finish({ status: "success", transactionId, error: null });
+        return;
+      }
+      if (status === "failed" || status === "cancelled") {
+        finish({
+          status: "failed",
+          error: resultDesc || "Payment failed or was cancelled",
+        });
+        return;
+      }
+    } catch (error) {
+      console.error("Failed to check M-Pesa payment status:", error);
+      if (!isActive()) return;
+    }
+
+    if (Date.now() - new Date(checkout.startedAt) >= timeout) {
+      finish({
+        status: "timeout",
+        error:
+          "No confirmation from M-Pesa yet. Check the customer's M-Pesa message.",
+      });
+      return;
+    }
+
+    timerRef.current = setTimeout(
+      () => checkStatus(checkout, attempt + 1),
+      getPollDelay(attempt, { interval, backoff, maxInterval })
+    );
+  };
+
+  const start = async (phone, chargeAmount) => {
+    stopPolling();
+    setState({ ...IDLE_STATE, status: "sending" });
+
+    try {
+      const response = await salesAPI.initiateMpesaPayment({
+        phone,
+        amount: chargeAmount,
+      });
+      const checkoutRequestId = response.data?.data?.checkoutRequestId;
+      if (!checkoutRequestId) {
+        throw new Error("Invalid response from M-Pesa service");
+      }
+
+      const checkout = {
+        checkoutRequestId,
+        phone,
+        amount: chargeAmount,
+        startedAt: new Date().toISOString(),
+      };
+      if (storageKey) savePendingCheckout(storageKey, checkout);
+      setState({ ...IDLE_STATE, status: "pending", checkout });
+      startPolling(checkout);
+    } catch (error) {
+      console.error("Failed to initiate M-Pesa payment:", error);
+      setState({
+        ...IDLE_STATE,
+        status: "failed",
+        error:
+          error.response?.data?.message ||
+          error.message ||
+          "Failed to initiate M-Pesa payment",
+      });
+    }
+  };
+
+  /**
+   * Stop waiting on the STK push. The phone prompt can't be withdrawn, so a
+   * customer who pays anyway is recorded with confirmManually.
+   */
+  const cancel = () => {
+    finish({ status: "cancelled", error: "Payment request cancelled" });
+  };
+
+  /**
+   * Accept a confirmation code read off the customer's M-Pesa message.
+   * Returns false if the code isn't a valid M-Pesa code.
+   */
+  const confirmManually = (code) => {
+    if (!isValidMpesaCode(code)) return false;
+
+    finish({
+      status: "success",
+      transactionId: normalizeMpesaCode(code),
+      manual: true,
+      error: null,
+    });
+    return true;
+  };
+
+  const reset = () => {
+    stopPolling();
+    setState(IDLE_STATE);
+  };
+
+  return { ...state, start, cancel, confirmManually, reset };
+};
+
+export default useMpesaPayment;
@@ -0,0 +1,178 @@
+// src/hooks/useOfflineSales.js
+import { useState, useEffect, useRef } from "react";
+import { productsAPI, salesAPI } from "../services/api";
+import {
+  cacheProducts,
+  decrementCachedStock,
+  getQueuedSales,
+  isNetworkError,
+  queueSale,
+  removeQueuedSale,
+  updateQueuedSale,
+} from "../utils/offlineStore";
+import toast from "react-hot-toast";
+
+const SYNC_INTERVAL = 30000;
+const CATALOGUE_PAGE_SIZE = 100;
+
+/**
+ * Queue sales in IndexedDB while the API is unreachable and post them,
+ * oldest first, once it's back
+ */
+const useOfflineSales = () => {
+  const [isOnline, setIsOnline] = useState(navigator.onLine);
+  const [queuedSales, setQueuedSales] = useState([]);
+  const [syncing, setSyncing] = useState(false);
+  const syncingRef = useRef(false);
+
+  useEffect(() => {
+    refreshQueue();
+    if (navigator.onLine) {
+      cacheCatalogue();
+      syncQueue();
+    }
+
+    const handleOnline = () => {
+      setIsOnline(true);
+      syncQueue();
+    };
+    const handleOffline = () => setIsOnline(false);
+
+    window.addEventListener("online", handleOnline);
+    window.addEventListener("offline", handleOffline);
+    const interval = setInterval(() => {
+      if (navigator.onLine) syncQueue();
+    }, SYNC_INTERVAL);
+
+    return () => {
+      window.removeEventListener("online", handleOnline);
+      window.removeEventListener("offline", handleOffline);
+      clearInterval(interval);
+    };
+  }, []);
+
+  const refreshQueue = async () => {
+    try {
+      setQueuedSales(await getQueuedSales());
+    } catch (error) {
+      console.error("Failed to read offline sales:", error);
+    }
+  };
+
+  const cacheCatalogue = async () => {
+    try {
+      const products = [];
+      let page = 1;
+      let pages = 1;
+
+      do {
+        const response = await productsAPI.getProducts({
+          status: "active",
+          limit: CATALOGUE_PAGE_SIZE,
+          page,
+        });
+        const pageProducts = response.data.data || [];
+        // Stop on an empty page, in case products were removed mid-fetch
+        if (pageProducts.length === 0) break;
+        products.push(...pageProducts);
+        pages = response.data.pagination?.pages || 1;
+        page += 1;
+      } while (page <= pages);
+
+      await cacheProducts(products);
+    } catch (error) {
+      console.error("Failed to cache product catalogue:", error);
+    }
+  };
+
+  const queueOfflineSale = async (saleData) => {
+    const pendingSale = await queueSale(saleData);
+    await decrementCachedStock(saleData.items);
+    await refreshQueue();
+    return pendingSale;
+  };
+
+  const syncQueue = async () => {
+    if (syncingRef.current) return;
+
+    syncingRef.current = true;
+    let synced = 0;
+    let conflicts = 0;
+
+    try {
+      const pending = (await getQueuedSales()).filter(
+        (sale) => sale.status === "pending"
+      );
+      if (pending.length === 0) return;
+
+      setSyncing(true);
+      for (const pendingSale of pending) {
+        try {
+          await salesAPI.createSale({
+            ...pendingSale.saleData,
+            offlineReceiptNumber: pendingSale.receiptNumber,
+            soldAt: pendingSale.createdAt,
+          });
+          await removeQueuedSale(pendingSale.localId);
+          synced += 1;
+        } catch (error) {
+          // Still offline, try the rest later so the order is kept
+          if (isNetworkError(error)) {
+            setIsOnline(false);
+            break;
+          }
+
+          // The server refused it, usually because stock ran out
+          await updateQueuedSale({
+            ...pendingSale,
+            status: "conflict",
+            error: error.response?.data?.message || error.message,
+          });
+          conflicts += 1;
+        }
+      }
+    } catch (error) {
+      console.error("Failed to sync offline sales:", error);
+    } finally {
+      syncingRef.current = false;
+      setSyncing(false);
+      await refreshQueue();
+    }
+
+    if (synced > 0) {
+      setIsOnline(true);
+      toast.success(`Synced ${synced} offline sale${synced === 1 ? "" : "s"}`);
+      cacheCatalogue();
+    }
+    if (conflicts > 0) {
+      toast.error(
+        `${conflicts} offline sale${
+          conflicts === 1 ? "" : "s"
+        } could not be synced. Check the pending sales list.`
+      );
+    }
+  };
+
+  const retrySale = async (pendingSale) => {
+    await updateQueuedSale({ ...pendingSale, status: "pending", error: null });
+    await syncQueue();
+  };
+
+  const discardSale = async (pendingSale) => {
+    await removeQueuedSale(pendingSale.localId);
+    await refreshQueue();
+  };
+
+  return {
+    isOnline,
+    setIsOnline,
+    queuedSales,
+    syncing,
+    queueOfflineSale,
+    syncQueue,
+    retrySale,
+    discardSale,
+  };
+};
+
+export default useOfflineSales;
@@ -0,0 +1,86 @@
+// src/hooks/useShift.js
+import { useState, useEffect } from "react";
+import { useAuth } from "../contexts/AuthContext";
+import { salesAPI, shiftsAPI } from "../services/api";
+import { buildShiftReport } from "../utils/shifts";
+import { isNetworkError } from "../utils/offlineStore";
+
+/**
+ * The signed-in cashier's open till session, if any. The last known shift
+ * is kept in localStorage so the till keeps selling through an outage.
+ */
+const useShift = () => {
+  const { user } = useAuth();
+  const [shift, setShift] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const storageKey = `currentShift:${user?._id}`;
+
+  const updateShift = (nextShift) => {
+    setShift(nextShift);
+    if (nextShift) {
+      localStorage.setItem(storageKey, JSON.stringify(nextShift));
+    } else {
+      localStorage.removeItem(storageKey);
+    }
+  };
+
+  useEffect(() => {
+    refreshShift();
+  }, []);
+
+  const refreshShift = async () => {
+    try {
+      setLoading(true);
+      const response = await shiftsAPI.getCurrentShift();
+      updateShift(response.data.data || null);
+    } catch (error) {
+      console.error("Failed to fetch current shift:", error);
+      if (isNetworkError(error)) {
+        setShift(JSON.parse(localStorage.getItem(storageKey) || "null"));
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const openShift = async (data) => {
+    const response = await shiftsAPI.openShift(data);
+    updateShift(response.data.data);
+    return response.data.data;
+  };
+
+  const addCashMovement = async (movement) => {
+    const response = await shiftsAPI.addCashMovement(shift._id, movement);
+    updateShift(response.data.data);
+    return response.data.data;
+  };
+
+  const getReport = async (countedCash) => {
+    const response = await salesAPI.getSales({ shift: shift._id, limit: 1000 });
+    return buildShiftReport(shift, response.data.data, countedCash);
+  };
+
+  const closeShift = async (countedCash, notes) => {
+    const report = await getReport(countedCash);
+    const response = await shiftsAPI.closeShift(shift._id, {
+      countedCash,
+      expectedCash: report.expectedCash,
+      variance: report.variance,
+      notes,
+    });
+    updateShift(null);
+    return { ...report, shift: response.data.data };
+  };
+
+  return {
+    shift,
+    loading,
+    refreshShift,
+    openShift,
+    addCashMovement,
+    getReport,
+    closeShift,
+  };
+};
+
+export default useShift;
@@ -0,0 +1,547 @@
+// src/pages/Categories/Categories.js
+import { useState, useEffect } from "react";
+import { Link } from "react-router-dom";
+import { useAuth } from "../../contexts/AuthContext";
+import { categoriesAPI, productsAPI } from "../../services/api";
+import {
+  findCategory,
+  flattenCategories,
+  getDescendantIds,
+} from "../../utils/categories";
+import LoadingSpinner from "../../components/common/LoadingSpinner";
+import toast from "react-hot-toast";
+import {
+  ArrowUturnUpIcon,
+  CheckIcon,
+  ChevronDownIcon,
+  ChevronRightIcon,
+  EyeIcon,
+  EyeSlashIcon,
+  FolderIcon,
+  PencilIcon,
+  PlusIcon,
+  TrashIcon,
+  XMarkIcon,
+} from "@heroicons/react/24/outline";
+
+const CATALOGUE_PAGE_SIZE = 100;
+
+const getParentId = (category) =>
+  category.parent?._id || category.parent || null;
+
+/**
+ * One category row and, unless collapsed, its sub-categories. Rows can be
+ * dragged onto other rows to nest them there.
+ */
+const CategoryNode = ({ category, depth, tree }) => {
+  const [expanded, setExpanded] = useState(true);
+  const [newChildName, setNewChildName] = useState(null);
+  const children = category.children || [];
+  const {
+    counts,
+    editing,
+    setEditing,
+    dragged,
+    setDragged,
+    dropTarget,
+    setDropTarget,
+    canEdit,
+    canCreate,
+    canDelete,
+    onCreate,
+    onRename,
+    onToggleActive,
+    canDrop,
+    onMove,
+    onDelete,
+  } = tree;
+
+  const ownCount = counts[category._id];
+  const totalCount = getDescendantIds(category).reduce(
+    (sum, id) => sum + (counts[id] || 0),
+    0
+  );
+  const inactive = category.isActive === false;
+  const isEditing = editing?.id === category._id;
+
+  const addChild = async (e) => {
+    e.preventDefault();
+    if (await onCreate(newChildName, category._id)) {
+      setNewChildName(null);
+      setExpanded(true);
+    }
+  };
+
+  return (
+    <div>
+      <div
+        draggable={canEdit && !isEditing}
+        onDragStart={(e) => {
+          e.stopPropagation();
+          e.dataTransfer.effectAllowed = "move";
+          setDragged(category);
+        }}
+        onDragEnd={() => {
+          setDragged(null);
+          setDropTarget(null);
+        }}
+        onDragOver={(e) => {
+          if (!dragged || !canDrop(dragged, category._id)) return;
+          e.preventDefault();
+          e.stopPropagation();
+          setDropTarget(category._id);
+        }}
+        onDragLeave={() => dropTarget === category._id && setDropTarget(null)}
+        onDrop={(e) => {
+          e.preventDefault();
+          e.stopPropagation();
+          onMove(dragged, category._id);
+        }}
+        style={{ paddingLeft: `${depth * 1.5 + 0.5}rem` }}
+        className={`flex items-center justify-between pr-2 py-2 rounded-lg border ${
+          dropTarget === category._id
+            ? "border-primary-500 bg-primary-50"
+            : "border-transparent hover:bg-secondary-50"
+        } ${canEdit && !isEditing ? "cursor-move" : ""} ${
+          inactive ? "opacity-50" : ""
+        }`}
+      >
+        <div className="flex items-center min-w-0">
+          <button
+            onClick={() => setExpanded(!expanded)}
+            className={`mr-1 text-secondary-400 hover:text-secondary-600 ${
+              children.length === 0 ? "invisible" : ""
+            }`}
+          >
+            {expanded ? (
+              <ChevronDownIcon className="h-4 w-4" />
+            ) : (
+              <ChevronRightIcon className="h-4 w-4" />
+            )}
+          </button>
+          <FolderIcon className="h-5 w-5 text-primary-600 mr-2 flex-shrink-0" />
+
+          {isEditing ? (
+            <form
+              onSubmit={(e) => {
+                e.preventDefault();
+                onRename(category, editing.name);
+              }}
+              className="flex items-center space-x-1"
+            >
+              <input
+                type="text"
+                value={editing.name}
+                onChange={(e) =>
+                  setEditing({ ...editing, name: e.target.value })
+                }
+                onKeyDown={(e) => e.key === "Escape" && setEditing(null)}
+                className="input-field py-1"
+                autoFocus
+              />
+              <button
+                type="submit"
+                className="p-1 text-green-600 hover:text-green-700"
+              >
+                <CheckIcon className="h-4 w-4" />
+              </button>
+              <button
+                type="button"
+                onClick={() => setEditing(null)}
+                className="p-1 text-secondary-400 hover:text-secondary-600"
+              >
+                <XMarkIcon className="h-4 w-4" />
+              </button>
+            </form>
+          ) : (
+            <>
+              <Link
+                to={`/products?category=${category._id}`}
+                className="font-medium text-secondary-900 hover:text-primary-600 truncate"
+              >
+                {category.name}
+              </Link>
+              {inactive && (
+                <span className="ml-2 px-1.5 py-0.5 rounded text-xs bg-secondary-100 text-secondary-600">
+                  Inactive
+                </span>
+              )}
+            </>
+          )}
+        </div>
+
+        <div className="flex items-center space-x-3 flex-shrink-0">
+          <span
+            className="text-sm text-secondary-500"
+            title={
+              children.length > 0
+                ? `${
+                    ownCount ?? "?"
+                  } in this category, ${totalCount} including subcategories`
+                : undefined
+            }
+          >
+            {ownCount === undefined ? "…" : totalCount} products
+          </span>
+          {canCreate && !inactive && (
+            <button
+              onClick={() => setNewChildName("")}
+              title="Add subcategory"
+              className="p-1 text-secondary-400 hover:text-secondary-600"
+            >
+              <PlusIcon className="h-4 w-4" />
+            </button>
+          )}
+          {canEdit && (
+            <>
+              <button
+                onClick={() =>
+                  setEditing({ id: category._id, name: category.name })
+                }
+                title="Rename"
+                className="p-1 text-secondary-400 hover:text-secondary-600"
+              >
+                <PencilIcon className="h-4 w-4" />
+              </button>
+              <button
+                onClick={() => onToggleActive(category)}
+                title={inactive ? "Reactivate" : "Deactivate"}
+                className="p-1 text-secondary-400 hover:text-secondary-600"
+              >
+                {inactive ? (
+                  <EyeIcon className="h-4 w-4" />
+                ) : (
+                  <EyeSlashIcon className="h-4 w-4" />
+                )}
+              </button>
+            </>
+          )}
+          {canDelete && (
+            <button
+              onClick={() => onDelete(category, ownCount)}
+              title={
+                children.length > 0 || ownCount > 0
+                  ? "Only empty categories can be deleted"
+                  : "Delete"
+              }
+              disabled={children.length > 0 || ownCount !== 0}
+              className="p-1 text-red-500 hover:text-red-700 disabled:text-secondary-300 disabled:cursor-not-allowed"
+            >
+              <TrashIcon className="h-4 w-4" />
+            </button>
+          )}
+        </div>
+      </div>
+
+      {newChildName !== null && (
+        <form
+          onSubmit={addChild}
+          style={{ paddingLeft: `${(depth + 1) * 1.5 + 2}rem` }}
+          className="flex items-center space-x-2 py-2 pr-2"
+        >
+          <input
+            type="text"
+            value={newChildName}
+            onChange={(e) => setNewChildName(e.target.value)}
+            onKeyDown={(e) => e.key === "Escape" && setNewChildName(null)}
+            placeholder={`New subcategory of ${category.name}`}
+            className="input-field py-1"
+            autoFocus
+          />
+          <button type="submit" className="btn-primary py-1">
+            Add
+          </button>
+          <button
+            type="button"
+            onClick={() => setNewChildName(null)}
+            className="btn-secondary py-1"
+          >
+            Cancel
+          </button>
+        </form>
+      )}
+
+      {expanded &&
+        children.map((child) => (
+          <CategoryNode
+            key={child._id}
+            category={child}
+            depth={depth + 1}
+            tree={tree}
+          />
+        ))}
+    </div>
+  );
+};
+
+const Categories = () => {
+  const { hasPermission } = useAuth();
+  const [categories, setCategories] = useState([]);
+  const [counts, setCounts] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [newName, setNewName] = useState("");
+  const [editing, setEditing] = useState(null);
+  const [dragged, setDragged] = useState(null);
+  const [dropTarget, setDropTarget] = useState(null);
+
+  useEffect(() => {
+    fetchCategories();
+  }, []);
+
+  const fetchCategories = async () => {
+    try {
+      const response = await categoriesAPI.getCategoryTree();
+      const tree = response.data.data || [];
+      setCategories(tree);
+      fetchProductCounts(tree);
+    } catch (error) {
+      console.error("Failed to fetch categories:", error);
+      toast.error("Failed to load categories");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Counts are products filed directly under each category, inactive ones
+  // included so a category still holding any can't be deleted. Products
+  // keep their top-level category in `category` and any deeper one in
+  // `subcategory`; older ones may point `category` at a subcategory. The
+  // catalogue is read page by page rather than asking once per category.
+  const fetchProductCounts = async (tree) => {
+    const nextCounts = Object.fromEntries(
+      flattenCategories(tree).map(({ category }) => [category._id, 0])
+    );
+
+    try {
+      for (const status of ["active", "inactive"]) {
+        let page = 1;
+        let pages = 1;
+
+        do {
+          const response = await productsAPI.getProducts({
+            status,
+            limit: CATALOGUE_PAGE_SIZE,
+            page,
+          });
+          (response.data.data || []).forEach((product) => {
+            const category = product.subcategory || product.category;
+            const id = category?._id || category;
+            if (id) nextCounts[id] = (nextCounts[id] || 0) + 1;
+          });
+          pages = response.data.pagination?.pages || 1;
+          page += 1;
+        } while (page <= pages);
+      }
+
+      setCounts(nextCounts);
+    } catch (error) {
+      console.error("Failed to fetch product counts:", error);
+    }
+  };
+
+  const createCategory = async (name, parent = null) => {
+    if (!name?.trim()) {
+      toast.error("Category name is required");
+      return false;
+    }
+
+    try {
+      await categoriesAPI.createCategory({
+        name: name.trim(),
+        ...(parent && { parent }),
+      });
+      toast.success("Category created");
+      fetchCategories();
+      return true;
+    } catch (error) {
+      console.error("Failed to create category:", error);
+      return false;
+    }
+  };
+
+  const updateCategory = async (category, data, message) => {
+    try {
+      await categoriesAPI.updateCategory(category._id, data);
+      toast.success(message);
+      fetchCategories();
+      return true;
+    } catch (error) {
+      console.error("Failed to update category:", error);
+      return false;
+    }
+  };
+
+  const renameCategory = async (category, name) => {
+    if (!name.trim()) {
+      toast.error("Category name is required");
+      return;
+    }
+    if (name.trim() !== category.name) {
+      await updateCategory(category, { name: name.trim() }, "Category renamed");
+    }
+    setEditing(null);
+  };
+
+  const toggleActive = (category) => {
+    const inactive = category.isActive === false;
+    updateCategory(
+      category,
+      { isActive: inactive },
+      inactive
+        ? `${category.name} reactivated`
+        : `${category.name} hidden from the POS and product forms`
+    );
+  };
+
+  // A category can't be moved under itself or its own sub-categories
+  const canDrop = (category, parentId) =>
+    (getParentId(category) || null) !== parentId &&
+    !getDescendantIds(findCategory(categories, category._id)).includes(
+      parentId
+    );
+
+  const moveCategory = async (category, parentId) => {
+    setDragged(null);
+    setDropTarget(null);
+    if (!category || !canDrop(category, parentId)) return;
+
+    const parent = parentId && findCategory(categories, parentId);
+    await updateCategory(
+      category,
+      { parent: parentId },
+      parent
+        ? `${category.name} moved into ${parent.name}`
+        : `${category.name} is now a top-level category`
+    );
+  };
+
+  const deleteCategory = async (category, productCount) => {
+    if ((category.children || []).length > 0) {
+      toast.error("Move or delete its subcategories first");
+      return;
+    }
+    if (productCount !== 0) {
+      toast.error(
+        `Move the products in ${category.name} to another category first`
+      );
+      return;
+    }
+    if (!window.confirm(`Delete the category "${category.name}"?`)) return;
+
+    try {
+      await categoriesAPI.deleteCategory(category._id);
+      toast.success("Category deleted");
+      fetchCategories();
+    } catch (error) {
+      console.error("Failed to delete category:", error);
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (await createCategory(newName)) setNewName("");
+  };
+
+  const tree = {
+    counts,
+    editing,
+    setEditing,
+    dragged,
+    setDragged,
+    dropTarget,
+    setDropTarget,
+    canEdit: hasPermission("products", "update"),
+    canCreate: hasPermission("products", "create"),
+    canDelete: hasPermission("products", "delete"),
+    onCreate: createCategory,
+    onRename: renameCategory,
+    onToggleActive: toggleActive,
+    canDrop,
+    onMove: moveCategory,
+    onDelete: deleteCategory,
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <LoadingSpinner size="large" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div>
+        <h1 className="text-2xl font-bold text-secondary-900">Categories</h1>
+        <p className="text-secondary-600">
+          Organise products into categories and subcategories
+        </p>
+      </div>
+
+      {tree.canCreate && (
+        <form onSubmit={handleCreate} className="card flex space-x-3">
+          <input
+            type="text"
+            value={newName}
+            onChange={(e) => setNewName(e.target.value)}
+            placeholder="New top-level category"
+            className="input-field"
+          />
+          <button type="submit" className="btn-primary whitespace-nowrap">
+            <PlusIcon className="h-5 w-5 mr-2" />
+            Add Category
+          </button>
+        </form>
+      )}
+
+      <div className="card">
+        {tree.canEdit && (
+          <p className="text-sm text-secondary-500 mb-3">
+            Drag a category onto another to make it a subcategory.
+          </p>
+        )}
+
+        {dragged && getParentId(dragged) && (
+          <div
+            onDragOver={(e) => {
+              e.preventDefault();
+              setDropTarget("root");
+            }}
+            onDragLeave={() => setDropTarget(null)}
+            onDrop={(e) => {
+              e.preventDefault();
+              moveCategory(dragged, null);
+            }}
+            className={`flex items-center justify-center p-3 mb-2 border-2 border-dashed rounded-lg text-sm ${
+              dropTarget === "root"
+                ? "border-primary-500 bg-primary-50 text-primary-700"
+                : "border-secondary-300 text-secondary-500"
+            }`}
+          >
+            <ArrowUturnUpIcon className="h-4 w-4 mr-2" />
+            Drop here to make it a top-level category
+          </div>
+        )}
+
+        {categories.length > 0 ? (
+          categories.map((category) => (
+            <CategoryNode
+              key={category._id}
+              category={category}
+              depth={0}
+              tree={tree}
+            />
+          ))
+        ) : (
+          <div className="text-center py-8">
+            <FolderIcon className="h-12 w-12 text-secondary-400 mx-auto mb-2" />
+            <p className="text-secondary-600">No categories yet</p>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Categories;
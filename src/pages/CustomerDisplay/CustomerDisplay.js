@@ -0,0 +1,247 @@
+// src/pages/CustomerDisplay/CustomerDisplay.js
+import { useState, useEffect, useRef } from "react";
+import { useSettings } from "../../contexts/SettingsContext";
+import { formatCurrency } from "../../utils/helpers";
+import { createDisplayChannel } from "../../utils/customerDisplay";
+import { formatQuantity } from "../../utils/units";
+
+const THANK_YOU_DURATION = 15000;
+
+const MPESA_MESSAGES = {
+  sending: "Sending M-Pesa request...",
+  pending: "Check your phone and enter your M-Pesa PIN",
+  success: "M-Pesa payment received",
+  failed: "M-Pesa payment was not completed",
+  timeout: "M-Pesa payment was not confirmed",
+  cancelled: "M-Pesa request cancelled",
+};
+
+/**
+ * Second-screen view for customers. Mirrors the POS cart over
+ * BroadcastChannel and shows the business logo between sales.
+ */
+const CustomerDisplay = () => {
+  const { settings } = useSettings();
+  const [state, setState] = useState(null);
+  const [thankYou, setThankYou] = useState(null);
+  const lastReceiptRef = useRef(undefined);
+  const business = settings.business || {};
+  const mpesaSettings = settings.sales?.payment?.mpesa || {};
+
+  useEffect(() => {
+    document.title = `${business.name || "Welcome"} - Customer Display`;
+  }, [business.name]);
+
+  useEffect(() => {
+    const channel = createDisplayChannel();
+    if (!channel) return;
+
+    let thankYouTimer;
+    channel.onmessage = (event) => {
+      if (event.data?.type !== "state") return;
+      const nextState = event.data.state;
+      setState(nextState);
+
+      // Thank the customer once for each new sale, not for one the POS
+      // already had when this window opened
+      const receiptNumber = nextState?.lastSale?.receiptNumber || null;
+      if (
+        lastReceiptRef.current !== undefined &&
+        receiptNumber &&
+        receiptNumber !== lastReceiptRef.current
+      ) {
+        setThankYou(nextState.lastSale);
+        clearTimeout(thankYouTimer);
+        thankYouTimer = setTimeout(() => setThankYou(null), THANK_YOU_DURATION);
+      }
+      if (nextState?.items?.length > 0) setThankYou(null);
+      lastReceiptRef.current = receiptNumber;
+    };
+    channel.postMessage({ type: "request-state" });
+
+    return () => {
+      clearTimeout(thankYouTimer);
+      channel.close();
+    };
+  }, []);
+
+  const items = state?.items || [];
+  const totals = state?.totals || {};
+  const payment = state?.payment;
+
+  if (items.length === 0) {
+    return (
+      <div className="h-screen flex flex-col items-center justify-center bg-white text-center p-8">
+        {business.logo?.url ? (
+          <img
+            src={business.logo.url}
+            alt={business.name}
+            className="max-h-64 max-w-[60%] object-contain mb-8"
+          />
+        ) : (
+          <div className="text-6xl mb-8">🛒</div>
+        )}
+        <h1 className="text-4xl font-bold text-secondary-900">
+          {business.name || "Welcome"}
+        </h1>
+        {thankYou ? (
+          <div className="mt-8 space-y-2">
+            <p className="text-3xl text-primary-600 font-semibold">
+              Thank you for shopping with us!
+            </p>
+            <p className="text-xl text-secondary-700">
+              Total {formatCurrency(thankYou.total)}
+              {thankYou.change > 0 &&
+                ` · Change ${formatCurrency(thankYou.change)}`}
+            </p>
+          </div>
+        ) : (
+          <p className="mt-4 text-2xl text-secondary-500">Karibu! Welcome</p>
+        )}
+      </div>
+    );
+  }
+
+  return (
+    <div className="h-screen flex bg-secondary-50">
+      {/* Items */}
+      <div className="flex-1 flex flex-col bg-white">
+        <div className="flex-shrink-0 flex items-center justify-between p-6 border-b border-secondary-200">
+          <h1 className="text-2xl font-bold text-secondary-900">
+            {business.name || "Your items"}
+          </h1>
+          {state.customer && (
+            <span className="text-lg text-secondary-600">{state.customer}</span>
+          )}
+        </div>
+        <div className="flex-1 overflow-y-auto p-6">
+          <table className="w-full text-xl">
+            <tbody className="divide-y divide-secondary-200">
+              {items.map((item) => (
+                <tr key={item.id}>
+                  <td className="py-3">
+                    <div className="font-medium text-secondary-900">
+                      {item.name}
+                    </div>
+                    <div className="text-base text-secondary-500">
+                      {formatQuantity(item.quantity, item.unit)} ×{" "}
+                      {formatCurrency(item.unitPrice)}
+                      {item.discountAmount > 0 &&
+                        ` · -${formatCurrency(item.discountAmount)}`}
+                    </div>
+                  </td>
+                  <td className="py-3 text-right font-semibold text-secondary-900">
+                    {formatCurrency(item.subtotal)}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {/* Totals and payment */}
+      <div className="w-[28rem] flex flex-col justify-between p-8 border-l border-secondary-200">
+        <div className="space-y-3 text-xl">
+          {totals.subtotal !== totals.total && (
+            <div className="flex justify-between">
+              <span className="text-secondary-600">Subtotal</span>
+              <span>{formatCurrency(totals.subtotal)}</span>
+            </div>
+          )}
+          {totals.discount > 0 && (
+            <div className="flex justify-between text-green-700">
+              <span>Discount</span>
+              <span>-{formatCurrency(totals.discount)}</span>
+            </div>
+          )}
+          {totals.tax > 0 && (
+            <div className="flex justify-between">
+              <span className="text-secondary-600">
+                {totals.taxInclusive ? "Incl. VAT" : "VAT"} ({totals.taxRate}
+                %)
+              </span>
+              <span>{formatCurrency(totals.tax)}</span>
+            </div>
+          )}
+          <div className="flex justify-between text-4xl font-bold pt-4 border-t border-secondary-300">
+            <span>Total</span>
+            <span className="text-primary-600">
+              {formatCurrency(totals.total)}
+            </span>
+          </div>
+          {state.exchangeCredit > 0 && (
+            <>
+              <div className="flex justify-between text-green-700">
+                <span>Exchange credit</span>
+                <span>-{formatCurrency(state.exchangeCredit)}</span>
+              </div>
+              <div className="flex justify-between font-semibold">
+                <span>
+                  {state.exchangeCredit > totals.total
+                    ? "Refund due"
+                    : "Balance due"}
+                </span>
+                <span>
+                  {formatCurrency(
+                    Math.abs(totals.total - state.exchangeCredit)
+                  )}
+                </span>
+              </div>
+            </>
+          )}
+        </div>
+
+        {payment && (
+          <div className="space-y-3 text-xl">
+            <div className="flex justify-between">
+              <span className="text-secondary-600">Paid</span>
+              <span>{formatCurrency(payment.tendered)}</span>
+            </div>
+            {payment.remaining > 0 && (
+              <div className="flex justify-between text-red-600">
+                <span>Balance</span>
+                <span>{formatCurrency(payment.remaining)}</span>
+              </div>
+            )}
+            {payment.change > 0 && (
+              <div className="flex justify-between text-3xl font-bold text-green-700">
+                <span>Change</span>
+                <span>{formatCurrency(payment.change)}</span>
+              </div>
+            )}
+
+            {payment.mpesa && (
+              <div
+                className={`rounded-lg p-4 text-center ${
+                  payment.mpesa.status === "success"
+                    ? "bg-green-50 text-green-700"
+                    : ["sending", "pending"].includes(payment.mpesa.status)
+                    ? "bg-yellow-50 text-yellow-800"
+                    : "bg-red-50 text-red-700"
+                }`}
+              >
+                <p className="font-semibold">
+                  {MPESA_MESSAGES[payment.mpesa.status]}
+                </p>
+                <p className="text-base mt-1">
+                  M-Pesa {formatCurrency(payment.mpesa.amount)}
+                </p>
+                {mpesaSettings.shortCode &&
+                  !["sending", "pending", "success"].includes(
+                    payment.mpesa.status
+                  ) && (
+                    <p className="text-base mt-1">
+                      Or pay to Paybill {mpesaSettings.shortCode}
+                    </p>
+                  )}
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CustomerDisplay;
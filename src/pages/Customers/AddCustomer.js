@@ -45,6 +45,7 @@ const AddCustomer = () => {
     },
     notes: "",
     isVIP: false,
+    isWholesale: false,
   });
   const [errors, setErrors] = useState({});
 
@@ -289,7 +290,7 @@ const AddCustomer = () => {
               </select>
             </div>
 
-            <div className="flex items-center">
+            <div className="space-y-2">
               <label className="flex items-center">
                 <input
                   type="checkbox"
@@ -302,6 +303,18 @@ const AddCustomer = () => {
                   Mark as VIP Customer
                 </span>
               </label>
+              <label className="flex items-center">
+                <input
+                  type="checkbox"
+                  name="isWholesale"
+                  checked={formData.isWholesale}
+                  onChange={handleChange}
+                  className="rounded border-secondary-300 text-primary-600 focus:ring-primary-500"
+                />
+                <span className="ml-2 text-sm text-secondary-700">
+                  Wholesale Customer (sell at wholesale prices)
+                </span>
+              </label>
             </div>
           </div>
         </div>
@@ -9,6 +9,7 @@ import {
   formatPhoneNumber,
 } from "../../utils/helpers";
 import LoadingSpinner from "../../components/common/LoadingSpinner";
+import MpesaPayment from "../../components/common/MpesaPayment";
 import toast from "react-hot-toast";
 import {
   ArrowLeftIcon,
@@ -23,6 +24,7 @@ import {
   PlusIcon,
   ShoppingBagIcon,
   UserIcon,
+  TagIcon,
 } from "@heroicons/react/24/outline";
 
 const CustomerDetail = () => {
@@ -40,7 +42,12 @@ const CustomerDetail = () => {
     amount: "",
     type: "add",
     description: "",
+    method: "cash",
+    reference: "",
   });
+  const [mpesaStatus, setMpesaStatus] = useState("idle");
+  const payingByMpesa =
+    creditUpdate.type === "payment" && creditUpdate.method === "mpesa";
 
   useEffect(() => {
     fetchCustomer();
@@ -97,15 +104,31 @@ const CustomerDetail = () => {
       return;
     }
 
+    if (payingByMpesa && mpesaStatus !== "success") {
+      toast.error("Complete the M-Pesa payment before recording it");
+      return;
+    }
+
     try {
       await customersAPI.addCreditTransaction(id, {
         amount: parseFloat(creditUpdate.amount),
         type: creditUpdate.type,
         description: creditUpdate.description,
+        ...(creditUpdate.type === "payment" && {
+          paymentMethod: creditUpdate.method,
+          reference: creditUpdate.reference,
+        }),
       });
 
       toast.success("Credit updated successfully");
-      setCreditUpdate({ amount: "", type: "add", description: "" });
+      setCreditUpdate({
+        amount: "",
+        type: "add",
+        description: "",
+        method: "cash",
+        reference: "",
+      });
+      setMpesaStatus("idle");
       setShowCreditModal(false);
       fetchCustomer();
     } catch (error) {
@@ -138,6 +161,27 @@ const CustomerDetail = () => {
     }
   };
 
+  const toggleWholesale = async () => {
+    try {
+      const response = await customersAPI.updateCustomer(id, {
+        isWholesale: !customer.isWholesale,
+      });
+      setCustomer((prev) => ({
+        ...prev,
+        ...response.data.data,
+        isWholesale: !prev.isWholesale,
+      }));
+      toast.success(
+        customer.isWholesale
+          ? "Customer moved to retail prices"
+          : "Customer now gets wholesale prices"
+      );
+    } catch (error) {
+      console.error("Failed to update price tier:", error);
+      toast.error(error.response?.data?.message || "Failed to update customer");
+    }
+  };
+
   const getCustomerSegment = () => {
     if (!customer) return "";
 
@@ -240,6 +284,11 @@ const CustomerDetail = () => {
                 {customer.isVIP && (
                   <StarIcon className="h-6 w-6 text-yellow-500 ml-2" />
                 )}
+                {customer.isWholesale && (
+                  <span className="ml-2 px-2 py-0.5 rounded text-sm font-medium bg-primary-100 text-primary-800">
+                    Wholesale
+                  </span>
+                )}
               </h1>
               <p className="text-secondary-600">
                 Customer ID: {customer.customerId || customer._id?.slice(-6)}
@@ -268,6 +317,13 @@ const CustomerDetail = () => {
             </Link>
           )}
 
+          {hasPermission("products", "update") && (
+            <button onClick={toggleWholesale} className="btn-secondary">
+              <TagIcon className="h-5 w-5 mr-2" />
+              {customer.isWholesale ? "Retail Prices" : "Wholesale Prices"}
+            </button>
+          )}
+
           {hasPermission("orders", "update") && (
             <Link to={`/customers/${id}/edit`} className="btn-secondary">
               <PencilIcon className="h-5 w-5 mr-2" />
@@ -653,6 +709,7 @@ const CustomerDetail = () => {
                     }))
                   }
                   className="input-field"
+                  disabled={payingByMpesa && mpesaStatus !== "idle"}
                 >
                   <option value="add">Add Credit</option>
                   <option value="deduct">Deduct Credit</option>
@@ -677,9 +734,53 @@ const CustomerDetail = () => {
                   placeholder="0.00"
                   step="0.01"
                   min="0"
+                  disabled={payingByMpesa && mpesaStatus !== "idle"}
                 />
               </div>
 
+              {creditUpdate.type === "payment" && (
+                <div>
+                  <label className="block text-sm font-medium text-secondary-700 mb-1">
+                    Payment Method
+                  </label>
+                  <select
+                    value={creditUpdate.method}
+                    onChange={(e) =>
+                      setCreditUpdate((prev) => ({
+                        ...prev,
+                        method: e.target.value,
+                        reference: "",
+                      }))
+                    }
+                    className="input-field"
+                    disabled={payingByMpesa && mpesaStatus !== "idle"}
+                  >
+                    <option value="cash">Cash</option>
+                    <option value="mpesa">M-Pesa</option>
+                    <option value="bank_transfer">Bank Transfer</option>
+                  </select>
+                </div>
+              )}
+
+              {payingByMpesa && (
+                <MpesaPayment
+                  amount={parseFloat(creditUpdate.amount) || 0}
+                  defaultPhone={customer.phone || ""}
+                  storageKey={`customer:${id}`}
+                  onStatusChange={setMpesaStatus}
+                  onSuccess={(result) =>
+                    setCreditUpdate((prev) => ({
+                      ...prev,
+                      amount: String(result.amount),
+                      reference: result.transactionId,
+                      description:
+                        prev.description ||
+                        `M-Pesa payment ${result.transactionId}`,
+                    }))
+                  }
+                />
+              )}
+
               <div>
                 <label className="block text-sm font-medium text-secondary-700 mb-1">
                   Description
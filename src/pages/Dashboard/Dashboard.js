@@ -2,9 +2,11 @@
 import { useState, useEffect } from "react";
 import { Link } from "react-router-dom";
 import { useAuth } from "../../contexts/AuthContext";
+import { useSettings } from "../../contexts/SettingsContext";
 import { dashboardAPI } from "../../services/api";
 import LoadingSpinner from "../../components/common/LoadingSpinner";
-import { formatCurrency } from "../../utils/helpers";
+import { formatCurrency, formatDate } from "../../utils/helpers";
+import { getExpiryConfig, getExpiringBatches } from "../../utils/batches";
 import {
   CurrencyDollarIcon,
   ShoppingBagIcon,
@@ -15,6 +17,7 @@ import {
   ClockIcon,
   CheckCircleIcon,
   UserGroupIcon,
+  CalendarDaysIcon,
 } from "@heroicons/react/24/outline";
 import {
   LineChart,
@@ -35,11 +38,32 @@ const Dashboard = () => {
   const [topProducts, setTopProducts] = useState([]);
   const [lowStock, setLowStock] = useState([]);
   const [realtimeStats, setRealtimeStats] = useState(null);
+  const [expiring, setExpiring] = useState([]);
+  const { settings } = useSettings();
+  const { enabled: expiryEnabled, alertDays } = getExpiryConfig(settings);
 
   useEffect(() => {
     fetchDashboardData();
   }, [period]);
 
+  useEffect(() => {
+    if (!expiryEnabled) return;
+
+    // Products with batches that expire within the alert window
+    const fetchExpiring = async () => {
+      try {
+        const response = await dashboardAPI.getExpiringBatches({
+          days: alertDays,
+        });
+        setExpiring(getExpiringBatches(response.data.data || [], alertDays));
+      } catch (error) {
+        console.error("Failed to fetch expiring batches:", error);
+      }
+    };
+
+    fetchExpiring();
+  }, [expiryEnabled, alertDays]);
+
   useEffect(() => {
     // Fetch realtime stats every 30 seconds
     const interval = setInterval(fetchRealtimeStats, 30000);
@@ -370,6 +394,66 @@ const Dashboard = () => {
         </div>
       </div>
 
+      {/* Expiring Batches */}
+      {expiryEnabled && (
+        <div className="card">
+          <div className="flex justify-between items-center mb-6">
+            <h3 className="text-lg font-semibold text-secondary-900">
+              Expiring Soon
+            </h3>
+            <CalendarDaysIcon className="h-5 w-5 text-secondary-400" />
+          </div>
+
+          <div className="space-y-3">
+            {expiring.slice(0, 8).map(({ product, batch, daysLeft }) => (
+              <Link
+                key={`${product._id}-${batch._id || batch.lotNumber}`}
+                to={`/products/${product._id}`}
+                className={`flex items-center justify-between p-3 border rounded-lg ${
+                  daysLeft < 0
+                    ? "bg-red-50 border-red-200"
+                    : "bg-yellow-50 border-yellow-200"
+                }`}
+              >
+                <div>
+                  <p className="text-sm font-medium text-secondary-900">
+                    {product.name}
+                  </p>
+                  <p className="text-xs text-secondary-500">
+                    Lot {batch.lotNumber || "-"} · {batch.quantity} in stock
+                  </p>
+                </div>
+                <div className="text-right">
+                  <p
+                    className={`text-sm font-bold ${
+                      daysLeft < 0 ? "text-red-700" : "text-yellow-700"
+                    }`}
+                  >
+                    {daysLeft < 0
+                      ? "Expired"
+                      : daysLeft === 0
+                      ? "Today"
+                      : `${daysLeft} days`}
+                  </p>
+                  <p className="text-xs text-secondary-500">
+                    {formatDate(batch.expiryDate)}
+                  </p>
+                </div>
+              </Link>
+            ))}
+
+            {expiring.length === 0 && (
+              <div className="text-center py-8">
+                <CheckCircleIcon className="h-12 w-12 text-green-500 mx-auto mb-2" />
+                <p className="text-secondary-500">
+                  Nothing expires in the next {alertDays} days
+                </p>
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+
       {/* Quick Actions */}
       <div className="card">
         <h3 className="text-lg font-semibold text-secondary-900 mb-4">
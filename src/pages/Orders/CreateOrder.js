@@ -2,15 +2,31 @@
 import { useState, useEffect } from "react";
 import { useNavigate } from "react-router-dom";
 import { ordersAPI, customersAPI, productsAPI } from "../../services/api";
+import { useSettings } from "../../contexts/SettingsContext";
+import { useAuth } from "../../contexts/AuthContext";
 import {
   formatCurrency,
 } from "../../utils/helpers";
+import { calculateTotals, getTaxConfig, toApiTotals } from "../../utils/totals";
+import {
+  applyPriceTiers,
+  getAutomaticTier,
+  getNextTierOverride,
+  getPricingPolicy,
+  getTierPrices,
+} from "../../utils/pricing";
+import {
+  exceedsStock,
+  getDefaultQuantity,
+  roundQuantity,
+} from "../../utils/units";
 import LoadingSpinner from "../../components/common/LoadingSpinner";
+import QuantityStepper from "../../components/common/QuantityStepper";
+import PriceTierBadge from "../../components/common/PriceTierBadge";
 import toast from "react-hot-toast";
 import {
   ArrowLeftIcon,
   PlusIcon,
-  MinusIcon,
   TrashIcon,
   MagnifyingGlassIcon,
   UserIcon,
@@ -19,6 +35,9 @@ import {
 
 const CreateOrder = () => {
   const navigate = useNavigate();
+  const { settings } = useSettings();
+  const { hasPermission } = useAuth();
+  const canOverridePrice = hasPermission("products", "update");
   const [customers, setCustomers] = useState([]);
   const [products, setProducts] = useState([]);
   const [loading, setLoading] = useState(false);
@@ -103,18 +122,26 @@ const CreateOrder = () => {
       (item) => item.product === product._id
     );
 
+    const newQuantity = roundQuantity(
+      (existingItem?.quantity || 0) + getDefaultQuantity(product.unit),
+      product.unit
+    );
+
+    if (exceedsStock(newQuantity, product.inventory.currentStock)) {
+      toast.error("Not enough stock available");
+      return;
+    }
+
     if (existingItem) {
-      if (existingItem.quantity >= product.inventory.currentStock) {
-        toast.error("Not enough stock available");
-        return;
-      }
-      updateItemQuantity(product._id, existingItem.quantity + 1);
+      updateItemQuantity(product._id, newQuantity);
     } else {
       const newItem = {
         product: product._id,
         productName: product.name,
         unitPrice: product.pricing.sellingPrice,
-        quantity: 1,
+        prices: getTierPrices(product),
+        quantity: newQuantity,
+        unit: product.unit,
         maxStock: product.inventory.currentStock,
         sku: product.sku,
       };
@@ -137,44 +164,53 @@ const CreateOrder = () => {
       ...prev,
       items: prev.items.map((item) => {
         if (item.product === productId) {
-          if (newQuantity > item.maxStock) {
+          if (exceedsStock(newQuantity, item.maxStock)) {
             toast.error("Not enough stock available");
             return item;
           }
-          return { ...item, quantity: newQuantity };
+          return { ...item, quantity: roundQuantity(newQuantity, item.unit) };
         }
         return item;
       }),
     }));
   };
 
+  // A typed-in price pins the line to `custom`, keeping its tier prices so
+  // the badge can switch it back
   const updateItemPrice = (productId, newPrice) => {
     setFormData((prev) => ({
       ...prev,
       items: prev.items.map((item) =>
         item.product === productId
-          ? { ...item, unitPrice: parseFloat(newPrice) || 0 }
+          ? {
+              ...item,
+              unitPrice: parseFloat(newPrice) || 0,
+              tierOverride: "custom",
+              priceTier: "custom",
+            }
           : item
       ),
     }));
   };
 
-  const removeItem = (productId) => {
+  const toggleItemTier = (line) => {
+    const tierOverride = getNextTierOverride(
+      line,
+      getAutomaticTier(line, tierOptions)
+    );
     setFormData((prev) => ({
       ...prev,
-      items: prev.items.filter((item) => item.product !== productId),
+      items: prev.items.map((item) =>
+        item.product === line.product ? { ...item, tierOverride } : item
+      ),
     }));
   };
 
-  const calculateTotals = () => {
-    const subtotal = formData.items.reduce(
-      (sum, item) => sum + item.unitPrice * item.quantity,
-      0
-    );
-
-    return {
-      total: subtotal,
-    };
+  const removeItem = (productId) => {
+    setFormData((prev) => ({
+      ...prev,
+      items: prev.items.filter((item) => item.product !== productId),
+    }));
   };
 
   const validateForm = () => {
@@ -207,14 +243,15 @@ const CreateOrder = () => {
     try {
       setLoading(true);
 
-      const totals = calculateTotals();
       const orderData = {
         customer: formData.customer,
-        items: formData.items.map((item) => ({
-          product: item.product,
-          productName: item.productName,
-          quantity: item.quantity,
-          unitPrice: item.unitPrice,
+        items: totals.lines.map((line) => ({
+          product: line.product,
+          productName: line.productName,
+          quantity: line.quantity,
+          unitPrice: line.unitPrice,
+          priceTier: line.priceTier || "retail",
+          subtotal: line.subtotal,
         })),
         deliveryDate: formData.deliveryDate || undefined,
         deliveryAddress: formData.deliveryAddress || undefined,
@@ -224,7 +261,7 @@ const CreateOrder = () => {
           method: formData.payment.method,
           amountPaid: parseFloat(formData.payment.amountPaid) || 0,
         },
-        totals,
+        totals: toApiTotals(totals),
       };
 
       const response = await ordersAPI.createOrder(orderData);
@@ -238,7 +275,14 @@ const CreateOrder = () => {
     }
   };
 
-  const totals = calculateTotals();
+  const tierOptions = {
+    customer: selectedCustomer,
+    policy: getPricingPolicy(settings),
+  };
+  const totals = calculateTotals(
+    applyPriceTiers(formData.items, tierOptions),
+    { tax: getTaxConfig(settings) }
+  );
 
   return (
     <div className="space-y-6">
@@ -329,15 +373,26 @@ const CreateOrder = () => {
 
               {formData.items.length > 0 ? (
                 <div className="space-y-3">
-                  {formData.items.map((item) => (
+                  {totals.lines.map((item) => (
                     <div
                       key={item.product}
                       className="flex items-center justify-between p-4 bg-secondary-50 rounded-lg"
                     >
                       <div className="flex-1">
                         <div className="flex items-center justify-between mb-2">
-                          <h4 className="font-medium text-secondary-900">
-                            {item.productName}
+                          <h4 className="font-medium text-secondary-900 flex items-center space-x-2">
+                            <span>{item.productName}</span>
+                            {item.priceTier && (
+                              <PriceTierBadge
+                                tier={item.priceTier}
+                                overridden={Boolean(item.tierOverride)}
+                                onToggle={
+                                  canOverridePrice
+                                    ? () => toggleItemTier(item)
+                                    : undefined
+                                }
+                              />
+                            )}
                           </h4>
                           <button
                             type="button"
@@ -353,35 +408,13 @@ const CreateOrder = () => {
                             <label className="block text-xs font-medium text-secondary-600 mb-1">
                               Quantity
                             </label>
-                            <div className="flex items-center space-x-2">
-                              <button
-                                type="button"
-                                onClick={() =>
-                                  updateItemQuantity(
-                                    item.product,
-                                    item.quantity - 1
-                                  )
-                                }
-                                className="w-6 h-6 bg-white border border-secondary-300 rounded flex items-center justify-center hover:bg-secondary-100"
-                              >
-                                <MinusIcon className="h-3 w-3" />
-                              </button>
-                              <span className="w-8 text-center font-medium">
-                                {item.quantity}
-                              </span>
-                              <button
-                                type="button"
-                                onClick={() =>
-                                  updateItemQuantity(
-                                    item.product,
-                                    item.quantity + 1
-                                  )
-                                }
-                                className="w-6 h-6 bg-white border border-secondary-300 rounded flex items-center justify-center hover:bg-secondary-100"
-                              >
-                                <PlusIcon className="h-3 w-3" />
-                              </button>
-                            </div>
+                            <QuantityStepper
+                              quantity={item.quantity}
+                              unit={item.unit}
+                              onChange={(quantity) =>
+                                updateItemQuantity(item.product, quantity)
+                              }
+                            />
                           </div>
 
                           <div>
@@ -394,9 +427,10 @@ const CreateOrder = () => {
                               onChange={(e) =>
                                 updateItemPrice(item.product, e.target.value)
                               }
-                              className="w-full px-2 py-1 text-sm border border-secondary-300 rounded focus:outline-none focus:ring-1 focus:ring-primary-500"
+                              className="w-full px-2 py-1 text-sm border border-secondary-300 rounded focus:outline-none focus:ring-1 focus:ring-primary-500 disabled:bg-secondary-100"
                               step="0.01"
                               min="0"
+                              disabled={!canOverridePrice}
                             />
                           </div>
 
@@ -532,6 +566,27 @@ const CreateOrder = () => {
                   </span>
                 </div>
 
+                {totals.tax > 0 && (
+                  <div className="flex justify-between">
+                    <span className="text-secondary-600">
+                      {totals.taxInclusive ? "Incl. VAT" : "VAT"} (
+                      {totals.taxRate}%)
+                    </span>
+                    <span className="font-medium">
+                      {formatCurrency(totals.tax)}
+                    </span>
+                  </div>
+                )}
+
+                {totals.rounding !== 0 && (
+                  <div className="flex justify-between">
+                    <span className="text-secondary-600">Rounding</span>
+                    <span className="font-medium">
+                      {formatCurrency(totals.rounding)}
+                    </span>
+                  </div>
+                )}
+
                 <div className="flex justify-between text-lg font-bold border-t border-secondary-200 pt-3">
                   <span>Total</span>
                   <span className="text-primary-600">
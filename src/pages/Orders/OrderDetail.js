@@ -5,6 +5,7 @@ import { useAuth } from '../../contexts/AuthContext';
 import { ordersAPI, usersAPI } from '../../services/api';
 import { formatCurrency, formatDateTime, getOrderStatus, getPaymentStatus } from '../../utils/helpers';
 import LoadingSpinner from '../../components/common/LoadingSpinner';
+import MpesaPayment from '../../components/common/MpesaPayment';
 import toast from 'react-hot-toast';
 import {
   ArrowLeftIcon,
@@ -37,6 +38,7 @@ const OrderDetail = () => {
     reference: '',
     notes: '',
   });
+  const [mpesaStatus, setMpesaStatus] = useState('idle');
 
   useEffect(() => {
     fetchOrder();
@@ -106,6 +108,11 @@ const OrderDetail = () => {
       return;
     }
 
+    if (paymentData.method === 'mpesa' && mpesaStatus !== 'success') {
+      toast.error('Complete the M-Pesa payment before recording it');
+      return;
+    }
+
     try {
       await ordersAPI.recordPayment(id, {
         amount: parseFloat(paymentData.amount),
@@ -117,6 +124,7 @@ const OrderDetail = () => {
       toast.success('Payment recorded successfully');
       setShowPaymentModal(false);
       setPaymentData({ amount: '', method: 'cash', reference: '', notes: '' });
+      setMpesaStatus('idle');
       fetchOrder();
     } catch (error) {
       console.error('Failed to record payment:', error);
@@ -569,6 +577,7 @@ const OrderDetail = () => {
                   placeholder="0.00"
                   max={remainingAmount}
                   step="0.01"
+                  disabled={paymentData.method === 'mpesa' && mpesaStatus !== 'idle'}
                 />
               </div>
 
@@ -580,6 +589,7 @@ const OrderDetail = () => {
                   value={paymentData.method}
                   onChange={(e) => setPaymentData(prev => ({ ...prev, method: e.target.value }))}
                   className="input-field"
+                  disabled={['sending', 'pending', 'success'].includes(mpesaStatus)}
                 >
                   <option value="cash">Cash</option>
                   <option value="mpesa">M-Pesa</option>
@@ -588,6 +598,20 @@ const OrderDetail = () => {
                 </select>
               </div>
 
+              {paymentData.method === 'mpesa' && (
+                <MpesaPayment
+                  amount={parseFloat(paymentData.amount) || 0}
+                  defaultPhone={order.customer?.phone || ''}
+                  storageKey={`order:${id}`}
+                  onStatusChange={setMpesaStatus}
+                  onSuccess={(result) => setPaymentData(prev => ({
+                    ...prev,
+                    amount: String(result.amount),
+                    reference: result.transactionId,
+                  }))}
+                />
+              )}
+
               <div>
                 <label className="block text-sm font-medium text-secondary-700 mb-1">
                   Reference (Optional)
@@ -598,6 +622,7 @@ const OrderDetail = () => {
                   onChange={(e) => setPaymentData(prev => ({ ...prev, reference: e.target.value }))}
                   className="input-field"
                   placeholder="Transaction reference"
+                  disabled={paymentData.method === 'mpesa'}
                 />
               </div>
 
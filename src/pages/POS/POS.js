@@ -1,37 +1,128 @@
 // Updated POS.js with independent scrolling for products and cart
-import { useState, useEffect } from "react";
+import { useState, useEffect, useRef, useMemo } from "react";
 import { useAuth } from "../../contexts/AuthContext";
-import { productsAPI, salesAPI } from "../../services/api";
-import { formatCurrency } from "../../utils/helpers";
+import { useSettings } from "../../contexts/SettingsContext";
+import {
+  categoriesAPI,
+  productsAPI,
+  salesAPI,
+  customersAPI,
+} from "../../services/api";
+import {
+  deductStock,
+  formatCurrency,
+  generateId,
+  playBeep,
+} from "../../utils/helpers";
+import {
+  findCategory,
+  getActiveCategories,
+  getDescendantIds,
+} from "../../utils/categories";
+import { getHeldCarts, saveHeldCarts } from "../../utils/heldCarts";
+import { getDiscountPolicy } from "../../utils/discounts";
+import {
+  applyPriceTiers,
+  getAutomaticTier,
+  getNextTierOverride,
+  getPricingPolicy,
+  getTierPrices,
+} from "../../utils/pricing";
+import { calculateTotals, getTaxConfig, toApiTotals } from "../../utils/totals";
+import { PAYMENT_LABELS, getReceiptConfig } from "../../utils/receipt";
+import {
+  getScaleBarcodeConfig,
+  getScaleLabelQuantity,
+  parseScaleBarcode,
+} from "../../utils/barcodes";
+import {
+  exceedsStock,
+  getDefaultQuantity,
+  getUnit,
+  roundQuantity,
+} from "../../utils/units";
+import { openCashDrawer, printSale } from "../../utils/printer";
+import { getPrimaryImage, getThumbnailUrl } from "../../utils/images";
+import {
+  allocateBatches,
+  getBatchQuantity,
+  getSellableBatches,
+  getSellableStock,
+  tracksBatches,
+} from "../../utils/batches";
+import {
+  findVariantByCode,
+  getPriceRange,
+  getVariantId,
+  getVariantProduct,
+  hasVariants,
+} from "../../utils/variants";
+import { getRefundTenders } from "../../utils/returns";
+import {
+  DEFAULT_SHORTCUTS,
+  formatKeyName,
+  getShortcuts,
+} from "../../utils/shortcuts";
+import useBarcodeScanner from "../../hooks/useBarcodeScanner";
+import useShift from "../../hooks/useShift";
+import useOfflineSales from "../../hooks/useOfflineSales";
+import useKeyboardShortcuts from "../../hooks/useKeyboardShortcuts";
+import useFavouriteProducts from "../../hooks/useFavouriteProducts";
+import useCustomerDisplay from "../../hooks/useCustomerDisplay";
+import {
+  findCachedProductByCode,
+  isNetworkError,
+  searchCachedProducts,
+} from "../../utils/offlineStore";
 import LoadingSpinner from "../../components/common/LoadingSpinner";
+import HeldCartsModal from "../../components/POS/HeldCartsModal";
+import CustomerPickerModal from "../../components/POS/CustomerPickerModal";
+import PaymentModal from "../../components/POS/PaymentModal";
+import DiscountModal from "../../components/POS/DiscountModal";
+import PrinterSetupModal from "../../components/POS/PrinterSetupModal";
+import OpenShiftPanel from "../../components/POS/OpenShiftPanel";
+import ShiftModal from "../../components/POS/ShiftModal";
+import OfflineSalesModal from "../../components/POS/OfflineSalesModal";
+import ShortcutsModal from "../../components/POS/ShortcutsModal";
+import CategoryTabs from "../../components/POS/CategoryTabs";
+import FavouritesGrid from "../../components/POS/FavouritesGrid";
+import ReturnModal from "../../components/POS/ReturnModal";
+import VariantPickerModal from "../../components/POS/VariantPickerModal";
+import QuantityStepper from "../../components/common/QuantityStepper";
+import PriceTierBadge from "../../components/common/PriceTierBadge";
 import toast from "react-hot-toast";
 import {
   MagnifyingGlassIcon,
-  PlusIcon,
-  MinusIcon,
   TrashIcon,
-  CreditCardIcon,
-  ShoppingCartIcon,
-  BanknotesIcon,
   XMarkIcon,
   ChevronLeftIcon,
   ChevronRightIcon,
+  QrCodeIcon,
+  PauseCircleIcon,
+  UserIcon,
+  UserCircleIcon,
+  TagIcon,
+  PrinterIcon,
+  ClockIcon,
+  SignalSlashIcon,
+  CloudArrowUpIcon,
+  CommandLineIcon,
+  StarIcon,
+  ComputerDesktopIcon,
+  ArrowUturnLeftIcon,
+  ArrowsRightLeftIcon,
 } from "@heroicons/react/24/outline";
 
 const POS = () => {
-  const { user } = useAuth();
+  const { user, updateProfile, hasPermission } = useAuth();
+  const { settings } = useSettings();
   const [products, setProducts] = useState([]);
   const [cart, setCart] = useState([]);
   const [searchTerm, setSearchTerm] = useState("");
   const [selectedCustomer, setSelectedCustomer] = useState(null);
   const [showPaymentModal, setShowPaymentModal] = useState(false);
   const [loading, setLoading] = useState(false);
-  const [paymentMethod, setPaymentMethod] = useState("cash");
-  const [amountPaid, setAmountPaid] = useState("");
   const [processing, setProcessing] = useState(false);
-  const [mpesaPhone, setMpesaPhone] = useState("");
-  const [mpesaPaymentStatus, setMpesaPaymentStatus] = useState(null);
-  const [mpesaTransactionId, setMpesaTransactionId] = useState("");
 
   // Pagination states
   const [currentPage, setCurrentPage] = useState(1);
@@ -39,13 +130,99 @@ const POS = () => {
   const [totalProducts, setTotalProducts] = useState(0);
   const productsPerPage = 12;
 
-  // Add debugging state
-  const [statusCheckCount, setStatusCheckCount] = useState(0);
-  const [lastStatusCheck, setLastStatusCheck] = useState(null);
+  // Barcode scanner states
+  const [scannerEnabled, setScannerEnabled] = useState(
+    () => localStorage.getItem("posScannerMode") !== "off"
+  );
+  const [scanFeedback, setScanFeedback] = useState(null);
+  const scanQueueRef = useRef(Promise.resolve());
+  const addToCartRef = useRef(null);
+
+  // Parked cart states
+  const [heldCarts, setHeldCarts] = useState([]);
+  const [showParkModal, setShowParkModal] = useState(false);
+  const [showHeldCartsModal, setShowHeldCartsModal] = useState(false);
+  const [parkLabel, setParkLabel] = useState("");
+
+  const [showCustomerModal, setShowCustomerModal] = useState(false);
+
+  // Product with variants waiting for a size, colour... to be picked
+  const [variantProduct, setVariantProduct] = useState(null);
+
+  // Discount states ("cart" or a cart line key while the modal is open)
+  const [cartDiscount, setCartDiscount] = useState(null);
+  const [lastSale, setLastSale] = useState(null);
+  const [showPrinterModal, setShowPrinterModal] = useState(false);
+
+  // Till session, sales are blocked until one is open
+  const shiftSession = useShift();
+  const { shift } = shiftSession;
+  const [showShiftModal, setShowShiftModal] = useState(false);
+
+  // Offline mode, cash sales are queued locally until the API is back
+  const offline = useOfflineSales();
+  const [showOfflineModal, setShowOfflineModal] = useState(false);
+  const [discountTarget, setDiscountTarget] = useState(null);
+  const discountPolicy = getDiscountPolicy(settings);
+  const pricingPolicy = getPricingPolicy(settings);
+  const canOverrideTier = hasPermission("products", "update");
+
+  // Keyboard workflow, the highlighted product and cart line
+  const shortcuts = useMemo(() => getShortcuts(user), [user]);
+  const [showShortcutsModal, setShowShortcutsModal] = useState(false);
+  const [paymentMethod, setPaymentMethod] = useState("cash");
+  const [paymentProgress, setPaymentProgress] = useState(null);
+  const [showReturnModal, setShowReturnModal] = useState(false);
+  // Items brought back against an earlier sale, credited to this cart
+  const [exchange, setExchange] = useState(null);
+  const [selectedProductIndex, setSelectedProductIndex] = useState(null);
+  const [selectedLine, setSelectedLine] = useState(null);
+  const searchInputRef = useRef(null);
+  const productGridRef = useRef(null);
+
+  // Product tabs: "favourites", "all" or a top-level category id
+  const [categoryTree, setCategoryTree] = useState([]);
+  const [activeTab, setActiveTab] = useState("favourites");
+  const [subCategory, setSubCategory] = useState(null);
+  const favouriteProducts = useFavouriteProducts();
+  const categoryFilter =
+    subCategory ||
+    (activeTab === "all" || activeTab === "favourites" ? null : activeTab);
+  const showFavourites = activeTab === "favourites" && !searchTerm;
+  const displayedProducts = showFavourites
+    ? favouriteProducts.favourites
+    : products;
+
+  useEffect(() => {
+    setHeldCarts(getHeldCarts(user?._id));
+  }, [user?._id]);
 
   useEffect(() => {
-    fetchProducts();
-  }, [currentPage]);
+    fetchCategories();
+  }, []);
+
+  useEffect(() => {
+    if (searchTerm) {
+      searchProducts();
+    } else {
+      fetchProducts();
+    }
+  }, [currentPage, categoryFilter]);
+
+  useEffect(() => {
+    setSelectedProductIndex((index) =>
+      index === null || displayedProducts.length === 0
+        ? null
+        : Math.min(index, displayedProducts.length - 1)
+    );
+  }, [displayedProducts]);
+
+  useEffect(() => {
+    if (selectedProductIndex === null) return;
+    productGridRef.current?.children[selectedProductIndex]?.scrollIntoView({
+      block: "nearest",
+    });
+  }, [selectedProductIndex]);
 
   useEffect(() => {
     const delayedSearch = setTimeout(() => {
@@ -60,6 +237,28 @@ const POS = () => {
     return () => clearTimeout(delayedSearch);
   }, [searchTerm]);
 
+  const fetchCategories = async () => {
+    try {
+      const response = await categoriesAPI.getCategoryTree();
+      setCategoryTree(getActiveCategories(response.data.data || []));
+    } catch (error) {
+      console.error("Failed to fetch categories:", error);
+    }
+  };
+
+  const changeTab = (tab, childId = null) => {
+    setActiveTab(tab);
+    setSubCategory(childId);
+    setCurrentPage(1);
+    setSelectedProductIndex(null);
+  };
+
+  // The selected category and everything under it, for the offline cache
+  const getCategoryIds = () =>
+    categoryFilter
+      ? getDescendantIds(findCategory(categoryTree, categoryFilter))
+      : null;
+
   const fetchProducts = async () => {
     try {
       setLoading(true);
@@ -68,6 +267,7 @@ const POS = () => {
         page: currentPage,
         status: "active",
         inStock: "true",
+        category: categoryFilter || undefined,
       });
 
       setProducts(response.data.data);
@@ -75,12 +275,35 @@ const POS = () => {
       setTotalPages(Math.ceil((response.data.total || 0) / productsPerPage));
     } catch (error) {
       console.error("Failed to fetch products:", error);
-      toast.error("Failed to load products");
+      if (isNetworkError(error)) {
+        await loadCachedProducts({
+          inStock: true,
+          categories: getCategoryIds(),
+        });
+      } else {
+        toast.error("Failed to load products");
+      }
     } finally {
       setLoading(false);
     }
   };
 
+  const loadCachedProducts = async (filters) => {
+    try {
+      const cached = await searchCachedProducts({
+        ...filters,
+        page: currentPage,
+        limit: productsPerPage,
+      });
+      offline.setIsOnline(false);
+      setProducts(cached.data);
+      setTotalProducts(cached.total);
+      setTotalPages(Math.ceil(cached.total / productsPerPage));
+    } catch (error) {
+      console.error("Failed to read cached products:", error);
+    }
+  };
+
   const searchProducts = async () => {
     try {
       setLoading(true);
@@ -89,6 +312,7 @@ const POS = () => {
         limit: productsPerPage,
         page: currentPage,
         status: "active",
+        category: categoryFilter || undefined,
       });
 
       setProducts(response.data.data);
@@ -96,6 +320,12 @@ const POS = () => {
       setTotalPages(Math.ceil((response.data.total || 0) / productsPerPage));
     } catch (error) {
       console.error("Failed to search products:", error);
+      if (isNetworkError(error)) {
+        await loadCachedProducts({
+          search: searchTerm,
+          categories: getCategoryIds(),
+        });
+      }
     } finally {
       setLoading(false);
     }
@@ -107,194 +337,435 @@ const POS = () => {
     }
   };
 
-  const addToCart = (product) => {
-    const existingItem = cart.find((item) => item.product === product._id);
+  // Each variant of a product gets its own cart line
+  const getLineKey = (product, variant) =>
+    variant ? `${product._id}:${getVariantId(variant)}` : product._id;
+
+  const addToCart = (
+    product,
+    quantity = getDefaultQuantity(product.unit),
+    variant = null
+  ) => {
+    if (!shift) {
+      toast.error("Open a shift before selling");
+      return false;
+    }
+
+    // The picker adds the line once a variant is chosen
+    if (hasVariants(product) && !variant) {
+      setVariantProduct(product);
+      return false;
+    }
+
+    const lineKey = getLineKey(product, variant);
+    const item = variant ? getVariantProduct(product, variant) : product;
+    const existingItem = cart.find((line) => line.lineKey === lineKey);
+    const newQuantity = roundQuantity(
+      (existingItem?.quantity || 0) + quantity,
+      item.unit
+    );
+
+    // Expired batches are still counted in stock until written off, but
+    // cannot be sold
+    const batched = !variant && tracksBatches(product);
+    const stock = batched
+      ? getSellableStock(product)
+      : item.inventory.currentStock;
+    if (exceedsStock(newQuantity, stock)) {
+      toast.error(
+        stock < item.inventory.currentStock
+          ? `Only ${stock} of ${item.name} is in date, the rest has expired`
+          : "Not enough stock available"
+      );
+      return false;
+    }
 
     if (existingItem) {
-      if (existingItem.quantity >= product.inventory.currentStock) {
-        toast.error("Not enough stock available");
-        return;
-      }
-      updateQuantity(product._id, existingItem.quantity + 1);
+      updateQuantity(lineKey, newQuantity);
     } else {
       const newItem = {
+        lineKey,
         product: product._id,
-        productName: product.name,
-        unitPrice: product.pricing.sellingPrice,
-        quantity: 1,
-        maxStock: product.inventory.currentStock,
-        sku: product.sku,
+        variant: variant ? getVariantId(variant) : undefined,
+        variantName: variant?.name,
+        productName: item.name,
+        unitPrice: item.pricing.sellingPrice,
+        prices: getTierPrices(item),
+        quantity: newQuantity,
+        unit: item.unit,
+        maxStock: stock,
+        sku: item.sku,
+        batches: batched ? getSellableBatches(product.batches) : undefined,
       };
       setCart([...cart, newItem]);
     }
+    setSelectedLine(lineKey);
+    return true;
   };
 
-  const updateQuantity = (productId, newQuantity) => {
+  const addVariantToCart = (variant) => {
+    if (addToCart(variantProduct, undefined, variant)) {
+      setVariantProduct(null);
+    }
+  };
+
+  // Scans resolve asynchronously, so always add with the latest cart
+  useEffect(() => {
+    addToCartRef.current = addToCart;
+  });
+
+  const showScanFeedback = (result) => {
+    setScanFeedback(result);
+    playBeep(result === "success" ? {} : { frequency: 300, duration: 300 });
+    setTimeout(() => setScanFeedback(null), 800);
+  };
+
+  // `codes` are the barcodes or SKUs that count as a match for the search
+  const findProductByCode = async (search, codes = [search]) => {
+    try {
+      const response = await productsAPI.getProducts({
+        search,
+        status: "active",
+        limit: 10,
+      });
+      return (response.data.data || []).find(
+        (item) =>
+          codes.includes(item.barcode) ||
+          codes.includes(item.sku) ||
+          findVariantByCode(item, codes)
+      );
+    } catch (error) {
+      if (!isNetworkError(error)) throw error;
+      offline.setIsOnline(false);
+      return findCachedProductByCode(codes);
+    }
+  };
+
+  const addScannedProduct = async (code) => {
+    try {
+      // Scale labels carry the product's item code plus a weight or price,
+      // and the product may be stored under the code with or without its
+      // 2x prefix
+      const scaleLabel = parseScaleBarcode(
+        code,
+        getScaleBarcodeConfig(settings)
+      );
+      const codes = scaleLabel
+        ? [scaleLabel.itemCode, `${scaleLabel.prefix}${scaleLabel.itemCode}`]
+        : [code];
+      const product = await findProductByCode(codes[0], codes);
+
+      if (!product) {
+        showScanFeedback("miss");
+        toast.error(`No product found for barcode ${code}`);
+        return;
+      }
+
+      // A variant's own barcode adds it straight away, the parent's asks
+      // which one
+      const variant = findVariantByCode(product, codes);
+      if (hasVariants(product) && !variant) {
+        showScanFeedback("success");
+        setVariantProduct(product);
+        return;
+      }
+
+      const item = variant ? getVariantProduct(product, variant) : product;
+      if (item.inventory.currentStock <= 0) {
+        showScanFeedback("miss");
+        toast.error(`${item.name} is out of stock`);
+        return;
+      }
+
+      let quantity;
+      if (scaleLabel) {
+        quantity = getScaleLabelQuantity(scaleLabel, item);
+        if (!quantity) {
+          showScanFeedback("miss");
+          toast.error(`${item.name} is not sold by weight or measure`);
+          return;
+        }
+      }
+
+      const added = addToCartRef.current(product, quantity, variant);
+      showScanFeedback(added ? "success" : "miss");
+    } catch (error) {
+      console.error("Failed to look up scanned barcode:", error);
+      showScanFeedback("miss");
+    }
+  };
+
+  const handleScan = (code, { target }) => {
+    // The burst was typed into the search box, take it back out
+    if (target?.dataset?.scannerInput) {
+      setSearchTerm((prev) =>
+        prev.endsWith(code) ? prev.slice(0, -code.length) : prev
+      );
+    }
+
+    // Process scans one at a time so quick successive scans all land
+    scanQueueRef.current = scanQueueRef.current.then(() =>
+      addScannedProduct(code)
+    );
+  };
+
+  useBarcodeScanner({
+    onScan: handleScan,
+    enabled:
+      scannerEnabled &&
+      Boolean(shift) &&
+      !showShiftModal &&
+      !showPaymentModal &&
+      !showParkModal &&
+      !showHeldCartsModal &&
+      !showCustomerModal &&
+      !showPrinterModal &&
+      !showOfflineModal &&
+      !showShortcutsModal &&
+      !showReturnModal &&
+      !variantProduct &&
+      !discountTarget,
+  });
+
+  const toggleScanner = () => {
+    const enabled = !scannerEnabled;
+    localStorage.setItem("posScannerMode", enabled ? "on" : "off");
+    setScannerEnabled(enabled);
+  };
+
+  const updateQuantity = (lineKey, newQuantity) => {
     if (newQuantity <= 0) {
-      removeFromCart(productId);
+      removeFromCart(lineKey);
       return;
     }
 
     setCart(
       cart.map((item) => {
-        if (item.product === productId) {
-          if (newQuantity > item.maxStock) {
+        if (item.lineKey === lineKey) {
+          if (exceedsStock(newQuantity, item.maxStock)) {
             toast.error("Not enough stock available");
             return item;
           }
-          return { ...item, quantity: newQuantity };
+          return {
+            ...item,
+            quantity: roundQuantity(newQuantity, item.unit),
+          };
         }
         return item;
       })
     );
   };
 
-  const updateLocalProductStock = (cartItems) => {
-    setProducts((prevProducts) =>
-      prevProducts.map((product) => {
-        const soldItem = cartItems.find((item) => item.product === product._id);
-        if (soldItem) {
-          return {
-            ...product,
-            inventory: {
-              ...product.inventory,
-              currentStock: Math.max(
-                0,
-                product.inventory.currentStock - soldItem.quantity
-              ),
-            },
-          };
-        }
-        return product;
-      })
+  // Pin a line to the other price tier, or back to its own tier
+  const toggleLineTier = (line) => {
+    const tierOverride = getNextTierOverride(
+      line,
+      getAutomaticTier(line, tierOptions)
+    );
+    setCart(
+      cart.map((item) =>
+        item.lineKey === line.lineKey ? { ...item, tierOverride } : item
+      )
     );
   };
 
-  const removeFromCart = (productId) => {
-    setCart(cart.filter((item) => item.product !== productId));
+  const updateLocalProductStock = (cartItems) => {
+    setProducts((prevProducts) => deductStock(prevProducts, cartItems));
+    favouriteProducts.updateStock(cartItems);
+  };
+
+  const removeFromCart = (lineKey) => {
+    const index = cart.findIndex((item) => item.lineKey === lineKey);
+    const remaining = cart.filter((item) => item.lineKey !== lineKey);
+    setCart(remaining);
+
+    if (selectedLine === lineKey) {
+      setSelectedLine(
+        remaining[Math.min(index, remaining.length - 1)]?.lineKey || null
+      );
+    }
   };
 
   const clearCart = () => {
     setCart([]);
+    setSelectedLine(null);
     setSelectedCustomer(null);
-    setAmountPaid("");
-    setMpesaPhone("");
-    setMpesaPaymentStatus(null);
-    setMpesaTransactionId("");
-    setStatusCheckCount(0);
-    setLastStatusCheck(null);
-  };
-
-  const calculateTotals = () => {
-    const subtotal = cart.reduce(
-      (sum, item) => sum + item.unitPrice * item.quantity,
-      0
-    );
+    setCartDiscount(null);
+    setExchange(null);
+  };
 
-    return {
-      subtotal,
-      total: subtotal,
-    };
+  const updateHeldCarts = (newHeldCarts) => {
+    setHeldCarts(newHeldCarts);
+    saveHeldCarts(user?._id, newHeldCarts);
   };
 
-  const handlePayment = async () => {
+  const holdCurrentCart = (label) => ({
+    id: generateId(),
+    label: label.trim() || `Cart ${new Date().toLocaleTimeString()}`,
+    items: cart,
+    customer: selectedCustomer,
+    cartDiscount,
+    heldAt: new Date().toISOString(),
+  });
+
+  // An exchange's credit lives only in the current cart, so a cart can't
+  // be parked or swapped out until the exchange is finished or cancelled
+  const exchangeBlocksParking = () => {
+    if (!exchange) return false;
+    toast.error("Finish or cancel the exchange first");
+    return true;
+  };
+
+  // The return has to be recorded against the original sale straight away,
+  // or its lines could be returned again, so exchanges are never queued
+  const exchangeNeedsConnection = () => {
+    if (!exchange || offline.isOnline) return false;
+    toast.error("Exchanges need a connection, try again when back online");
+    return true;
+  };
+
+  const parkCart = () => {
     if (cart.length === 0) {
       toast.error("Cart is empty");
       return;
     }
+    if (exchangeBlocksParking()) return;
+
+    const heldCart = holdCurrentCart(parkLabel);
+    updateHeldCarts([...heldCarts, heldCart]);
+    clearCart();
+    setParkLabel("");
+    setShowParkModal(false);
+    toast.success(`Cart parked as "${heldCart.label}"`);
+  };
 
-    const totals = calculateTotals();
+  const resumeCart = (heldCartId) => {
+    const heldCart = heldCarts.find((held) => held.id === heldCartId);
+    if (!heldCart || exchangeBlocksParking()) return;
 
-    // Validate payment method specific requirements
-    if (paymentMethod === "cash") {
-      const paidAmount = parseFloat(amountPaid) || 0;
-      if (paidAmount < totals.subtotal) {
-        toast.error("Amount paid is less than total");
-        return;
-      }
-    } else if (paymentMethod === "mpesa") {
-      if (!mpesaPhone || mpesaPhone.length < 10) {
-        toast.error("Please enter a valid M-Pesa phone number");
-        return;
-      }
+    let remaining = heldCarts.filter((held) => held.id !== heldCartId);
+
+    // Don't lose whatever is being rung up now
+    if (cart.length > 0) {
+      const currentCart = holdCurrentCart("");
+      remaining = [...remaining, currentCart];
+      toast.success(`Current cart parked as "${currentCart.label}"`);
     }
 
-    try {
-      setProcessing(true);
+    updateHeldCarts(remaining);
+    clearCart();
+    // Carts parked before variants were added have no line keys
+    setCart(
+      heldCart.items.map((item) => ({
+        ...item,
+        lineKey: item.lineKey || item.product,
+      }))
+    );
+    setSelectedCustomer(heldCart.customer || null);
+    setCartDiscount(heldCart.cartDiscount || null);
+    setShowHeldCartsModal(false);
+  };
 
-      let paymentData;
+  const deleteHeldCart = (heldCartId) => {
+    const heldCart = heldCarts.find((held) => held.id === heldCartId);
+    if (
+      !heldCart ||
+      !window.confirm(`Discard parked cart "${heldCart.label}"?`)
+    ) {
+      return;
+    }
 
-      if (paymentMethod === "mpesa") {
-        const loadingToast = toast.loading("Initiating M-Pesa payment...");
+    updateHeldCarts(heldCarts.filter((held) => held.id !== heldCartId));
+  };
 
-        try {
-          const mpesaResult = await initiateMpesaPayment(totals);
-          toast.dismiss(loadingToast);
+  const applyDiscount = (discount) => {
+    if (discountTarget === "cart") {
+      setCartDiscount(discount);
+    } else {
+      setCart(
+        cart.map((item) =>
+          item.lineKey === discountTarget ? { ...item, discount } : item
+        )
+      );
+    }
+    setDiscountTarget(null);
+  };
 
-          if (!mpesaResult.success) {
-            toast.error("M-Pesa payment failed to initiate");
-            return;
-          }
+  const removeDiscount = () => applyDiscount(null);
 
-          toast.success("M-Pesa payment completed!");
-
-          paymentData = {
-            method: paymentMethod,
-            status: "paid",
-            totalPaid: totals.total,
-            change: 0,
-            details: [
-              {
-                method: paymentMethod,
-                amount: totals.total,
-                transactionId: mpesaResult.transactionId,
-              },
-            ],
-          };
-        } catch (error) {
-          toast.dismiss(loadingToast);
-          console.error("M-Pesa payment error:", error);
-          toast.error(error.message || "M-Pesa payment failed");
-          return;
-        }
-      } else {
-        // Cash payment
-        const paidAmount = parseFloat(amountPaid) || 0;
-        paymentData = {
-          method: paymentMethod,
-          status: "paid",
-          totalPaid: paidAmount,
-          change: paidAmount - totals.total,
-          details: [
-            {
-              method: paymentMethod,
-              amount: paidAmount,
-            },
-          ],
-        };
-      }
+  const getDiscountApprovals = () =>
+    [
+      ...cart.map((item) => item.discount?.approval),
+      cartDiscount?.approval,
+    ].filter(Boolean);
+
+  const getAvailableCredit = (customer) =>
+    (customer?.credit?.limit || 0) - (customer?.credit?.balance || 0);
+
+  const selectCustomer = (customer) => {
+    setSelectedCustomer(customer);
+    setShowCustomerModal(false);
+  };
+
+  const handlePayment = async (paymentData) => {
+    if (cart.length === 0) {
+      toast.error("Cart is empty");
+      return;
+    }
+
+    if (!shift) {
+      toast.error("Open a shift before selling");
+      return;
+    }
+
+    // A parked cart can outlive the batches it was rung up from
+    const expiredLine = cart.find(
+      (item) =>
+        item.batches &&
+        exceedsStock(
+          item.quantity,
+          getBatchQuantity(getSellableBatches(item.batches), item.unit)
+        )
+    );
+    if (expiredLine) {
+      toast.error(
+        `Some ${expiredLine.productName} in the cart has expired, remove it and add it again`
+      );
+      return;
+    }
+
+    if (exchangeNeedsConnection()) return;
+    if (exchange) paymentData = withExchangeCredit(paymentData);
+
+    try {
+      setProcessing(true);
 
       // Create sale data
       const saleData = {
-        items: cart.map((item) => {
-          const itemSubtotal = item.unitPrice * item.quantity;
-          return {
-            product: item.product,
-            productName: item.productName,
-            quantity: item.quantity,
-            unitPrice: item.unitPrice,
-            discount: {
-              amount: 0,
-              percentage: 0,
-            },
-            subtotal: itemSubtotal,
-          };
-        }),
-        totals: {
-          subtotal: 0,
-          discount: 0,
-          total: 0,
-        },
+        items: totals.lines.map((line) => ({
+          product: line.product,
+          variant: line.variant,
+          // Sold first-expiry-first-out
+          batches:
+            line.batches &&
+            allocateBatches(
+              getSellableBatches(line.batches),
+              line.quantity,
+              line.unit
+            ),
+          productName: line.productName,
+          unit: line.unit,
+          quantity: line.quantity,
+          unitPrice: line.unitPrice,
+          priceTier: line.priceTier || "retail",
+          discount: {
+            amount: line.discountAmount,
+            percentage: line.discount?.percentage || 0,
+            approvedBy: line.discount?.approval?.approvedBy,
+          },
+          subtotal: line.subtotal,
+        })),
+        totals: toApiTotals(totals),
         customer: selectedCustomer?._id,
         customerInfo: selectedCustomer
           ? {
@@ -304,26 +775,98 @@ const POS = () => {
             }
           : undefined,
         payment: paymentData,
+        discountApprovals: getDiscountApprovals(),
+        shift: shift._id,
+        exchange: exchange
+          ? {
+              originalSale: exchange.sale._id,
+              receiptNumber: exchange.sale.receiptNumber,
+              items: getReturnedItems(exchange.items),
+              amount: exchange.amount,
+              reason: exchange.reason,
+            }
+          : undefined,
       };
 
       console.log("Creating sale with data:", saleData);
 
-      const response = await salesAPI.createSale(saleData);
-      const sale = response.data.data;
+      const cashOnly = paymentData.details.every(
+        (detail) => detail.method === "cash"
+      );
+      let sale;
 
-      toast.success("Sale completed successfully!");
+      if (!offline.isOnline && cashOnly) {
+        sale = await saveOfflineSale(saleData);
+      } else {
+        try {
+          const response = await salesAPI.createSale(saleData);
+          sale = response.data.data;
+        } catch (error) {
+          if (!isNetworkError(error)) throw error;
+          if (exchange) {
+            throw new Error("No connection. Exchanges can't be taken offline.");
+          }
+          if (!cashOnly) {
+            throw new Error(
+              "No connection. Only cash sales can be taken offline."
+            );
+          }
+          sale = await saveOfflineSale(saleData);
+        }
+      }
+
+      const creditAmount = paymentData.details
+        .filter((detail) => detail.method === "credit")
+        .reduce((sum, detail) => sum + detail.amount, 0);
+
+      if (creditAmount > 0) {
+        try {
+          await customersAPI.addCreditTransaction(selectedCustomer._id, {
+            amount: creditAmount,
+            type: "add",
+            description: `POS sale ${sale.receiptNumber}`,
+            sale: sale._id,
+          });
+        } catch (error) {
+          console.error("Failed to record credit transaction:", error);
+          toast.error(
+            `Sale saved but not posted to ${selectedCustomer.name}'s account`
+          );
+        }
+      }
+
+      if (exchange) {
+        await recordExchangeReturn(sale);
+        toast.success(
+          refundDue > 0
+            ? `Exchange completed. Give the customer ${formatCurrency(
+                refundDue
+              )} back.`
+            : "Exchange completed successfully!"
+        );
+      } else if (!sale.offline) {
+        toast.success("Sale completed successfully!");
+      }
 
       // Update local stock counts
       updateLocalProductStock(cart);
+      if (exchange) updateLocalProductStock(getRestockedItems(exchange.items));
 
       // Clear cart and reset form
       clearCart();
-      setPaymentMethod("cash");
-      setShowPaymentModal(false);
+      closePayment();
 
-      // Optionally print receipt
-      if (window.confirm("Would you like to print the receipt?")) {
-        await printReceipt(sale._id);
+      const receiptSale = { ...sale, cashier: user };
+      setLastSale(receiptSale);
+      const paidCash = (paymentData.details || []).some(
+        (detail) => detail.method === "cash"
+      );
+      if (getReceiptConfig(settings).printAutomatically) {
+        await printSaleReceipt(receiptSale, { openDrawer: paidCash });
+      } else if (paidCash) {
+        openCashDrawer().catch((error) =>
+          console.error("Failed to open cash drawer:", error)
+        );
       }
     } catch (error) {
       console.error("Failed to process sale:", error);
@@ -337,114 +880,409 @@ const POS = () => {
     }
   };
 
-  const printReceipt = async (saleId) => {
+  const saveOfflineSale = async (saleData) => {
+    const pendingSale = await offline.queueOfflineSale(saleData);
+    offline.setIsOnline(false);
+    toast.success(
+      `Saved offline as ${pendingSale.receiptNumber}. It will sync when the connection is back.`
+    );
+
+    return {
+      ...saleData,
+      receiptNumber: pendingSale.receiptNumber,
+      createdAt: pendingSale.createdAt,
+      offline: true,
+    };
+  };
+
+  const printSaleReceipt = async (sale, options) => {
     try {
-      await salesAPI.printReceipt(saleId);
-      toast.success("Receipt printed successfully");
+      await printSale(sale, settings, options);
     } catch (error) {
       console.error("Failed to print receipt:", error);
       toast.error("Failed to print receipt");
     }
   };
 
-  const initiateMpesaPayment = async (totals) => {
+  const getReturnedItems = (items) =>
+    items.map((item) => ({
+      productId: item.productId,
+      variant: item.variant,
+      quantity: item.quantity,
+    }));
+
+  // Returned stock goes back on the shelf, so deduct a negative quantity
+  const getRestockedItems = (items) =>
+    items.map((item) => ({
+      product: item.productId,
+      variant: item.variant,
+      quantity: -item.quantity,
+    }));
+
+  // Refunds go back the way the sale was paid. Cash comes out of the drawer
+  // as a shift pay-out, recorded before the refund so a refund never goes
+  // through without it, and reversed again if the refund is refused.
+  const refundReturn = async ({ sale, items, amount, reason }) => {
+    const tenders = getRefundTenders(sale, amount);
+    const cash = tenders.cash || 0;
+    const payout = {
+      amount: cash,
+      reason: `Refund on receipt ${sale.receiptNumber}`,
+    };
+
+    if (cash > 0 && !shift) {
+      toast.error("Open a shift before refunding cash");
+      return;
+    }
+
     try {
-      setMpesaPaymentStatus("pending");
-      setStatusCheckCount(0);
+      setProcessing(true);
+      if (cash > 0) {
+        await shiftSession.addCashMovement({ type: "out", ...payout });
+      }
 
-      console.log("Initiating M-Pesa payment with:", {
-        phone: mpesaPhone,
-        amount: totals.total,
+      try {
+        await salesAPI.refundSale(sale._id, {
+          items: getReturnedItems(items),
+          amount,
+          tenders,
+          reason,
+          shift: shift?._id,
+        });
+      } catch (error) {
+        if (cash > 0) {
+          await shiftSession
+            .addCashMovement({
+              type: "in",
+              ...payout,
+              reason: `${payout.reason} not completed`,
+            })
+            .catch((movementError) =>
+              console.error("Failed to reverse refund pay-out:", movementError)
+            );
+        }
+        throw error;
+      }
+
+      updateLocalProductStock(getRestockedItems(items));
+      setShowReturnModal(false);
+      toast.success(
+        `Refunded ${formatCurrency(amount)} on receipt ${sale.receiptNumber}`
+      );
+
+      if (tenders.credit > 0) await refundToAccount(sale, tenders.credit);
+      if (tenders.mpesa > 0) await reverseMpesa(sale, tenders.mpesa);
+      const otherMethods = Object.keys(tenders).filter(
+        (method) => !["cash", "credit", "mpesa"].includes(method)
+      );
+      otherMethods.forEach((method) =>
+        toast(
+          `Refund ${formatCurrency(tenders[method])} by ${
+            PAYMENT_LABELS[method] || method
+          }`
+        )
+      );
+
+      if (cash > 0) {
+        openCashDrawer().catch((error) =>
+          console.error("Failed to open cash drawer:", error)
+        );
+      }
+    } catch (error) {
+      console.error("Failed to process refund:", error);
+      toast.error(error.response?.data?.message || "Failed to process refund");
+    } finally {
+      setProcessing(false);
+    }
+  };
+
+  // The on-account part of a refund comes off what the customer owes
+  const refundToAccount = async (sale, amount) => {
+    const customerId = sale.customer?._id || sale.customer;
+    try {
+      await customersAPI.addCreditTransaction(customerId, {
+        amount,
+        type: "deduct",
+        description: `Refund on receipt ${sale.receiptNumber}`,
+        sale: sale._id,
       });
+    } catch (error) {
+      console.error("Failed to record credit refund:", error);
+      toast.error(
+        `Refund saved but ${formatCurrency(
+          amount
+        )} not taken off the customer's account`
+      );
+    }
+  };
+
+  const reverseMpesa = async (sale, amount) => {
+    try {
+      await salesAPI.reverseMpesaPayment(sale._id, { amount });
+      toast.success(`${formatCurrency(amount)} M-Pesa reversal requested`);
+    } catch (error) {
+      console.error("Failed to reverse M-Pesa payment:", error);
+      toast.error(
+        `Refund saved but the ${formatCurrency(amount)} M-Pesa reversal failed`
+      );
+    }
+  };
+
+  const startExchange = (saleReturn) => {
+    setExchange(saleReturn);
+    setShowReturnModal(false);
+    toast.success(
+      `${formatCurrency(saleReturn.amount)} credit from receipt ${
+        saleReturn.sale.receiptNumber
+      }. Add the replacement items.`
+    );
+  };
 
-      const response = await salesAPI.initiateMpesaPayment({
-        phone: mpesaPhone,
-        amount: totals.total,
+  // The returned lines are refunded on the original sale, paid out as
+  // credit towards the new one, so they can't be returned a second time
+  const recordExchangeReturn = async (sale) => {
+    try {
+      await salesAPI.refundSale(exchange.sale._id, {
+        items: getReturnedItems(exchange.items),
+        amount: exchange.amount,
+        tenders: { exchange: exchange.amount },
+        reason: exchange.reason,
+        exchangeSale: sale._id,
+        shift: shift?._id,
       });
+    } catch (error) {
+      console.error("Failed to record exchange return:", error);
+      toast.error(
+        `Exchange saved but the return wasn't recorded on receipt ${exchange.sale.receiptNumber}`
+      );
+    }
+  };
 
-      console.log("M-Pesa initiation response:", response.data);
+  // The returned items pay for the new cart as their own tender, so the
+  // return and the new sale settle in one transaction
+  const withExchangeCredit = (paymentData) => ({
+    ...paymentData,
+    method: paymentData.details.length > 0 ? "mixed" : "exchange",
+    totalPaid: paymentData.totalPaid + exchange.amount,
+    details: [
+      { method: "exchange", amount: exchange.amount },
+      ...paymentData.details,
+    ],
+  });
+
+  // When the credit covers the cart there is nothing to collect, only any
+  // difference to hand back in cash
+  const completeExchange = () =>
+    handlePayment({
+      status: "paid",
+      totalPaid: -refundDue,
+      change: 0,
+      details: refundDue > 0 ? [{ method: "cash", amount: -refundDue }] : [],
+    });
+
+  const openPayment = (method) => {
+    if (cart.length === 0) {
+      toast.error("Cart is empty");
+      return;
+    }
+    if (!shift) {
+      toast.error("Open a shift before selling");
+      return;
+    }
+    if (exchangeNeedsConnection()) return;
+    if (exchange && amountDue === 0) {
+      completeExchange();
+      return;
+    }
+    if (method === "mpesa" && !offline.isOnline) {
+      toast.error("Only cash can be taken while offline");
+      return;
+    }
+    setPaymentMethod(method);
+    setShowPaymentModal(true);
+  };
 
-      const checkoutRequestId = response.data?.data?.checkoutRequestId;
+  const getGridColumns = () =>
+    productGridRef.current
+      ? getComputedStyle(productGridRef.current).gridTemplateColumns.split(" ")
+          .length
+      : 1;
+
+  const moveProductSelection = (offset) => {
+    if (displayedProducts.length === 0) return;
+    setSelectedProductIndex((index) =>
+      index === null
+        ? 0
+        : Math.max(0, Math.min(displayedProducts.length - 1, index + offset))
+    );
+  };
 
-      if (!checkoutRequestId) {
-        console.error("No checkoutRequestId in response");
-        setMpesaPaymentStatus("failed");
-        throw new Error("Invalid response from M-Pesa service");
-      }
+  const moveLineSelection = (offset) => {
+    if (cart.length === 0) return;
+    const index = cart.findIndex((item) => item.lineKey === selectedLine);
+    const nextIndex =
+      index === -1
+        ? offset > 0
+          ? 0
+          : cart.length - 1
+        : Math.max(0, Math.min(cart.length - 1, index + offset));
+    setSelectedLine(cart[nextIndex].lineKey);
+  };
 
-      // Return a promise that resolves when payment is complete
-      return new Promise((resolve) => {
-        let pollCount = 0;
-        const maxPolls = 20; // Poll for up to 60 seconds (20 polls * 3 seconds)
+  // The selected line, or the last one added when nothing is selected
+  const getSelectedLine = () =>
+    cart.find((item) => item.lineKey === selectedLine) || cart[cart.length - 1];
+
+  const changeSelectedQuantity = (change) => {
+    const item = getSelectedLine();
+    if (item) {
+      updateQuantity(
+        item.lineKey,
+        roundQuantity(
+          item.quantity + change * getUnit(item.unit).step,
+          item.unit
+        )
+      );
+    }
+  };
 
-        const pollPaymentStatus = async () => {
-          try {
-            pollCount++;
-            setStatusCheckCount(pollCount);
-            setLastStatusCheck(new Date().toLocaleTimeString());
+  const closeOpenModal = () => {
+    setShowParkModal(false);
+    setShowHeldCartsModal(false);
+    setShowCustomerModal(false);
+    setShowPrinterModal(false);
+    setShowOfflineModal(false);
+    setShowShiftModal(false);
+    setShowShortcutsModal(false);
+    setShowReturnModal(false);
+    setVariantProduct(null);
+    setDiscountTarget(null);
+  };
+
+  const modalOpen =
+    showParkModal ||
+    showHeldCartsModal ||
+    showCustomerModal ||
+    showPrinterModal ||
+    showOfflineModal ||
+    showShiftModal ||
+    showShortcutsModal ||
+    showReturnModal ||
+    Boolean(variantProduct) ||
+    Boolean(discountTarget);
+
+  useKeyboardShortcuts({
+    shortcuts,
+    // The payment modal handles its own keys
+    enabled: !showPaymentModal,
+    handlers: modalOpen
+      ? { closeModal: closeOpenModal }
+      : {
+          showShortcuts: () => setShowShortcutsModal(true),
+          focusSearch: () => searchInputRef.current?.focus(),
+          selectCustomer: () => setShowCustomerModal(true),
+          cartDiscount: () => cart.length > 0 && setDiscountTarget("cart"),
+          parkCart: () =>
+            cart.length > 0 &&
+            !exchangeBlocksParking() &&
+            setShowParkModal(true),
+          heldCarts: () => setShowHeldCartsModal(true),
+          closeModal: () => searchInputRef.current?.blur(),
+          productUp: () => moveProductSelection(-getGridColumns()),
+          productDown: () => moveProductSelection(getGridColumns()),
+          productLeft: () => moveProductSelection(-1),
+          productRight: () => moveProductSelection(1),
+          addProduct: () =>
+            selectedProductIndex !== null &&
+            displayedProducts[selectedProductIndex] &&
+            addToCart(displayedProducts[selectedProductIndex]),
+          previousPage: () =>
+            !showFavourites && handlePageChange(currentPage - 1),
+          nextPage: () => !showFavourites && handlePageChange(currentPage + 1),
+          previousLine: () => moveLineSelection(-1),
+          nextLine: () => moveLineSelection(1),
+          increaseQuantity: () => changeSelectedQuantity(1),
+          decreaseQuantity: () => changeSelectedQuantity(-1),
+          removeLine: () => {
+            const item = getSelectedLine();
+            if (item) removeFromCart(item.lineKey);
+          },
+          payCash: () => openPayment("cash"),
+          payMpesa: () => openPayment("mpesa"),
+          checkout: () => openPayment("cash"),
+        },
+  });
+
+  const handleSearchKeyDown = (e) => {
+    if (e.key === "ArrowDown" && displayedProducts.length > 0) {
+      e.preventDefault();
+      e.target.blur();
+      setSelectedProductIndex(0);
+    } else if (e.key === "Enter" && !loading && displayedProducts.length > 0) {
+      e.preventDefault();
+      addToCart(displayedProducts[selectedProductIndex ?? 0]);
+    }
+  };
 
-            console.log(`Polling status (attempt ${pollCount})...`);
+  const closePayment = () => {
+    setShowPaymentModal(false);
+    setPaymentProgress(null);
+  };
 
-            const statusResponse = await salesAPI.checkMpesaPaymentStatus(
-              checkoutRequestId
-            );
-            console.log("Status response:", statusResponse.data);
-
-            const { status, transactionId, resultDesc } =
-              statusResponse.data.data;
-
-            if (status === "success") {
-              setMpesaPaymentStatus("success");
-              setMpesaTransactionId(transactionId);
-              resolve({ success: true, transactionId });
-            } else if (status === "failed" || status === "cancelled") {
-              setMpesaPaymentStatus("failed");
-              resolve({
-                success: false,
-                error: resultDesc || "Payment failed or was cancelled",
-              });
-            } else if (pollCount >= maxPolls) {
-              // Timeout after maxPolls attempts
-              setMpesaPaymentStatus("failed");
-              resolve({
-                success: false,
-                error:
-                  "Payment verification timeout. Please check your M-Pesa messages.",
-              });
-            } else {
-              // Still pending, poll again
-              setTimeout(pollPaymentStatus, 3000);
-            }
-          } catch (error) {
-            console.error("Status polling error:", error);
+  const saveShortcuts = async (nextShortcuts) => {
+    // Only keep keys that differ from the defaults
+    const changedShortcuts = Object.fromEntries(
+      Object.entries(nextShortcuts).filter(
+        ([actionId, key]) => DEFAULT_SHORTCUTS[actionId] !== key
+      )
+    );
 
-            if (pollCount >= maxPolls) {
-              setMpesaPaymentStatus("failed");
-              resolve({ success: false, error: "Payment verification failed" });
-            } else {
-              // Retry on error
-              setTimeout(pollPaymentStatus, 3000);
-            }
-          }
-        };
+    const result = await updateProfile({
+      settings: {
+        ...user?.settings,
+        preferences: {
+          ...user?.settings?.preferences,
+          shortcuts: changedShortcuts,
+        },
+      },
+    });
 
-        // Start polling after 2 seconds
-        setTimeout(pollPaymentStatus, 2000);
-      });
-    } catch (error) {
-      console.error("M-Pesa initiation error:", error);
-      setMpesaPaymentStatus("failed");
-      throw new Error(
-        error.response?.data?.message || "Failed to initiate M-Pesa payment"
-      );
+    if (result.success) {
+      setShowShortcutsModal(false);
+    } else {
+      toast.error(result.error);
     }
   };
 
-  const totals = calculateTotals();
-  const change =
-    paymentMethod === "cash"
-      ? (parseFloat(amountPaid) || 0) - totals.subtotal
-      : 0;
+  const tierOptions = { customer: selectedCustomer, policy: pricingPolicy };
+  const totals = calculateTotals(applyPriceTiers(cart, tierOptions), {
+    cartDiscount,
+    tax: getTaxConfig(settings),
+  });
+  const exchangeCredit = exchange?.amount || 0;
+  const amountDue = Math.max(0, totals.total - exchangeCredit);
+  const refundDue = Math.max(0, exchangeCredit - totals.total);
+
+  const customerDisplay = useCustomerDisplay({
+    items: totals.lines.map((line) => ({
+      id: line.lineKey,
+      name: line.productName,
+      quantity: line.quantity,
+      unit: line.unit,
+      unitPrice: line.unitPrice,
+      discountAmount: line.discountAmount,
+      subtotal: line.subtotal,
+    })),
+    totals: toApiTotals(totals),
+    exchangeCredit,
+    customer: selectedCustomer?.name || null,
+    payment: showPaymentModal ? paymentProgress : null,
+    lastSale: lastSale && {
+      receiptNumber: lastSale.receiptNumber,
+      total: lastSale.totals?.total,
+      change: lastSale.payment?.change || 0,
+    },
+  });
 
   // Pagination component
   const PaginationControls = () => (
@@ -517,9 +1355,84 @@ const POS = () => {
             <h1 className="text-2xl font-bold text-secondary-900">
               Point of Sale
             </h1>
-            <div className="text-sm text-secondary-600">
-              Cashier:{" "}
-              <span className="text-red-600 font-semibold">{user?.name}</span>
+            <div className="flex items-center space-x-4">
+              <button
+                onClick={toggleScanner}
+                title="Add products straight to the cart when a barcode is scanned"
+                className={`flex items-center px-3 py-1 text-sm border rounded-md ${
+                  scannerEnabled
+                    ? "border-green-500 bg-green-50 text-green-700"
+                    : "border-secondary-300 text-secondary-600 hover:bg-secondary-50"
+                }`}
+              >
+                <QrCodeIcon className="h-4 w-4 mr-1" />
+                Scanner {scannerEnabled ? "On" : "Off"}
+              </button>
+              {!offline.isOnline && (
+                <span className="flex items-center px-3 py-1 text-sm rounded-md bg-red-50 text-red-700">
+                  <SignalSlashIcon className="h-4 w-4 mr-1" />
+                  Offline
+                </span>
+              )}
+              {offline.queuedSales.length > 0 && (
+                <button
+                  onClick={() => setShowOfflineModal(true)}
+                  title="Sales waiting to be sent to the server"
+                  className="flex items-center px-3 py-1 text-sm border border-yellow-400 bg-yellow-50 text-yellow-800 rounded-md"
+                >
+                  <CloudArrowUpIcon className="h-4 w-4 mr-1" />
+                  {offline.queuedSales.length} unsynced
+                </button>
+              )}
+              {shift && (
+                <button
+                  onClick={() => setShowShiftModal(true)}
+                  title="Pay-ins, pay-outs and shift reports"
+                  className="flex items-center px-3 py-1 text-sm border border-secondary-300 rounded-md text-secondary-600 hover:bg-secondary-50"
+                >
+                  <ClockIcon className="h-4 w-4 mr-1" />
+                  Shift
+                </button>
+              )}
+              {shift && hasPermission("sales", "void") && (
+                <button
+                  onClick={() => setShowReturnModal(true)}
+                  disabled={!offline.isOnline}
+                  title="Return or exchange items from a receipt"
+                  className="flex items-center px-3 py-1 text-sm border border-secondary-300 rounded-md text-secondary-600 hover:bg-secondary-50 disabled:opacity-50"
+                >
+                  <ArrowUturnLeftIcon className="h-4 w-4 mr-1" />
+                  Return
+                </button>
+              )}
+              {customerDisplay.supported && (
+                <button
+                  onClick={customerDisplay.openDisplay}
+                  title="Open the customer-facing display"
+                  className="p-1 text-secondary-500 hover:text-secondary-700"
+                >
+                  <ComputerDesktopIcon className="h-5 w-5" />
+                </button>
+              )}
+              <button
+                onClick={() => setShowShortcutsModal(true)}
+                title="Keyboard shortcuts"
+                className="flex items-center px-3 py-1 text-sm border border-secondary-300 rounded-md text-secondary-600 hover:bg-secondary-50"
+              >
+                <CommandLineIcon className="h-4 w-4 mr-1" />
+                {formatKeyName(shortcuts.showShortcuts)}
+              </button>
+              <button
+                onClick={() => setShowPrinterModal(true)}
+                title="Receipt printer"
+                className="p-1 text-secondary-500 hover:text-secondary-700"
+              >
+                <PrinterIcon className="h-5 w-5" />
+              </button>
+              <div className="text-sm text-secondary-600">
+                Cashier:{" "}
+                <span className="text-red-600 font-semibold">{user?.name}</span>
+              </div>
             </div>
           </div>
 
@@ -531,83 +1444,166 @@ const POS = () => {
               placeholder="Search products by name, SKU, or barcode..."
               value={searchTerm}
               onChange={(e) => setSearchTerm(e.target.value)}
-              className="w-full pl-10 pr-4 py-2 border border-secondary-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500"
+              onKeyDown={handleSearchKeyDown}
+              ref={searchInputRef}
+              data-scanner-input="true"
+              className={`w-full pl-10 pr-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500 transition-colors duration-200 ${
+                scanFeedback === "success"
+                  ? "border-green-500 bg-green-50"
+                  : scanFeedback === "miss"
+                  ? "border-red-500 bg-red-50"
+                  : "border-secondary-300"
+              }`}
             />
           </div>
         </div>
 
         {/* Products Grid - Scrollable Content */}
-        <div className="flex-1 overflow-hidden flex flex-col">
-          <div className="flex-1 overflow-y-auto">
-            <div className="p-4">
-              {loading ? (
-                <div className="flex justify-center items-center h-64">
-                  <LoadingSpinner />
-                </div>
-              ) : (
-                <div className="grid grid-cols-2 md:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-4">
-                  {products.map((product) => (
-                    <div
-                      key={product._id}
-                      onClick={() => addToCart(product)}
-                      className="bg-white border border-secondary-200 rounded-lg p-4 hover:shadow-md transition-shadow duration-200 cursor-pointer flex flex-col"
-                    >
-                      <div className="aspect-square bg-secondary-100 rounded-lg mb-3 flex items-center justify-center">
-                        {product.images?.[0]?.url ? (
-                          <img
-                            src={product.images[0].url}
-                            alt={product.name}
-                            className="w-full h-full object-cover rounded-lg"
-                          />
-                        ) : (
-                          <div className="text-secondary-400 text-center">
-                            <div className="text-2xl mb-1">📦</div>
-                            <div className="text-xs">No Image</div>
-                          </div>
+        {!shift ? (
+          shiftSession.loading ? (
+            <div className="flex-1 flex justify-center items-center">
+              <LoadingSpinner />
+            </div>
+          ) : (
+            <OpenShiftPanel onOpen={shiftSession.openShift} />
+          )
+        ) : (
+          <div className="flex-1 overflow-hidden flex flex-col">
+            <CategoryTabs
+              categories={categoryTree}
+              activeTab={activeTab}
+              subCategory={subCategory}
+              onChange={changeTab}
+            />
+            <div className="flex-1 overflow-y-auto">
+              <div className="p-4">
+                {showFavourites ? (
+                  <FavouritesGrid
+                    products={favouriteProducts.favourites}
+                    loading={favouriteProducts.loading}
+                    selectedIndex={selectedProductIndex}
+                    gridRef={productGridRef}
+                    canPin={favouriteProducts.canPin}
+                    onSelect={(product, index) => {
+                      setSelectedProductIndex(index);
+                      addToCart(product);
+                    }}
+                    onUnpin={favouriteProducts.togglePin}
+                  />
+                ) : loading ? (
+                  <div className="flex justify-center items-center h-64">
+                    <LoadingSpinner />
+                  </div>
+                ) : (
+                  <div
+                    ref={productGridRef}
+                    className="grid grid-cols-2 md:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-4"
+                  >
+                    {products.map((product, index) => (
+                      <div
+                        key={product._id}
+                        onClick={() => {
+                          setSelectedProductIndex(index);
+                          addToCart(product);
+                        }}
+                        className={`relative bg-white border rounded-lg p-4 hover:shadow-md transition-shadow duration-200 cursor-pointer flex flex-col ${
+                          selectedProductIndex === index
+                            ? "border-primary-500 ring-2 ring-primary-500"
+                            : "border-secondary-200"
+                        }`}
+                      >
+                        {favouriteProducts.canPin && (
+                          <button
+                            onClick={(e) => {
+                              e.stopPropagation();
+                              favouriteProducts.togglePin(product);
+                            }}
+                            className={`absolute top-2 right-2 z-10 p-1 rounded-full bg-white shadow ${
+                              favouriteProducts.isPinned(product._id)
+                                ? "text-yellow-500"
+                                : "text-secondary-400 hover:text-yellow-500"
+                            }`}
+                            title={
+                              favouriteProducts.isPinned(product._id)
+                                ? "Remove from favourites"
+                                : "Pin to favourites"
+                            }
+                          >
+                            <StarIcon
+                              className={`h-4 w-4 ${
+                                favouriteProducts.isPinned(product._id)
+                                  ? "fill-current"
+                                  : ""
+                              }`}
+                            />
+                          </button>
                         )}
-                      </div>
+                        <div className="aspect-square bg-secondary-100 rounded-lg mb-3 flex items-center justify-center">
+                          {getPrimaryImage(product) ? (
+                            <img
+                              src={getThumbnailUrl(getPrimaryImage(product))}
+                              alt={product.name}
+                              className="w-full h-full object-cover rounded-lg"
+                            />
+                          ) : (
+                            <div className="text-secondary-400 text-center">
+                              <div className="text-2xl mb-1">📦</div>
+                              <div className="text-xs">No Image</div>
+                            </div>
+                          )}
+                        </div>
 
-                      <div className="flex flex-col flex-1">
-                        <h3 className="font-medium text-secondary-900 mb-1 line-clamp-1">
-                          {product.name}
-                        </h3>
-                        <p className="text-sm text-secondary-600 mb-2 truncate">
-                          SKU: {product.sku}
-                        </p>
-                        <div className="mt-auto space-y-1">
-                          <div className="text-lg font-bold text-primary-600">
-                            {formatCurrency(product.pricing.sellingPrice)}
-                          </div>
-                          <div className="text-xs text-right text-green-800 font-semibold">
-                            Stock: {product.inventory.currentStock}
+                        <div className="flex flex-col flex-1">
+                          <h3 className="font-medium text-secondary-900 mb-1 line-clamp-1">
+                            {product.name}
+                          </h3>
+                          <p className="text-sm text-secondary-600 mb-2 truncate">
+                            SKU: {product.sku}
+                          </p>
+                          <div className="mt-auto space-y-1">
+                            <div className="text-lg font-bold text-primary-600">
+                              {hasVariants(product)
+                                ? `From ${formatCurrency(
+                                    getPriceRange(product).min
+                                  )}`
+                                : formatCurrency(product.pricing.sellingPrice)}
+                            </div>
+                            <div className="text-xs text-right text-green-800 font-semibold">
+                              Stock: {product.inventory.currentStock}
+                            </div>
                           </div>
                         </div>
                       </div>
-                    </div>
-                  ))}
-                </div>
-              )}
+                    ))}
+                  </div>
+                )}
 
-              {!loading && products.length === 0 && (
-                <div className="text-center py-12">
-                  <div className="text-secondary-400 mb-4">
-                    <MagnifyingGlassIcon className="h-12 w-12 mx-auto" />
+                {!showFavourites && !loading && products.length === 0 && (
+                  <div className="text-center py-12">
+                    <div className="text-secondary-400 mb-4">
+                      <MagnifyingGlassIcon className="h-12 w-12 mx-auto" />
+                    </div>
+                    <p className="text-secondary-600">
+                      {searchTerm
+                        ? "No products found"
+                        : "No products available"}
+                    </p>
                   </div>
-                  <p className="text-secondary-600">
-                    {searchTerm ? "No products found" : "No products available"}
-                  </p>
+                )}
+              </div>
+            </div>
+
+            {/* Fixed Pagination at bottom */}
+            {!showFavourites &&
+              !loading &&
+              products.length > 0 &&
+              totalPages > 1 && (
+                <div className="flex-shrink-0">
+                  <PaginationControls />
                 </div>
               )}
-            </div>
           </div>
-
-          {/* Fixed Pagination at bottom */}
-          {!loading && products.length > 0 && totalPages > 1 && (
-            <div className="flex-shrink-0">
-              <PaginationControls />
-            </div>
-          )}
-        </div>
+        )}
       </div>
 
       {/* Cart Section - Fixed width, smaller height */}
@@ -634,14 +1630,86 @@ const POS = () => {
             )}
           </div>
 
-          <button className="w-full mt-3 p-2 border border-secondary-300 rounded-lg text-left hover:bg-secondary-50 transition-colors duration-200">
-            <div className="flex justify-center items-center">
-              <ShoppingCartIcon className="h-5 w-5 text-secondary-400 mr-2" />
-              <span className="text-sm text-secondary-600">
-                <p>Shop worry-free</p>
+          {selectedCustomer ? (
+            <div className="w-full mt-3 p-2 border border-primary-200 bg-primary-50 rounded-lg flex items-center justify-between">
+              <button
+                onClick={() => setShowCustomerModal(true)}
+                className="flex items-center min-w-0 text-left"
+              >
+                <UserCircleIcon className="h-5 w-5 text-primary-600 mr-2 flex-shrink-0" />
+                <div className="min-w-0">
+                  <p className="text-sm font-medium text-primary-900 truncate">
+                    {selectedCustomer.name}
+                  </p>
+                  <p className="text-xs text-primary-700">
+                    {selectedCustomer.phone}
+                    {selectedCustomer.credit?.allowCredit &&
+                      ` · Credit ${formatCurrency(
+                        getAvailableCredit(selectedCustomer)
+                      )}`}
+                  </p>
+                </div>
+              </button>
+              <button
+                onClick={() => selectCustomer(null)}
+                className="text-primary-600 hover:text-primary-700 ml-2"
+                title="Remove customer"
+              >
+                <XMarkIcon className="h-4 w-4" />
+              </button>
+            </div>
+          ) : (
+            <button
+              onClick={() => setShowCustomerModal(true)}
+              className="w-full mt-3 p-2 border border-secondary-300 rounded-lg text-left hover:bg-secondary-50 transition-colors duration-200"
+            >
+              <div className="flex justify-center items-center">
+                <UserIcon className="h-5 w-5 text-secondary-400 mr-2" />
+                <span className="text-sm text-secondary-600">
+                  Walk-in customer · Add customer
+                </span>
+              </div>
+            </button>
+          )}
+
+          <div className="grid grid-cols-2 gap-2 mt-2">
+            <button
+              onClick={() => setShowParkModal(true)}
+              disabled={cart.length === 0 || Boolean(exchange)}
+              className="flex items-center justify-center p-2 text-sm border border-secondary-300 rounded-lg text-secondary-700 hover:bg-secondary-50 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              <PauseCircleIcon className="h-4 w-4 mr-1" />
+              Park Cart
+            </button>
+            <button
+              onClick={() => setShowHeldCartsModal(true)}
+              className="flex items-center justify-center p-2 text-sm border border-secondary-300 rounded-lg text-secondary-700 hover:bg-secondary-50"
+            >
+              Parked
+              {heldCarts.length > 0 && (
+                <span className="ml-2 bg-primary-100 text-primary-800 text-xs font-medium px-2 py-0.5 rounded-full">
+                  {heldCarts.length}
+                </span>
+              )}
+            </button>
+          </div>
+
+          {exchange && (
+            <div className="flex items-center justify-between mt-2 p-2 bg-yellow-50 border border-yellow-200 rounded-lg text-sm text-yellow-800">
+              <span className="flex items-center">
+                <ArrowsRightLeftIcon className="h-4 w-4 mr-1" />
+                Exchange for {exchange.sale.receiptNumber} ·{" "}
+                {formatCurrency(exchange.amount)} credit
               </span>
+              <button
+                onClick={() => setExchange(null)}
+                title="Cancel exchange"
+                className="text-yellow-700 hover:text-yellow-900"
+              >
+                <XMarkIcon className="h-4 w-4" />
+              </button>
             </div>
-          </button>
+          )}
         </div>
 
         {/* Cart Content - Scrollable */}
@@ -656,6 +1724,15 @@ const POS = () => {
                 <p className="text-sm text-secondary-500">
                   Add products to start a sale
                 </p>
+                {lastSale && (
+                  <button
+                    onClick={() => printSaleReceipt(lastSale)}
+                    className="mt-4 inline-flex items-center text-sm text-primary-600 hover:text-primary-700"
+                  >
+                    <PrinterIcon className="h-4 w-4 mr-1" />
+                    Print receipt {lastSale.receiptNumber}
+                  </button>
+                )}
               </div>
             </div>
           ) : (
@@ -663,22 +1740,51 @@ const POS = () => {
               {/* Cart Items - Scrollable */}
               <div className="flex-1 overflow-y-auto p-4">
                 <div className="space-y-3">
-                  {cart.map((item) => (
+                  {totals.lines.map((item) => (
                     <div
-                      key={item.product}
-                      className="bg-secondary-50 rounded-lg p-3 border-l-4 border-primary-200"
+                      key={item.lineKey}
+                      onClick={() => setSelectedLine(item.lineKey)}
+                      className={`rounded-lg p-3 border-l-4 ${
+                        selectedLine === item.lineKey
+                          ? "bg-primary-50 border-primary-600"
+                          : "bg-secondary-50 border-primary-200"
+                      }`}
                     >
                       <div className="flex justify-between items-start mb-2">
                         <div className="flex-1 min-w-0">
                           <h4 className="font-medium text-secondary-900 text-sm truncate">
                             {item.productName}
                           </h4>
-                          <p className="text-xs text-secondary-500 truncate">
-                            SKU: {item.sku}
-                          </p>
+                          <div className="flex items-center space-x-2">
+                            <p className="text-xs text-secondary-500 truncate">
+                              SKU: {item.sku}
+                            </p>
+                            {item.priceTier && (
+                              <PriceTierBadge
+                                tier={item.priceTier}
+                                overridden={Boolean(item.tierOverride)}
+                                onToggle={
+                                  canOverrideTier
+                                    ? () => toggleLineTier(item)
+                                    : undefined
+                                }
+                              />
+                            )}
+                          </div>
                         </div>
                         <button
-                          onClick={() => removeFromCart(item.product)}
+                          onClick={() => setDiscountTarget(item.lineKey)}
+                          className={`flex-shrink-0 ml-2 ${
+                            item.discount
+                              ? "text-green-600 hover:text-green-700"
+                              : "text-secondary-400 hover:text-secondary-600"
+                          }`}
+                          title="Line discount"
+                        >
+                          <TagIcon className="h-4 w-4" />
+                        </button>
+                        <button
+                          onClick={() => removeFromCart(item.lineKey)}
                           className="text-red-500 hover:text-red-700 flex-shrink-0 ml-2"
                         >
                           <TrashIcon className="h-4 w-4" />
@@ -686,37 +1792,30 @@ const POS = () => {
                       </div>
 
                       <div className="flex items-center justify-between">
-                        <div className="flex items-center space-x-2">
-                          <button
-                            onClick={() =>
-                              updateQuantity(item.product, item.quantity - 1)
-                            }
-                            className="w-6 h-6 bg-white border border-secondary-300 rounded flex items-center justify-center hover:bg-secondary-100"
-                          >
-                            <MinusIcon className="h-3 w-3" />
-                          </button>
-
-                          <span className="w-8 text-center font-medium">
-                            {item.quantity}
-                          </span>
-
-                          <button
-                            onClick={() =>
-                              updateQuantity(item.product, item.quantity + 1)
-                            }
-                            className="w-6 h-6 bg-white border border-secondary-300 rounded flex items-center justify-center hover:bg-secondary-100"
-                          >
-                            <PlusIcon className="h-3 w-3" />
-                          </button>
-                        </div>
+                        <QuantityStepper
+                          quantity={item.quantity}
+                          unit={item.unit}
+                          onChange={(quantity) =>
+                            updateQuantity(item.lineKey, quantity)
+                          }
+                        />
 
                         <div className="text-right flex-shrink-0">
                           <div className="font-medium text-secondary-900">
-                            {formatCurrency(item.unitPrice * item.quantity)}
+                            {formatCurrency(item.subtotal)}
                           </div>
                           <div className="text-xs text-secondary-500">
-                            {formatCurrency(item.unitPrice)} each
+                            {formatCurrency(item.unitPrice)}{" "}
+                            {getUnit(item.unit).measured
+                              ? `per ${item.unit}`
+                              : "each"}
                           </div>
+                          {item.discount && (
+                            <div className="text-xs text-green-600">
+                              -{formatCurrency(item.discountAmount)} (
+                              {item.discount.percentage.toFixed(1)}%)
+                            </div>
+                          )}
                         </div>
                       </div>
                     </div>
@@ -727,19 +1826,77 @@ const POS = () => {
               {/* Cart Total and Checkout - Fixed at bottom */}
               <div className="flex-shrink-0 border-t border-secondary-200 p-4 bg-white">
                 <div className="space-y-2 mb-4">
+                  {totals.subtotal !== totals.total && (
+                    <div className="flex justify-between text-sm">
+                      <span className="text-secondary-600">Subtotal</span>
+                      <span>{formatCurrency(totals.subtotal)}</span>
+                    </div>
+                  )}
+                  {totals.discount > 0 && (
+                    <div className="flex justify-between text-sm text-green-700">
+                      <span>Discount</span>
+                      <span>-{formatCurrency(totals.discount)}</span>
+                    </div>
+                  )}
+                  {totals.tax > 0 && (
+                    <div className="flex justify-between text-sm">
+                      <span className="text-secondary-600">
+                        {totals.taxInclusive ? "Incl. VAT" : "VAT"} (
+                        {totals.taxRate}%)
+                      </span>
+                      <span>{formatCurrency(totals.tax)}</span>
+                    </div>
+                  )}
+                  {totals.rounding !== 0 && (
+                    <div className="flex justify-between text-sm">
+                      <span className="text-secondary-600">Rounding</span>
+                      <span>{formatCurrency(totals.rounding)}</span>
+                    </div>
+                  )}
+                  <button
+                    onClick={() => setDiscountTarget("cart")}
+                    className="flex items-center text-sm text-primary-600 hover:text-primary-700"
+                  >
+                    <TagIcon className="h-4 w-4 mr-1" />
+                    {cartDiscount
+                      ? `Cart discount ${cartDiscount.percentage.toFixed(1)}%`
+                      : "Add cart discount"}
+                  </button>
                   <div className="flex justify-between text-lg font-bold pt-2">
                     <span className="text-secondary-900">Total</span>
                     <span className="text-primary-600">
-                      {formatCurrency(totals.subtotal)}
+                      {formatCurrency(totals.total)}
                     </span>
                   </div>
+                  {exchange && (
+                    <>
+                      <div className="flex justify-between text-sm text-green-700">
+                        <span>Exchange credit</span>
+                        <span>-{formatCurrency(exchangeCredit)}</span>
+                      </div>
+                      <div className="flex justify-between font-semibold">
+                        <span className="text-secondary-900">
+                          {refundDue > 0 ? "Refund due" : "Balance due"}
+                        </span>
+                        <span className="text-primary-600">
+                          {formatCurrency(
+                            refundDue > 0 ? refundDue : amountDue
+                          )}
+                        </span>
+                      </div>
+                    </>
+                  )}
                 </div>
 
                 <button
-                  onClick={() => setShowPaymentModal(true)}
-                  className="w-full btn-primary"
+                  onClick={() => openPayment("cash")}
+                  disabled={!shift}
+                  className="w-full btn-primary disabled:opacity-50"
                 >
-                  Checkout ({cart.length} items)
+                  {exchange && amountDue === 0
+                    ? "Complete Exchange"
+                    : `Checkout (${cart.length} items)`}{" "}
+                  · {formatKeyName(shortcuts.checkout)}
                 </button>
               </div>
             </>
@@ -747,197 +1904,165 @@ const POS = () => {
         </div>
       </div>
 
-      {/* Payment Modal */}
-      {showPaymentModal && (
+      {/* Park Cart Modal */}
+      {showParkModal && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
-          <div className="bg-white rounded-lg p-6 w-full max-w-md max-h-[90vh] overflow-y-auto">
-            <div className="flex justify-between items-center mb-4">
-              <h3 className="text-lg font-semibold text-secondary-900">
-                Payment
-              </h3>
+          <div className="bg-white rounded-lg p-6 w-full max-w-sm">
+            <h3 className="text-lg font-semibold text-secondary-900 mb-4">
+              Park Cart
+            </h3>
+            <label className="block text-sm font-medium text-secondary-700 mb-2">
+              Label
+            </label>
+            <input
+              type="text"
+              value={parkLabel}
+              onChange={(e) => setParkLabel(e.target.value)}
+              onKeyDown={(e) => e.key === "Enter" && parkCart()}
+              placeholder="e.g., Lady in red jacket"
+              className="input-field"
+              autoFocus
+            />
+            <div className="flex space-x-3 mt-6">
               <button
-                onClick={() => setShowPaymentModal(false)}
-                className="text-secondary-400 hover:text-secondary-600"
+                onClick={() => setShowParkModal(false)}
+                className="flex-1 btn-secondary"
               >
-                <XMarkIcon className="h-6 w-6" />
+                Cancel
+              </button>
+              <button onClick={parkCart} className="flex-1 btn-primary">
+                Park
               </button>
             </div>
+          </div>
+        </div>
+      )}
 
-            <div className="space-y-4">
-              {/* Order Summary */}
-              <div className="bg-secondary-50 rounded-lg p-4">
-                <div className="flex justify-between font-bold pt-2">
-                  <span>Total</span>
-                  <span>{formatCurrency(totals.subtotal)}</span>
-                </div>
-              </div>
+      {/* Customer Picker Modal */}
+      {showCustomerModal && (
+        <CustomerPickerModal
+          onSelect={selectCustomer}
+          onClose={() => setShowCustomerModal(false)}
+        />
+      )}
 
-              {/* Payment Method */}
-              <div>
-                <label className="block text-sm font-medium text-secondary-700 mb-2">
-                  Payment Method
-                </label>
-                <div className="grid grid-cols-2 gap-2">
-                  <button
-                    onClick={() => setPaymentMethod("cash")}
-                    className={`p-3 border rounded-lg flex items-center justify-center space-x-2 ${
-                      paymentMethod === "cash"
-                        ? "border-primary-500 bg-primary-50 text-primary-700"
-                        : "border-secondary-300 text-secondary-700"
-                    }`}
-                  >
-                    <BanknotesIcon className="h-5 w-5" />
-                    <span>Cash</span>
-                  </button>
+      {/* Offline Sales Modal */}
+      {showOfflineModal && (
+        <OfflineSalesModal
+          queuedSales={offline.queuedSales}
+          isOnline={offline.isOnline}
+          syncing={offline.syncing}
+          onSync={offline.syncQueue}
+          onRetry={offline.retrySale}
+          onDiscard={offline.discardSale}
+          onClose={() => setShowOfflineModal(false)}
+        />
+      )}
 
-                  <button
-                    onClick={() => setPaymentMethod("mpesa")}
-                    className={`p-3 border rounded-lg flex items-center justify-center space-x-2 ${
-                      paymentMethod === "mpesa"
-                        ? "border-primary-500 bg-primary-50 text-primary-700"
-                        : "border-secondary-300 text-secondary-700"
-                    }`}
-                  >
-                    <CreditCardIcon className="h-5 w-5" />
-                    <span>M-Pesa</span>
-                  </button>
-                </div>
-              </div>
+      {/* Shift Modal */}
+      {showShiftModal && shift && (
+        <ShiftModal
+          shift={shift}
+          settings={settings}
+          getReport={shiftSession.getReport}
+          addCashMovement={shiftSession.addCashMovement}
+          closeShift={shiftSession.closeShift}
+          unsyncedSales={offline.queuedSales.length}
+          syncing={offline.syncing}
+          onSync={offline.syncQueue}
+          onClose={() => setShowShiftModal(false)}
+        />
+      )}
 
-              {/* Payment Method Specific Fields */}
-              {paymentMethod === "cash" ? (
-                <div>
-                  <label className="block text-sm font-medium text-secondary-700 mb-2">
-                    Amount Paid
-                  </label>
-                  <input
-                    type="number"
-                    value={amountPaid}
-                    onChange={(e) => setAmountPaid(e.target.value)}
-                    placeholder={formatCurrency(totals.subtotal)}
-                    className="input-field"
-                    step="0.01"
-                    min="0"
-                  />
-                </div>
-              ) : (
-                <div>
-                  <label className="block text-sm font-medium text-secondary-700 mb-2">
-                    M-Pesa Phone Number
-                  </label>
-                  <input
-                    type="tel"
-                    value={mpesaPhone}
-                    onChange={(e) => setMpesaPhone(e.target.value)}
-                    placeholder="e.g., 0712345678"
-                    className="input-field"
-                    pattern="07[0-9]{9}"
-                  />
-                  <p className="text-xs text-secondary-500 mt-1">
-                    Enter phone number in format: 0712345678
-                  </p>
-                </div>
-              )}
+      {/* Keyboard Shortcuts Modal */}
+      {showShortcutsModal && (
+        <ShortcutsModal
+          shortcuts={shortcuts}
+          onSave={saveShortcuts}
+          onClose={() => setShowShortcutsModal(false)}
+        />
+      )}
 
-              {/* Payment Status for M-Pesa */}
-              {paymentMethod === "mpesa" && mpesaPaymentStatus && (
-                <div
-                  className={`rounded-lg p-3 ${
-                    mpesaPaymentStatus === "pending"
-                      ? "bg-yellow-50 border border-yellow-200"
-                      : mpesaPaymentStatus === "success"
-                      ? "bg-green-50 border border-green-200"
-                      : "bg-red-50 border border-red-200"
-                  }`}
-                >
-                  <div className="space-y-2">
-                    {mpesaPaymentStatus === "pending" && (
-                      <>
-                        <div className="flex items-center">
-                          <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-yellow-600 mr-2"></div>
-                          <span className="text-yellow-700">
-                            Payment request sent. Please check your phone and
-                            enter M-Pesa PIN.
-                          </span>
-                        </div>
-                        {statusCheckCount > 0 && (
-                          <div className="text-xs text-yellow-600">
-                            Status checks: {statusCheckCount} | Last check:{" "}
-                            {lastStatusCheck}
-                          </div>
-                        )}
-                      </>
-                    )}
-                    {mpesaPaymentStatus === "success" && (
-                      <span className="text-green-700">
-                        ✅ Payment successful! Transaction ID:{" "}
-                        {mpesaTransactionId}
-                      </span>
-                    )}
-                    {mpesaPaymentStatus === "failed" && (
-                      <span className="text-red-700">
-                        ❌ Payment failed. Please try again or use a different
-                        payment method.
-                      </span>
-                    )}
-                  </div>
-                </div>
-              )}
+      {/* Printer Setup Modal */}
+      {showPrinterModal && (
+        <PrinterSetupModal onClose={() => setShowPrinterModal(false)} />
+      )}
 
-              {/* Change */}
-              {paymentMethod === "cash" && amountPaid && (
-                <div className="bg-green-50 border border-green-200 rounded-lg p-3">
-                  <div className="flex justify-between">
-                    <span className="text-green-700">Change</span>
-                    <span className="font-bold text-green-700">
-                      {formatCurrency(Math.max(0, change))}
-                    </span>
-                  </div>
-                </div>
-              )}
+      {/* Discount Modal */}
+      {discountTarget && (
+        <DiscountModal
+          title={
+            discountTarget === "cart"
+              ? "Cart Discount"
+              : `Discount: ${
+                  cart.find((item) => item.lineKey === discountTarget)
+                    ?.productName
+                }`
+          }
+          baseAmount={
+            discountTarget === "cart"
+              ? totals.subtotal - totals.itemDiscount
+              : (() => {
+                  const item = totals.lines.find(
+                    (line) => line.lineKey === discountTarget
+                  );
+                  return item ? item.unitPrice * item.quantity : 0;
+                })()
+          }
+          discount={
+            discountTarget === "cart"
+              ? cartDiscount
+              : cart.find((item) => item.lineKey === discountTarget)?.discount
+          }
+          policy={discountPolicy}
+          onApply={applyDiscount}
+          onRemove={removeDiscount}
+          onClose={() => setDiscountTarget(null)}
+        />
+      )}
 
-              {/* Actions */}
-              <div className="flex space-x-3">
-                <button
-                  onClick={() => setShowPaymentModal(false)}
-                  className="flex-1 btn-secondary"
-                >
-                  Cancel
-                </button>
-                <button
-                  onClick={handlePayment}
-                  disabled={
-                    processing ||
-                    (paymentMethod === "cash" &&
-                      parseFloat(amountPaid) < totals.total) ||
-                    (paymentMethod === "mpesa" &&
-                      (!mpesaPhone || mpesaPhone.length < 10))
-                  }
-                  className="flex-1 btn-primary disabled:opacity-50"
-                >
-                  {processing ? (
-                    <div className="flex items-center justify-center">
-                      <LoadingSpinner size="small" />
-                      <span className="ml-2">
-                        {paymentMethod === "mpesa"
-                          ? "Processing..."
-                          : "Processing Sale..."}
-                      </span>
-                    </div>
-                  ) : paymentMethod === "mpesa" ? (
-                    mpesaPaymentStatus === "pending" ? (
-                      "Waiting for Payment..."
-                    ) : (
-                      "Send M-Pesa Request"
-                    )
-                  ) : (
-                    "Complete Sale"
-                  )}
-                </button>
-              </div>
-            </div>
-          </div>
-        </div>
+      {/* Variant Picker Modal */}
+      {variantProduct && (
+        <VariantPickerModal
+          product={variantProduct}
+          onSelect={addVariantToCart}
+          onClose={() => setVariantProduct(null)}
+        />
+      )}
+
+      {/* Parked Carts Modal */}
+      {showHeldCartsModal && (
+        <HeldCartsModal
+          heldCarts={heldCarts}
+          onResume={resumeCart}
+          onDelete={deleteHeldCart}
+          onClose={() => setShowHeldCartsModal(false)}
+        />
+      )}
+
+      {/* Return Modal */}
+      {showReturnModal && (
+        <ReturnModal
+          processing={processing}
+          onRefund={refundReturn}
+          onExchange={startExchange}
+          onClose={() => setShowReturnModal(false)}
+        />
+      )}
+
+      {/* Payment Modal */}
+      {showPaymentModal && (
+        <PaymentModal
+          total={amountDue}
+          customer={selectedCustomer}
+          offline={!offline.isOnline}
+          initialMethod={paymentMethod}
+          shortcuts={shortcuts}
+          processing={processing}
+          onSubmit={handlePayment}
+          onClose={closePayment}
+          onProgress={setPaymentProgress}
+        />
       )}
     </div>
   );
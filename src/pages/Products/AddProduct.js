@@ -1,9 +1,18 @@
 // src/pages/Products/AddProduct.js
 import { useState, useEffect } from "react";
 import { useNavigate } from "react-router-dom";
+import { useSettings } from "../../contexts/SettingsContext";
 import { productsAPI, categoriesAPI } from "../../services/api";
 import { sanitizeInput } from "../../utils/helpers";
+import { UNITS, isMeasuredUnit, roundQuantity } from "../../utils/units";
+import { validateProduct } from "../../utils/products";
+import { getTotalStock, toVariantPayload } from "../../utils/variants";
+import { getExpiryConfig } from "../../utils/batches";
 import LoadingSpinner from "../../components/common/LoadingSpinner";
+import CategoryPicker from "../../components/common/CategoryPicker";
+import VariantEditor from "../../components/Products/VariantEditor";
+import ImageGallery from "../../components/Products/ImageGallery";
+import useBarcodeGenerator from "../../hooks/useBarcodeGenerator";
 import toast from "react-hot-toast";
 import {
   ArrowLeftIcon,
@@ -12,6 +21,8 @@ import {
 
 const AddProduct = () => {
   const navigate = useNavigate();
+  const { settings } = useSettings();
+  const expiryConfig = getExpiryConfig(settings);
   const [categories, setCategories] = useState([]);
   const [loading, setLoading] = useState(false);
   const [formData, setFormData] = useState({
@@ -37,18 +48,32 @@ const AddProduct = () => {
       reorderQuantity: "",
       trackInventory: true,
       allowBackorder: false,
+      trackBatches: false,
+    },
+    // Lot the opening stock came in, for products tracked in batches
+    openingBatch: {
+      lotNumber: "",
+      expiryDate: "",
     },
     supplier: {
       name: "",
       contact: "",
     },
     attributes: [],
+    images: [],
+    variantOptions: [],
+    variants: [],
     status: {
       isActive: true,
     },
   });
   const [errors, setErrors] = useState({});
   const [newAttribute, setNewAttribute] = useState({ name: "", value: "" });
+  const {
+    generateBarcode,
+    generating: generatingBarcode,
+    autoGenerate: autoGenerateBarcode,
+  } = useBarcodeGenerator();
 
   useEffect(() => {
     fetchCategories();
@@ -57,8 +82,8 @@ const AddProduct = () => {
 
   const fetchCategories = async () => {
     try {
-      const response = await categoriesAPI.getCategories();
-      setCategories(response.data.data);
+      const response = await categoriesAPI.getCategoryTree();
+      setCategories(response.data.data || []);
     } catch (error) {
       console.error("Failed to fetch categories:", error);
       toast.error("Failed to load categories");
@@ -106,36 +131,46 @@ const AddProduct = () => {
     }
   };
 
-  const validateForm = () => {
-    const newErrors = {};
-
-    // Required fields
-    if (!formData.name.trim()) {
-      newErrors.name = "Product name is required";
-    }
-
-    if (!formData.category) {
-      newErrors.category = "Category is required";
+  const handleGenerateBarcode = async () => {
+    try {
+      const barcode = await generateBarcode();
+      setFormData((prev) => ({ ...prev, barcode }));
+      setErrors((prev) => ({ ...prev, barcode: "" }));
+    } catch (error) {
+      console.error("Failed to generate barcode:", error);
+      toast.error("Failed to generate a barcode");
     }
+  };
 
-    if (!formData.pricing.sellingPrice) {
-      newErrors["pricing.sellingPrice"] = "Selling price is required";
-    } else if (formData.pricing.sellingPrice < 0) {
-      newErrors["pricing.sellingPrice"] = "Selling price cannot be negative";
-    }
+  // The gallery passes an update, as uploads finish after other changes
+  const handleImagesChange = (update) => {
+    setFormData((prev) => ({ ...prev, images: update(prev.images) }));
+  };
 
-    if (formData.inventory.currentStock < 0) {
-      newErrors["inventory.currentStock"] = "Stock cannot be negative";
+  const handleVariantsChange = ({ variantOptions, variants }) => {
+    setFormData((prev) => ({ ...prev, variantOptions, variants }));
+    if (errors.variants) {
+      setErrors((prev) => ({ ...prev, variants: "" }));
     }
+  };
 
-    if (formData.inventory.minStock < 0) {
-      newErrors["inventory.minStock"] = "Minimum stock cannot be negative";
+  const handleCategoryChange = ({ category, subcategory }) => {
+    setFormData((prev) => ({ ...prev, category, subcategory }));
+    if (errors.category) {
+      setErrors((prev) => ({ ...prev, category: "" }));
     }
+  };
 
-    if (formData.pricing.discount < 0 || formData.pricing.discount > 100) {
-      newErrors["pricing.discount"] = "Discount must be between 0 and 100";
+  const validateForm = () => {
+    const newErrors = validateProduct(formData);
+    if (
+      formData.inventory.trackBatches &&
+      formData.inventory.currentStock > 0 &&
+      !formData.openingBatch.expiryDate
+    ) {
+      newErrors["openingBatch.expiryDate"] =
+        "Expiry date is required for the opening stock";
     }
-
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
   };
@@ -168,9 +203,15 @@ const AddProduct = () => {
     try {
       setLoading(true);
 
+      // Goods packed in store get an in-store barcode when asked for
+      const barcode =
+        formData.barcode ||
+        (autoGenerateBarcode ? await generateBarcode() : "");
+
       // Clean up data
       const cleanData = {
         ...formData,
+        barcode,
         pricing: {
           ...formData.pricing,
           // cost: parseFloat(formData.pricing.cost),
@@ -182,7 +223,10 @@ const AddProduct = () => {
         },
         inventory: {
           ...formData.inventory,
-          currentStock: parseInt(formData.inventory.currentStock) || 0,
+          currentStock: roundQuantity(
+            formData.inventory.currentStock,
+            formData.unit
+          ),
           minStock: parseInt(formData.inventory.minStock) || 10,
           maxStock: formData.inventory.maxStock
             ? parseInt(formData.inventory.maxStock)
@@ -203,6 +247,26 @@ const AddProduct = () => {
       if (!cleanData.brand) delete cleanData.brand;
       if (!cleanData.supplier.name) cleanData.supplier = undefined;
 
+      // Opening stock of a batch-tracked product is its first batch
+      delete cleanData.openingBatch;
+      if (
+        cleanData.inventory.trackBatches &&
+        cleanData.inventory.currentStock > 0
+      ) {
+        cleanData.batches = [
+          {
+            ...formData.openingBatch,
+            quantity: cleanData.inventory.currentStock,
+          },
+        ];
+      }
+
+      // A product with variants stocks whatever its variants add up to
+      cleanData.variants = toVariantPayload(formData.variants, formData.unit);
+      if (cleanData.variants.length > 0) {
+        cleanData.inventory.currentStock = getTotalStock(cleanData);
+      }
+
       const response = await productsAPI.createProduct(cleanData);
       toast.success("Product created successfully!");
       navigate(`/products/${response.data.data._id}`);
@@ -294,28 +358,41 @@ const AddProduct = () => {
 
             <div>
               <label className="block text-sm font-medium text-secondary-700 mb-1">
-                Category *
+                Barcode
               </label>
-              <select
-                name="category"
-                value={formData.category}
-                onChange={handleChange}
-                className={`input-field ${
-                  errors.category ? "border-red-300" : ""
-                }`}
-              >
-                <option value="">Select Category</option>
-                {categories.map((category) => (
-                  <option key={category._id} value={category._id}>
-                    {category.name}
-                  </option>
-                ))}
-              </select>
-              {errors.category && (
-                <p className="mt-1 text-sm text-red-600">{errors.category}</p>
+              <div className="flex">
+                <input
+                  type="text"
+                  name="barcode"
+                  value={formData.barcode}
+                  onChange={handleChange}
+                  className={`input-field rounded-r-none ${
+                    errors.barcode ? "border-red-300" : ""
+                  }`}
+                  placeholder="Scan or type a barcode"
+                />
+                <button
+                  type="button"
+                  onClick={handleGenerateBarcode}
+                  disabled={generatingBarcode}
+                  className="px-3 py-2 border border-l-0 border-secondary-300 bg-secondary-50 text-secondary-700 rounded-r-lg hover:bg-secondary-100 disabled:opacity-50"
+                >
+                  Generate
+                </button>
+              </div>
+              {errors.barcode && (
+                <p className="mt-1 text-sm text-red-600">{errors.barcode}</p>
               )}
             </div>
 
+            <CategoryPicker
+              tree={categories}
+              category={formData.category}
+              subcategory={formData.subcategory}
+              onChange={handleCategoryChange}
+              error={errors.category}
+            />
+
             <div>
               <label className="block text-sm font-medium text-secondary-700 mb-1">
                 Unit of Measurement *
@@ -326,17 +403,11 @@ const AddProduct = () => {
                 onChange={handleChange}
                 className="input-field"
               >
-                <option value="piece">Piece</option>
-                <option value="kg">Kilogram (kg)</option>
-                <option value="g">Gram (g)</option>
-                <option value="l">Liter (l)</option>
-                <option value="ml">Milliliter (ml)</option>
-                <option value="dozen">Dozen</option>
-                <option value="pack">Pack</option>
-                <option value="box">Box</option>
-                <option value="bag">Bag</option>
-                <option value="bottle">Bottle</option>
-                <option value="can">Can</option>
+                {UNITS.map((unit) => (
+                  <option key={unit.value} value={unit.value}>
+                    {unit.label}
+                  </option>
+                ))}
               </select>
             </div>
           </div>
@@ -416,12 +487,23 @@ const AddProduct = () => {
               <input
                 type="number"
                 name="inventory.currentStock"
-                value={formData.inventory.currentStock}
+                value={
+                  formData.variants.length > 0
+                    ? getTotalStock(formData)
+                    : formData.inventory.currentStock
+                }
                 onChange={handleChange}
-                className="input-field"
+                disabled={formData.variants.length > 0}
+                className="input-field disabled:bg-secondary-50"
                 placeholder="0"
                 min="0"
+                step={isMeasuredUnit(formData.unit) ? "any" : "1"}
               />
+              {formData.variants.length > 0 && (
+                <p className="mt-1 text-xs text-secondary-500">
+                  Set per variant below
+                </p>
+              )}
             </div>
 
             <div>
@@ -511,7 +593,72 @@ const AddProduct = () => {
                 Allow backorders
               </span>
             </label>
+
+            {expiryConfig.enabled && (
+              <label className="flex items-center">
+                <input
+                  type="checkbox"
+                  name="inventory.trackBatches"
+                  checked={formData.inventory.trackBatches}
+                  onChange={handleChange}
+                  disabled={
+                    formData.variants.length > 0 &&
+                    !formData.inventory.trackBatches
+                  }
+                  className="rounded border-secondary-300 text-primary-600 focus:ring-primary-500"
+                />
+                <span className="ml-2 text-sm text-secondary-700">
+                  Track batches and expiry dates
+                  {formData.variants.length > 0 && (
+                    <span className="text-secondary-500">
+                      {" "}
+                      (not available with variants)
+                    </span>
+                  )}
+                </span>
+              </label>
+            )}
           </div>
+
+          {expiryConfig.enabled &&
+            formData.inventory.trackBatches &&
+            formData.inventory.currentStock > 0 && (
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mt-4">
+                <div>
+                  <label className="block text-sm font-medium text-secondary-700 mb-1">
+                    Opening Lot Number
+                  </label>
+                  <input
+                    type="text"
+                    name="openingBatch.lotNumber"
+                    value={formData.openingBatch.lotNumber}
+                    onChange={handleChange}
+                    className="input-field"
+                    placeholder="e.g., L2310"
+                  />
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-secondary-700 mb-1">
+                    Opening Stock Expiry Date *
+                  </label>
+                  <input
+                    type="date"
+                    name="openingBatch.expiryDate"
+                    value={formData.openingBatch.expiryDate}
+                    onChange={handleChange}
+                    className={`input-field ${
+                      errors["openingBatch.expiryDate"] ? "border-red-300" : ""
+                    }`}
+                  />
+                  {errors["openingBatch.expiryDate"] && (
+                    <p className="mt-1 text-sm text-red-600">
+                      {errors["openingBatch.expiryDate"]}
+                    </p>
+                  )}
+                </div>
+              </div>
+            )}
         </div>
 
         {/* Supplier Information */}
@@ -615,6 +762,20 @@ const AddProduct = () => {
           </div>
         </div>
 
+        <ImageGallery
+          images={formData.images}
+          alt={formData.name}
+          onChange={handleImagesChange}
+        />
+
+        <VariantEditor
+          options={formData.variantOptions}
+          variants={formData.variants}
+          parent={formData}
+          onChange={handleVariantsChange}
+          error={errors.variants}
+        />
+
         {/* Status */}
         <div className="card">
           <h3 className="text-lg font-semibold text-secondary-900 mb-4">
@@ -1,15 +1,26 @@
 // src/pages/Products/EditProduct.js
 import { useState, useEffect } from "react";
 import { useParams, useNavigate } from "react-router-dom";
+import { useSettings } from "../../contexts/SettingsContext";
 import { productsAPI, categoriesAPI } from "../../services/api";
 import { sanitizeInput } from "../../utils/helpers";
+import { UNITS, formatQuantity } from "../../utils/units";
+import { validateProduct } from "../../utils/products";
+import { getTotalStock, toVariantPayload } from "../../utils/variants";
+import { getExpiryConfig } from "../../utils/batches";
 import LoadingSpinner from "../../components/common/LoadingSpinner";
+import CategoryPicker from "../../components/common/CategoryPicker";
+import VariantEditor from "../../components/Products/VariantEditor";
+import ImageGallery from "../../components/Products/ImageGallery";
+import useBarcodeGenerator from "../../hooks/useBarcodeGenerator";
 import toast from "react-hot-toast";
 import { ArrowLeftIcon, XMarkIcon } from "@heroicons/react/24/outline";
 
 const EditProduct = () => {
   const { id } = useParams();
   const navigate = useNavigate();
+  const { settings } = useSettings();
+  const expiryConfig = getExpiryConfig(settings);
   const [categories, setCategories] = useState([]);
   const [loading, setLoading] = useState(true);
   const [saving, setSaving] = useState(false);
@@ -35,18 +46,33 @@ const EditProduct = () => {
       reorderQuantity: "",
       trackInventory: true,
       allowBackorder: false,
+      trackBatches: false,
     },
     supplier: {
       name: "",
       contact: "",
     },
     attributes: [],
+    images: [],
+    variantOptions: [],
+    variants: [],
     status: {
       isActive: true,
     },
+    openingBatch: {
+      lotNumber: "",
+      expiryDate: "",
+    },
+  });
+  // Stock as saved, which becomes the first batch when batches are turned on
+  const [savedStock, setSavedStock] = useState({
+    currentStock: 0,
+    trackBatches: false,
   });
   const [errors, setErrors] = useState({});
   const [newAttribute, setNewAttribute] = useState({ name: "", value: "" });
+  const { generateBarcode, generating: generatingBarcode } =
+    useBarcodeGenerator();
 
   useEffect(() => {
     fetchCategories();
@@ -55,8 +81,8 @@ const EditProduct = () => {
 
   const fetchCategories = async () => {
     try {
-      const response = await categoriesAPI.getCategories();
-      setCategories(response.data.data);
+      const response = await categoriesAPI.getCategoryTree();
+      setCategories(response.data.data || []);
     } catch (error) {
       console.error("Failed to fetch categories:", error);
       toast.error("Failed to load categories");
@@ -74,7 +100,7 @@ const EditProduct = () => {
         barcode: product.barcode || "",
         sku: product.sku || "",
         category: product.category?._id || "",
-        subcategory: product.subcategory || "",
+        subcategory: product.subcategory?._id || product.subcategory || "",
         description: product.description || "",
         brand: product.brand || "",
         unit: product.unit || "piece",
@@ -91,15 +117,27 @@ const EditProduct = () => {
           reorderQuantity: product.inventory.reorderQuantity || "",
           trackInventory: product.inventory.trackInventory !== false,
           allowBackorder: product.inventory.allowBackorder || false,
+          trackBatches: product.inventory.trackBatches || false,
         },
         supplier: {
           name: product.supplier?.name || "",
           contact: product.supplier?.contact || "",
         },
         attributes: product.attributes || [],
+        images: product.images || [],
+        variantOptions: product.variantOptions || [],
+        variants: product.variants || [],
         status: {
           isActive: product.status.isActive !== false,
         },
+        openingBatch: {
+          lotNumber: "",
+          expiryDate: "",
+        },
+      });
+      setSavedStock({
+        currentStock: product.inventory.currentStock || 0,
+        trackBatches: product.inventory.trackBatches || false,
       });
     } catch (error) {
       console.error("Failed to fetch product:", error);
@@ -143,32 +181,49 @@ const EditProduct = () => {
     }
   };
 
-  const validateForm = () => {
-    const newErrors = {};
-
-    // Required fields
-    if (!formData.name.trim()) {
-      newErrors.name = "Product name is required";
+  const handleGenerateBarcode = async () => {
+    try {
+      const barcode = await generateBarcode();
+      setFormData((prev) => ({ ...prev, barcode }));
+      setErrors((prev) => ({ ...prev, barcode: "" }));
+    } catch (error) {
+      console.error("Failed to generate barcode:", error);
+      toast.error("Failed to generate a barcode");
     }
+  };
 
-    if (!formData.category) {
-      newErrors.category = "Category is required";
-    }
+  // The gallery passes an update, as uploads finish after other changes
+  const handleImagesChange = (update) => {
+    setFormData((prev) => ({ ...prev, images: update(prev.images) }));
+  };
 
-    if (!formData.pricing.sellingPrice) {
-      newErrors["pricing.sellingPrice"] = "Selling price is required";
-    } else if (formData.pricing.sellingPrice < 0) {
-      newErrors["pricing.sellingPrice"] = "Selling price cannot be negative";
+  const handleVariantsChange = ({ variantOptions, variants }) => {
+    setFormData((prev) => ({ ...prev, variantOptions, variants }));
+    if (errors.variants) {
+      setErrors((prev) => ({ ...prev, variants: "" }));
     }
+  };
 
-    if (formData.inventory.minStock < 0) {
-      newErrors["inventory.minStock"] = "Minimum stock cannot be negative";
+  const handleCategoryChange = ({ category, subcategory }) => {
+    setFormData((prev) => ({ ...prev, category, subcategory }));
+    if (errors.category) {
+      setErrors((prev) => ({ ...prev, category: "" }));
     }
+  };
 
-    if (formData.pricing.discount < 0 || formData.pricing.discount > 100) {
-      newErrors["pricing.discount"] = "Discount must be between 0 and 100";
-    }
+  // Stock already on hand needs a lot and expiry date once it is tracked in
+  // batches, as a new product's opening stock does
+  const needsOpeningBatch =
+    formData.inventory.trackBatches &&
+    !savedStock.trackBatches &&
+    savedStock.currentStock > 0;
 
+  const validateForm = () => {
+    const newErrors = validateProduct(formData);
+    if (needsOpeningBatch && !formData.openingBatch.expiryDate) {
+      newErrors["openingBatch.expiryDate"] =
+        "Expiry date is required for the stock on hand";
+    }
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
   };
@@ -235,6 +290,23 @@ const EditProduct = () => {
       if (!cleanData.brand) delete cleanData.brand;
       if (!cleanData.supplier.name) cleanData.supplier = undefined;
 
+      // Stock on hand becomes the first batch when batches are turned on
+      delete cleanData.openingBatch;
+      if (needsOpeningBatch) {
+        cleanData.batches = [
+          {
+            ...formData.openingBatch,
+            quantity: savedStock.currentStock,
+          },
+        ];
+      }
+
+      // A product with variants stocks whatever its variants add up to
+      cleanData.variants = toVariantPayload(formData.variants, formData.unit);
+      if (cleanData.variants.length > 0) {
+        cleanData.inventory.currentStock = getTotalStock(cleanData);
+      }
+
       await productsAPI.updateProduct(id, cleanData);
       toast.success("Product updated successfully!");
       navigate(`/products/${id}`);
@@ -323,28 +395,41 @@ const EditProduct = () => {
 
             <div>
               <label className="block text-sm font-medium text-secondary-700 mb-1">
-                Category *
+                Barcode
               </label>
-              <select
-                name="category"
-                value={formData.category}
-                onChange={handleChange}
-                className={`input-field ${
-                  errors.category ? "border-red-300" : ""
-                }`}
-              >
-                <option value="">Select Category</option>
-                {categories.map((category) => (
-                  <option key={category._id} value={category._id}>
-                    {category.name}
-                  </option>
-                ))}
-              </select>
-              {errors.category && (
-                <p className="mt-1 text-sm text-red-600">{errors.category}</p>
+              <div className="flex">
+                <input
+                  type="text"
+                  name="barcode"
+                  value={formData.barcode}
+                  onChange={handleChange}
+                  className={`input-field rounded-r-none ${
+                    errors.barcode ? "border-red-300" : ""
+                  }`}
+                  placeholder="Scan or type a barcode"
+                />
+                <button
+                  type="button"
+                  onClick={handleGenerateBarcode}
+                  disabled={generatingBarcode}
+                  className="px-3 py-2 border border-l-0 border-secondary-300 bg-secondary-50 text-secondary-700 rounded-r-lg hover:bg-secondary-100 disabled:opacity-50"
+                >
+                  Generate
+                </button>
+              </div>
+              {errors.barcode && (
+                <p className="mt-1 text-sm text-red-600">{errors.barcode}</p>
               )}
             </div>
 
+            <CategoryPicker
+              tree={categories}
+              category={formData.category}
+              subcategory={formData.subcategory}
+              onChange={handleCategoryChange}
+              error={errors.category}
+            />
+
             <div>
               <label className="block text-sm font-medium text-secondary-700 mb-1">
                 Unit of Measurement *
@@ -355,17 +440,11 @@ const EditProduct = () => {
                 onChange={handleChange}
                 className="input-field"
               >
-                <option value="piece">Piece</option>
-                <option value="kg">Kilogram (kg)</option>
-                <option value="g">Gram (g)</option>
-                <option value="l">Liter (l)</option>
-                <option value="ml">Milliliter (ml)</option>
-                <option value="dozen">Dozen</option>
-                <option value="pack">Pack</option>
-                <option value="box">Box</option>
-                <option value="bag">Bag</option>
-                <option value="bottle">Bottle</option>
-                <option value="can">Can</option>
+                {UNITS.map((unit) => (
+                  <option key={unit.value} value={unit.value}>
+                    {unit.label}
+                  </option>
+                ))}
               </select>
             </div>
           </div>
@@ -529,7 +608,75 @@ const EditProduct = () => {
                 Allow backorders
               </span>
             </label>
+
+            {expiryConfig.enabled && (
+              <label className="flex items-center">
+                <input
+                  type="checkbox"
+                  name="inventory.trackBatches"
+                  checked={formData.inventory.trackBatches}
+                  onChange={handleChange}
+                  disabled={
+                    formData.variants.length > 0 &&
+                    !formData.inventory.trackBatches
+                  }
+                  className="rounded border-secondary-300 text-primary-600 focus:ring-primary-500"
+                />
+                <span className="ml-2 text-sm text-secondary-700">
+                  Track batches and expiry dates
+                  {formData.variants.length > 0 && (
+                    <span className="text-secondary-500">
+                      {" "}
+                      (not available with variants)
+                    </span>
+                  )}
+                </span>
+              </label>
+            )}
           </div>
+
+          {expiryConfig.enabled && needsOpeningBatch && (
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mt-4">
+              <p className="md:col-span-2 text-sm text-secondary-500">
+                The {formatQuantity(savedStock.currentStock, formData.unit)} in
+                stock become the first batch.
+              </p>
+
+              <div>
+                <label className="block text-sm font-medium text-secondary-700 mb-1">
+                  Lot Number
+                </label>
+                <input
+                  type="text"
+                  name="openingBatch.lotNumber"
+                  value={formData.openingBatch.lotNumber}
+                  onChange={handleChange}
+                  className="input-field"
+                  placeholder="e.g., L2310"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-secondary-700 mb-1">
+                  Stock on Hand Expiry Date *
+                </label>
+                <input
+                  type="date"
+                  name="openingBatch.expiryDate"
+                  value={formData.openingBatch.expiryDate}
+                  onChange={handleChange}
+                  className={`input-field ${
+                    errors["openingBatch.expiryDate"] ? "border-red-300" : ""
+                  }`}
+                />
+                {errors["openingBatch.expiryDate"] && (
+                  <p className="mt-1 text-sm text-red-600">
+                    {errors["openingBatch.expiryDate"]}
+                  </p>
+                )}
+              </div>
+            </div>
+          )}
         </div>
 
         {/* Supplier Information */}
@@ -633,6 +780,20 @@ const EditProduct = () => {
           </div>
         </div>
 
+        <ImageGallery
+          images={formData.images}
+          alt={formData.name}
+          onChange={handleImagesChange}
+        />
+
+        <VariantEditor
+          options={formData.variantOptions}
+          variants={formData.variants}
+          parent={formData}
+          onChange={handleVariantsChange}
+          error={errors.variants}
+        />
+
         {/* Status */}
         <div className="card">
           <h3 className="text-lg font-semibold text-secondary-900 mb-4">
@@ -0,0 +1,532 @@
+// src/pages/Products/ImportProducts.js
+import { useState, useEffect, useMemo } from "react";
+import { Link, useNavigate } from "react-router-dom";
+import { productsAPI, categoriesAPI } from "../../services/api";
+import { downloadCSV } from "../../utils/helpers";
+import {
+  IMPORT_FIELDS,
+  readSpreadsheet,
+  guessColumnMapping,
+  mapRowToProduct,
+  findDuplicates,
+  toImportPayload,
+} from "../../utils/productImport";
+import toast from "react-hot-toast";
+import {
+  ArrowLeftIcon,
+  ArrowUpTrayIcon,
+  ArrowDownTrayIcon,
+  CheckCircleIcon,
+  ExclamationTriangleIcon,
+  XCircleIcon,
+} from "@heroicons/react/24/outline";
+
+const CHUNK_SIZE = 50;
+const CATALOGUE_PAGE_SIZE = 100;
+const STEPS = ["Upload", "Map Columns", "Preview", "Import"];
+
+const STATUS_STYLES = {
+  ready: "bg-green-100 text-green-800",
+  invalid: "bg-red-100 text-red-800",
+  duplicate: "bg-yellow-100 text-yellow-800",
+  imported: "bg-green-100 text-green-800",
+  failed: "bg-red-100 text-red-800",
+  skipped: "bg-secondary-100 text-secondary-700",
+};
+
+/**
+ * Per-row outcome of one import request. The server may answer with a
+ * `results` list in the order the products were sent, otherwise the whole
+ * chunk is taken as imported.
+ */
+const getChunkResults = (response, chunk) => {
+  const results = response.data.data?.results || response.data.results;
+
+  return chunk.map((row, index) => {
+    const result = Array.isArray(results) ? results[index] : null;
+    const failed = result && (result.success === false || result.error);
+    return {
+      status: failed ? "failed" : "imported",
+      message: failed ? result.error || result.message || "Failed" : "",
+    };
+  });
+};
+
+const ImportProducts = () => {
+  const navigate = useNavigate();
+  const [step, setStep] = useState(0);
+  const [fileName, setFileName] = useState("");
+  const [sheet, setSheet] = useState({ headers: [], rows: [] });
+  const [mapping, setMapping] = useState({});
+  const [categoryTree, setCategoryTree] = useState([]);
+  const [catalogue, setCatalogue] = useState([]);
+  const [reading, setReading] = useState(false);
+  const [checking, setChecking] = useState(false);
+  const [importing, setImporting] = useState(false);
+  const [problemsOnly, setProblemsOnly] = useState(false);
+  const [results, setResults] = useState({});
+
+  useEffect(() => {
+    fetchCategories();
+  }, []);
+
+  const fetchCategories = async () => {
+    try {
+      const response = await categoriesAPI.getCategoryTree();
+      setCategoryTree(response.data.data || []);
+    } catch (error) {
+      console.error("Failed to fetch categories:", error);
+      toast.error("Failed to load categories");
+    }
+  };
+
+  // Every product, inactive ones included as they keep their SKU and
+  // barcode, to spot rows that already exist
+  const fetchCatalogue = async () => {
+    const products = [];
+
+    for (const status of ["active", "inactive"]) {
+      let page = 1;
+      let pages = 1;
+
+      do {
+        const response = await productsAPI.getProducts({
+          status,
+          limit: CATALOGUE_PAGE_SIZE,
+          page,
+        });
+        products.push(...response.data.data);
+        pages = response.data.pagination?.pages || 1;
+        page += 1;
+      } while (page <= pages);
+    }
+
+    return products;
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+
+    try {
+      setReading(true);
+      const data = await readSpreadsheet(file);
+      if (data.rows.length === 0) {
+        toast.error("The file has no product rows");
+        return;
+      }
+      setFileName(file.name);
+      setSheet(data);
+      setMapping(guessColumnMapping(data.headers));
+      setResults({});
+      setStep(1);
+    } catch (error) {
+      console.error("Failed to read import file:", error);
+      toast.error("Could not read the file. Use a CSV file.");
+    } finally {
+      setReading(false);
+    }
+  };
+
+  const goToPreview = async () => {
+    const missing = IMPORT_FIELDS.filter(
+      (field) => field.required && !(mapping[field.key] >= 0)
+    );
+    if (missing.length > 0) {
+      toast.error(
+        `Map a column to ${missing.map((field) => field.label).join(", ")}`
+      );
+      return;
+    }
+
+    try {
+      setChecking(true);
+      setCatalogue(await fetchCatalogue());
+      setStep(2);
+    } catch (error) {
+      console.error("Failed to fetch products:", error);
+      toast.error("Failed to check for existing products");
+    } finally {
+      setChecking(false);
+    }
+  };
+
+  // Spreadsheet row 1 is the header, so data rows start at 2
+  const rows = useMemo(() => {
+    const mapped = sheet.rows.map((row, index) =>
+      mapRowToProduct(row, mapping, {
+        tree: categoryTree,
+        rowNumber: index + 2,
+      })
+    );
+    const duplicates = findDuplicates(mapped, catalogue);
+
+    return mapped.map((row) => {
+      const errors = Object.values(row.errors);
+      if (errors.length > 0) {
+        return { ...row, status: "invalid", message: errors.join("; ") };
+      }
+      if (duplicates[row.rowNumber]) {
+        return {
+          ...row,
+          status: "duplicate",
+          message: duplicates[row.rowNumber],
+        };
+      }
+      return { ...row, status: "ready", message: "" };
+    });
+  }, [sheet, mapping, categoryTree, catalogue]);
+
+  const readyRows = rows.filter((row) => row.status === "ready");
+  const counts = rows.reduce(
+    (acc, row) => ({ ...acc, [row.status]: (acc[row.status] || 0) + 1 }),
+    {}
+  );
+
+  const runImport = async () => {
+    if (readyRows.length === 0) {
+      toast.error("There are no valid rows to import");
+      return;
+    }
+
+    setImporting(true);
+    setStep(3);
+
+    for (let start = 0; start < readyRows.length; start += CHUNK_SIZE) {
+      const chunk = readyRows.slice(start, start + CHUNK_SIZE);
+      let chunkResults;
+
+      try {
+        const response = await productsAPI.importProducts({
+          products: chunk.map((row) => toImportPayload(row.product)),
+        });
+        chunkResults = getChunkResults(response, chunk);
+      } catch (error) {
+        console.error("Failed to import products:", error);
+        const message =
+          error.response?.data?.message || "Import request failed";
+        chunkResults = chunk.map(() => ({ status: "failed", message }));
+      }
+
+      setResults((prev) => ({
+        ...prev,
+        ...Object.fromEntries(
+          chunk.map((row, index) => [row.rowNumber, chunkResults[index]])
+        ),
+      }));
+    }
+
+    setImporting(false);
+  };
+
+  // Rows that never reached the server are reported as skipped
+  const reportRows = rows.map((row) => {
+    const result =
+      results[row.rowNumber] ||
+      (row.status === "ready"
+        ? { status: importing ? "pending" : "skipped", message: "" }
+        : { status: "skipped", message: row.message });
+    return { ...row, ...result };
+  });
+
+  const importedCount = reportRows.filter(
+    (row) => row.status === "imported"
+  ).length;
+  const failedCount = reportRows.filter(
+    (row) => row.status === "failed"
+  ).length;
+  const processedCount = Object.keys(results).length;
+
+  const downloadReport = () => {
+    downloadCSV(
+      reportRows.map((row) => ({
+        Row: row.rowNumber,
+        Name: row.product.name,
+        SKU: row.product.sku,
+        Barcode: row.product.barcode,
+        Status: row.status,
+        Message: row.message,
+      })),
+      `product-import-report-${new Date().toISOString().split("T")[0]}`
+    );
+  };
+
+  const previewRows = problemsOnly
+    ? rows.filter((row) => row.status !== "ready")
+    : rows;
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center space-x-4">
+        <button
+          onClick={() => navigate("/products")}
+          className="text-secondary-400 hover:text-secondary-600"
+        >
+          <ArrowLeftIcon className="h-6 w-6" />
+        </button>
+        <div>
+          <h1 className="text-2xl font-bold text-secondary-900">
+            Import Products
+          </h1>
+          <p className="text-secondary-600">
+            Add products in bulk from a CSV file
+          </p>
+        </div>
+      </div>
+
+      {/* Steps */}
+      <ol className="flex flex-wrap gap-2">
+        {STEPS.map((label, index) => (
+          <li
+            key={label}
+            className={`px-3 py-1 rounded-full text-sm font-medium ${
+              index === step
+                ? "bg-primary-600 text-white"
+                : index < step
+                ? "bg-primary-100 text-primary-700"
+                : "bg-secondary-100 text-secondary-500"
+            }`}
+          >
+            {index + 1}. {label}
+          </li>
+        ))}
+      </ol>
+
+      {step === 0 && (
+        <div className="card">
+          <label className="flex flex-col items-center justify-center border-2 border-dashed border-secondary-300 rounded-lg p-10 cursor-pointer hover:border-primary-400">
+            <ArrowUpTrayIcon className="h-10 w-10 text-secondary-400 mb-3" />
+            <span className="font-medium text-secondary-900">
+              {reading ? "Reading file..." : "Choose a CSV file"}
+            </span>
+            <span className="text-sm text-secondary-500 mt-1">
+              The first row must hold the column names. Save Excel sheets as CSV
+              first.
+            </span>
+            <input
+              type="file"
+              accept=".csv,text/csv"
+              onChange={handleFile}
+              disabled={reading}
+              className="hidden"
+            />
+          </label>
+        </div>
+      )}
+
+      {step === 1 && (
+        <div className="card">
+          <h3 className="text-lg font-semibold text-secondary-900 mb-1">
+            Map Columns
+          </h3>
+          <p className="text-sm text-secondary-600 mb-4">
+            {fileName} · {sheet.rows.length} rows. Pick the column that holds
+            each product field.
+          </p>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            {IMPORT_FIELDS.map((field) => (
+              <div key={field.key}>
+                <label className="block text-sm font-medium text-secondary-700 mb-1">
+                  {field.label}
+                  {field.required && " *"}
+                </label>
+                <select
+                  value={mapping[field.key] ?? -1}
+                  onChange={(e) =>
+                    setMapping((prev) => ({
+                      ...prev,
+                      [field.key]: Number(e.target.value),
+                    }))
+                  }
+                  className="input-field"
+                >
+                  <option value={-1}>Don't import</option>
+                  {sheet.headers.map((header, index) => (
+                    <option key={index} value={index}>
+                      {header || `Column ${index + 1}`}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            ))}
+          </div>
+
+          <div className="flex justify-end space-x-3 mt-6">
+            <button onClick={() => setStep(0)} className="btn-secondary">
+              Back
+            </button>
+            <button
+              onClick={goToPreview}
+              disabled={checking}
+              className="btn-primary disabled:opacity-50"
+            >
+              {checking ? "Checking..." : "Preview"}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {step === 2 && (
+        <div className="card">
+          <div className="flex flex-wrap justify-between items-center gap-4 mb-4">
+            <div className="flex flex-wrap gap-2 text-sm">
+              <span className={`px-2 py-1 rounded ${STATUS_STYLES.ready}`}>
+                {counts.ready || 0} ready
+              </span>
+              <span className={`px-2 py-1 rounded ${STATUS_STYLES.invalid}`}>
+                {counts.invalid || 0} with errors
+              </span>
+              <span className={`px-2 py-1 rounded ${STATUS_STYLES.duplicate}`}>
+                {counts.duplicate || 0} duplicates
+              </span>
+            </div>
+            <label className="flex items-center text-sm text-secondary-700">
+              <input
+                type="checkbox"
+                checked={problemsOnly}
+                onChange={(e) => setProblemsOnly(e.target.checked)}
+                className="mr-2"
+              />
+              Show problems only
+            </label>
+          </div>
+
+          <div className="overflow-x-auto max-h-[32rem]">
+            <table className="min-w-full divide-y divide-secondary-200">
+              <thead className="bg-secondary-50">
+                <tr>
+                  <th className="table-header">Row</th>
+                  <th className="table-header">Name</th>
+                  <th className="table-header">SKU</th>
+                  <th className="table-header">Barcode</th>
+                  <th className="table-header">Price</th>
+                  <th className="table-header">Stock</th>
+                  <th className="table-header">Status</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-secondary-200">
+                {previewRows.map((row) => (
+                  <tr key={row.rowNumber}>
+                    <td className="table-cell">{row.rowNumber}</td>
+                    <td className="table-cell">{row.product.name || "-"}</td>
+                    <td className="table-cell">{row.product.sku || "-"}</td>
+                    <td className="table-cell">{row.product.barcode || "-"}</td>
+                    <td className="table-cell">
+                      {row.product.pricing.sellingPrice || "-"}
+                    </td>
+                    <td className="table-cell">
+                      {row.product.inventory.currentStock}
+                    </td>
+                    <td className="table-cell">
+                      <span
+                        className={`px-2 py-1 rounded text-xs font-medium ${
+                          STATUS_STYLES[row.status]
+                        }`}
+                      >
+                        {row.status}
+                      </span>
+                      {row.message && (
+                        <p className="text-xs text-secondary-600 mt-1 whitespace-normal">
+                          {row.message}
+                        </p>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="flex justify-between items-center mt-6">
+            <p className="text-sm text-secondary-600">
+              Rows with errors or duplicates are skipped.
+            </p>
+            <div className="flex space-x-3">
+              <button onClick={() => setStep(1)} className="btn-secondary">
+                Back
+              </button>
+              <button
+                onClick={runImport}
+                disabled={readyRows.length === 0}
+                className="btn-primary disabled:opacity-50"
+              >
+                Import {readyRows.length} Products
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {step === 3 && (
+        <div className="card space-y-6">
+          <div>
+            <div className="flex justify-between text-sm text-secondary-700 mb-2">
+              <span>
+                {importing ? "Importing..." : "Import finished"} ·{" "}
+                {processedCount} of {readyRows.length} rows sent
+              </span>
+              <span>
+                {Math.round((processedCount / readyRows.length) * 100)}%
+              </span>
+            </div>
+            <div className="w-full bg-secondary-100 rounded-full h-2">
+              <div
+                className="bg-primary-600 h-2 rounded-full transition-all"
+                style={{
+                  width: `${(processedCount / readyRows.length) * 100}%`,
+                }}
+              />
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+            <div className="flex items-center p-4 rounded-lg bg-green-50">
+              <CheckCircleIcon className="h-8 w-8 text-green-600 mr-3" />
+              <div>
+                <p className="text-2xl font-bold text-secondary-900">
+                  {importedCount}
+                </p>
+                <p className="text-sm text-secondary-600">Imported</p>
+              </div>
+            </div>
+            <div className="flex items-center p-4 rounded-lg bg-red-50">
+              <XCircleIcon className="h-8 w-8 text-red-600 mr-3" />
+              <div>
+                <p className="text-2xl font-bold text-secondary-900">
+                  {failedCount}
+                </p>
+                <p className="text-sm text-secondary-600">Failed</p>
+              </div>
+            </div>
+            <div className="flex items-center p-4 rounded-lg bg-secondary-50">
+              <ExclamationTriangleIcon className="h-8 w-8 text-yellow-600 mr-3" />
+              <div>
+                <p className="text-2xl font-bold text-secondary-900">
+                  {rows.length - readyRows.length}
+                </p>
+                <p className="text-sm text-secondary-600">Skipped</p>
+              </div>
+            </div>
+          </div>
+
+          {!importing && (
+            <div className="flex justify-end space-x-3">
+              <button onClick={downloadReport} className="btn-secondary">
+                <ArrowDownTrayIcon className="h-5 w-5 mr-2" />
+                Download Report
+              </button>
+              <Link to="/products" className="btn-primary">
+                Back to Products
+              </Link>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ImportProducts;
@@ -0,0 +1,439 @@
+// src/pages/Products/PrintLabels.js
+import { useState, useEffect } from "react";
+import { useLocation, useNavigate } from "react-router-dom";
+import { useSettings } from "../../contexts/SettingsContext";
+import { productsAPI } from "../../services/api";
+import { formatCurrency } from "../../utils/helpers";
+import { printHtml } from "../../utils/receipt";
+import {
+  BARCODE_SYMBOLOGIES,
+  LABEL_TEMPLATES,
+  MAX_LABELS_PER_PRINT,
+  getLabelTemplate,
+  getLabelPreference,
+  saveLabelPreference,
+  getLabelValue,
+  getLabelItems,
+  getLabelCopies,
+  clampLabelCopies,
+  renderBarcodeSvg,
+  renderLabelsHtml,
+} from "../../utils/labels";
+import toast from "react-hot-toast";
+import {
+  ArrowLeftIcon,
+  MagnifyingGlassIcon,
+  PrinterIcon,
+  ExclamationTriangleIcon,
+  XMarkIcon,
+} from "@heroicons/react/24/outline";
+
+const LABEL_FIELDS = [
+  { key: "showName", label: "Product name" },
+  { key: "showPrice", label: "Price" },
+  { key: "showSku", label: "SKU" },
+  { key: "showBusiness", label: "Business name" },
+];
+
+const PrintLabels = () => {
+  const location = useLocation();
+  const navigate = useNavigate();
+  const { settings } = useSettings();
+  const [preference, setPreference] = useState(() =>
+    getLabelPreference(settings)
+  );
+  const [products, setProducts] = useState(location.state?.products || []);
+  const [copyOptions, setCopyOptions] = useState({
+    copyMode: "fixed",
+    copies: 1,
+  });
+  // Copies typed in for a single product or variant, by label row key
+  const [overrides, setOverrides] = useState({});
+  const [search, setSearch] = useState("");
+  const [results, setResults] = useState([]);
+  const [previewHtml, setPreviewHtml] = useState("");
+  const [printing, setPrinting] = useState(false);
+
+  const template = getLabelTemplate(preference.template);
+
+  const updatePreference = (key, value) => {
+    setPreference((prev) => {
+      const next = { ...prev, [key]: value };
+      saveLabelPreference(next);
+      return next;
+    });
+  };
+
+  // A new copy rule replaces any per-product counts
+  const changeCopyOptions = (options) => {
+    setCopyOptions((prev) => ({ ...prev, ...options }));
+    setOverrides({});
+  };
+
+  const rows = products.flatMap((product) =>
+    getLabelItems(product).map((item) => ({
+      key: item.key,
+      product: item.product,
+      value: getLabelValue(item.product, preference.symbology),
+      copies: overrides[item.key] ?? getLabelCopies(item.product, copyOptions),
+    }))
+  );
+  const printable = rows.filter((row) => row.value && row.copies > 0);
+  const labelCount = printable.reduce((sum, row) => sum + row.copies, 0);
+
+  // Preview one label for the first printable product
+  const previewProduct = printable[0]?.product;
+  const previewValue = printable[0]?.value;
+  useEffect(() => {
+    let cancelled = false;
+
+    const renderPreview = async () => {
+      if (!previewProduct) {
+        setPreviewHtml("");
+        return;
+      }
+      try {
+        const svg = await renderBarcodeSvg(previewValue, preference.symbology);
+        if (!cancelled) {
+          setPreviewHtml(
+            renderLabelsHtml(
+              [{ product: previewProduct, svg }],
+              preference,
+              settings
+            )
+          );
+        }
+      } catch (error) {
+        console.error("Failed to render label preview:", error);
+      }
+    };
+
+    renderPreview();
+    return () => {
+      cancelled = true;
+    };
+  }, [previewProduct, previewValue, preference, settings]);
+
+  const searchProducts = async (e) => {
+    e.preventDefault();
+    if (!search.trim()) return;
+
+    try {
+      const response = await productsAPI.getProducts({
+        search: search.trim(),
+        limit: 10,
+      });
+      setResults(response.data.data || []);
+    } catch (error) {
+      console.error("Failed to search products:", error);
+      toast.error("Failed to search products");
+    }
+  };
+
+  const addProduct = (product) => {
+    setProducts((prev) =>
+      prev.some((item) => item._id === product._id) ? prev : [...prev, product]
+    );
+  };
+
+  const removeProduct = (productId) => {
+    setProducts((prev) => prev.filter((item) => item._id !== productId));
+  };
+
+  const handlePrint = async () => {
+    if (labelCount === 0) {
+      toast.error("There are no labels to print");
+      return;
+    }
+    if (labelCount > MAX_LABELS_PER_PRINT) {
+      toast.error(`Print up to ${MAX_LABELS_PER_PRINT} labels at a time`);
+      return;
+    }
+
+    try {
+      setPrinting(true);
+      const items = [];
+      for (const row of printable) {
+        const svg = await renderBarcodeSvg(row.value, preference.symbology);
+        for (let copy = 0; copy < row.copies; copy += 1) {
+          items.push({ product: row.product, svg });
+        }
+      }
+      await printHtml(renderLabelsHtml(items, preference, settings));
+    } catch (error) {
+      console.error("Failed to print labels:", error);
+      toast.error("Failed to print labels");
+    } finally {
+      setPrinting(false);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div className="flex items-center space-x-4">
+          <button
+            onClick={() => navigate(-1)}
+            className="text-secondary-400 hover:text-secondary-600"
+          >
+            <ArrowLeftIcon className="h-6 w-6" />
+          </button>
+          <div>
+            <h1 className="text-2xl font-bold text-secondary-900">
+              Print Labels
+            </h1>
+            <p className="text-secondary-600">
+              Barcode and shelf labels for your products
+            </p>
+          </div>
+        </div>
+
+        <button
+          onClick={handlePrint}
+          disabled={printing || labelCount === 0}
+          className="btn-primary disabled:opacity-50"
+        >
+          <PrinterIcon className="h-5 w-5 mr-2" />
+          {printing ? "Preparing..." : `Print ${labelCount} Labels`}
+        </button>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        {/* Label Designer */}
+        <div className="card space-y-4">
+          <h3 className="text-lg font-semibold text-secondary-900">
+            Label Design
+          </h3>
+
+          <div>
+            <label className="block text-sm font-medium text-secondary-700 mb-1">
+              Label Stock
+            </label>
+            <select
+              value={preference.template}
+              onChange={(e) => updatePreference("template", e.target.value)}
+              className="input-field"
+            >
+              {LABEL_TEMPLATES.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-secondary-700 mb-1">
+              Barcode
+            </label>
+            <select
+              value={preference.symbology}
+              onChange={(e) => updatePreference("symbology", e.target.value)}
+              className="input-field"
+            >
+              {BARCODE_SYMBOLOGIES.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <p className="block text-sm font-medium text-secondary-700 mb-2">
+              Show on Label
+            </p>
+            <div className="space-y-2">
+              {LABEL_FIELDS.map((field) => (
+                <label
+                  key={field.key}
+                  className="flex items-center text-sm text-secondary-700"
+                >
+                  <input
+                    type="checkbox"
+                    checked={Boolean(preference[field.key])}
+                    onChange={(e) =>
+                      updatePreference(field.key, e.target.checked)
+                    }
+                    className="mr-2"
+                  />
+                  {field.label}
+                </label>
+              ))}
+            </div>
+          </div>
+
+          <div>
+            <p className="block text-sm font-medium text-secondary-700 mb-2">
+              Copies
+            </p>
+            <div className="space-y-2">
+              <label className="flex items-center text-sm text-secondary-700">
+                <input
+                  type="radio"
+                  checked={copyOptions.copyMode === "fixed"}
+                  onChange={() => changeCopyOptions({ copyMode: "fixed" })}
+                  className="mr-2"
+                />
+                <input
+                  type="number"
+                  min="1"
+                  value={copyOptions.copies}
+                  onChange={(e) =>
+                    changeCopyOptions({
+                      copyMode: "fixed",
+                      copies: e.target.value,
+                    })
+                  }
+                  className="input-field w-20 mr-2"
+                />
+                per product
+              </label>
+              <label className="flex items-center text-sm text-secondary-700">
+                <input
+                  type="radio"
+                  checked={copyOptions.copyMode === "stock"}
+                  onChange={() => changeCopyOptions({ copyMode: "stock" })}
+                  className="mr-2"
+                />
+                One per item in stock
+              </label>
+            </div>
+          </div>
+
+          <div>
+            <p className="block text-sm font-medium text-secondary-700 mb-2">
+              Preview
+            </p>
+            {previewHtml ? (
+              <iframe
+                title="Label preview"
+                srcDoc={previewHtml}
+                className="border border-secondary-300 bg-white"
+                style={{
+                  width: `${template.width}mm`,
+                  height: `${template.height}mm`,
+                }}
+              />
+            ) : (
+              <p className="text-sm text-secondary-500">
+                Add a product to see a preview
+              </p>
+            )}
+          </div>
+        </div>
+
+        {/* Products */}
+        <div className="card lg:col-span-2 space-y-4">
+          <form onSubmit={searchProducts} className="flex gap-2">
+            <div className="flex-1 relative">
+              <MagnifyingGlassIcon className="absolute left-3 top-1/2 transform -translate-y-1/2 h-5 w-5 text-secondary-400" />
+              <input
+                type="text"
+                value={search}
+                onChange={(e) => setSearch(e.target.value)}
+                placeholder="Find products to add by name, SKU or barcode..."
+                className="input-field pl-10"
+              />
+            </div>
+            <button type="submit" className="btn-secondary">
+              Search
+            </button>
+          </form>
+
+          {results.length > 0 && (
+            <div className="border border-secondary-200 rounded-lg divide-y divide-secondary-200">
+              {results.map((product) => (
+                <button
+                  key={product._id}
+                  onClick={() => addProduct(product)}
+                  className="w-full flex justify-between px-3 py-2 text-left text-sm hover:bg-secondary-50"
+                >
+                  <span>
+                    {product.name}
+                    <span className="ml-2 text-secondary-500">
+                      {product.sku}
+                    </span>
+                  </span>
+                  <span className="text-primary-600">Add</span>
+                </button>
+              ))}
+            </div>
+          )}
+
+          {rows.length === 0 ? (
+            <p className="text-center text-secondary-500 py-8">
+              No products selected. Search above, or select products on the
+              product list.
+            </p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-secondary-200">
+                <thead className="bg-secondary-50">
+                  <tr>
+                    <th className="table-header">Product</th>
+                    <th className="table-header">Price</th>
+                    <th className="table-header">Barcode</th>
+                    <th className="table-header">Labels</th>
+                    <th className="table-header"></th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-secondary-200">
+                  {rows.map(({ key, product, value, copies }) => (
+                    <tr key={key}>
+                      <td className="table-cell">
+                        <div className="text-sm font-medium text-secondary-900">
+                          {product.name}
+                        </div>
+                        <div className="text-sm text-secondary-500">
+                          SKU: {product.sku}
+                        </div>
+                      </td>
+                      <td className="table-cell">
+                        {formatCurrency(product.pricing?.sellingPrice)}
+                      </td>
+                      <td className="table-cell">
+                        {value || (
+                          <span className="flex items-center text-sm text-yellow-700">
+                            <ExclamationTriangleIcon className="h-4 w-4 mr-1" />
+                            No valid EAN-13
+                          </span>
+                        )}
+                      </td>
+                      <td className="table-cell">
+                        <input
+                          type="number"
+                          min="0"
+                          value={copies}
+                          onChange={(e) =>
+                            setOverrides((prev) => ({
+                              ...prev,
+                              [key]: clampLabelCopies(e.target.value),
+                            }))
+                          }
+                          className="input-field w-20"
+                        />
+                      </td>
+                      <td className="table-cell">
+                        <button
+                          onClick={() => removeProduct(product._id)}
+                          className="text-secondary-400 hover:text-red-600"
+                          title="Remove"
+                        >
+                          <XMarkIcon className="h-5 w-5" />
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PrintLabels;
@@ -2,12 +2,24 @@
 import { useState, useEffect } from "react";
 import { useParams, useNavigate, Link } from "react-router-dom";
 import { useAuth } from "../../contexts/AuthContext";
+import { useSettings } from "../../contexts/SettingsContext";
 import { productsAPI, salesAPI } from "../../services/api";
 import {
   formatCurrency,
   formatDate,
   getStockStatus,
 } from "../../utils/helpers";
+import { getThumbnailUrl } from "../../utils/images";
+import {
+  EXPIRY_STATUS,
+  getBatchId,
+  getDaysToExpiry,
+  getExpiryConfig,
+  getExpiryStatus,
+  sortByExpiry,
+  tracksBatches,
+} from "../../utils/batches";
+import { getVariantId, hasVariants } from "../../utils/variants";
 import LoadingSpinner from "../../components/common/LoadingSpinner";
 import toast from "react-hot-toast";
 import {
@@ -21,22 +33,34 @@ import {
   TruckIcon,
   ExclamationTriangleIcon,
   CheckCircleIcon,
+  PrinterIcon,
 } from "@heroicons/react/24/outline";
 
+const EMPTY_STOCK_UPDATE = {
+  quantity: "",
+  type: "adjustment",
+  reason: "",
+  lotNumber: "",
+  expiryDate: "",
+  batchId: "",
+};
+
+// Stock that comes in as a new batch of a batch-tracked product
+const RECEIVING_TYPES = ["purchase", "return"];
+
 const ProductDetail = () => {
   const { id } = useParams();
   const navigate = useNavigate();
   const { hasPermission } = useAuth();
+  const { settings } = useSettings();
+  const expiryConfig = getExpiryConfig(settings);
   const [product, setProduct] = useState(null);
   const [loading, setLoading] = useState(true);
   const [showStockModal, setShowStockModal] = useState(false);
-  const [stockUpdate, setStockUpdate] = useState({
-    quantity: "",
-    type: "adjustment",
-    reason: "",
-  });
+  const [stockUpdate, setStockUpdate] = useState(EMPTY_STOCK_UPDATE);
   const [performance, setPerformance] = useState(null);
   const [recentSales, setRecentSales] = useState([]);
+  const [activeImage, setActiveImage] = useState(0);
 
   useEffect(() => {
     fetchProduct();
@@ -49,6 +73,7 @@ const ProductDetail = () => {
       setLoading(true);
       const response = await productsAPI.getProduct(id);
       setProduct(response.data.data);
+      setActiveImage(0);
     } catch (error) {
       console.error("Failed to fetch product:", error);
       toast.error("Failed to load product details");
@@ -84,16 +109,34 @@ const ProductDetail = () => {
       return;
     }
 
+    const batchTracked = tracksBatches(product);
+    const receivesBatch =
+      batchTracked && RECEIVING_TYPES.includes(stockUpdate.type);
+    if (receivesBatch && !stockUpdate.expiryDate) {
+      toast.error("Please enter the batch expiry date");
+      return;
+    }
+
     try {
       await productsAPI.updateStock(id, {
         quantity: parseInt(stockUpdate.quantity),
         type: stockUpdate.type,
         reason: stockUpdate.reason,
+        ...(receivesBatch && {
+          batch: {
+            lotNumber: stockUpdate.lotNumber,
+            expiryDate: stockUpdate.expiryDate,
+          },
+        }),
+        // Damaged or expired stock comes off the batch it was in
+        ...(batchTracked &&
+          stockUpdate.type === "damage" &&
+          stockUpdate.batchId && { batchId: stockUpdate.batchId }),
       });
 
       toast.success("Stock updated successfully");
       setShowStockModal(false);
-      setStockUpdate({ quantity: "", type: "adjustment", reason: "" });
+      setStockUpdate(EMPTY_STOCK_UPDATE);
       fetchProduct();
     } catch (error) {
       console.error("Failed to update stock:", error);
@@ -101,6 +144,25 @@ const ProductDetail = () => {
     }
   };
 
+  const writeOffBatch = (batch) => {
+    setStockUpdate({
+      ...EMPTY_STOCK_UPDATE,
+      quantity: batch.quantity,
+      type: "damage",
+      reason: "Expired",
+      batchId: getBatchId(batch),
+    });
+    setShowStockModal(true);
+  };
+
+  const formatDaysLeft = (batch) => {
+    const days = getDaysToExpiry(batch);
+    if (days === null) return "-";
+    if (days < 0) return `Expired ${-days} day${days === -1 ? "" : "s"} ago`;
+    if (days === 0) return "Expires today";
+    return `${days} day${days === 1 ? "" : "s"}`;
+  };
+
   const deleteProduct = async () => {
     if (!hasPermission("products", "delete")) {
       toast.error("You do not have permission to delete products");
@@ -146,6 +208,8 @@ const ProductDetail = () => {
     );
   }
 
+  const image = product.images?.[activeImage] || product.images?.[0];
+  const batches = sortByExpiry(product.batches);
   const stockStatus = getStockStatus(
     product.inventory.currentStock,
     product.inventory.minStock
@@ -179,6 +243,16 @@ const ProductDetail = () => {
         </div>
 
         <div className="flex items-center space-x-3">
+          <button
+            onClick={() =>
+              navigate("/products/labels", { state: { products: [product] } })
+            }
+            className="btn-secondary"
+          >
+            <PrinterIcon className="h-5 w-5 mr-2" />
+            Labels
+          </button>
+
           {hasPermission("products", "update") && (
             <>
               <button
@@ -211,10 +285,10 @@ const ProductDetail = () => {
         {/* Product Image & Basic Info */}
         <div className="card">
           <div className="aspect-square bg-secondary-100 rounded-lg mb-4 flex items-center justify-center">
-            {product.images?.[0]?.url ? (
+            {image ? (
               <img
-                src={product.images[0].url}
-                alt={product.name}
+                src={image.url}
+                alt={image.alt || product.name}
                 className="w-full h-full object-cover rounded-lg"
               />
             ) : (
@@ -225,6 +299,28 @@ const ProductDetail = () => {
             )}
           </div>
 
+          {product.images?.length > 1 && (
+            <div className="flex flex-wrap gap-2 mb-4">
+              {product.images.map((item, index) => (
+                <button
+                  key={item.url}
+                  onClick={() => setActiveImage(index)}
+                  className={`h-14 w-14 rounded-lg overflow-hidden border-2 ${
+                    item === image
+                      ? "border-primary-500"
+                      : "border-secondary-200"
+                  }`}
+                >
+                  <img
+                    src={getThumbnailUrl(item)}
+                    alt={item.alt || product.name}
+                    className="h-full w-full object-cover"
+                  />
+                </button>
+              ))}
+            </div>
+          )}
+
           <div className="space-y-3">
             <div>
               <label className="text-sm font-medium text-secondary-600">
@@ -412,6 +508,128 @@ const ProductDetail = () => {
         </div>
       </div>
 
+      {/* Variants */}
+      {hasVariants(product) && (
+        <div className="card">
+          <h3 className="text-lg font-semibold text-secondary-900 mb-4">
+            Variants ({product.variants.length})
+          </h3>
+
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-secondary-200">
+              <thead className="bg-secondary-50">
+                <tr>
+                  <th className="table-header">Variant</th>
+                  <th className="table-header">SKU</th>
+                  <th className="table-header">Barcode</th>
+                  <th className="table-header">Price</th>
+                  <th className="table-header">Stock</th>
+                  <th className="table-header">Status</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-secondary-200">
+                {product.variants.map((variant) => (
+                  <tr key={getVariantId(variant)}>
+                    <td className="table-cell font-medium">{variant.name}</td>
+                    <td className="table-cell">{variant.sku}</td>
+                    <td className="table-cell">{variant.barcode || "-"}</td>
+                    <td className="table-cell">
+                      {formatCurrency(variant.pricing?.sellingPrice)}
+                    </td>
+                    <td className="table-cell">
+                      {variant.inventory?.currentStock || 0}
+                    </td>
+                    <td className="table-cell">
+                      <span
+                        className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${
+                          variant.isActive !== false
+                            ? "bg-green-100 text-green-800"
+                            : "bg-red-100 text-red-800"
+                        }`}
+                      >
+                        {variant.isActive !== false ? "Active" : "Inactive"}
+                      </span>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      {/* Batches */}
+      {tracksBatches(product) && (
+        <div className="card">
+          <h3 className="text-lg font-semibold text-secondary-900 mb-4">
+            Batches
+          </h3>
+
+          {batches.length === 0 ? (
+            <p className="text-sm text-secondary-500">
+              No batches in stock. Receive stock as a purchase to add one.
+            </p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-secondary-200">
+                <thead className="bg-secondary-50">
+                  <tr>
+                    <th className="table-header">Lot Number</th>
+                    <th className="table-header">Received</th>
+                    <th className="table-header">Expiry Date</th>
+                    <th className="table-header">Time Left</th>
+                    <th className="table-header">Quantity</th>
+                    <th className="table-header">Status</th>
+                    <th className="table-header"></th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-secondary-200">
+                  {batches.map((batch) => {
+                    const status =
+                      EXPIRY_STATUS[
+                        getExpiryStatus(batch, expiryConfig.alertDays)
+                      ];
+                    return (
+                      <tr key={getBatchId(batch)}>
+                        <td className="table-cell font-medium">
+                          {batch.lotNumber || "-"}
+                        </td>
+                        <td className="table-cell">
+                          {formatDate(batch.receivedAt) || "-"}
+                        </td>
+                        <td className="table-cell">
+                          {formatDate(batch.expiryDate)}
+                        </td>
+                        <td className="table-cell">{formatDaysLeft(batch)}</td>
+                        <td className="table-cell">{batch.quantity}</td>
+                        <td className="table-cell">
+                          <span
+                            className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${status.bgColor} ${status.color}`}
+                          >
+                            {status.label}
+                          </span>
+                        </td>
+                        <td className="table-cell">
+                          {status === EXPIRY_STATUS.expired &&
+                            hasPermission("products", "update") && (
+                              <button
+                                onClick={() => writeOffBatch(batch)}
+                                className="text-sm text-red-600 hover:text-red-700"
+                              >
+                                Write Off
+                              </button>
+                            )}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      )}
+
       {/* Performance Metrics */}
       {performance && (
         <div className="card">
@@ -703,6 +921,76 @@ const ProductDetail = () => {
                 </select>
               </div>
 
+              {tracksBatches(product) &&
+                RECEIVING_TYPES.includes(stockUpdate.type) && (
+                  <div className="grid grid-cols-2 gap-4">
+                    <div>
+                      <label className="block text-sm font-medium text-secondary-700 mb-1">
+                        Lot Number
+                      </label>
+                      <input
+                        type="text"
+                        value={stockUpdate.lotNumber}
+                        onChange={(e) =>
+                          setStockUpdate((prev) => ({
+                            ...prev,
+                            lotNumber: e.target.value,
+                          }))
+                        }
+                        className="input-field"
+                        placeholder="e.g., L2310"
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-secondary-700 mb-1">
+                        Expiry Date *
+                      </label>
+                      <input
+                        type="date"
+                        value={stockUpdate.expiryDate}
+                        onChange={(e) =>
+                          setStockUpdate((prev) => ({
+                            ...prev,
+                            expiryDate: e.target.value,
+                          }))
+                        }
+                        className="input-field"
+                      />
+                    </div>
+                  </div>
+                )}
+
+              {tracksBatches(product) &&
+                stockUpdate.type === "damage" &&
+                batches.length > 0 && (
+                  <div>
+                    <label className="block text-sm font-medium text-secondary-700 mb-1">
+                      Batch
+                    </label>
+                    <select
+                      value={stockUpdate.batchId}
+                      onChange={(e) =>
+                        setStockUpdate((prev) => ({
+                          ...prev,
+                          batchId: e.target.value,
+                        }))
+                      }
+                      className="input-field"
+                    >
+                      <option value="">First to expire</option>
+                      {batches.map((batch) => (
+                        <option
+                          key={getBatchId(batch)}
+                          value={getBatchId(batch)}
+                        >
+                          {batch.lotNumber || "No lot number"} · expires{" "}
+                          {formatDate(batch.expiryDate)} ({batch.quantity})
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                )}
+
               <div>
                 <label className="block text-sm font-medium text-secondary-700 mb-1">
                   Reason
@@ -724,7 +1012,10 @@ const ProductDetail = () => {
 
             <div className="flex justify-end space-x-3 mt-6">
               <button
-                onClick={() => setShowStockModal(false)}
+                onClick={() => {
+                  setShowStockModal(false);
+                  setStockUpdate(EMPTY_STOCK_UPDATE);
+                }}
                 className="btn-secondary"
               >
                 Cancel
@@ -1,24 +1,38 @@
 // src/pages/Products/Products.js
-import { useState, useEffect } from "react";
-import { Link, useSearchParams } from "react-router-dom";
+import { Fragment, useState, useEffect } from "react";
+import { Link, useNavigate, useSearchParams } from "react-router-dom";
 import { useAuth } from "../../contexts/AuthContext";
 import { productsAPI, categoriesAPI } from "../../services/api";
 import { formatCurrency, getStockStatus, debounce } from "../../utils/helpers";
+import { getPrimaryImage, getThumbnailUrl } from "../../utils/images";
+import {
+  getPriceRange,
+  getTotalStock,
+  getVariantId,
+  hasVariants,
+} from "../../utils/variants";
 import LoadingSpinner from "../../components/common/LoadingSpinner";
+import BulkEditModal from "../../components/Products/BulkEditModal";
 import toast from "react-hot-toast";
 import {
   PlusIcon,
+  ArrowUpTrayIcon,
   MagnifyingGlassIcon,
   FunnelIcon,
   EyeIcon,
   PencilIcon,
+  PencilSquareIcon,
+  PrinterIcon,
   TrashIcon,
   ExclamationTriangleIcon,
   CheckCircleIcon,
+  ChevronDownIcon,
+  ChevronUpIcon,
 } from "@heroicons/react/24/outline";
 
 const Products = () => {
   const { hasPermission } = useAuth();
+  const navigate = useNavigate();
   const [searchParams, setSearchParams] = useSearchParams();
   const [products, setProducts] = useState([]);
   const [categories, setCategories] = useState([]);
@@ -40,6 +54,14 @@ const Products = () => {
     pages: 0,
   });
   const [showFilters, setShowFilters] = useState(false);
+  // Selected products by id, kept across pages for bulk actions
+  const [selected, setSelected] = useState({});
+  const [showBulkEdit, setShowBulkEdit] = useState(false);
+  // Products whose variants are shown under them
+  const [expanded, setExpanded] = useState({});
+  const selectedProducts = Object.values(selected);
+  const allOnPageSelected =
+    products.length > 0 && products.every((product) => selected[product._id]);
 
   useEffect(() => {
     fetchCategories();
@@ -162,6 +184,38 @@ const Products = () => {
     }
   };
 
+  const toggleSelected = (product) => {
+    setSelected((prev) => {
+      const next = { ...prev };
+      if (next[product._id]) {
+        delete next[product._id];
+      } else {
+        next[product._id] = product;
+      }
+      return next;
+    });
+  };
+
+  const toggleAllOnPage = () => {
+    setSelected((prev) => {
+      const next = { ...prev };
+      products.forEach((product) => {
+        if (allOnPageSelected) {
+          delete next[product._id];
+        } else {
+          next[product._id] = product;
+        }
+      });
+      return next;
+    });
+  };
+
+  const handleBulkSaved = () => {
+    setShowBulkEdit(false);
+    setSelected({});
+    fetchProducts();
+  };
+
   const getFilterCount = () => {
     return (
       Object.values(filters).filter((value) => value && value !== "active")
@@ -181,10 +235,16 @@ const Products = () => {
         </div>
 
         {hasPermission("products", "create") && (
-          <Link to="/products/add" className="btn-primary">
-            <PlusIcon className="h-5 w-5 mr-2" />
-            Add Product
-          </Link>
+          <div className="flex space-x-3">
+            <Link to="/products/import" className="btn-secondary">
+              <ArrowUpTrayIcon className="h-5 w-5 mr-2" />
+              Import
+            </Link>
+            <Link to="/products/add" className="btn-primary">
+              <PlusIcon className="h-5 w-5 mr-2" />
+              Add Product
+            </Link>
+          </div>
         )}
       </div>
 
@@ -330,6 +390,41 @@ const Products = () => {
         )}
       </div>
 
+      {/* Bulk Actions */}
+      {selectedProducts.length > 0 && (
+        <div className="card flex flex-wrap items-center justify-between gap-3 bg-primary-50 border border-primary-200">
+          <p className="text-sm font-medium text-primary-800">
+            {selectedProducts.length} product
+            {selectedProducts.length === 1 ? "" : "s"} selected
+          </p>
+          <div className="flex space-x-3">
+            <button onClick={() => setSelected({})} className="btn-secondary">
+              Clear Selection
+            </button>
+            <button
+              onClick={() =>
+                navigate("/products/labels", {
+                  state: { products: selectedProducts },
+                })
+              }
+              className="btn-secondary"
+            >
+              <PrinterIcon className="h-5 w-5 mr-2" />
+              Print Labels
+            </button>
+            {hasPermission("products", "update") && (
+              <button
+                onClick={() => setShowBulkEdit(true)}
+                className="btn-primary"
+              >
+                <PencilSquareIcon className="h-5 w-5 mr-2" />
+                Bulk Edit
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+
       {/* Products Table */}
       <div className="card p-0">
         {loading ? (
@@ -342,6 +437,14 @@ const Products = () => {
               <table className="min-w-full divide-y divide-secondary-200">
                 <thead className="bg-secondary-50">
                   <tr>
+                    <th className="table-header w-10">
+                      <input
+                        type="checkbox"
+                        checked={allOnPageSelected}
+                        onChange={toggleAllOnPage}
+                        title="Select all on this page"
+                      />
+                    </th>
                     <th className="table-header">Product</th>
                     <th className="table-header">Category</th>
                     <th className="table-header">Price</th>
@@ -352,120 +455,185 @@ const Products = () => {
                 </thead>
                 <tbody className="bg-white divide-y divide-secondary-200">
                   {products.map((product) => {
+                    const stock = getTotalStock(product);
                     const stockStatus = getStockStatus(
-                      product.inventory.currentStock,
+                      stock,
                       product.inventory.minStock
                     );
+                    const priceRange = getPriceRange(product);
 
                     return (
-                      <tr key={product._id} className="hover:bg-secondary-50">
-                        <td className="table-cell">
-                          <div className="flex items-center">
-                            <div className="h-10 w-10 flex-shrink-0">
-                              {product.images?.[0]?.url ? (
-                                <img
-                                  className="h-10 w-10 rounded-lg object-cover"
-                                  src={product.images[0].url}
-                                  alt={product.name}
-                                />
-                              ) : (
-                                <div className="h-10 w-10 rounded-lg bg-secondary-200 flex items-center justify-center">
-                                  <span className="text-secondary-500 text-xs">
-                                    📦
-                                  </span>
-                                </div>
-                              )}
-                            </div>
-                            <div className="ml-4">
-                              <div className="text-sm font-medium text-secondary-900">
-                                {product.name}
+                      <Fragment key={product._id}>
+                        <tr className="hover:bg-secondary-50">
+                          <td className="table-cell w-10">
+                            <input
+                              type="checkbox"
+                              checked={Boolean(selected[product._id])}
+                              onChange={() => toggleSelected(product)}
+                            />
+                          </td>
+                          <td className="table-cell">
+                            <div className="flex items-center">
+                              <div className="h-10 w-10 flex-shrink-0">
+                                {getPrimaryImage(product) ? (
+                                  <img
+                                    className="h-10 w-10 rounded-lg object-cover"
+                                    src={getThumbnailUrl(
+                                      getPrimaryImage(product)
+                                    )}
+                                    alt={product.name}
+                                  />
+                                ) : (
+                                  <div className="h-10 w-10 rounded-lg bg-secondary-200 flex items-center justify-center">
+                                    <span className="text-secondary-500 text-xs">
+                                      📦
+                                    </span>
+                                  </div>
+                                )}
                               </div>
-                              <div className="text-sm text-secondary-500">
-                                SKU: {product.sku}
+                              <div className="ml-4">
+                                <div className="text-sm font-medium text-secondary-900">
+                                  {product.name}
+                                </div>
+                                <div className="text-sm text-secondary-500">
+                                  SKU: {product.sku}
+                                </div>
+                                {hasVariants(product) && (
+                                  <button
+                                    onClick={() =>
+                                      setExpanded((prev) => ({
+                                        ...prev,
+                                        [product._id]: !prev[product._id],
+                                      }))
+                                    }
+                                    className="flex items-center text-xs text-primary-600 hover:text-primary-700"
+                                  >
+                                    {expanded[product._id] ? (
+                                      <ChevronUpIcon className="h-3 w-3 mr-1" />
+                                    ) : (
+                                      <ChevronDownIcon className="h-3 w-3 mr-1" />
+                                    )}
+                                    {product.variants.length} variants
+                                  </button>
+                                )}
                               </div>
                             </div>
-                          </div>
-                        </td>
-                        <td className="table-cell">
-                          <span className="text-sm text-secondary-900">
-                            {product.category?.name || "Uncategorized"}
-                          </span>
-                        </td>
-                        <td className="table-cell">
-                          <div className="text-sm text-secondary-900">
-                            {formatCurrency(product.pricing.sellingPrice)}
-                          </div>
-                          {product.pricing.discount > 0 && (
-                            <div className="text-xs text-green-600">
-                              {product.pricing.discount}% off
-                            </div>
-                          )}
-                        </td>
-                        <td className="table-cell">
-                          <div className="flex items-center">
-                            <span className="text-sm font-medium text-secondary-900">
-                              {product.inventory.currentStock}
+                          </td>
+                          <td className="table-cell">
+                            <span className="text-sm text-secondary-900">
+                              {product.category?.name || "Uncategorized"}
                             </span>
+                          </td>
+                          <td className="table-cell">
+                            <div className="text-sm text-secondary-900">
+                              {priceRange.min === priceRange.max
+                                ? formatCurrency(priceRange.min)
+                                : `${formatCurrency(
+                                    priceRange.min
+                                  )} - ${formatCurrency(priceRange.max)}`}
+                            </div>
+                            {product.pricing.discount > 0 && (
+                              <div className="text-xs text-green-600">
+                                {product.pricing.discount}% off
+                              </div>
+                            )}
+                          </td>
+                          <td className="table-cell">
+                            <div className="flex items-center">
+                              <span className="text-sm font-medium text-secondary-900">
+                                {stock}
+                              </span>
+                              <span
+                                className={`ml-2 inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${stockStatus.bgColor} ${stockStatus.color}`}
+                              >
+                                {stock === 0 ? (
+                                  <ExclamationTriangleIcon className="h-3 w-3 mr-1" />
+                                ) : stock <= product.inventory.minStock ? (
+                                  <ExclamationTriangleIcon className="h-3 w-3 mr-1" />
+                                ) : (
+                                  <CheckCircleIcon className="h-3 w-3 mr-1" />
+                                )}
+                                {stockStatus.status}
+                              </span>
+                            </div>
+                          </td>
+                          <td className="table-cell">
                             <span
-                              className={`ml-2 inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${stockStatus.bgColor} ${stockStatus.color}`}
+                              className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${
+                                product.status.isActive
+                                  ? "bg-green-100 text-green-800"
+                                  : "bg-red-100 text-red-800"
+                              }`}
                             >
-                              {product.inventory.currentStock === 0 ? (
-                                <ExclamationTriangleIcon className="h-3 w-3 mr-1" />
-                              ) : product.inventory.currentStock <=
-                                product.inventory.minStock ? (
-                                <ExclamationTriangleIcon className="h-3 w-3 mr-1" />
-                              ) : (
-                                <CheckCircleIcon className="h-3 w-3 mr-1" />
-                              )}
-                              {stockStatus.status}
+                              {product.status.isActive ? "Active" : "Inactive"}
                             </span>
-                          </div>
-                        </td>
-                        <td className="table-cell">
-                          <span
-                            className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${
-                              product.status.isActive
-                                ? "bg-green-100 text-green-800"
-                                : "bg-red-100 text-red-800"
-                            }`}
-                          >
-                            {product.status.isActive ? "Active" : "Inactive"}
-                          </span>
-                        </td>
-                        <td className="table-cell">
-                          <div className="flex items-center space-x-2">
-                            <Link
-                              to={`/products/${product._id}`}
-                              className="text-secondary-400 hover:text-secondary-600"
-                              title="View Details"
-                            >
-                              <EyeIcon className="h-4 w-4" />
-                            </Link>
-
-                            {hasPermission("products", "update") && (
+                          </td>
+                          <td className="table-cell">
+                            <div className="flex items-center space-x-2">
                               <Link
-                                to={`/products/${product._id}/edit`}
-                                className="text-blue-400 hover:text-blue-600"
-                                title="Edit Product"
+                                to={`/products/${product._id}`}
+                                className="text-secondary-400 hover:text-secondary-600"
+                                title="View Details"
                               >
-                                <PencilIcon className="h-4 w-4" />
+                                <EyeIcon className="h-4 w-4" />
                               </Link>
-                            )}
 
-                            {hasPermission("products", "delete") && (
-                              <button
-                                onClick={() =>
-                                  deleteProduct(product._id, product.name)
-                                }
-                                className="text-red-400 hover:text-red-600"
-                                title="Delete Product"
-                              >
-                                <TrashIcon className="h-4 w-4" />
-                              </button>
-                            )}
-                          </div>
-                        </td>
-                      </tr>
+                              {hasPermission("products", "update") && (
+                                <Link
+                                  to={`/products/${product._id}/edit`}
+                                  className="text-blue-400 hover:text-blue-600"
+                                  title="Edit Product"
+                                >
+                                  <PencilIcon className="h-4 w-4" />
+                                </Link>
+                              )}
+
+                              {hasPermission("products", "delete") && (
+                                <button
+                                  onClick={() =>
+                                    deleteProduct(product._id, product.name)
+                                  }
+                                  className="text-red-400 hover:text-red-600"
+                                  title="Delete Product"
+                                >
+                                  <TrashIcon className="h-4 w-4" />
+                                </button>
+                              )}
+                            </div>
+                          </td>
+                        </tr>
+                        {expanded[product._id] &&
+                          product.variants.map((variant) => (
+                            <tr
+                              key={getVariantId(variant)}
+                              className="bg-secondary-50"
+                            >
+                              <td className="table-cell"></td>
+                              <td className="table-cell pl-20">
+                                <div className="text-sm text-secondary-900">
+                                  {variant.name}
+                                </div>
+                                <div className="text-xs text-secondary-500">
+                                  SKU: {variant.sku}
+                                  {variant.barcode && ` · ${variant.barcode}`}
+                                </div>
+                              </td>
+                              <td className="table-cell"></td>
+                              <td className="table-cell text-sm">
+                                {formatCurrency(variant.pricing?.sellingPrice)}
+                              </td>
+                              <td className="table-cell text-sm">
+                                {variant.inventory?.currentStock || 0}
+                              </td>
+                              <td className="table-cell text-sm">
+                                {variant.isActive === false
+                                  ? "Inactive"
+                                  : "Active"}
+                              </td>
+                              <td className="table-cell"></td>
+                            </tr>
+                          ))}
+                      </Fragment>
                     );
                   })}
                 </tbody>
@@ -597,6 +765,14 @@ const Products = () => {
           </div>
         )}
       </div>
+
+      {showBulkEdit && (
+        <BulkEditModal
+          products={selectedProducts}
+          onSaved={handleBulkSaved}
+          onClose={() => setShowBulkEdit(false)}
+        />
+      )}
     </div>
   );
 };
@@ -2,9 +2,16 @@
 import { useState, useEffect } from 'react';
 import { useParams, useNavigate, Link } from 'react-router-dom';
 import { useAuth } from '../../contexts/AuthContext';
+import { useSettings } from '../../contexts/SettingsContext';
 import { salesAPI } from '../../services/api';
 import { formatCurrency, formatDateTime, getPaymentStatus } from '../../utils/helpers';
+import { calculateRefundAmount } from '../../utils/totals';
+import { getReturnableItems } from '../../utils/returns';
+import { roundQuantity } from '../../utils/units';
+import { downloadReceiptBin, printSale } from '../../utils/printer';
 import LoadingSpinner from '../../components/common/LoadingSpinner';
+import QuantityStepper from '../../components/common/QuantityStepper';
+import PriceTierBadge from '../../components/common/PriceTierBadge';
 import toast from 'react-hot-toast';
 import {
   ArrowLeftIcon,
@@ -13,12 +20,14 @@ import {
   ArrowPathIcon,
   UserIcon,
   CreditCardIcon,
+  ArrowDownTrayIcon,
 } from '@heroicons/react/24/outline';
 
 const SaleDetail = () => {
   const { id } = useParams();
   const navigate = useNavigate();
   const { hasPermission } = useAuth();
+  const { settings } = useSettings();
   const [sale, setSale] = useState(null);
   const [loading, setLoading] = useState(true);
   const [showRefundModal, setShowRefundModal] = useState(false);
@@ -36,13 +45,7 @@ const SaleDetail = () => {
       setSale(response.data.data);
       
       // Initialize refund items
-      setRefundItems(response.data.data.items.map(item => ({
-        productId: item.product._id,
-        productName: item.productName,
-        maxQuantity: item.quantity,
-        quantity: 0,
-        unitPrice: item.unitPrice,
-      })));
+      setRefundItems(getReturnableItems(response.data.data));
     } catch (error) {
       console.error('Failed to fetch sale:', error);
       toast.error('Failed to load sale details');
@@ -54,8 +57,7 @@ const SaleDetail = () => {
 
   const printReceipt = async () => {
     try {
-      await salesAPI.printReceipt(id);
-      toast.success('Receipt printed successfully');
+      await printSale(sale, settings);
     } catch (error) {
       console.error('Failed to print receipt:', error);
       toast.error('Failed to print receipt');
@@ -103,8 +105,10 @@ const SaleDetail = () => {
       await salesAPI.refundSale(id, {
         items: itemsToRefund.map(item => ({
           productId: item.productId,
+          variant: item.variant,
           quantity: item.quantity,
         })),
+        amount: totalRefundAmount,
         reason: refundReason,
       });
       
@@ -119,11 +123,17 @@ const SaleDetail = () => {
     }
   };
 
-  const updateRefundQuantity = (productId, quantity) => {
+  const updateRefundQuantity = (lineKey, quantity) => {
     setRefundItems(items => 
       items.map(item => 
-        item.productId === productId 
-          ? { ...item, quantity: Math.min(Math.max(0, quantity), item.maxQuantity) }
+        item.lineKey === lineKey 
+          ? {
+              ...item,
+              quantity: Math.min(
+                Math.max(0, roundQuantity(quantity, item.unit)),
+                item.maxQuantity
+              ),
+            }
           : item
       )
     );
@@ -149,9 +159,7 @@ const SaleDetail = () => {
   }
 
   const paymentStatus = getPaymentStatus(sale.payment.status);
-  const totalRefundAmount = refundItems.reduce((sum, item) => 
-    sum + (item.quantity * item.unitPrice), 0
-  );
+  const totalRefundAmount = calculateRefundAmount(sale.items, refundItems, sale.totals);
 
   return (
     <div className="space-y-6">
@@ -171,6 +179,14 @@ const SaleDetail = () => {
             <p className="text-secondary-600">
               {formatDateTime(sale.createdAt)}
             </p>
+            {sale.exchange?.originalSale && (
+              <Link
+                to={`/sales/${sale.exchange.originalSale._id || sale.exchange.originalSale}`}
+                className="text-primary-600 hover:text-primary-700 text-sm"
+              >
+                Exchange for receipt #{sale.exchange.receiptNumber} →
+              </Link>
+            )}
           </div>
         </div>
 
@@ -180,6 +196,15 @@ const SaleDetail = () => {
             Print Receipt
           </button>
 
+          <button
+            onClick={() => downloadReceiptBin(sale, settings)}
+            className="btn-secondary"
+            title="Download the ESC/POS bytes for this receipt"
+          >
+            <ArrowDownTrayIcon className="h-5 w-5 mr-2" />
+            .bin
+          </button>
+
           {hasPermission("sales", "void") && sale.status === "completed" && (
             <>
               <button
@@ -210,7 +235,7 @@ const SaleDetail = () => {
             Sale Summary
           </h3>
 
-          <div className="space-y-14">
+          <div className="space-y-3">
             <div className="flex justify-between">
               <span className="text-secondary-600">Status</span>
               <span
@@ -236,10 +261,29 @@ const SaleDetail = () => {
               </span>
             </div>
 
+            {sale.totals.discount > 0 && (
+              <div className="flex justify-between">
+                <span className="text-secondary-600">Discount</span>
+                <span className="text-green-700">
+                  -{formatCurrency(sale.totals.discount)}
+                </span>
+              </div>
+            )}
+
+            {sale.totals.tax > 0 && (
+              <div className="flex justify-between">
+                <span className="text-secondary-600">
+                  {sale.totals.taxInclusive ? 'Incl. VAT' : 'VAT'} ({sale.totals.taxRate}%)
+                </span>
+                <span>{formatCurrency(sale.totals.tax)}</span>
+              </div>
+            )}
+
             <div className="flex justify-between text-lg font-bold border-t border-secondary-200 pt-3">
               <span>Total</span>
               <span className="text-primary-600">
-                {formatCurrency(sale.totals.subtotal)}
+                {/* Older sales were posted without a grand total */}
+                {formatCurrency(sale.totals.total || sale.totals.subtotal)}
               </span>
             </div>
           </div>
@@ -390,6 +434,9 @@ const SaleDetail = () => {
                     <span className="text-sm font-medium text-secondary-900">
                       {item.product.name}
                     </span>
+                    {item.priceTier && item.priceTier !== "retail" && (
+                      <PriceTierBadge tier={item.priceTier} />
+                    )}
                   </div>
                 </td>
                 <td className="px-6 py-4 whitespace-nowrap text-right">
@@ -419,26 +466,22 @@ const SaleDetail = () => {
             <div className="space-y-4">
               {refundItems.map((item) => (
                 <div
-                  key={item.productId}
+                  key={item.lineKey}
                   className="flex items-center justify-between"
                 >
                   <span>{item.productName}</span>
                   <div className="flex items-center space-x-2">
-                    <input
-                      type="number"
-                      min="0"
-                      max={item.maxQuantity}
-                      value={item.quantity}
-                      onChange={(e) =>
-                        updateRefundQuantity(
-                          item.productId,
-                          parseInt(e.target.value)
-                        )
+                    <QuantityStepper
+                      quantity={item.quantity}
+                      unit={item.unit}
+                      onChange={(quantity) =>
+                        updateRefundQuantity(item.lineKey, quantity)
                       }
-                      className="w-16 border border-secondary-300 rounded px-2 py-1"
                     />
                     <span className="text-secondary-600">
-                      {formatCurrency(item.unitPrice * item.quantity)}
+                      {formatCurrency(
+                        calculateRefundAmount(sale.items, [item], sale.totals)
+                      )}
                     </span>
                   </div>
                 </div>
@@ -2,8 +2,10 @@
 import { useState, useEffect } from 'react';
 import { Link, useSearchParams } from 'react-router-dom';
 import { useAuth } from '../../contexts/AuthContext';
+import { useSettings } from '../../contexts/SettingsContext';
 import { salesAPI, usersAPI } from '../../services/api';
 import { formatCurrency, formatDateTime, getPaymentStatus, debounce } from '../../utils/helpers';
+import { printSale } from '../../utils/printer';
 import LoadingSpinner from '../../components/common/LoadingSpinner';
 import toast from 'react-hot-toast';
 import {
@@ -18,6 +20,7 @@ import {
 
 const Sales = () => {
   const { hasPermission, user } = useAuth();
+  const { settings } = useSettings();
   const [searchParams, setSearchParams] = useSearchParams();
   const [sales, setSales] = useState([]);
   const [users, setUsers] = useState([]);
@@ -147,8 +150,9 @@ const Sales = () => {
 
   const printReceipt = async (saleId) => {
     try {
-      await salesAPI.printReceipt(saleId);
-      toast.success('Receipt printed successfully');
+      // The list only carries a summary, so load the full sale first
+      const response = await salesAPI.getSale(saleId);
+      await printSale(response.data.data, settings);
     } catch (error) {
       console.error('Failed to print receipt:', error);
       toast.error('Failed to print receipt');
@@ -1,17 +1,28 @@
 // src/pages/Settings/Settings.js
 import { useState, useEffect } from "react";
 import { useAuth } from "../../contexts/AuthContext";
+import { useSettings } from "../../contexts/SettingsContext";
+import { DEFAULT_TAX_RATE } from "../../utils/totals";
+import { BARCODE_SYMBOLOGIES } from "../../utils/labels";
+import { isInternalBarcodePrefix } from "../../utils/barcodes";
 import { settingsAPI } from "../../services/api";
 import LoadingSpinner from "../../components/common/LoadingSpinner";
 import toast from "react-hot-toast";
 import {
+  BanknotesIcon,
   BuildingStorefrontIcon,
+  CalendarDaysIcon,
   PrinterIcon,
+  QrCodeIcon,
+  ReceiptPercentIcon,
+  ScaleIcon,
   ShieldCheckIcon,
+  TagIcon,
 } from "@heroicons/react/24/outline";
 
 const Settings = () => {
   const { hasRole } = useAuth();
+  const { refreshSettings } = useSettings();
   const [loading, setLoading] = useState(true);
   const [saving, setSaving] = useState(false);
   const [settings, setSettings] = useState({
@@ -57,12 +68,29 @@ const Settings = () => {
         requireApproval: false,
         approvalThreshold: 0,
       },
+      tax: {
+        enabled: true,
+        rate: DEFAULT_TAX_RATE,
+        inclusive: true,
+      },
+      scaleBarcodes: {
+        enabled: true,
+        embedded: "weight",
+        itemCodeLength: 5,
+      },
+      pricing: {
+        wholesaleQuantityBreak: 0,
+      },
     },
     inventory: {
       lowStockAlert: { enabled: false, threshold: 0 },
       autoReorder: { enabled: false, leadTime: 0 },
       trackExpiry: { enabled: false, alertDays: 0 },
       barcodeFormat: "",
+      internalBarcodes: {
+        prefix: "200",
+        autoGenerate: false,
+      },
     },
   });
 
@@ -98,6 +126,34 @@ const Settings = () => {
             ...prev.sales.receipt,
             ...fetchedSettings.sales?.receipt,
           },
+          discounts: {
+            ...prev.sales.discounts,
+            ...fetchedSettings.sales?.discounts,
+          },
+          tax: {
+            ...prev.sales.tax,
+            ...fetchedSettings.sales?.tax,
+          },
+          scaleBarcodes: {
+            ...prev.sales.scaleBarcodes,
+            ...fetchedSettings.sales?.scaleBarcodes,
+          },
+          pricing: {
+            ...prev.sales.pricing,
+            ...fetchedSettings.sales?.pricing,
+          },
+        },
+        inventory: {
+          ...prev.inventory,
+          ...fetchedSettings.inventory,
+          internalBarcodes: {
+            ...prev.inventory.internalBarcodes,
+            ...fetchedSettings.inventory?.internalBarcodes,
+          },
+          trackExpiry: {
+            ...prev.inventory.trackExpiry,
+            ...fetchedSettings.inventory?.trackExpiry,
+          },
         },
       }));
     } catch (error) {
@@ -132,10 +188,16 @@ const Settings = () => {
   };
 
   const saveSettings = async () => {
+    if (!isInternalBarcodePrefix(settings.inventory.internalBarcodes.prefix)) {
+      toast.error("The in-store barcode prefix must be 2-7 digits starting 20");
+      return;
+    }
+
     try {
       setSaving(true);
       await settingsAPI.updateSettings(settings);
       toast.success("Settings saved successfully");
+      refreshSettings();
     } catch (error) {
       console.error("Failed to save settings:", error);
       toast.error(error.response?.data?.message || "Failed to save settings");
@@ -352,6 +414,27 @@ const Settings = () => {
               </select>
             </div>
 
+            <div>
+              <label className="block text-sm font-medium text-secondary-700 mb-1">
+                Copies
+              </label>
+              <input
+                type="number"
+                value={settings.sales.receipt.printCopy}
+                onChange={(e) =>
+                  handleNestedChange(
+                    "sales",
+                    "receipt",
+                    "printCopy",
+                    Math.max(1, parseInt(e.target.value) || 1)
+                  )
+                }
+                className="input-field"
+                min="1"
+                max="5"
+              />
+            </div>
+
             <div>
               <label className="block text-sm font-medium text-secondary-700 mb-1">
                 Footer Message
@@ -432,6 +515,427 @@ const Settings = () => {
             </div>
           </div>
         </div>
+
+        {/* Tax Settings */}
+        <div className="card">
+          <div className="flex items-center mb-4">
+            <ReceiptPercentIcon className="h-5 w-5 text-primary-600 mr-2" />
+            <h3 className="text-lg font-semibold text-secondary-900">
+              Tax (VAT)
+            </h3>
+          </div>
+
+          <div className="space-y-4">
+            <label className="flex items-center">
+              <input
+                type="checkbox"
+                checked={settings.sales.tax.enabled}
+                onChange={(e) =>
+                  handleNestedChange(
+                    "sales",
+                    "tax",
+                    "enabled",
+                    e.target.checked
+                  )
+                }
+                className="rounded border-secondary-300 text-primary-600 focus:ring-primary-500"
+              />
+              <span className="ml-2 text-sm text-secondary-700">
+                Charge VAT on sales
+              </span>
+            </label>
+
+            {settings.sales.tax.enabled && (
+              <>
+                <div>
+                  <label className="block text-sm font-medium text-secondary-700 mb-1">
+                    VAT Rate (%)
+                  </label>
+                  <input
+                    type="number"
+                    value={settings.sales.tax.rate}
+                    onChange={(e) =>
+                      handleNestedChange(
+                        "sales",
+                        "tax",
+                        "rate",
+                        parseFloat(e.target.value) || 0
+                      )
+                    }
+                    className="input-field"
+                    min="0"
+                    max="100"
+                    step="0.01"
+                  />
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-secondary-700 mb-1">
+                    Product Prices
+                  </label>
+                  <select
+                    value={
+                      settings.sales.tax.inclusive ? "inclusive" : "exclusive"
+                    }
+                    onChange={(e) =>
+                      handleNestedChange(
+                        "sales",
+                        "tax",
+                        "inclusive",
+                        e.target.value === "inclusive"
+                      )
+                    }
+                    className="input-field"
+                  >
+                    <option value="inclusive">Include VAT</option>
+                    <option value="exclusive">
+                      Exclude VAT (added at checkout)
+                    </option>
+                  </select>
+                </div>
+              </>
+            )}
+          </div>
+        </div>
+
+        {/* Scale Labels */}
+        <div className="card">
+          <div className="flex items-center mb-4">
+            <ScaleIcon className="h-5 w-5 text-primary-600 mr-2" />
+            <h3 className="text-lg font-semibold text-secondary-900">
+              Scale Labels
+            </h3>
+          </div>
+
+          <div className="space-y-4">
+            <label className="flex items-center">
+              <input
+                type="checkbox"
+                checked={settings.sales.scaleBarcodes.enabled}
+                onChange={(e) =>
+                  handleNestedChange(
+                    "sales",
+                    "scaleBarcodes",
+                    "enabled",
+                    e.target.checked
+                  )
+                }
+                className="rounded border-secondary-300 text-primary-600 focus:ring-primary-500"
+              />
+              <span className="ml-2 text-sm text-secondary-700">
+                Read weight and price labels from shop scales
+              </span>
+            </label>
+
+            {settings.sales.scaleBarcodes.enabled && (
+              <>
+                <div>
+                  <label className="block text-sm font-medium text-secondary-700 mb-1">
+                    Labels Carry
+                  </label>
+                  <select
+                    value={settings.sales.scaleBarcodes.embedded}
+                    onChange={(e) =>
+                      handleNestedChange(
+                        "sales",
+                        "scaleBarcodes",
+                        "embedded",
+                        e.target.value
+                      )
+                    }
+                    className="input-field"
+                  >
+                    <option value="weight">Weight (grams)</option>
+                    <option value="price">Price (cents)</option>
+                  </select>
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-secondary-700 mb-1">
+                    Item Code Digits
+                  </label>
+                  <select
+                    value={settings.sales.scaleBarcodes.itemCodeLength}
+                    onChange={(e) =>
+                      handleNestedChange(
+                        "sales",
+                        "scaleBarcodes",
+                        "itemCodeLength",
+                        parseInt(e.target.value)
+                      )
+                    }
+                    className="input-field"
+                  >
+                    <option value={4}>4</option>
+                    <option value={5}>5</option>
+                  </select>
+                  <p className="mt-1 text-xs text-secondary-500">
+                    Labels starting 21-29 are read as the item code followed by
+                    the weight or price. Give weighed products the item code as
+                    their barcode or SKU.
+                  </p>
+                </div>
+              </>
+            )}
+          </div>
+        </div>
+
+        {/* Price Tiers */}
+        <div className="card">
+          <div className="flex items-center mb-4">
+            <BanknotesIcon className="h-5 w-5 text-primary-600 mr-2" />
+            <h3 className="text-lg font-semibold text-secondary-900">
+              Price Tiers
+            </h3>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-secondary-700 mb-1">
+              Wholesale Quantity Break
+            </label>
+            <input
+              type="number"
+              value={settings.sales.pricing.wholesaleQuantityBreak}
+              onChange={(e) =>
+                handleNestedChange(
+                  "sales",
+                  "pricing",
+                  "wholesaleQuantityBreak",
+                  parseFloat(e.target.value) || 0
+                )
+              }
+              className="input-field"
+              min="0"
+            />
+            <p className="mt-1 text-xs text-secondary-500">
+              Lines with at least this quantity of one product get wholesale
+              prices. Set to 0 to keep wholesale prices for wholesale customers
+              only.
+            </p>
+          </div>
+        </div>
+
+        {/* Barcodes & Labels */}
+        <div className="card">
+          <div className="flex items-center mb-4">
+            <QrCodeIcon className="h-5 w-5 text-primary-600 mr-2" />
+            <h3 className="text-lg font-semibold text-secondary-900">
+              Barcodes & Labels
+            </h3>
+          </div>
+
+          <div className="space-y-4">
+            <div>
+              <label className="block text-sm font-medium text-secondary-700 mb-1">
+                In-store Barcode Prefix
+              </label>
+              <input
+                type="text"
+                inputMode="numeric"
+                value={settings.inventory.internalBarcodes.prefix}
+                onChange={(e) =>
+                  handleNestedChange(
+                    "inventory",
+                    "internalBarcodes",
+                    "prefix",
+                    e.target.value.replace(/\D/g, "").slice(0, 7)
+                  )
+                }
+                className={`input-field ${
+                  isInternalBarcodePrefix(
+                    settings.inventory.internalBarcodes.prefix
+                  )
+                    ? ""
+                    : "border-red-300"
+                }`}
+              />
+              <p className="mt-1 text-xs text-secondary-500">
+                Generated EAN-13 barcodes start with these 2-7 digits. They must
+                start with 20 so they never clash with a manufacturer's barcode
+                or a scale label (21-29).
+              </p>
+            </div>
+
+            <label className="flex items-center">
+              <input
+                type="checkbox"
+                checked={settings.inventory.internalBarcodes.autoGenerate}
+                onChange={(e) =>
+                  handleNestedChange(
+                    "inventory",
+                    "internalBarcodes",
+                    "autoGenerate",
+                    e.target.checked
+                  )
+                }
+                className="rounded border-secondary-300 text-primary-600 focus:ring-primary-500"
+              />
+              <span className="ml-2 text-sm text-secondary-700">
+                Give new products without a barcode an in-store one
+              </span>
+            </label>
+
+            <div>
+              <label className="block text-sm font-medium text-secondary-700 mb-1">
+                Default Barcode
+              </label>
+              <select
+                value={settings.inventory.barcodeFormat || "code128"}
+                onChange={(e) =>
+                  handleChange("inventory", "barcodeFormat", e.target.value)
+                }
+                className="input-field"
+              >
+                {BARCODE_SYMBOLOGIES.map((option) => (
+                  <option key={option.value} value={option.value}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+              <p className="mt-1 text-xs text-secondary-500">
+                The barcode printed on labels unless it is changed at the label
+                printer
+              </p>
+            </div>
+          </div>
+        </div>
+
+        {/* Expiry Tracking */}
+        <div className="card">
+          <div className="flex items-center mb-4">
+            <CalendarDaysIcon className="h-5 w-5 text-primary-600 mr-2" />
+            <h3 className="text-lg font-semibold text-secondary-900">
+              Expiry Tracking
+            </h3>
+          </div>
+
+          <div className="space-y-4">
+            <label className="flex items-center">
+              <input
+                type="checkbox"
+                checked={settings.inventory.trackExpiry.enabled}
+                onChange={(e) =>
+                  handleNestedChange(
+                    "inventory",
+                    "trackExpiry",
+                    "enabled",
+                    e.target.checked
+                  )
+                }
+                className="rounded border-secondary-300 text-primary-600 focus:ring-primary-500"
+              />
+              <span className="ml-2 text-sm text-secondary-700">
+                Receive perishable stock in batches with expiry dates
+              </span>
+            </label>
+
+            <div>
+              <label className="block text-sm font-medium text-secondary-700 mb-1">
+                Expiry Alert (days)
+              </label>
+              <input
+                type="number"
+                value={settings.inventory.trackExpiry.alertDays}
+                onChange={(e) =>
+                  handleNestedChange(
+                    "inventory",
+                    "trackExpiry",
+                    "alertDays",
+                    parseInt(e.target.value) || 0
+                  )
+                }
+                className="input-field"
+                min="0"
+                disabled={!settings.inventory.trackExpiry.enabled}
+              />
+              <p className="mt-1 text-xs text-secondary-500">
+                Batches expiring within this many days are listed on the
+                dashboard. Expired batches cannot be sold.
+              </p>
+            </div>
+          </div>
+        </div>
+
+        {/* Discount Policy */}
+        <div className="card">
+          <div className="flex items-center mb-4">
+            <TagIcon className="h-5 w-5 text-primary-600 mr-2" />
+            <h3 className="text-lg font-semibold text-secondary-900">
+              Discount Policy
+            </h3>
+          </div>
+
+          <div className="space-y-4">
+            <div>
+              <label className="block text-sm font-medium text-secondary-700 mb-1">
+                Maximum Discount (%)
+              </label>
+              <input
+                type="number"
+                value={settings.sales.discounts.maxPercentage}
+                onChange={(e) =>
+                  handleNestedChange(
+                    "sales",
+                    "discounts",
+                    "maxPercentage",
+                    parseFloat(e.target.value) || 0
+                  )
+                }
+                className="input-field"
+                min="0"
+                max="100"
+              />
+              <p className="mt-1 text-xs text-secondary-500">
+                Set to 0 to turn off discounts at the POS
+              </p>
+            </div>
+
+            <label className="flex items-center">
+              <input
+                type="checkbox"
+                checked={settings.sales.discounts.requireApproval}
+                onChange={(e) =>
+                  handleNestedChange(
+                    "sales",
+                    "discounts",
+                    "requireApproval",
+                    e.target.checked
+                  )
+                }
+                className="rounded border-secondary-300 text-primary-600 focus:ring-primary-500"
+              />
+              <span className="ml-2 text-sm text-secondary-700">
+                Require manager approval for large discounts
+              </span>
+            </label>
+
+            {settings.sales.discounts.requireApproval && (
+              <div>
+                <label className="block text-sm font-medium text-secondary-700 mb-1">
+                  Approval Threshold (%)
+                </label>
+                <input
+                  type="number"
+                  value={settings.sales.discounts.approvalThreshold}
+                  onChange={(e) =>
+                    handleNestedChange(
+                      "sales",
+                      "discounts",
+                      "approvalThreshold",
+                      parseFloat(e.target.value) || 0
+                    )
+                  }
+                  className="input-field"
+                  min="0"
+                  max="100"
+                />
+                <p className="mt-1 text-xs text-secondary-500">
+                  Discounts above this need a manager's PIN
+                </p>
+              </div>
+            )}
+          </div>
+        </div>
       </div>
     </div>
   );
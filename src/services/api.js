@@ -108,6 +108,10 @@ export const productsAPI = {
   getInventoryValue: () => api.get("/products/inventory-value"),
   bulkUpdate: (data) => api.put("/products/bulk-update", data),
   importProducts: (data) => api.post("/products/import", data),
+  uploadImage: (formData) =>
+    api.post("/products/images", formData, {
+      headers: { "Content-Type": "multipart/form-data" },
+    }),
   getPerformance: (id) => api.get(`/products/${id}/performance`),
 };
 
@@ -130,6 +134,8 @@ export const salesAPI = {
   initiateMpesaPayment: (data) => api.post("/sales/mpesa/initiate", data),
   checkMpesaPaymentStatus: (checkoutRequestId) =>
     api.get(`/sales/mpesa/status/${checkoutRequestId}`),
+  reverseMpesaPayment: (id, data) =>
+    api.post(`/sales/${id}/mpesa/reverse`, data),
 };
 
 // Orders API
@@ -192,6 +198,8 @@ export const dashboardAPI = {
   getSalesChart: (params) => api.get("/dashboard/sales-chart", { params }),
   getTopProducts: (params) => api.get("/dashboard/top-products", { params }),
   getLowStock: (params) => api.get("/dashboard/low-stock", { params }),
+  getExpiringBatches: (params) =>
+    api.get("/dashboard/expiring-batches", { params }),
   getPerformance: () => api.get("/dashboard/performance"),
   getNotifications: () => api.get("/dashboard/notifications"),
 };
@@ -216,6 +224,7 @@ export const categoriesAPI = {
   getCategoryTree: () => api.get("/categories/tree"),
   createCategory: (data) => api.post("/categories", data),
   updateCategory: (id, data) => api.put(`/categories/${id}`, data),
+  deleteCategory: (id) => api.delete(`/categories/${id}`),
 };
 
 // Settings API
@@ -224,6 +233,16 @@ export const settingsAPI = {
   updateSettings: (data) => api.put("/settings", data),
 };
 
+// Shifts API
+export const shiftsAPI = {
+  getCurrentShift: () => api.get("/shifts/current"),
+  getShifts: (params) => api.get("/shifts", { params }),
+  getShift: (id) => api.get(`/shifts/${id}`),
+  openShift: (data) => api.post("/shifts/open", data),
+  addCashMovement: (id, data) => api.post(`/shifts/${id}/movements`, data),
+  closeShift: (id, data) => api.post(`/shifts/${id}/close`, data),
+};
+
 // Activities API
 export const activitiesAPI = {
   getActivities: (params) => api.get("/activities", { params }),
@@ -0,0 +1,138 @@
+// src/utils/barcodes.js
+import { fromKilograms, isMeasuredUnit, roundQuantity } from "./units";
+
+// Numeric barcode lengths that end in a GS1 check digit: EAN-8, UPC-A,
+// EAN-13 and GTIN-14
+const GTIN_LENGTHS = [8, 12, 13, 14];
+
+/**
+ * Check digit for a GTIN without its last digit. Digits are weighted 3, 1,
+ * 3... counting from the right.
+ */
+export const getGtinCheckDigit = (body) => {
+  const sum = body
+    .split("")
+    .reverse()
+    .reduce(
+      (total, digit, index) => total + Number(digit) * (index % 2 ? 1 : 3),
+      0
+    );
+  return String((10 - (sum % 10)) % 10);
+};
+
+/**
+ * Check digit for the first 12 digits of an EAN-13 code
+ */
+export const getEan13CheckDigit = (digits) =>
+  getGtinCheckDigit(digits.slice(0, 12));
+
+export const isValidEan13 = (code) =>
+  /^\d{13}$/.test(code) && getEan13CheckDigit(code) === code[12];
+
+/**
+ * Whether a barcode is a GTIN (EAN-8, UPC-A, EAN-13 or GTIN-14), the kinds
+ * of barcode whose last digit can be checked
+ */
+export const isGtin = (code) =>
+  /^\d+$/.test(code) && GTIN_LENGTHS.includes(code.length);
+
+/**
+ * The check digit a mistyped GTIN should end in, or null when the barcode
+ * is fine or isn't a GTIN. Other barcodes, like in-house Code 128 codes,
+ * have no check digit to verify.
+ */
+export const getExpectedCheckDigit = (code) => {
+  if (!isGtin(code)) return null;
+  const expected = getGtinCheckDigit(code.slice(0, -1));
+  return expected === code[code.length - 1] ? null : expected;
+};
+
+/**
+ * Whether `prefix` can start in-store barcodes: 2-7 digits beginning 20.
+ * GS1 keeps 20-29 for in-store use, but 21-29 are read as scale labels.
+ */
+export const isInternalBarcodePrefix = (prefix) =>
+  /^20\d{0,5}$/.test(String(prefix || ""));
+
+/**
+ * Read the in-store barcode options out of the business settings. Codes are
+ * EAN-13 numbers starting with `prefix`, so they can't clash with a
+ * manufacturer's barcode or a scale label.
+ */
+export const getInternalBarcodeConfig = (settings) => {
+  const internalBarcodes = settings?.inventory?.internalBarcodes || {};
+  const prefix = String(internalBarcodes.prefix || "");
+
+  return {
+    prefix: isInternalBarcodePrefix(prefix) ? prefix : "200",
+    autoGenerate: Boolean(internalBarcodes.autoGenerate),
+  };
+};
+
+/**
+ * A random EAN-13 under the in-store prefix with a correct check digit.
+ * Callers still need to make sure no product uses it yet.
+ */
+export const generateInternalEan13 = (prefix) => {
+  let body = prefix;
+  while (body.length < 12) {
+    body += Math.floor(Math.random() * 10);
+  }
+  return body + getEan13CheckDigit(body);
+};
+
+/**
+ * Read the scale label options out of the business settings.
+ *
+ * Shop scales print EAN-13 labels starting 21-29 with the product's item
+ * code followed by either the weight in grams or the price in cents.
+ * Prefix 20 is left for in-store codes that are looked up as they are.
+ */
+export const getScaleBarcodeConfig = (settings) => {
+  const scaleBarcodes = settings?.sales?.scaleBarcodes || {};
+
+  return {
+    enabled: scaleBarcodes.enabled !== false,
+    embedded: scaleBarcodes.embedded === "price" ? "price" : "weight",
+    itemCodeLength: Number(scaleBarcodes.itemCodeLength) || 5,
+  };
+};
+
+/**
+ * Split a scale label into its item code and embedded weight (kg) or price.
+ * Returns null for anything that isn't a valid price-embedded EAN-13.
+ */
+export const parseScaleBarcode = (code, config) => {
+  if (!config.enabled || !/^2[1-9]\d{11}$/.test(code)) return null;
+  if (!isValidEan13(code)) return null;
+
+  const itemCodeEnd = 2 + config.itemCodeLength;
+  const value = Number(code.slice(itemCodeEnd, 12));
+  if (!value) return null;
+
+  return {
+    prefix: code.slice(0, 2),
+    itemCode: code.slice(2, itemCodeEnd),
+    ...(config.embedded === "price"
+      ? { price: value / 100 }
+      : { weight: value / 1000 }),
+  };
+};
+
+/**
+ * Quantity of a product a scale label stands for. Price labels are turned
+ * back into a quantity at the product's own price. Returns null when the
+ * product isn't sold by weight or measure.
+ */
+export const getScaleLabelQuantity = (label, product) => {
+  if (!isMeasuredUnit(product.unit)) return null;
+
+  if (label.weight !== undefined) {
+    return fromKilograms(label.weight, product.unit);
+  }
+
+  const unitPrice = product.pricing?.sellingPrice;
+  return unitPrice > 0
+    ? roundQuantity(label.price / unitPrice, product.unit)
+    : null;
+};
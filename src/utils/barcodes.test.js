@@ -0,0 +1,66 @@
+// src/utils/barcodes.test.js
+import {
+  generateInternalEan13,
+  getEan13CheckDigit,
+  getExpectedCheckDigit,
+  isValidEan13,
+  parseScaleBarcode,
+} from "./barcodes";
+
+describe("EAN-13 check digits", () => {
+  it("works out the check digit from the first 12 digits", () => {
+    expect(getEan13CheckDigit("400638133393")).toBe("1");
+    expect(getEan13CheckDigit("5901234123457")).toBe("7");
+    expect(getEan13CheckDigit("211234501250")).toBe("6");
+  });
+
+  it("accepts codes ending in the right check digit only", () => {
+    expect(isValidEan13("4006381333931")).toBe(true);
+    expect(isValidEan13("4006381333932")).toBe(false);
+    expect(isValidEan13("400638133393")).toBe(false);
+    expect(isValidEan13("40063813339A1")).toBe(false);
+  });
+
+  it("suggests the check digit a mistyped GTIN should end in", () => {
+    expect(getExpectedCheckDigit("4006381333931")).toBeNull();
+    expect(getExpectedCheckDigit("4006381333930")).toBe("1");
+    expect(getExpectedCheckDigit("036000291452")).toBeNull();
+    expect(getExpectedCheckDigit("96385074")).toBeNull();
+    expect(getExpectedCheckDigit("96385070")).toBe("4");
+  });
+
+  it("leaves barcodes that aren't GTINs alone", () => {
+    expect(getExpectedCheckDigit("ABC-123")).toBeNull();
+    expect(getExpectedCheckDigit("12345")).toBeNull();
+  });
+
+  it("generates valid in-store codes under the prefix", () => {
+    const code = generateInternalEan13("200");
+
+    expect(code).toMatch(/^200\d{10}$/);
+    expect(isValidEan13(code)).toBe(true);
+  });
+});
+
+describe("parseScaleBarcode", () => {
+  const config = { enabled: true, embedded: "weight", itemCodeLength: 5 };
+
+  it("reads the item code and weight off a scale label", () => {
+    expect(parseScaleBarcode("2112345012506", config)).toEqual({
+      prefix: "21",
+      itemCode: "12345",
+      weight: 1.25,
+    });
+  });
+
+  it("reads an embedded price in cents", () => {
+    expect(
+      parseScaleBarcode("2200001007505", { ...config, embedded: "price" })
+    ).toEqual({ prefix: "22", itemCode: "00001", price: 7.5 });
+  });
+
+  it("rejects labels with a bad check digit or an in-store prefix", () => {
+    expect(parseScaleBarcode("2112345012507", config)).toBeNull();
+    expect(parseScaleBarcode("2001234567893", config)).toBeNull();
+  });
+});
@@ -0,0 +1,155 @@
+// src/utils/batches.js
+import { differenceInCalendarDays } from "date-fns";
+import { roundQuantity } from "./units";
+
+/**
+ * Expiry tracking settings, off until enabled in Settings
+ */
+export const getExpiryConfig = (settings) => {
+  const config = settings?.inventory?.trackExpiry || {};
+  return {
+    enabled: Boolean(config.enabled),
+    alertDays: Number(config.alertDays) || 0,
+  };
+};
+
+/**
+ * Whether a product's stock is kept in lots with expiry dates
+ */
+export const tracksBatches = (product) =>
+  Boolean(product?.inventory?.trackBatches);
+
+export const getBatchId = (batch) => batch._id || batch.lotNumber;
+
+/**
+ * Days left until a batch expires, negative once it has. A batch can
+ * still be sold on its expiry date.
+ */
+export const getDaysToExpiry = (batch, now = new Date()) =>
+  batch.expiryDate
+    ? differenceInCalendarDays(new Date(batch.expiryDate), now)
+    : null;
+
+export const isExpired = (batch, now = new Date()) =>
+  getDaysToExpiry(batch, now) < 0;
+
+export const getExpiryStatus = (batch, alertDays, now = new Date()) => {
+  const days = getDaysToExpiry(batch, now);
+  if (days === null) return "none";
+  if (days < 0) return "expired";
+  if (days <= alertDays) return "expiring";
+  return "ok";
+};
+
+export const EXPIRY_STATUS = {
+  expired: { label: "Expired", color: "text-red-600", bgColor: "bg-red-100" },
+  expiring: {
+    label: "Expiring Soon",
+    color: "text-yellow-700",
+    bgColor: "bg-yellow-100",
+  },
+  ok: { label: "In Date", color: "text-green-600", bgColor: "bg-green-100" },
+  none: {
+    label: "No Expiry",
+    color: "text-secondary-600",
+    bgColor: "bg-secondary-100",
+  },
+};
+
+/**
+ * Batches in the order they should be sold: first to expire first, those
+ * without an expiry date last, and empty batches dropped
+ */
+export const sortByExpiry = (batches = []) =>
+  batches
+    .filter((batch) => batch.quantity > 0)
+    .sort((a, b) => {
+      if (!a.expiryDate) return b.expiryDate ? 1 : 0;
+      if (!b.expiryDate) return -1;
+      return new Date(a.expiryDate) - new Date(b.expiryDate);
+    });
+
+/**
+ * Batches that can still be sold, in FEFO order
+ */
+export const getSellableBatches = (batches, now = new Date()) =>
+  sortByExpiry(batches).filter((batch) => !isExpired(batch, now));
+
+export const getBatchQuantity = (batches, unit) =>
+  roundQuantity(
+    batches.reduce((sum, batch) => sum + batch.quantity, 0),
+    unit
+  );
+
+/**
+ * Stock that can be sold today. Expired batches stay on the books until
+ * they are written off, but cannot be sold.
+ */
+export const getSellableStock = (product, now = new Date()) =>
+  tracksBatches(product)
+    ? getBatchQuantity(getSellableBatches(product.batches, now), product.unit)
+    : product?.inventory?.currentStock || 0;
+
+/**
+ * Split a sold quantity over batches first-expiry-first-out. `batches` must
+ * already be in FEFO order. Whatever the batches cannot cover is left
+ * unallocated.
+ */
+export const allocateBatches = (batches, quantity, unit) => {
+  const allocations = [];
+  let remaining = quantity;
+
+  for (const batch of batches) {
+    if (remaining <= 0) break;
+    const taken = roundQuantity(Math.min(batch.quantity, remaining), unit);
+    if (taken <= 0) continue;
+    allocations.push({
+      batch: getBatchId(batch),
+      lotNumber: batch.lotNumber,
+      expiryDate: batch.expiryDate,
+      quantity: taken,
+    });
+    remaining = roundQuantity(remaining - taken, unit);
+  }
+  return allocations;
+};
+
+/**
+ * Take a sold quantity off a product's batches, FEFO. Returned stock is
+ * put back by the server, which knows which batch it came from.
+ */
+export const takeBatchStock = (product, quantity) => {
+  if (!tracksBatches(product) || quantity <= 0) return product.batches;
+
+  const taken = Object.fromEntries(
+    allocateBatches(
+      getSellableBatches(product.batches),
+      quantity,
+      product.unit
+    ).map((allocation) => [allocation.batch, allocation.quantity])
+  );
+  return (product.batches || []).map((batch) => ({
+    ...batch,
+    quantity: roundQuantity(
+      batch.quantity - (taken[getBatchId(batch)] || 0),
+      product.unit
+    ),
+  }));
+};
+
+/**
+ * Batches across products that have expired or expire within `alertDays`,
+ * soonest first
+ */
+export const getExpiringBatches = (products, alertDays, now = new Date()) =>
+  products
+    .flatMap((product) =>
+      sortByExpiry(product.batches).map((batch) => ({
+        product,
+        batch,
+        daysLeft: getDaysToExpiry(batch, now),
+        status: getExpiryStatus(batch, alertDays, now),
+      }))
+    )
+    .filter((item) => ["expired", "expiring"].includes(item.status))
+    .sort((a, b) => a.daysLeft - b.daysLeft);
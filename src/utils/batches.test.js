@@ -0,0 +1,128 @@
+// src/utils/batches.test.js
+import {
+  allocateBatches,
+  getSellableBatches,
+  getSellableStock,
+  sortByExpiry,
+  takeBatchStock,
+} from "./batches";
+
+const NOW = new Date(2026, 5, 15);
+
+const batches = [
+  { _id: "late", lotNumber: "L3", quantity: 5, expiryDate: "2026-09-01" },
+  { _id: "none", lotNumber: "L4", quantity: 10 },
+  { _id: "soon", lotNumber: "L2", quantity: 3, expiryDate: "2026-07-01" },
+  { _id: "gone", lotNumber: "L1", quantity: 2, expiryDate: "2026-06-01" },
+  { _id: "empty", lotNumber: "L0", quantity: 0, expiryDate: "2026-06-20" },
+];
+
+const ids = (list) => list.map((batch) => batch._id);
+
+describe("FEFO ordering", () => {
+  it("sorts by expiry, undated batches last and empty ones dropped", () => {
+    expect(ids(sortByExpiry(batches))).toEqual([
+      "gone",
+      "soon",
+      "late",
+      "none",
+    ]);
+  });
+
+  it("leaves expired batches out of what can be sold", () => {
+    expect(ids(getSellableBatches(batches, NOW))).toEqual([
+      "soon",
+      "late",
+      "none",
+    ]);
+    expect(
+      getSellableStock(
+        { unit: "piece", inventory: { trackBatches: true }, batches },
+        NOW
+      )
+    ).toBe(18);
+  });
+
+  it("still sells a batch on its expiry date", () => {
+    const batch = {
+      _id: "today",
+      quantity: 1,
+      expiryDate: new Date(2026, 6, 1),
+    };
+
+    expect(ids(getSellableBatches([batch], new Date(2026, 6, 1, 18)))).toEqual([
+      "today",
+    ]);
+    expect(getSellableBatches([batch], new Date(2026, 6, 2))).toEqual([]);
+  });
+});
+
+describe("allocateBatches", () => {
+  const sellable = getSellableBatches(batches, NOW);
+
+  it("takes from the first batch to expire before the next", () => {
+    expect(allocateBatches(sellable, 4, "piece")).toEqual([
+      {
+        batch: "soon",
+        lotNumber: "L2",
+        expiryDate: "2026-07-01",
+        quantity: 3,
+      },
+      {
+        batch: "late",
+        lotNumber: "L3",
+        expiryDate: "2026-09-01",
+        quantity: 1,
+      },
+    ]);
+  });
+
+  it("leaves what the batches can't cover unallocated", () => {
+    const allocations = allocateBatches(sellable, 25, "piece");
+
+    expect(allocations.map((allocation) => allocation.quantity)).toEqual([
+      3, 5, 10,
+    ]);
+  });
+
+  it("splits weighed quantities without floating point noise", () => {
+    const weighed = [
+      { _id: "a", quantity: 0.3, expiryDate: "2026-07-01" },
+      { _id: "b", quantity: 2 },
+    ];
+
+    expect(
+      allocateBatches(weighed, 0.7, "kg").map((allocation) => [
+        allocation.batch,
+        allocation.quantity,
+      ])
+    ).toEqual([
+      ["a", 0.3],
+      ["b", 0.4],
+    ]);
+  });
+});
+
+describe("takeBatchStock", () => {
+  it("takes a sale off the sellable batches and keeps the rest", () => {
+    const product = {
+      unit: "piece",
+      inventory: { trackBatches: true },
+      batches: [
+        { _id: "late", quantity: 5, expiryDate: "2099-09-01" },
+        { _id: "soon", quantity: 3, expiryDate: "2099-07-01" },
+      ],
+    };
+
+    expect(
+      takeBatchStock(product, 4).map((batch) => [batch._id, batch.quantity])
+    ).toEqual([
+      ["late", 4],
+      ["soon", 0],
+    ]);
+  });
+
+  it("leaves products without batches alone", () => {
+    expect(takeBatchStock({ inventory: {} }, 4)).toBeUndefined();
+  });
+});
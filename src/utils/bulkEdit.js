@@ -0,0 +1,219 @@
+// src/utils/bulkEdit.js
+import { findCategory } from "./categories";
+
+/**
+ * How adjusted prices are rounded. `.99` rounds up to the next whole
+ * amount and takes a cent off.
+ */
+export const ROUNDING_RULES = [
+  { value: "cents", label: "To the cent", round: (price) => price },
+  {
+    value: "whole",
+    label: "Whole amount",
+    round: (price) => Math.round(price),
+  },
+  {
+    value: "five",
+    label: "Nearest 5",
+    round: (price) => Math.round(price / 5) * 5,
+  },
+  {
+    value: "ten",
+    label: "Nearest 10",
+    round: (price) => Math.round(price / 10) * 10,
+  },
+  {
+    value: "ninetyNine",
+    label: "Ending in .99",
+    round: (price) => Math.ceil(price) - 0.01,
+  },
+];
+
+export const EMPTY_BULK_EDIT = {
+  category: "",
+  subcategory: "",
+  status: "",
+  minStock: "",
+  price: {
+    field: "sellingPrice",
+    mode: "percent",
+    amount: "",
+    rounding: "cents",
+  },
+};
+
+/**
+ * Move a price by a percentage or a fixed amount, then round it
+ */
+export const adjustPrice = (price, { mode, amount, rounding }) => {
+  const change = Number(amount) || 0;
+  const adjusted =
+    mode === "percent" ? price * (1 + change / 100) : price + change;
+  const rule =
+    ROUNDING_RULES.find((option) => option.value === rounding) ||
+    ROUNDING_RULES[0];
+
+  return Math.round(rule.round(adjusted) * 100) / 100;
+};
+
+/**
+ * Why an adjusted price can't be saved, or null when it can. Prices may not
+ * drop below cost, selling prices may not drop below the wholesale price and
+ * wholesale prices may not rise above the selling price.
+ */
+const checkPrice = (label, newPrice, pricing, field) => {
+  if (newPrice <= 0) return `${label} would drop to zero or below`;
+  if (pricing.cost > 0 && newPrice < pricing.cost) {
+    return `${label} would drop below cost`;
+  }
+  if (
+    field === "sellingPrice" &&
+    pricing.wholesalePrice > 0 &&
+    newPrice < pricing.wholesalePrice
+  ) {
+    return `${label} would drop below the wholesale price`;
+  }
+  if (field === "wholesalePrice" && newPrice > pricing.sellingPrice) {
+    return `${label} would rise above the selling price`;
+  }
+  return null;
+};
+
+const categoryName = (tree, id) =>
+  id ? findCategory(tree, id)?.name || "Unknown" : "None";
+
+/**
+ * Work out what a bulk edit does to one product without saving anything.
+ * Returns the changed fields as `{ field, label, from, to }` for the diff,
+ * the update in dotted-path form for `bulkUpdate`, and an error when the
+ * edit would leave the product invalid.
+ */
+export const getBulkChanges = (product, edits, tree) => {
+  const changes = [];
+  const update = {};
+
+  if (edits.category) {
+    const fromCategory = product.category?._id || product.category || "";
+    const fromSubcategory =
+      product.subcategory?._id || product.subcategory || "";
+
+    if (fromCategory !== edits.category) {
+      changes.push({
+        field: "category",
+        label: "Category",
+        from: product.category?.name || categoryName(tree, fromCategory),
+        to: categoryName(tree, edits.category),
+      });
+    }
+    if (fromSubcategory !== edits.subcategory) {
+      changes.push({
+        field: "subcategory",
+        label: "Subcategory",
+        from: categoryName(tree, fromSubcategory),
+        to: categoryName(tree, edits.subcategory),
+      });
+    }
+    if (
+      fromCategory !== edits.category ||
+      fromSubcategory !== edits.subcategory
+    ) {
+      update.category = edits.category;
+      update.subcategory = edits.subcategory || null;
+    }
+  }
+
+  if (edits.status) {
+    const isActive = edits.status === "active";
+    if (product.status?.isActive !== isActive) {
+      changes.push({
+        field: "status.isActive",
+        label: "Status",
+        from: product.status?.isActive ? "Active" : "Inactive",
+        to: isActive ? "Active" : "Inactive",
+      });
+      update["status.isActive"] = isActive;
+    }
+  }
+
+  if (edits.minStock !== "") {
+    const minStock = parseInt(edits.minStock);
+    if (product.inventory?.minStock !== minStock) {
+      changes.push({
+        field: "inventory.minStock",
+        label: "Min Stock",
+        from: product.inventory?.minStock ?? "-",
+        to: minStock,
+      });
+      update["inventory.minStock"] = minStock;
+    }
+  }
+
+  let error = null;
+  const { field, amount } = edits.price;
+  if (Number(amount)) {
+    const pricing = product.pricing || {};
+    const label = field === "wholesalePrice" ? "Wholesale price" : "Price";
+    const price = pricing[field];
+
+    // Products without a wholesale price keep selling at retail
+    if (price > 0) {
+      const newPrice = adjustPrice(price, edits.price);
+      error = checkPrice(label, newPrice, pricing, field);
+      if (newPrice !== price) {
+        changes.push({
+          field: `pricing.${field}`,
+          label: field === "wholesalePrice" ? "Wholesale Price" : "Price",
+          from: price,
+          to: newPrice,
+          isPrice: true,
+        });
+        update[`pricing.${field}`] = newPrice;
+      }
+    }
+
+    // Variants carry their own prices and move with the product's. They
+    // share its cost, and only have a wholesale price if one was set.
+    let variantsChanged = false;
+    const variants = (product.variants || []).map((variant, index) => {
+      const variantPrice = variant.pricing?.[field];
+      if (!(variantPrice > 0)) return variant;
+
+      const newPrice = adjustPrice(variantPrice, edits.price);
+      error =
+        error ||
+        checkPrice(
+          `${variant.name} ${label.toLowerCase()}`,
+          newPrice,
+          { ...variant.pricing, cost: pricing.cost },
+          field
+        );
+      if (newPrice === variantPrice) return variant;
+
+      variantsChanged = true;
+      changes.push({
+        field: `variants.${index}.pricing.${field}`,
+        label: variant.name,
+        from: variantPrice,
+        to: newPrice,
+        isPrice: true,
+      });
+      return { ...variant, pricing: { ...variant.pricing, [field]: newPrice } };
+    });
+    if (variantsChanged) {
+      update.variants = variants;
+    }
+  }
+
+  return { changes, update, error };
+};
+
+/**
+ * Whether the edit form asks for any change at all
+ */
+export const hasBulkEdits = (edits) =>
+  Boolean(
+    edits.category ||
+      edits.status ||
+      edits.minStock !== "" ||
+      Number(edits.price.amount)
+  );
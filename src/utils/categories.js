@@ -0,0 +1,60 @@
+// src/utils/categories.js
+
+/**
+ * Find a category anywhere in the category tree
+ */
+export const findCategory = (tree, categoryId) => {
+  for (const category of tree) {
+    if (category._id === categoryId) return category;
+    const child = findCategory(category.children || [], categoryId);
+    if (child) return child;
+  }
+  return null;
+};
+
+/**
+ * A category's id along with the ids of all of its sub-categories
+ */
+export const getDescendantIds = (category) =>
+  category
+    ? [
+        category._id,
+        ...(category.children || []).flatMap((child) =>
+          getDescendantIds(child)
+        ),
+      ]
+    : [];
+
+/**
+ * The chain of categories from the top of the tree down to a category,
+ * empty when it isn't in the tree
+ */
+export const getCategoryPath = (tree, categoryId) => {
+  for (const category of tree) {
+    if (category._id === categoryId) return [category];
+    const path = getCategoryPath(category.children || [], categoryId);
+    if (path.length > 0) return [category, ...path];
+  }
+  return [];
+};
+
+/**
+ * A category's sub-categories flattened in tree order, each with its depth
+ * below the category so pickers can indent them
+ */
+export const flattenCategories = (categories, depth = 0) =>
+  categories.flatMap((category) => [
+    { category, depth },
+    ...flattenCategories(category.children || [], depth + 1),
+  ]);
+
+/**
+ * The tree without deactivated categories or anything underneath them
+ */
+export const getActiveCategories = (tree) =>
+  tree
+    .filter((category) => category.isActive !== false)
+    .map((category) => ({
+      ...category,
+      children: getActiveCategories(category.children || []),
+    }));
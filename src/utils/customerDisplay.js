@@ -0,0 +1,28 @@
+// src/utils/customerDisplay.js
+const CHANNEL_NAME = "jennyPOS-customer-display";
+
+export const CUSTOMER_DISPLAY_PATH = "/customer-display";
+
+export const isCustomerDisplaySupported = () =>
+  typeof window !== "undefined" && "BroadcastChannel" in window;
+
+/**
+ * Channel shared by the POS and the customer display windows. The POS
+ * posts { type: "state", state } whenever the cart changes and the display
+ * posts { type: "request-state" } when it opens.
+ */
+export const createDisplayChannel = () =>
+  isCustomerDisplaySupported() ? new BroadcastChannel(CHANNEL_NAME) : null;
+
+/**
+ * Open the display in its own window so it can be dragged to the
+ * customer-facing screen. Returns false if a pop-up blocker stopped it.
+ */
+export const openCustomerDisplay = () =>
+  Boolean(
+    window.open(
+      CUSTOMER_DISPLAY_PATH,
+      "customerDisplay",
+      "popup,width=1024,height=768"
+    )
+  );
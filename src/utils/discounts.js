@@ -0,0 +1,66 @@
+// src/utils/discounts.js
+
+/**
+ * Read the discount policy out of the business settings
+ */
+export const getDiscountPolicy = (settings) => {
+  const discounts = settings?.sales?.discounts || {};
+
+  return {
+    maxPercentage: Number(discounts.maxPercentage) || 0,
+    requireApproval: Boolean(discounts.requireApproval),
+    approvalThreshold: Number(discounts.approvalThreshold) || 0,
+  };
+};
+
+/**
+ * Work out the shilling amount of a discount on a base amount.
+ *
+ * Fixed-amount discounts are also held to the percentage they were approved
+ * at, so lowering the quantity afterwards can't turn them into a bigger cut.
+ */
+export const getDiscountAmount = (discount, baseAmount) => {
+  if (!discount || !discount.value || baseAmount <= 0) return 0;
+
+  const percentageAmount = (baseAmount * (discount.percentage || 0)) / 100;
+
+  if (discount.type === "percentage") {
+    return Math.min(percentageAmount, baseAmount);
+  }
+
+  return Math.min(discount.value, percentageAmount, baseAmount);
+};
+
+/**
+ * Express a discount entered by the cashier as a percentage of the base
+ */
+export const toDiscountPercentage = (type, value, baseAmount) => {
+  if (type === "percentage") return value;
+  if (baseAmount <= 0) return 0;
+  return (value / baseAmount) * 100;
+};
+
+/**
+ * Check a discount percentage against the policy
+ */
+export const checkDiscount = (percentage, policy) => {
+  if (percentage < 0) {
+    return { allowed: false, error: "Discount cannot be negative" };
+  }
+
+  if (percentage > policy.maxPercentage) {
+    return {
+      allowed: false,
+      error:
+        policy.maxPercentage > 0
+          ? `Discount cannot exceed ${policy.maxPercentage}%`
+          : "Discounts are not enabled in settings",
+    };
+  }
+
+  return {
+    allowed: true,
+    needsApproval:
+      policy.requireApproval && percentage > policy.approvalThreshold,
+  };
+};
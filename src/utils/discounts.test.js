@@ -0,0 +1,79 @@
+// src/utils/discounts.test.js
+import {
+  checkDiscount,
+  getDiscountAmount,
+  toDiscountPercentage,
+} from "./discounts";
+
+describe("getDiscountAmount", () => {
+  it("takes a percentage off the base", () => {
+    expect(
+      getDiscountAmount({ type: "percentage", value: 10, percentage: 10 }, 250)
+    ).toBe(25);
+  });
+
+  it("never discounts more than the base", () => {
+    expect(
+      getDiscountAmount({ type: "percentage", value: 150, percentage: 150 }, 80)
+    ).toBe(80);
+  });
+
+  it("holds a fixed discount to the percentage it was approved at", () => {
+    // KSh 50 off 200 was approved as 25%, so on 100 it drops to 25
+    const discount = { type: "fixed", value: 50, percentage: 25 };
+
+    expect(getDiscountAmount(discount, 200)).toBe(50);
+    expect(getDiscountAmount(discount, 100)).toBe(25);
+    expect(getDiscountAmount(discount, 400)).toBe(50);
+  });
+
+  it("is zero without a discount or a base", () => {
+    expect(getDiscountAmount(null, 100)).toBe(0);
+    expect(getDiscountAmount({ type: "fixed", value: 0 }, 100)).toBe(0);
+    expect(
+      getDiscountAmount({ type: "fixed", value: 10, percentage: 10 }, 0)
+    ).toBe(0);
+  });
+});
+
+describe("toDiscountPercentage", () => {
+  it("expresses a fixed amount as a share of the base", () => {
+    expect(toDiscountPercentage("fixed", 50, 200)).toBe(25);
+    expect(toDiscountPercentage("percentage", 15, 200)).toBe(15);
+    expect(toDiscountPercentage("fixed", 50, 0)).toBe(0);
+  });
+});
+
+describe("checkDiscount", () => {
+  const policy = {
+    maxPercentage: 20,
+    requireApproval: true,
+    approvalThreshold: 10,
+  };
+
+  it("allows discounts up to the cap", () => {
+    expect(checkDiscount(5, policy)).toEqual({
+      allowed: true,
+      needsApproval: false,
+    });
+    expect(checkDiscount(20, policy)).toEqual({
+      allowed: true,
+      needsApproval: true,
+    });
+  });
+
+  it("refuses discounts over the cap or below zero", () => {
+    expect(checkDiscount(25, policy)).toEqual({
+      allowed: false,
+      error: "Discount cannot exceed 20%",
+    });
+    expect(checkDiscount(-5, policy).allowed).toBe(false);
+  });
+
+  it("refuses every discount when none are allowed", () => {
+    expect(checkDiscount(1, { ...policy, maxPercentage: 0 })).toEqual({
+      allowed: false,
+      error: "Discounts are not enabled in settings",
+    });
+  });
+});
@@ -0,0 +1,251 @@
+// src/utils/escpos.js
+import { formatCurrency, formatDateTime } from "./helpers";
+import { getReceiptConfig, PAYMENT_LABELS } from "./receipt";
+
+const ESC = 0x1b;
+const GS = 0x1d;
+
+const LINE_WIDTHS = {
+  "58mm": 32,
+  "80mm": 48,
+  A4: 48,
+};
+
+/**
+ * Characters per line for the configured paper size
+ */
+export const getLineWidth = (settings) =>
+  LINE_WIDTHS[getReceiptConfig(settings).paperSize];
+
+/**
+ * Most cheap thermal printers only do the ASCII half of their code page
+ * reliably, so accents are stripped and anything else becomes "?"
+ */
+const toAscii = (text) =>
+  String(text ?? "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[\u00a0\u202f]/g, " ")
+    .replace(/[^\x20-\x7e\n]/g, "?");
+
+/**
+ * Build an ESC/POS byte stream with a chainable API:
+ *
+ *   createEncoder().initialize().bold(true).line("Hello").cut().encode()
+ */
+export const createEncoder = () => {
+  const bytes = [];
+
+  const encoder = {
+    raw(...values) {
+      bytes.push(...values);
+      return encoder;
+    },
+    initialize() {
+      return encoder.raw(ESC, 0x40);
+    },
+    text(value) {
+      const ascii = toAscii(value);
+      for (let i = 0; i < ascii.length; i++) {
+        bytes.push(ascii.charCodeAt(i));
+      }
+      return encoder;
+    },
+    line(value = "") {
+      return encoder.text(value).raw(0x0a);
+    },
+    align(position) {
+      const modes = { left: 0, center: 1, right: 2 };
+      return encoder.raw(ESC, 0x61, modes[position] ?? 0);
+    },
+    bold(enabled) {
+      return encoder.raw(ESC, 0x45, enabled ? 1 : 0);
+    },
+    underline(enabled) {
+      return encoder.raw(ESC, 0x2d, enabled ? 1 : 0);
+    },
+    size(width = 1, height = 1) {
+      const clamp = (value) => Math.min(Math.max(value, 1), 8) - 1;
+      return encoder.raw(GS, 0x21, (clamp(width) << 4) | clamp(height));
+    },
+    feed(lines = 1) {
+      return encoder.raw(ESC, 0x64, lines);
+    },
+    qrcode(value, { moduleSize = 6 } = {}) {
+      const data = toAscii(value);
+      const length = data.length + 3;
+
+      // Model 2, module size, error correction M, store, then print
+      encoder.raw(GS, 0x28, 0x6b, 4, 0, 0x31, 0x41, 0x32, 0);
+      encoder.raw(GS, 0x28, 0x6b, 3, 0, 0x31, 0x43, moduleSize);
+      encoder.raw(GS, 0x28, 0x6b, 3, 0, 0x31, 0x45, 0x31);
+      encoder.raw(GS, 0x28, 0x6b, length & 0xff, length >> 8, 0x31, 0x50, 0x30);
+      encoder.text(data);
+      return encoder.raw(GS, 0x28, 0x6b, 3, 0, 0x31, 0x51, 0x30);
+    },
+    cut() {
+      // Feed past the cutter then partial cut
+      return encoder.raw(GS, 0x56, 0x42, 3);
+    },
+    openDrawer() {
+      // Pulse pin 2, which is where most drawers are wired
+      return encoder.raw(ESC, 0x70, 0, 0x19, 0xfa);
+    },
+    encode() {
+      return Uint8Array.from(bytes);
+    },
+  };
+
+  return encoder;
+};
+
+/**
+ * Lay out a left and right value on one line, wrapping the left side
+ * when both don't fit
+ */
+export const columns = (left, right, width) => {
+  const leftText = toAscii(left);
+  const rightText = toAscii(right);
+  const space = width - rightText.length - 1;
+
+  if (leftText.length <= space) {
+    return (
+      leftText +
+      " ".repeat(width - leftText.length - rightText.length) +
+      rightText
+    );
+  }
+
+  return `${leftText}\n${rightText.padStart(width)}`;
+};
+
+/**
+ * Encode a sale as an ESC/POS receipt following the receipt settings
+ */
+export const encodeReceipt = (
+  sale,
+  settings,
+  { openDrawer = false, qrCode = true } = {}
+) => {
+  const config = getReceiptConfig(settings);
+  const width = getLineWidth(settings);
+  const business = settings?.business || {};
+  const totals = sale.totals || {};
+  const payment = sale.payment || {};
+  const divider = "-".repeat(width);
+  const encoder = createEncoder().initialize();
+
+  if (openDrawer) encoder.openDrawer();
+
+  for (let copy = 0; copy < config.printCopy; copy++) {
+    encoder.align("center").bold(true).size(2, 2).line(business.name);
+    encoder.size(1, 1).bold(false);
+
+    if (config.showBusinessInfo) {
+      const address = [business.address?.city, business.address?.county]
+        .filter(Boolean)
+        .join(", ");
+      [address, business.contact?.phone, business.contact?.email]
+        .filter(Boolean)
+        .forEach((line) => encoder.line(line));
+    }
+
+    encoder.align("left").line(divider);
+    encoder.line(columns("Receipt", sale.receiptNumber, width));
+    encoder.line(
+      columns("Date", formatDateTime(sale.createdAt || new Date()), width)
+    );
+    if (typeof sale.cashier === "object" && sale.cashier?.name) {
+      encoder.line(columns("Served by", sale.cashier.name, width));
+    }
+    if (sale.customerInfo?.name) {
+      encoder.line(columns("Customer", sale.customerInfo.name, width));
+    }
+    encoder.line(divider);
+
+    (sale.items || []).forEach((item) => {
+      encoder.line(item.productName);
+      encoder.line(
+        columns(
+          `  ${item.quantity} x ${formatCurrency(item.unitPrice)}`,
+          formatCurrency(item.subtotal ?? item.unitPrice * item.quantity),
+          width
+        )
+      );
+      if (item.discount?.amount > 0) {
+        encoder.line(
+          columns(
+            "  Discount",
+            `-${formatCurrency(item.discount.amount)}`,
+            width
+          )
+        );
+      }
+    });
+
+    encoder.line(divider);
+    encoder.line(columns("Subtotal", formatCurrency(totals.subtotal), width));
+    if (totals.discount > 0) {
+      encoder.line(
+        columns("Discount", `-${formatCurrency(totals.discount)}`, width)
+      );
+    }
+    if (totals.tax > 0) {
+      encoder.line(
+        columns(
+          `${totals.taxInclusive ? "Incl. VAT" : "VAT"} (${totals.taxRate}%)`,
+          formatCurrency(totals.tax),
+          width
+        )
+      );
+    }
+    if (totals.rounding) {
+      encoder.line(columns("Rounding", formatCurrency(totals.rounding), width));
+    }
+    encoder
+      .bold(true)
+      .size(1, 2)
+      .line(
+        columns("TOTAL", formatCurrency(totals.total || totals.subtotal), width)
+      )
+      .size(1, 1)
+      .bold(false);
+
+    encoder.line(divider);
+    const details = payment.details?.length
+      ? payment.details
+      : [{ method: payment.method, amount: payment.totalPaid }];
+    details
+      .filter((detail) => detail.method)
+      .forEach((detail) => {
+        encoder.line(
+          columns(
+            PAYMENT_LABELS[detail.method] || detail.method,
+            formatCurrency(detail.amount),
+            width
+          )
+        );
+        if (detail.transactionId) {
+          encoder.line(columns("  Ref", detail.transactionId, width));
+        }
+      });
+    if (payment.change > 0) {
+      encoder.line(columns("Change", formatCurrency(payment.change), width));
+    }
+
+    encoder.align("center");
+    if (qrCode && sale.receiptNumber) {
+      encoder.feed(1).qrcode(sale.receiptNumber).line();
+    }
+    if (config.footerMessage) {
+      encoder.line(config.footerMessage);
+    }
+    if (copy > 0) {
+      encoder.line("*** COPY ***");
+    }
+
+    encoder.feed(3).cut();
+  }
+
+  return encoder.encode();
+};
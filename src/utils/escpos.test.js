@@ -0,0 +1,88 @@
+// src/utils/escpos.test.js
+import { columns, createEncoder, encodeReceipt } from "./escpos";
+
+const decode = (bytes) => String.fromCharCode(...bytes);
+
+describe("createEncoder", () => {
+  it("builds the ESC/POS byte stream in order", () => {
+    const bytes = createEncoder()
+      .initialize()
+      .bold(true)
+      .line("Hi")
+      .cut()
+      .encode();
+
+    expect(Array.from(bytes)).toEqual([
+      0x1b, 0x40, 0x1b, 0x45, 1, 0x48, 0x69, 0x0a, 0x1d, 0x56, 0x42, 3,
+    ]);
+  });
+
+  it("strips accents and replaces what the printer can't print", () => {
+    expect(decode(createEncoder().text("Café ✓").encode())).toBe("Cafe ?");
+  });
+
+  it("packs the character size into one byte", () => {
+    expect(Array.from(createEncoder().size(2, 3).encode())).toEqual([
+      0x1d, 0x21, 0x12,
+    ]);
+    expect(Array.from(createEncoder().size(0, 9).encode())).toEqual([
+      0x1d, 0x21, 0x07,
+    ]);
+  });
+});
+
+describe("columns", () => {
+  it("pads a left and right value out to the line width", () => {
+    expect(columns("Total", "100", 12)).toBe("Total    100");
+  });
+
+  it("moves the right value to its own line when both don't fit", () => {
+    expect(columns("Long product name", "1,000", 12)).toBe(
+      "Long product name\n       1,000"
+    );
+  });
+});
+
+describe("encodeReceipt", () => {
+  const sale = {
+    receiptNumber: "R-0001",
+    createdAt: "2026-06-15T10:00:00Z",
+    items: [
+      { productName: "Sugar 1kg", quantity: 2, unitPrice: 150, subtotal: 300 },
+    ],
+    totals: { subtotal: 300, total: 300 },
+    payment: { method: "cash", totalPaid: 500, change: 200 },
+  };
+  const settings = {
+    business: { name: "Jenny Shop" },
+    sales: { receipt: { paperSize: "58mm" } },
+  };
+
+  it("lays the receipt out at the paper's line width", () => {
+    const lines = decode(encodeReceipt(sale, settings)).split("\n");
+
+    expect(lines).toContain(`Receipt${" ".repeat(19)}R-0001`);
+    expect(lines).toContain("-".repeat(32));
+    expect(lines).toContain("Sugar 1kg");
+  });
+
+  it("opens the drawer only when asked", () => {
+    const drawerPulse = decode([0x1b, 0x70, 0, 0x19, 0xfa]);
+
+    expect(decode(encodeReceipt(sale, settings))).not.toContain(drawerPulse);
+    expect(
+      decode(encodeReceipt(sale, settings, { openDrawer: true }))
+    ).toContain(drawerPulse);
+  });
+
+  it("marks extra copies", () => {
+    const copies = {
+      ...settings,
+      sales: { receipt: { paperSize: "58mm", printCopy: 2 } },
+    };
+    const text = decode(encodeReceipt(sale, copies, { qrCode: false }));
+
+    expect(text.match(/R-0001/g)).toHaveLength(2);
+    expect(text).toContain("*** COPY ***");
+  });
+});
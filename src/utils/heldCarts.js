@@ -0,0 +1,30 @@
+// src/utils/heldCarts.js
+
+const storageKey = (userId) => `heldCarts:${userId}`;
+
+/**
+ * Get the carts a user has parked at the POS
+ */
+export const getHeldCarts = (userId) => {
+  if (!userId) return [];
+
+  try {
+    return JSON.parse(localStorage.getItem(storageKey(userId))) || [];
+  } catch (error) {
+    console.error("Failed to read held carts:", error);
+    return [];
+  }
+};
+
+/**
+ * Persist a user's parked carts so they survive page reloads
+ */
+export const saveHeldCarts = (userId, heldCarts) => {
+  if (!userId) return;
+
+  if (heldCarts.length === 0) {
+    localStorage.removeItem(storageKey(userId));
+  } else {
+    localStorage.setItem(storageKey(userId), JSON.stringify(heldCarts));
+  }
+};
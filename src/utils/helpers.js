@@ -1,5 +1,6 @@
 // src/utils/helpers.js
 import { format, formatDistanceToNow, isToday, isYesterday } from "date-fns";
+import { takeStock } from "./variants";
 
 /**
  * Format currency using KES format
@@ -309,9 +310,9 @@ export const downloadCSV = (data, filename) => {
       headers
         .map((header) => {
           const value = row[header];
-          // Escape quotes and wrap in quotes if contains comma
-          const stringValue = String(value || "");
-          return stringValue.includes(",")
+          // Escape quotes and wrap in quotes if contains comma, quote or newline
+          const stringValue = String(value ?? "");
+          return /[",\n]/.test(stringValue)
             ? `"${stringValue.replace(/"/g, '""')}"`
             : stringValue;
         })
@@ -328,6 +329,41 @@ export const downloadCSV = (data, filename) => {
   window.URL.revokeObjectURL(url);
 };
 
+/**
+ * Play a short beep, e.g. as feedback for a barcode scan
+ */
+let audioContext;
+export const playBeep = ({ frequency = 1200, duration = 120 } = {}) => {
+  try {
+    const AudioContext = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContext) return;
+
+    audioContext = audioContext || new AudioContext();
+    const oscillator = audioContext.createOscillator();
+    const gain = audioContext.createGain();
+
+    oscillator.type = "square";
+    oscillator.frequency.value = frequency;
+    gain.gain.value = 0.1;
+    oscillator.connect(gain);
+    gain.connect(audioContext.destination);
+
+    oscillator.start();
+    oscillator.stop(audioContext.currentTime + duration / 1000);
+  } catch (error) {
+    console.error("Failed to play beep:", error);
+  }
+};
+
+/**
+ * Take sold cart quantities off a list of products' current stock
+ */
+export const deductStock = (products, items) =>
+  products.map((product) => {
+    const soldItems = items.filter((item) => item.product === product._id);
+    return soldItems.length > 0 ? takeStock(product, soldItems) : product;
+  });
+
 /**
  * Copy text to clipboard
  */
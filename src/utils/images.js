@@ -0,0 +1,81 @@
+// src/utils/images.js
+export const MAX_PRODUCT_IMAGES = 8;
+
+// Longest side in pixels
+export const IMAGE_SIZE = 1600;
+export const THUMBNAIL_SIZE = 320;
+
+const JPEG_QUALITY = 0.82;
+
+export const isImageFile = (file) => Boolean(file?.type?.startsWith("image/"));
+
+/**
+ * The small version of an image for grids and lists. Images saved before
+ * thumbnails were made only have the full size URL.
+ */
+export const getThumbnailUrl = (image) => image?.thumbnailUrl || image?.url;
+
+export const getPrimaryImage = (product) => product?.images?.[0];
+
+const loadImage = (file) =>
+  new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file);
+    const image = new Image();
+    image.onload = () => {
+      URL.revokeObjectURL(url);
+      resolve(image);
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error(`${file.name} is not an image that can be read`));
+    };
+    image.src = url;
+  });
+
+const toJpeg = (image, maxSize, name) => {
+  const scale = Math.min(1, maxSize / Math.max(image.width, image.height));
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.round(image.width * scale);
+  canvas.height = Math.round(image.height * scale);
+
+  const context = canvas.getContext("2d");
+  // Transparent PNGs would otherwise turn black
+  context.fillStyle = "#ffffff";
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  context.drawImage(image, 0, 0, canvas.width, canvas.height);
+
+  return new Promise((resolve, reject) =>
+    canvas.toBlob(
+      (blob) =>
+        blob
+          ? resolve(new File([blob], name, { type: "image/jpeg" }))
+          : reject(new Error("Failed to compress image")),
+      "image/jpeg",
+      JPEG_QUALITY
+    )
+  );
+};
+
+/**
+ * Shrink a photo before upload, so a 12 megapixel camera shot goes up as a
+ * JPEG of a few hundred kilobytes, along with a thumbnail
+ */
+export const prepareImage = async (file) => {
+  const image = await loadImage(file);
+  const name = file.name.replace(/\.[^.]+$/, "") || "image";
+
+  return {
+    image: await toJpeg(image, IMAGE_SIZE, `${name}.jpg`),
+    thumbnail: await toJpeg(image, THUMBNAIL_SIZE, `${name}-thumb.jpg`),
+  };
+};
+
+/**
+ * Move the image at `from` to `to`. The first image is the primary one.
+ */
+export const moveImage = (images, from, to) => {
+  const next = [...images];
+  const [moved] = next.splice(from, 1);
+  next.splice(to, 0, moved);
+  return next;
+};
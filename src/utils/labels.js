@@ -0,0 +1,302 @@
+// src/utils/labels.js
+import { isValidEan13 } from "./barcodes";
+import { formatCurrency } from "./helpers";
+import { escapeHtml } from "./receipt";
+import { isMeasuredUnit } from "./units";
+import { getVariantId, getVariantProduct, hasVariants } from "./variants";
+
+const PREFERENCE_KEY = "labelPrinter";
+
+// Each label is its own SVG, so very large jobs would stall the browser
+export const MAX_LABEL_COPIES = 500;
+export const MAX_LABELS_PER_PRINT = 2000;
+
+export const BARCODE_SYMBOLOGIES = [
+  { value: "code128", label: "Code 128" },
+  { value: "ean13", label: "EAN-13" },
+  { value: "qr", label: "QR Code" },
+];
+
+/**
+ * Label stock the designer can print on, sizes in millimetres. Sheets are
+ * laid out as a grid inside the page margins, rolls print one label per
+ * page sized to the label.
+ */
+export const LABEL_TEMPLATES = [
+  {
+    value: "a4-21",
+    label: "A4 sheet · 21 labels (63.5 × 38.1 mm)",
+    page: "A4",
+    margin: "15.1mm 7.2mm",
+    columns: 3,
+    rows: 7,
+    width: 63.5,
+    height: 38.1,
+    gap: 2.5,
+  },
+  {
+    value: "a4-14",
+    label: "A4 sheet · 14 labels (99.1 × 38.1 mm)",
+    page: "A4",
+    margin: "15.1mm 4.7mm",
+    columns: 2,
+    rows: 7,
+    width: 99.1,
+    height: 38.1,
+    gap: 2.5,
+  },
+  {
+    value: "a4-65",
+    label: "A4 sheet · 65 labels (38.1 × 21.2 mm)",
+    page: "A4",
+    margin: "10.7mm 4.7mm",
+    columns: 5,
+    rows: 13,
+    width: 38.1,
+    height: 21.2,
+    gap: 2.5,
+  },
+  {
+    value: "letter-30",
+    label: "Letter sheet · 30 labels (66.7 × 25.4 mm)",
+    page: "letter",
+    margin: "12.7mm 4.8mm",
+    columns: 3,
+    rows: 10,
+    width: 66.7,
+    height: 25.4,
+    gap: 3.2,
+  },
+  {
+    value: "roll-50x25",
+    label: "Thermal roll · 50 × 25 mm",
+    roll: true,
+    width: 50,
+    height: 25,
+  },
+  {
+    value: "roll-40x30",
+    label: "Thermal roll · 40 × 30 mm",
+    roll: true,
+    width: 40,
+    height: 30,
+  },
+  {
+    value: "roll-58x40",
+    label: "Thermal roll · 58 × 40 mm",
+    roll: true,
+    width: 58,
+    height: 40,
+  },
+];
+
+export const getLabelTemplate = (value) =>
+  LABEL_TEMPLATES.find((template) => template.value === value) ||
+  LABEL_TEMPLATES[0];
+
+/**
+ * The label layout is set up per label printer, so like the receipt
+ * printer it lives in this browser. The barcode type defaults to the
+ * business-wide `inventory.barcodeFormat` setting.
+ */
+export const getLabelPreference = (settings) => {
+  const symbology = BARCODE_SYMBOLOGIES.some(
+    (option) => option.value === settings?.inventory?.barcodeFormat
+  )
+    ? settings.inventory.barcodeFormat
+    : "code128";
+  const defaults = {
+    template: LABEL_TEMPLATES[0].value,
+    symbology,
+    showName: true,
+    showPrice: true,
+    showSku: false,
+    showBusiness: false,
+  };
+
+  try {
+    return {
+      ...defaults,
+      ...JSON.parse(localStorage.getItem(PREFERENCE_KEY) || "{}"),
+    };
+  } catch (error) {
+    return defaults;
+  }
+};
+
+export const saveLabelPreference = (preference) => {
+  localStorage.setItem(PREFERENCE_KEY, JSON.stringify(preference));
+};
+
+/**
+ * What a product's barcode encodes, or null when it can't be printed in
+ * that symbology. EAN-13 needs a valid 13-digit barcode, the others fall
+ * back to the SKU.
+ */
+export const getLabelValue = (product, symbology) => {
+  if (symbology === "ean13") {
+    return isValidEan13(product.barcode || "") ? product.barcode : null;
+  }
+  return product.barcode || product.sku || null;
+};
+
+/**
+ * What gets labelled for a product: the product itself, or each active
+ * variant with its own barcode, SKU, price and stock
+ */
+export const getLabelItems = (product) =>
+  hasVariants(product)
+    ? product.variants
+        .filter((variant) => variant.isActive !== false)
+        .map((variant) => ({
+          key: `${product._id}:${getVariantId(variant)}`,
+          product: getVariantProduct(product, variant),
+        }))
+    : [{ key: product._id, product }];
+
+export const clampLabelCopies = (copies) =>
+  Math.min(MAX_LABEL_COPIES, Math.max(0, parseInt(copies) || 0));
+
+/**
+ * How many labels to print for a product: a fixed number, or one per item
+ * in stock, up to MAX_LABEL_COPIES. Weighed goods get a single shelf label
+ * either way.
+ */
+export const getLabelCopies = (product, { copyMode, copies }) => {
+  if (copyMode !== "stock") return clampLabelCopies(copies);
+  if (isMeasuredUnit(product.unit)) return 1;
+  // Counted stock can come back as 11.9999 after sums of decimals
+  return clampLabelCopies(Math.round(product.inventory?.currentStock || 0));
+};
+
+/**
+ * Render a barcode as SVG markup. The barcode libraries are only loaded
+ * when labels are printed.
+ */
+export const renderBarcodeSvg = async (value, symbology) => {
+  if (symbology === "qr") {
+    const { default: QRCode } = await import("qrcode");
+    return QRCode.toString(value, { type: "svg", margin: 0 });
+  }
+
+  const { default: JsBarcode } = await import("jsbarcode");
+  const svg = document.createElementNS("http://www.w3.org/2000/svg", "svg");
+  JsBarcode(svg, value, {
+    format: symbology === "ean13" ? "EAN13" : "CODE128",
+    margin: 0,
+    height: 40,
+    fontSize: 14,
+  });
+
+  // Scale with the label instead of printing at a fixed pixel size
+  const width = svg.getAttribute("width");
+  const height = svg.getAttribute("height");
+  svg.setAttribute("viewBox", `0 0 ${parseFloat(width)} ${parseFloat(height)}`);
+  svg.removeAttribute("width");
+  svg.removeAttribute("height");
+  svg.removeAttribute("style");
+  return svg.outerHTML;
+};
+
+const renderLabel = (item, preference, business) => `
+  <div class="label">
+    ${
+      preference.showBusiness && business.name
+        ? `<div class="business">${escapeHtml(business.name)}</div>`
+        : ""
+    }
+    ${
+      preference.showName
+        ? `<div class="name">${escapeHtml(item.product.name)}</div>`
+        : ""
+    }
+    ${
+      preference.showPrice
+        ? `<div class="price">${escapeHtml(
+            formatCurrency(item.product.pricing?.sellingPrice)
+          )}</div>`
+        : ""
+    }
+    <div class="barcode ${preference.symbology}">${item.svg}</div>
+    ${
+      preference.showSku
+        ? `<div class="sku">${escapeHtml(item.product.sku || "")}</div>`
+        : ""
+    }
+  </div>`;
+
+/**
+ * Lay labels out on the chosen label stock as a standalone HTML document.
+ * `items` are `{ product, svg }`, one per printed label.
+ */
+export const renderLabelsHtml = (items, preference, settings) => {
+  const template = getLabelTemplate(preference.template);
+  const business = settings?.business || {};
+  const perPage = template.roll ? 1 : template.columns * template.rows;
+
+  const pages = [];
+  for (let start = 0; start < items.length; start += perPage) {
+    pages.push(
+      `<div class="page">${items
+        .slice(start, start + perPage)
+        .map((item) => renderLabel(item, preference, business))
+        .join("")}</div>`
+    );
+  }
+
+  const page = template.roll
+    ? `${template.width}mm ${template.height}mm`
+    : template.page;
+
+  return `<!DOCTYPE html>
+<html>
+  <head>
+    <meta charset="utf-8" />
+    <title>Product Labels</title>
+    <style>
+      @page { size: ${page}; margin: ${template.roll ? 0 : template.margin}; }
+      * { box-sizing: border-box; }
+      body { margin: 0; font-family: Arial, sans-serif; color: #000; }
+      .page {
+        display: grid;
+        grid-template-columns: repeat(${template.columns || 1}, ${
+    template.width
+  }mm);
+        grid-auto-rows: ${template.height}mm;
+        column-gap: ${template.gap || 0}mm;
+        page-break-after: always;
+      }
+      .page:last-child { page-break-after: auto; }
+      .label {
+        display: flex;
+        flex-direction: column;
+        align-items: center;
+        justify-content: center;
+        overflow: hidden;
+        padding: 1.5mm;
+        text-align: center;
+        font-size: ${template.height < 25 ? "7pt" : "9pt"};
+      }
+      .business { font-size: 0.8em; color: #444; }
+      .name {
+        font-weight: bold;
+        line-height: 1.1;
+        max-height: 2.2em;
+        overflow: hidden;
+      }
+      .price { font-size: 1.4em; font-weight: bold; }
+      .barcode {
+        flex: 1;
+        min-height: 0;
+        width: 100%;
+        display: flex;
+        justify-content: center;
+      }
+      .barcode svg { height: 100%; max-width: 100%; }
+      .barcode.qr svg { width: auto; }
+      .sku { font-size: 0.8em; }
+    </style>
+  </head>
+  <body>${pages.join("")}</body>
+</html>`;
+};
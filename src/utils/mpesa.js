@@ -0,0 +1,53 @@
+// src/utils/mpesa.js
+const STORAGE_PREFIX = "mpesaCheckout:";
+
+// STK requests expire on the phone well before this, so anything older
+// can't be resumed
+const PENDING_CHECKOUT_TTL = 15 * 60 * 1000;
+
+// Confirmation codes are ten characters starting with a letter, e.g. SBK4XY12ZQ
+const MPESA_CODE_REGEX = /^[A-Z][A-Z0-9]{9}$/;
+
+export const normalizeMpesaCode = (code) =>
+  (code || "").replace(/\s/g, "").toUpperCase();
+
+/**
+ * Validate an M-Pesa confirmation code typed in by the cashier
+ */
+export const isValidMpesaCode = (code) =>
+  MPESA_CODE_REGEX.test(normalizeMpesaCode(code));
+
+/**
+ * Delay before the next status check: the interval grows by the backoff
+ * factor after every check, up to maxInterval
+ */
+export const getPollDelay = (attempt, { interval, backoff, maxInterval }) =>
+  Math.min(interval * Math.pow(backoff, Math.max(0, attempt - 1)), maxInterval);
+
+/**
+ * STK checkouts still waiting on the customer are kept in localStorage so
+ * they can be picked up again after a page reload
+ */
+export const savePendingCheckout = (key, checkout) => {
+  localStorage.setItem(STORAGE_PREFIX + key, JSON.stringify(checkout));
+};
+
+export const clearPendingCheckout = (key) => {
+  localStorage.removeItem(STORAGE_PREFIX + key);
+};
+
+export const getPendingCheckout = (key) => {
+  try {
+    const checkout = JSON.parse(localStorage.getItem(STORAGE_PREFIX + key));
+    if (!checkout?.checkoutRequestId) return null;
+
+    if (Date.now() - new Date(checkout.startedAt) > PENDING_CHECKOUT_TTL) {
+      clearPendingCheckout(key);
+      return null;
+    }
+    return checkout;
+  } catch (error) {
+    console.error("Failed to read pending M-Pesa checkout:", error);
+    return null;
+  }
+};
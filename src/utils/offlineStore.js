@@ -0,0 +1,204 @@
+// src/utils/offlineStore.js
+import { format } from "date-fns";
+import { findVariantByCode, takeStock } from "./variants";
+
+const DB_NAME = "jennyPOS";
+const DB_VERSION = 1;
+const PRODUCTS_STORE = "products";
+const SALES_STORE = "pendingSales";
+const DEVICE_KEY = "posDeviceId";
+
+let dbPromise = null;
+
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(PRODUCTS_STORE)) {
+          db.createObjectStore(PRODUCTS_STORE, { keyPath: "_id" });
+        }
+        if (!db.objectStoreNames.contains(SALES_STORE)) {
+          db.createObjectStore(SALES_STORE, { keyPath: "localId" });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+};
+
+/**
+ * Run one request against a store and resolve with its result
+ */
+const withStore = async (storeName, mode, callback) => {
+  const db = await openDb();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = callback(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(request?.result);
+    transaction.onerror = () => reject(transaction.error);
+  });
+};
+
+/**
+ * Axios errors without a response never reached the server
+ */
+export const isNetworkError = (error) =>
+  Boolean(error) && !error.response && error.code !== "ERR_CANCELED";
+
+/**
+ * Replace the cached catalogue with a fresh copy of the active products
+ */
+export const cacheProducts = async (products) => {
+  const db = await openDb();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(PRODUCTS_STORE, "readwrite");
+    const store = transaction.objectStore(PRODUCTS_STORE);
+    store.clear();
+    products.forEach((product) => store.put(product));
+    transaction.oncomplete = () => resolve(products.length);
+    transaction.onerror = () => reject(transaction.error);
+  });
+};
+
+export const getCachedProducts = () =>
+  withStore(PRODUCTS_STORE, "readonly", (store) => store.getAll());
+
+/**
+ * Search the cached catalogue the same way the products endpoint does,
+ * returning a page in the API's response shape. `categories` limits it to
+ * a category and its sub-categories.
+ */
+export const searchCachedProducts = async ({
+  search = "",
+  page = 1,
+  limit = 20,
+  inStock = false,
+  categories = null,
+} = {}) => {
+  const term = search.trim().toLowerCase();
+  const products = (await getCachedProducts())
+    .filter((product) => !inStock || (product.inventory?.currentStock || 0) > 0)
+    // Products filed under a subcategory keep the parent as `category`
+    .filter(
+      (product) =>
+        !categories ||
+        [product.category, product.subcategory].some(
+          (category) =>
+            category && categories.includes(category._id || category)
+        )
+    )
+    .filter(
+      (product) =>
+        !term ||
+        product.name?.toLowerCase().includes(term) ||
+        product.sku?.toLowerCase().includes(term) ||
+        product.barcode?.toLowerCase().includes(term)
+    )
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  return {
+    data: products.slice((page - 1) * limit, page * limit),
+    total: products.length,
+  };
+};
+
+export const findCachedProductByCode = async (codes) => {
+  const matches = [].concat(codes);
+  return (await getCachedProducts()).find(
+    (product) =>
+      matches.includes(product.barcode) ||
+      matches.includes(product.sku) ||
+      findVariantByCode(product, matches)
+  );
+};
+
+/**
+ * Take sold quantities off the cached stock so offline sales can't
+ * oversell what the till knows about
+ */
+export const decrementCachedStock = async (items) => {
+  const db = await openDb();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(PRODUCTS_STORE, "readwrite");
+    const store = transaction.objectStore(PRODUCTS_STORE);
+
+    [...new Set(items.map((item) => item.product))].forEach((productId) => {
+      const request = store.get(productId);
+      request.onsuccess = () => {
+        const product = request.result;
+        if (!product) return;
+        store.put(
+          takeStock(
+            product,
+            items.filter((item) => item.product === productId)
+          )
+        );
+      };
+    });
+
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+  });
+};
+
+const getDeviceId = () => {
+  let deviceId = localStorage.getItem(DEVICE_KEY);
+  if (!deviceId) {
+    deviceId = Math.random().toString(36).slice(2, 6).toUpperCase();
+    localStorage.setItem(DEVICE_KEY, deviceId);
+  }
+  return deviceId;
+};
+
+/**
+ * Receipt numbers for offline sales carry the till's device id so they
+ * can't clash with each other or with the server's own numbering
+ */
+export const generateOfflineReceiptNumber = () => {
+  const now = new Date();
+  return `OFF-${getDeviceId()}-${format(now, "yyMMdd-HHmmss")}-${String(
+    now.getMilliseconds()
+  ).padStart(3, "0")}`;
+};
+
+/**
+ * Store a sale to be posted once the connection is back
+ */
+export const queueSale = async (saleData) => {
+  const createdAt = new Date().toISOString();
+  const pendingSale = {
+    localId: `${createdAt}-${Math.random().toString(36).slice(2, 8)}`,
+    receiptNumber: generateOfflineReceiptNumber(),
+    createdAt,
+    status: "pending",
+    saleData,
+  };
+
+  await withStore(SALES_STORE, "readwrite", (store) => store.put(pendingSale));
+  return pendingSale;
+};
+
+/**
+ * Queued sales, oldest first so they sync in the order they were made
+ */
+export const getQueuedSales = async () =>
+  (await withStore(SALES_STORE, "readonly", (store) => store.getAll())).sort(
+    (a, b) => a.createdAt.localeCompare(b.createdAt)
+  );
+
+export const updateQueuedSale = (pendingSale) =>
+  withStore(SALES_STORE, "readwrite", (store) => store.put(pendingSale));
+
+export const removeQueuedSale = (localId) =>
+  withStore(SALES_STORE, "readwrite", (store) => store.delete(localId));
@@ -0,0 +1,75 @@
+// src/utils/pricing.js
+
+// `custom` marks a price typed in by hand rather than taken from a tier
+export const PRICE_TIERS = {
+  retail: "Retail",
+  wholesale: "Wholesale",
+  custom: "Custom",
+};
+
+/**
+ * Read the price tier options out of the business settings
+ */
+export const getPricingPolicy = (settings) => {
+  const pricing = settings?.sales?.pricing || {};
+
+  return {
+    // Quantity on a line at which it gets wholesale prices, 0 for never
+    wholesaleQuantityBreak: Number(pricing.wholesaleQuantityBreak) || 0,
+  };
+};
+
+/**
+ * A product's price in each tier, kept on cart lines so the tier can change
+ * after the line was added. Products without a wholesale price, or whose
+ * wholesale price is above their own (a cheaper variant), sell at retail in
+ * both tiers.
+ */
+export const getTierPrices = (product) => {
+  const retail = product.pricing?.sellingPrice || 0;
+  const wholesale = product.pricing?.wholesalePrice;
+
+  return {
+    retail,
+    wholesale: wholesale > 0 && wholesale < retail ? wholesale : retail,
+  };
+};
+
+/**
+ * The tier a line gets on its own: wholesale for wholesale customers or
+ * once the line's quantity reaches the break, retail otherwise. Lines are
+ * checked one by one, as their quantities may be in different units.
+ */
+export const getAutomaticTier = (item, { customer, policy }) => {
+  if (customer?.isWholesale) return "wholesale";
+
+  return policy.wholesaleQuantityBreak > 0 &&
+    item.quantity >= policy.wholesaleQuantityBreak
+    ? "wholesale"
+    : "retail";
+};
+
+/**
+ * Price each line at its tier. Lines carry `prices` from getTierPrices and
+ * may pin a `tierOverride`, otherwise they follow their automatic tier.
+ * Lines without `prices`, or pinned to `custom`, keep the price they have.
+ */
+export const applyPriceTiers = (items, options) =>
+  items.map((item) => {
+    if (!item.prices || item.tierOverride === "custom") return item;
+
+    const priceTier = item.tierOverride || getAutomaticTier(item, options);
+    return { ...item, priceTier, unitPrice: item.prices[priceTier] };
+  });
+
+/**
+ * The tier a line switches to when its badge is clicked. Returns null when
+ * that tier is what the line would get anyway, so the override is dropped.
+ * A custom price goes back to the line's automatic tier.
+ */
+export const getNextTierOverride = (item, automaticTier) => {
+  if (item.priceTier === "custom") return null;
+
+  const nextTier = item.priceTier === "wholesale" ? "retail" : "wholesale";
+  return nextTier === automaticTier ? null : nextTier;
+};
@@ -0,0 +1,208 @@
+// src/utils/printer.js
+import { createEncoder, encodeReceipt } from "./escpos";
+import { printReceipt } from "./receipt";
+
+const PREFERENCE_KEY = "receiptPrinter";
+const USB_CHUNK_SIZE = 64;
+
+// Printer class devices, plus the vendor-specific class many clones report
+const USB_PRINTER_CLASSES = [0x07, 0xff];
+
+let usbDevice = null;
+let usbEndpoint = null;
+let serialPort = null;
+
+export const isUsbSupported = () =>
+  typeof navigator !== "undefined" && Boolean(navigator.usb);
+
+export const isSerialSupported = () =>
+  typeof navigator !== "undefined" && Boolean(navigator.serial);
+
+/**
+ * The receipt printer is set up per till, so it lives in this browser
+ * rather than in the business settings
+ */
+export const getPrinterPreference = () => {
+  try {
+    return {
+      type: "browser",
+      baudRate: 9600,
+      openDrawer: false,
+      ...JSON.parse(localStorage.getItem(PREFERENCE_KEY) || "{}"),
+    };
+  } catch (error) {
+    return { type: "browser", baudRate: 9600, openDrawer: false };
+  }
+};
+
+export const savePrinterPreference = (preference) => {
+  localStorage.setItem(PREFERENCE_KEY, JSON.stringify(preference));
+};
+
+const openUsbDevice = async (device) => {
+  if (!device.opened) await device.open();
+  if (device.configuration === null) await device.selectConfiguration(1);
+
+  const printerInterface = device.configuration.interfaces.find((iface) =>
+    iface.alternates.some(
+      (alternate) =>
+        USB_PRINTER_CLASSES.includes(alternate.interfaceClass) &&
+        alternate.endpoints.some(
+          (endpoint) => endpoint.direction === "out" && endpoint.type === "bulk"
+        )
+    )
+  );
+  if (!printerInterface) {
+    throw new Error("This USB device doesn't look like a receipt printer");
+  }
+
+  if (!printerInterface.claimed) {
+    await device.claimInterface(printerInterface.interfaceNumber);
+  }
+
+  const alternate = printerInterface.alternates.find((alt) =>
+    alt.endpoints.some((endpoint) => endpoint.direction === "out")
+  );
+  usbDevice = device;
+  usbEndpoint = alternate.endpoints.find(
+    (endpoint) => endpoint.direction === "out" && endpoint.type === "bulk"
+  ).endpointNumber;
+};
+
+const openSerialPort = async (port, baudRate) => {
+  if (!port.writable) await port.open({ baudRate });
+  serialPort = port;
+};
+
+/**
+ * Ask the user to pick a printer. Must be called from a click handler.
+ */
+export const connectPrinter = async (type, { baudRate = 9600 } = {}) => {
+  if (type === "usb") {
+    if (!isUsbSupported()) throw new Error("WebUSB is not supported here");
+    const device = await navigator.usb.requestDevice({
+      filters: USB_PRINTER_CLASSES.map((classCode) => ({ classCode })),
+    });
+    await openUsbDevice(device);
+    return device.productName || "USB printer";
+  }
+
+  if (type === "serial") {
+    if (!isSerialSupported()) {
+      throw new Error("Web Serial is not supported here");
+    }
+    const port = await navigator.serial.requestPort();
+    await openSerialPort(port, baudRate);
+    return "Serial printer";
+  }
+
+  throw new Error(`Unknown printer type "${type}"`);
+};
+
+/**
+ * Reopen a printer the user already granted access to, without a prompt
+ */
+const reconnectPrinter = async (preference) => {
+  if (preference.type === "usb" && !usbDevice && isUsbSupported()) {
+    const [device] = await navigator.usb.getDevices();
+    if (device) await openUsbDevice(device);
+  }
+
+  if (preference.type === "serial" && !serialPort && isSerialSupported()) {
+    const [port] = await navigator.serial.getPorts();
+    if (port) await openSerialPort(port, preference.baudRate);
+  }
+};
+
+/**
+ * Send raw bytes to the connected USB or serial printer
+ */
+export const sendToPrinter = async (
+  bytes,
+  preference = getPrinterPreference()
+) => {
+  await reconnectPrinter(preference);
+
+  if (preference.type === "usb") {
+    if (!usbDevice) throw new Error("No USB printer connected");
+    for (let offset = 0; offset < bytes.length; offset += USB_CHUNK_SIZE) {
+      await usbDevice.transferOut(
+        usbEndpoint,
+        bytes.slice(offset, offset + USB_CHUNK_SIZE)
+      );
+    }
+    return;
+  }
+
+  if (preference.type === "serial") {
+    if (!serialPort) throw new Error("No serial printer connected");
+    const writer = serialPort.writable.getWriter();
+    try {
+      await writer.write(bytes);
+    } finally {
+      writer.releaseLock();
+    }
+    return;
+  }
+
+  throw new Error("No receipt printer configured");
+};
+
+/**
+ * Save a byte stream as a .bin file, for testing without a printer
+ */
+export const downloadBytes = (bytes, filename) => {
+  const blob = new Blob([bytes], { type: "application/octet-stream" });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+export const downloadReceiptBin = (sale, settings, options) => {
+  downloadBytes(
+    encodeReceipt(sale, settings, options),
+    `receipt-${sale.receiptNumber || "sale"}.bin`
+  );
+};
+
+/**
+ * Kick the cash drawer on its own, for cash sales that aren't printed
+ */
+export const openCashDrawer = async () => {
+  const preference = getPrinterPreference();
+  if (preference.type === "browser" || !preference.openDrawer) return;
+
+  await sendToPrinter(
+    createEncoder().initialize().openDrawer().encode(),
+    preference
+  );
+};
+
+/**
+ * Print a sale on the till's configured printer, falling back to the
+ * browser print dialog when no ESC/POS printer is set up. The drawer is
+ * only kicked when asked for and the till has one attached.
+ */
+export const printSale = async (
+  sale,
+  settings,
+  { openDrawer = false } = {}
+) => {
+  const preference = getPrinterPreference();
+
+  if (preference.type === "browser") {
+    return printReceipt(sale, settings);
+  }
+
+  return sendToPrinter(
+    encodeReceipt(sale, settings, {
+      openDrawer: openDrawer && preference.openDrawer,
+    }),
+    preference
+  );
+};
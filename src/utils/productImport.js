@@ -0,0 +1,298 @@
+// src/utils/productImport.js
+import { flattenCategories } from "./categories";
+import { validateProduct } from "./products";
+import { UNITS, roundQuantity } from "./units";
+
+/**
+ * Product fields a spreadsheet column can be mapped to. `aliases` are
+ * lower-cased header names that map to the field without any help.
+ */
+export const IMPORT_FIELDS = [
+  { key: "name", label: "Name", required: true, aliases: ["product", "item"] },
+  { key: "sku", label: "SKU", aliases: ["code", "item code"] },
+  { key: "barcode", label: "Barcode", aliases: ["ean", "upc", "gtin"] },
+  { key: "category", label: "Category", required: true, aliases: [] },
+  { key: "brand", label: "Brand", aliases: [] },
+  { key: "unit", label: "Unit", aliases: ["uom"] },
+  { key: "description", label: "Description", aliases: [] },
+  {
+    key: "pricing.sellingPrice",
+    label: "Selling Price",
+    required: true,
+    aliases: ["price", "retail price"],
+  },
+  { key: "pricing.wholesalePrice", label: "Wholesale Price", aliases: [] },
+  { key: "pricing.discount", label: "Discount (%)", aliases: ["discount %"] },
+  {
+    key: "inventory.currentStock",
+    label: "Current Stock",
+    aliases: ["stock", "quantity", "qty", "on hand"],
+  },
+  {
+    key: "inventory.minStock",
+    label: "Minimum Stock",
+    aliases: ["min stock", "reorder level"],
+  },
+];
+
+const NUMBER_FIELDS = [
+  "pricing.sellingPrice",
+  "pricing.wholesalePrice",
+  "pricing.discount",
+  "inventory.currentStock",
+  "inventory.minStock",
+];
+
+const normalize = (value) =>
+  String(value ?? "")
+    .trim()
+    .toLowerCase();
+
+/**
+ * Split CSV text into rows of cells. Handles quoted cells with commas,
+ * line breaks and doubled quotes in them, CRLF line endings and a leading
+ * byte order mark. Excel saves semicolon separated files in some locales,
+ * so the separator is taken from the header line.
+ */
+export const parseCsv = (text) => {
+  const input = text.replace(/^\uFEFF/, "");
+  const headerLine = input.slice(0, input.search(/\r?\n|$/));
+  const separator = [",", ";", "\t"].reduce((best, candidate) =>
+    headerLine.split(candidate).length > headerLine.split(best).length
+      ? candidate
+      : best
+  );
+
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === separator) {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i += 1;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+  if (cell || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows;
+};
+
+/**
+ * Read a CSV file into its header row and data rows. Excel workbooks are
+ * not read directly; save them as CSV first.
+ */
+export const readSpreadsheet = async (file) => {
+  const [headers = [], ...rows] = parseCsv(await file.text());
+
+  return {
+    headers: headers.map((header) => String(header).trim()),
+    rows: rows.filter((row) => row.some((cell) => String(cell).trim())),
+  };
+};
+
+/**
+ * Guess which column feeds each field from the header names. Returns the
+ * column index per field key, with unmatched fields left at -1.
+ */
+export const guessColumnMapping = (headers) => {
+  const normalized = headers.map(normalize);
+
+  return Object.fromEntries(
+    IMPORT_FIELDS.map((field) => {
+      const names = [
+        normalize(field.key.split(".").pop()),
+        normalize(field.label),
+        ...field.aliases,
+      ];
+      return [
+        field.key,
+        normalized.findIndex((header) => names.includes(header)),
+      ];
+    })
+  );
+};
+
+// Accepts "1,250.00" or "KES 1250" as well as plain numbers
+const parseNumber = (value) => {
+  const text = String(value ?? "").trim();
+  if (!text) return "";
+  return Number(text.replace(/[^0-9.-]/g, ""));
+};
+
+/**
+ * Match a category cell against the tree by name. A "Parent > Child" path
+ * is matched on its last segment. Sub-categories resolve to their top-level
+ * category plus the sub-category, the same shape the product form saves.
+ */
+const resolveCategory = (tree, value) => {
+  const name = normalize(
+    String(value ?? "")
+      .split(">")
+      .pop()
+  );
+  if (!name) return { category: "", subcategory: "" };
+
+  for (const top of tree) {
+    const match = flattenCategories([top]).find(
+      ({ category }) => normalize(category.name) === name
+    );
+    if (match) {
+      return match.depth === 0
+        ? { category: top._id, subcategory: "" }
+        : { category: top._id, subcategory: match.category._id };
+    }
+  }
+  return null;
+};
+
+const resolveUnit = (value) => {
+  const unit = normalize(value);
+  if (!unit) return "piece";
+  return (
+    UNITS.find(
+      (option) =>
+        option.value === unit ||
+        normalize(option.label) === unit ||
+        normalize(option.label).includes(`(${unit})`)
+    )?.value || null
+  );
+};
+
+/**
+ * Turn one spreadsheet row into a product using the column mapping, and
+ * validate it with the same rules as the product form. `rowNumber` is the
+ * row as the user sees it in their spreadsheet.
+ */
+export const mapRowToProduct = (row, mapping, { tree, rowNumber }) => {
+  const cell = (key) =>
+    mapping[key] >= 0 ? String(row[mapping[key]] ?? "").trim() : "";
+  const errors = {};
+
+  const numbers = Object.fromEntries(
+    NUMBER_FIELDS.map((key) => {
+      const value = parseNumber(cell(key));
+      if (Number.isNaN(value)) {
+        errors[key] = `"${cell(key)}" is not a number`;
+        return [key, ""];
+      }
+      return [key, value];
+    })
+  );
+
+  const unit = resolveUnit(cell("unit"));
+  if (!unit) errors.unit = `Unknown unit "${cell("unit")}"`;
+
+  const categoryCell = cell("category");
+  const categories = resolveCategory(tree, categoryCell) || {
+    category: "",
+    subcategory: "",
+  };
+
+  const product = {
+    name: cell("name"),
+    sku: cell("sku"),
+    barcode: cell("barcode"),
+    ...categories,
+    brand: cell("brand"),
+    description: cell("description"),
+    unit: unit || "piece",
+    pricing: {
+      sellingPrice: numbers["pricing.sellingPrice"],
+      wholesalePrice: numbers["pricing.wholesalePrice"] || undefined,
+      discount: numbers["pricing.discount"] || 0,
+    },
+    inventory: {
+      currentStock: roundQuantity(numbers["inventory.currentStock"] || 0, unit),
+      minStock:
+        numbers["inventory.minStock"] === ""
+          ? 10
+          : numbers["inventory.minStock"],
+      trackInventory: true,
+    },
+  };
+
+  const validation = { ...validateProduct(product), ...errors };
+  if (categoryCell && !product.category) {
+    validation.category = `Unknown category "${categoryCell}"`;
+  }
+
+  return { rowNumber, product, errors: validation };
+};
+
+/**
+ * Flag rows whose SKU or barcode is already used by an earlier row in the
+ * file or by a product or variant in the catalogue. Returns a message per
+ * row number.
+ */
+export const findDuplicates = (rows, existingProducts) => {
+  const known = { sku: new Map(), barcode: new Map() };
+  existingProducts.forEach((product) => {
+    const items = [
+      { item: product, label: `"${product.name}"` },
+      ...(product.variants || []).map((variant) => ({
+        item: variant,
+        label: `"${product.name} (${variant.name})"`,
+      })),
+    ];
+    items.forEach(({ item, label }) => {
+      ["sku", "barcode"].forEach((key) => {
+        if (item[key]) known[key].set(normalize(item[key]), label);
+      });
+    });
+  });
+
+  const duplicates = {};
+  rows.forEach(({ rowNumber, product }) => {
+    ["sku", "barcode"].forEach((key) => {
+      const value = normalize(product[key]);
+      if (!value) return;
+
+      if (!known[key].has(value)) {
+        known[key].set(value, `row ${rowNumber}`);
+      } else if (!duplicates[rowNumber]) {
+        duplicates[rowNumber] = `${key === "sku" ? "SKU" : "Barcode"} ${
+          product[key]
+        } is already used by ${known[key].get(value)}`;
+      }
+    });
+  });
+
+  return duplicates;
+};
+
+/**
+ * The product as it is sent to the server, without the empty optional
+ * fields the form would also leave out
+ */
+export const toImportPayload = (product) => {
+  const payload = { ...product };
+  ["sku", "barcode", "subcategory", "brand", "description"].forEach((key) => {
+    if (!payload[key]) delete payload[key];
+  });
+  return payload;
+};
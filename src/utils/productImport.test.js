@@ -0,0 +1,42 @@
+// src/utils/productImport.test.js
+import { parseCsv } from "./productImport";
+
+describe("parseCsv", () => {
+  it("splits rows and cells", () => {
+    expect(parseCsv("name,price\nSugar,150\nSalt,40")).toEqual([
+      ["name", "price"],
+      ["Sugar", "150"],
+      ["Salt", "40"],
+    ]);
+  });
+
+  it("reads quoted cells with separators, quotes and line breaks", () => {
+    expect(
+      parseCsv('name,description\n"Rice, 2kg","Long ""pishori""\ngrain"')
+    ).toEqual([
+      ["name", "description"],
+      ["Rice, 2kg", 'Long "pishori"\ngrain'],
+    ]);
+  });
+
+  it("handles CRLF endings, a byte order mark and a trailing newline", () => {
+    expect(parseCsv("\uFEFFname,price\r\nSugar,150\r\n")).toEqual([
+      ["name", "price"],
+      ["Sugar", "150"],
+    ]);
+  });
+
+  it("takes the separator from the header line", () => {
+    expect(parseCsv("name;price\nSugar;1,50")).toEqual([
+      ["name", "price"],
+      ["Sugar", "1,50"],
+    ]);
+  });
+
+  it("keeps empty cells", () => {
+    expect(parseCsv("a,b,c\n1,,3")).toEqual([
+      ["a", "b", "c"],
+      ["1", "", "3"],
+    ]);
+  });
+});
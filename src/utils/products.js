@@ -0,0 +1,58 @@
+// src/utils/products.js
+import { getExpectedCheckDigit } from "./barcodes";
+import { validateVariants } from "./variants";
+
+/**
+ * Validate a product the way the product form does. Returns an object of
+ * error messages keyed by field path, empty when the product is valid.
+ */
+export const validateProduct = (product) => {
+  const errors = {};
+
+  // Required fields
+  if (!String(product.name || "").trim()) {
+    errors.name = "Product name is required";
+  }
+
+  if (!product.category) {
+    errors.category = "Category is required";
+  }
+
+  const expectedCheckDigit = getExpectedCheckDigit(
+    String(product.barcode || "").trim()
+  );
+  if (expectedCheckDigit) {
+    errors.barcode = `Barcode check digit should be ${expectedCheckDigit}, check it was typed correctly`;
+  }
+
+  if (!product.pricing?.sellingPrice) {
+    errors["pricing.sellingPrice"] = "Selling price is required";
+  } else if (product.pricing.sellingPrice < 0) {
+    errors["pricing.sellingPrice"] = "Selling price cannot be negative";
+  }
+
+  if (product.inventory?.currentStock < 0) {
+    errors["inventory.currentStock"] = "Stock cannot be negative";
+  }
+
+  if (product.inventory?.minStock < 0) {
+    errors["inventory.minStock"] = "Minimum stock cannot be negative";
+  }
+
+  if (product.pricing?.discount < 0 || product.pricing?.discount > 100) {
+    errors["pricing.discount"] = "Discount must be between 0 and 100";
+  }
+
+  if (product.variants?.length > 0) {
+    const variantError = validateVariants(product.variants);
+    if (variantError) {
+      errors.variants = variantError;
+    } else if (product.inventory?.trackBatches) {
+      // Batches are kept for the product as a whole, not per variant
+      errors.variants =
+        "Products with variants can't track batches, turn batch tracking off";
+    }
+  }
+
+  return errors;
+};
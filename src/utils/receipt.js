@@ -0,0 +1,290 @@
+// src/utils/receipt.js
+import { formatCurrency, formatDateTime } from "./helpers";
+
+const PAPER_LAYOUTS = {
+  "58mm": { page: "58mm auto", margin: "0", width: "48mm", fontSize: "11px" },
+  "80mm": { page: "80mm auto", margin: "0", width: "72mm", fontSize: "12px" },
+  A4: { page: "A4", margin: "15mm", width: "100%", fontSize: "13px" },
+};
+
+export const PAYMENT_LABELS = {
+  cash: "Cash",
+  mpesa: "M-Pesa",
+  card: "Card",
+  bank_transfer: "Bank Transfer",
+  credit: "On Account",
+  exchange: "Exchange Credit",
+  mixed: "Split Payment",
+};
+
+/**
+ * Read the receipt options out of the business settings
+ */
+export const getReceiptConfig = (settings) => {
+  const receipt = settings?.sales?.receipt || {};
+
+  return {
+    showLogo: receipt.showLogo ?? true,
+    showBusinessInfo: receipt.showBusinessInfo ?? false,
+    printAutomatically: receipt.printAutomatically ?? false,
+    paperSize: PAPER_LAYOUTS[receipt.paperSize] ? receipt.paperSize : "80mm",
+    printCopy: Math.max(1, parseInt(receipt.printCopy) || 1),
+    footerMessage: receipt.footerMessage || "",
+  };
+};
+
+export const escapeHtml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+export const renderRow = (label, value, className = "") =>
+  `<tr class="${className}"><td>${escapeHtml(label)}</td>` +
+  `<td class="right">${escapeHtml(value)}</td></tr>`;
+
+export const renderHeader = (business, config) => {
+  const parts = [];
+
+  if (config.showLogo && business.logo?.url) {
+    parts.push(
+      `<img class="logo" src="${escapeHtml(business.logo.url)}" alt="" />`
+    );
+  }
+
+  parts.push(`<div class="business">${escapeHtml(business.name)}</div>`);
+
+  if (config.showBusinessInfo) {
+    const address = [business.address?.city, business.address?.county]
+      .filter(Boolean)
+      .join(", ");
+    [address, business.contact?.phone, business.contact?.email]
+      .filter(Boolean)
+      .forEach((line) => parts.push(`<div>${escapeHtml(line)}</div>`));
+  }
+
+  return `<div class="center">${parts.join("")}</div>`;
+};
+
+const renderItems = (items) =>
+  items
+    .map((item) => {
+      const lines = [
+        `<tr><td colspan="2">${escapeHtml(item.productName)}</td></tr>`,
+        renderRow(
+          `  ${item.quantity} x ${formatCurrency(item.unitPrice)}`,
+          formatCurrency(item.subtotal ?? item.unitPrice * item.quantity)
+        ),
+      ];
+
+      if (item.discount?.amount > 0) {
+        lines.push(
+          renderRow(
+            "  Discount",
+            `-${formatCurrency(item.discount.amount)}`,
+            "muted"
+          )
+        );
+      }
+
+      return lines.join("");
+    })
+    .join("");
+
+const renderTotals = (totals = {}) => {
+  const rows = [renderRow("Subtotal", formatCurrency(totals.subtotal))];
+
+  if (totals.discount > 0) {
+    rows.push(renderRow("Discount", `-${formatCurrency(totals.discount)}`));
+  }
+  if (totals.tax > 0) {
+    rows.push(
+      renderRow(
+        `${totals.taxInclusive ? "Incl. VAT" : "VAT"} (${totals.taxRate}%)`,
+        formatCurrency(totals.tax)
+      )
+    );
+  }
+  if (totals.rounding) {
+    rows.push(renderRow("Rounding", formatCurrency(totals.rounding)));
+  }
+  rows.push(
+    renderRow("TOTAL", formatCurrency(totals.total || totals.subtotal), "total")
+  );
+
+  return rows.join("");
+};
+
+const renderPayment = (payment = {}) => {
+  const rows = [];
+  const details = payment.details || [];
+
+  if (details.length > 0) {
+    details.forEach((detail) => {
+      const label = PAYMENT_LABELS[detail.method] || detail.method;
+      rows.push(renderRow(label, formatCurrency(detail.amount)));
+      if (detail.transactionId) {
+        rows.push(renderRow("  Ref", detail.transactionId, "muted"));
+      }
+    });
+  } else if (payment.method) {
+    rows.push(
+      renderRow(
+        PAYMENT_LABELS[payment.method] || payment.method,
+        formatCurrency(payment.totalPaid)
+      )
+    );
+  }
+
+  if (payment.change > 0) {
+    rows.push(renderRow("Change", formatCurrency(payment.change)));
+  }
+
+  return rows.join("");
+};
+
+const renderCopy = (sale, business, config, copyLabel) => {
+  const cashier =
+    typeof sale.cashier === "object" ? sale.cashier?.name : undefined;
+
+  return `
+    <section class="receipt">
+      ${renderHeader(business, config)}
+      <hr />
+      <table>
+        ${renderRow("Receipt", sale.receiptNumber)}
+        ${renderRow("Date", formatDateTime(sale.createdAt || new Date()))}
+        ${cashier ? renderRow("Served by", cashier) : ""}
+        ${
+          sale.customerInfo?.name
+            ? renderRow("Customer", sale.customerInfo.name)
+            : ""
+        }
+      </table>
+      <hr />
+      <table>${renderItems(sale.items || [])}</table>
+      <hr />
+      <table>${renderTotals(sale.totals)}</table>
+      <hr />
+      <table>${renderPayment(sale.payment)}</table>
+      ${
+        config.footerMessage
+          ? `<hr /><div class="center">${escapeHtml(
+              config.footerMessage
+            )}</div>`
+          : ""
+      }
+      ${copyLabel ? `<div class="center muted">${copyLabel}</div>` : ""}
+    </section>`;
+};
+
+/**
+ * Wrap receipt sections in a standalone HTML document sized for the
+ * receipt paper, one section per printed page
+ */
+export const renderPrintDocument = (title, sections, settings) => {
+  const config = getReceiptConfig(settings);
+  const layout = PAPER_LAYOUTS[config.paperSize];
+
+  return `<!DOCTYPE html>
+<html>
+  <head>
+    <meta charset="utf-8" />
+    <title>${escapeHtml(title)}</title>
+    <style>
+      @page { size: ${layout.page}; margin: ${layout.margin}; }
+      * { box-sizing: border-box; }
+      body {
+        margin: 0;
+        font-family: "Courier New", monospace;
+        font-size: ${layout.fontSize};
+        color: #000;
+      }
+      .receipt {
+        width: ${layout.width};
+        max-width: ${config.paperSize === "A4" ? "120mm" : layout.width};
+        margin: 0 auto;
+        padding: 2mm 0;
+        page-break-after: always;
+      }
+      .receipt:last-child { page-break-after: auto; }
+      table { width: 100%; border-collapse: collapse; }
+      td { padding: 1px 0; vertical-align: top; white-space: pre-wrap; }
+      .right { text-align: right; white-space: nowrap; }
+      .center { text-align: center; }
+      .muted { color: #444; }
+      .business { font-size: 1.3em; font-weight: bold; }
+      .total td { font-size: 1.2em; font-weight: bold; padding-top: 2px; }
+      .logo { max-width: 60%; max-height: 25mm; margin-bottom: 2mm; }
+      hr { border: none; border-top: 1px dashed #000; margin: 2mm 0; }
+    </style>
+  </head>
+  <body>${sections.join("")}</body>
+</html>`;
+};
+
+/**
+ * Render a sale as a standalone HTML receipt
+ */
+export const renderReceiptHtml = (sale, settings) => {
+  const config = getReceiptConfig(settings);
+  const business = settings?.business || {};
+
+  const copies = Array.from({ length: config.printCopy }, (_, index) =>
+    renderCopy(sale, business, config, index > 0 ? "*** COPY ***" : "")
+  );
+
+  return renderPrintDocument(`Receipt ${sale.receiptNumber}`, copies, settings);
+};
+
+/**
+ * Print an HTML document through the browser print dialog.
+ *
+ * The document is written into a hidden iframe so the app's own styles
+ * don't leak into the printout. Resolves once the dialog has closed.
+ */
+export const printHtml = (html) =>
+  new Promise((resolve, reject) => {
+    const iframe = document.createElement("iframe");
+    iframe.setAttribute("aria-hidden", "true");
+    iframe.style.cssText =
+      "position:fixed;right:0;bottom:0;width:0;height:0;border:0;";
+    document.body.appendChild(iframe);
+
+    const cleanup = () => {
+      setTimeout(() => iframe.remove(), 500);
+    };
+
+    try {
+      const doc = iframe.contentWindow.document;
+      doc.open();
+      doc.write(html);
+      doc.close();
+
+      // Wait for the logo so it isn't missing from the printout
+      const images = Array.from(doc.images);
+      Promise.all(
+        images.map((image) =>
+          image.complete
+            ? null
+            : new Promise((done) => {
+                image.onload = done;
+                image.onerror = done;
+              })
+        )
+      ).then(() => {
+        iframe.contentWindow.focus();
+        iframe.contentWindow.print();
+        cleanup();
+        resolve();
+      });
+    } catch (error) {
+      cleanup();
+      reject(error);
+    }
+  });
+
+export const printReceipt = (sale, settings) =>
+  printHtml(renderReceiptHtml(sale, settings));
@@ -0,0 +1,90 @@
+// src/utils/returns.js
+import { roundQuantity } from "./units";
+
+const getProductId = (item) =>
+  item.product?._id || item.product || item.productId;
+
+// Variants of one product are separate lines, so they are told apart too
+const getLineKey = (item) =>
+  item.variant ? `${getProductId(item)}:${item.variant}` : getProductId(item);
+
+/**
+ * Quantity of a product already refunded from a sale, from the sale's
+ * refund history or the item's own running count
+ */
+export const getRefundedQuantity = (sale, saleItem) => {
+  if (saleItem.refundedQuantity !== undefined) {
+    return saleItem.refundedQuantity;
+  }
+
+  const lineKey = getLineKey(saleItem);
+  return (sale.refunds || [])
+    .flatMap((refund) => refund.items || [])
+    .filter((item) => getLineKey(item) === lineKey)
+    .reduce((sum, item) => sum + (item.quantity || 0), 0);
+};
+
+/**
+ * A sale's lines with how many of each can still be returned. Sales made
+ * before lines kept their unit fall back to the product's.
+ */
+export const getReturnableItems = (sale) =>
+  sale.items.map((item) => {
+    const unit = item.unit || item.product?.unit;
+    return {
+      lineKey: getLineKey(item),
+      productId: getProductId(item),
+      variant: item.variant,
+      productName: item.productName,
+      unit,
+      unitPrice: item.unitPrice,
+      soldQuantity: item.quantity,
+      maxQuantity: Math.max(
+        0,
+        roundQuantity(item.quantity - getRefundedQuantity(sale, item), unit)
+      ),
+      quantity: 0,
+    };
+  });
+
+// Exchange credit from an earlier return is paid back in cash
+const REFUNDED_AS_CASH = ["cash", "exchange"];
+
+/**
+ * Split a refund over the methods the sale was paid with, in proportion to
+ * what each one paid. Cash is net of change. Returns amounts by method,
+ * e.g. `{ cash: 300, mpesa: 200 }`.
+ */
+export const getRefundTenders = (sale, amount) => {
+  const payment = sale.payment || {};
+  const details = payment.details?.length
+    ? payment.details
+    : [{ method: payment.method, amount: payment.totalPaid }];
+
+  const paid = {};
+  details.forEach((detail) => {
+    if (!detail.method) return;
+    const method = REFUNDED_AS_CASH.includes(detail.method)
+      ? "cash"
+      : detail.method;
+    paid[method] = (paid[method] || 0) + (detail.amount || 0);
+  });
+  if (paid.cash !== undefined) paid.cash -= payment.change || 0;
+
+  const methods = Object.keys(paid).filter((method) => paid[method] > 0);
+  const totalPaid = methods.reduce((sum, method) => sum + paid[method], 0);
+  if (totalPaid <= 0) return { cash: amount };
+
+  // Whole shillings per method, the last one takes what rounding leaves
+  const tenders = {};
+  let remaining = amount;
+  methods.forEach((method, index) => {
+    const share =
+      index === methods.length - 1
+        ? remaining
+        : Math.floor((amount * paid[method]) / totalPaid);
+    if (share > 0) tenders[method] = share;
+    remaining -= share;
+  });
+  return tenders;
+};
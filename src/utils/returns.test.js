@@ -0,0 +1,43 @@
+// src/utils/returns.test.js
+import { getRefundTenders } from "./returns";
+
+describe("getRefundTenders", () => {
+  it("refunds a single-method sale in that method", () => {
+    const sale = { payment: { method: "mpesa", totalPaid: 500 } };
+
+    expect(getRefundTenders(sale, 200)).toEqual({ mpesa: 200 });
+  });
+
+  it("splits a refund over split tenders, net of change", () => {
+    // 700 cash with 200 change and 500 M-Pesa paid for a 1,000 sale
+    const sale = {
+      payment: {
+        details: [
+          { method: "cash", amount: 700 },
+          { method: "mpesa", amount: 500 },
+        ],
+        change: 200,
+      },
+    };
+
+    expect(getRefundTenders(sale, 1000)).toEqual({ cash: 500, mpesa: 500 });
+    expect(getRefundTenders(sale, 333)).toEqual({ cash: 166, mpesa: 167 });
+  });
+
+  it("refunds exchange credit as cash", () => {
+    const sale = {
+      payment: {
+        details: [
+          { method: "exchange", amount: 300 },
+          { method: "credit", amount: 300 },
+        ],
+      },
+    };
+
+    expect(getRefundTenders(sale, 600)).toEqual({ cash: 300, credit: 300 });
+  });
+
+  it("falls back to cash when nothing was recorded as paid", () => {
+    expect(getRefundTenders({}, 150)).toEqual({ cash: 150 });
+  });
+});
@@ -0,0 +1,217 @@
+// src/utils/shifts.js
+import { formatCurrency, formatDateTime } from "./helpers";
+import { createEncoder, columns, getLineWidth } from "./escpos";
+import { getPrinterPreference, sendToPrinter } from "./printer";
+import {
+  PAYMENT_LABELS,
+  escapeHtml,
+  getReceiptConfig,
+  printHtml,
+  renderHeader,
+  renderPrintDocument,
+  renderRow,
+} from "./receipt";
+
+/**
+ * Cash a sale left in the drawer: cash tendered less any change given.
+ * Exchanges that hand money back record it as a negative cash tender.
+ */
+export const getSaleCash = (sale) => {
+  const payment = sale.payment || {};
+  const details = payment.details?.length
+    ? payment.details
+    : [{ method: payment.method, amount: payment.totalPaid }];
+
+  const cashTendered = details
+    .filter((detail) => detail.method === "cash")
+    .reduce((sum, detail) => sum + (detail.amount || 0), 0);
+
+  return cashTendered !== 0 ? cashTendered - (payment.change || 0) : 0;
+};
+
+/**
+ * Total up a shift's sales and cash movements into an X/Z report.
+ *
+ * Voided sales are left out. Expected cash is the opening float plus cash
+ * sales and pay-ins, less pay-outs (cash refunds are recorded as pay-outs),
+ * and the variance is counted minus expected (negative when the drawer is
+ * short).
+ */
+export const buildShiftReport = (shift, sales, countedCash) => {
+  const validSales = sales.filter((sale) => sale.status !== "voided");
+  const byMethod = {};
+
+  validSales.forEach((sale) => {
+    const payment = sale.payment || {};
+    const details = payment.details?.length
+      ? payment.details
+      : [{ method: payment.method, amount: sale.totals?.total }];
+
+    details.forEach((detail) => {
+      if (!detail.method || detail.method === "cash") return;
+      byMethod[detail.method] =
+        (byMethod[detail.method] || 0) + (detail.amount || 0);
+    });
+
+    // Change is handed back once per sale, however many cash tenders
+    if (details.some((detail) => detail.method === "cash")) {
+      byMethod.cash = (byMethod.cash || 0) + getSaleCash(sale);
+    }
+  });
+
+  const movements = shift.movements || [];
+  const payIns = movements
+    .filter((movement) => movement.type === "in")
+    .reduce((sum, movement) => sum + movement.amount, 0);
+  const payOuts = movements
+    .filter((movement) => movement.type === "out")
+    .reduce((sum, movement) => sum + movement.amount, 0);
+
+  const cashSales = validSales.reduce(
+    (sum, sale) => sum + getSaleCash(sale),
+    0
+  );
+  const openingFloat = shift.openingFloat || 0;
+  const expectedCash = openingFloat + cashSales + payIns - payOuts;
+  const counted =
+    countedCash ?? (shift.status === "closed" ? shift.countedCash : undefined);
+
+  return {
+    shift,
+    salesCount: validSales.length,
+    voidedCount: sales.length - validSales.length,
+    grossSales: validSales.reduce(
+      (sum, sale) => sum + (sale.totals?.subtotal || 0),
+      0
+    ),
+    discounts: validSales.reduce(
+      (sum, sale) => sum + (sale.totals?.discount || 0),
+      0
+    ),
+    tax: validSales.reduce((sum, sale) => sum + (sale.totals?.tax || 0), 0),
+    netSales: validSales.reduce(
+      (sum, sale) => sum + (sale.totals?.total || sale.totals?.subtotal || 0),
+      0
+    ),
+    byMethod,
+    openingFloat,
+    cashSales,
+    payIns,
+    payOuts,
+    expectedCash,
+    countedCash: counted,
+    variance: counted === undefined ? undefined : counted - expectedCash,
+  };
+};
+
+const getReportLines = (report, type) => {
+  const { shift } = report;
+  const lines = [
+    [type === "Z" ? "Z REPORT (SHIFT CLOSE)" : "X REPORT (MID-SHIFT)"],
+    ["Cashier", shift.cashier?.name || ""],
+    ["Opened", formatDateTime(shift.openedAt)],
+    [
+      type === "Z" ? "Closed" : "Printed",
+      formatDateTime(shift.closedAt || new Date()),
+    ],
+    null,
+    ["Sales", String(report.salesCount)],
+  ];
+
+  if (report.voidedCount > 0) {
+    lines.push(["Voided", String(report.voidedCount)]);
+  }
+  lines.push(["Gross sales", formatCurrency(report.grossSales)]);
+  if (report.discounts > 0) {
+    lines.push(["Discounts", `-${formatCurrency(report.discounts)}`]);
+  }
+  if (report.tax > 0) {
+    lines.push(["VAT", formatCurrency(report.tax)]);
+  }
+  lines.push(["Net sales", formatCurrency(report.netSales)], null);
+
+  Object.entries(report.byMethod).forEach(([method, amount]) => {
+    lines.push([PAYMENT_LABELS[method] || method, formatCurrency(amount)]);
+  });
+
+  lines.push(
+    null,
+    ["Opening float", formatCurrency(report.openingFloat)],
+    ["Cash sales", formatCurrency(report.cashSales)],
+    ["Pay-ins", formatCurrency(report.payIns)],
+    ["Pay-outs", `-${formatCurrency(report.payOuts)}`],
+    ["Expected cash", formatCurrency(report.expectedCash)]
+  );
+
+  if (report.countedCash !== undefined) {
+    lines.push(
+      ["Counted cash", formatCurrency(report.countedCash)],
+      ["Variance", formatCurrency(report.variance)]
+    );
+  }
+
+  return lines;
+};
+
+const renderShiftReportHtml = (report, type, settings) => {
+  const config = getReceiptConfig(settings);
+  const [[heading], ...lines] = getReportLines(report, type);
+
+  const body = lines
+    .map((line) =>
+      line
+        ? renderRow(line[0], line[1])
+        : '<tr><td colspan="2"><hr /></td></tr>'
+    )
+    .join("");
+
+  return renderPrintDocument(
+    `${type} Report`,
+    [
+      `<section class="receipt">
+        ${renderHeader(settings?.business || {}, {
+          ...config,
+          showLogo: false,
+        })}
+        <hr />
+        <div class="center"><b>${escapeHtml(heading)}</b></div>
+        <hr />
+        <table>${body}</table>
+      </section>`,
+    ],
+    settings
+  );
+};
+
+const encodeShiftReport = (report, type, settings) => {
+  const width = getLineWidth(settings);
+  const [[heading], ...lines] = getReportLines(report, type);
+  const encoder = createEncoder()
+    .initialize()
+    .align("center")
+    .bold(true)
+    .line(settings?.business?.name)
+    .line(heading)
+    .bold(false)
+    .align("left")
+    .line("-".repeat(width));
+
+  lines.forEach((line) => {
+    encoder.line(line ? columns(line[0], line[1], width) : "-".repeat(width));
+  });
+
+  return encoder.feed(3).cut().encode();
+};
+
+/**
+ * Print an X (mid-shift) or Z (closing) report on the till's printer
+ */
+export const printShiftReport = (report, type, settings) => {
+  const preference = getPrinterPreference();
+
+  if (preference.type === "browser") {
+    return printHtml(renderShiftReportHtml(report, type, settings));
+  }
+
+  return sendToPrinter(encodeShiftReport(report, type, settings), preference);
+};
@@ -0,0 +1,116 @@
+// src/utils/shortcuts.js
+
+/**
+ * POS keyboard actions and their default keys. Users can remap any of
+ * them; their choices are saved in settings.preferences.shortcuts.
+ */
+export const SHORTCUT_ACTIONS = [
+  { id: "showShortcuts", label: "Show shortcuts", group: "General", key: "F1" },
+  { id: "focusSearch", label: "Search products", group: "General", key: "F2" },
+  { id: "selectCustomer", label: "Customer", group: "General", key: "F3" },
+  { id: "cartDiscount", label: "Cart discount", group: "General", key: "F4" },
+  { id: "parkCart", label: "Park cart", group: "General", key: "F6" },
+  { id: "heldCarts", label: "Parked carts", group: "General", key: "F7" },
+  { id: "closeModal", label: "Close window", group: "General", key: "Escape" },
+  { id: "productUp", label: "Move up", group: "Products", key: "ArrowUp" },
+  {
+    id: "productDown",
+    label: "Move down",
+    group: "Products",
+    key: "ArrowDown",
+  },
+  {
+    id: "productLeft",
+    label: "Move left",
+    group: "Products",
+    key: "ArrowLeft",
+  },
+  {
+    id: "productRight",
+    label: "Move right",
+    group: "Products",
+    key: "ArrowRight",
+  },
+  { id: "addProduct", label: "Add to cart", group: "Products", key: "Enter" },
+  {
+    id: "previousPage",
+    label: "Previous page",
+    group: "Products",
+    key: "PageUp",
+  },
+  { id: "nextPage", label: "Next page", group: "Products", key: "PageDown" },
+  {
+    id: "previousLine",
+    label: "Previous line",
+    group: "Cart",
+    key: "Shift+ArrowUp",
+  },
+  { id: "nextLine", label: "Next line", group: "Cart", key: "Shift+ArrowDown" },
+  { id: "increaseQuantity", label: "Quantity +1", group: "Cart", key: "+" },
+  { id: "decreaseQuantity", label: "Quantity -1", group: "Cart", key: "-" },
+  { id: "removeLine", label: "Remove line", group: "Cart", key: "Delete" },
+  { id: "payCash", label: "Pay cash", group: "Payment", key: "F8" },
+  { id: "payMpesa", label: "Pay M-Pesa", group: "Payment", key: "F9" },
+  {
+    id: "checkout",
+    label: "Checkout / complete sale",
+    group: "Payment",
+    key: "F10",
+  },
+];
+
+export const DEFAULT_SHORTCUTS = SHORTCUT_ACTIONS.reduce(
+  (shortcuts, action) => ({ ...shortcuts, [action.id]: action.key }),
+  {}
+);
+
+/**
+ * The user's key map, falling back to the defaults for anything they
+ * haven't remapped
+ */
+export const getShortcuts = (user) => ({
+  ...DEFAULT_SHORTCUTS,
+  ...user?.settings?.preferences?.shortcuts,
+});
+
+/**
+ * Turn a keydown event into a key name like "F8", "Shift+ArrowUp" or "+".
+ * Shift is left off printable characters since it's already in the key.
+ */
+export const getKeyName = (event) => {
+  const key = event.key === " " ? "Space" : event.key;
+  if (["Control", "Shift", "Alt", "Meta"].includes(key)) return null;
+
+  const printable = key.length === 1;
+  return [
+    event.ctrlKey && "Ctrl",
+    event.altKey && "Alt",
+    event.metaKey && "Meta",
+    event.shiftKey && !printable && "Shift",
+    printable ? key.toUpperCase() : key,
+  ]
+    .filter(Boolean)
+    .join("+");
+};
+
+/**
+ * Find the action bound to a key name
+ */
+export const getShortcutAction = (shortcuts, keyName) =>
+  Object.keys(shortcuts).find((actionId) => shortcuts[actionId] === keyName);
+
+// Keys that are safe to act on while the cashier is typing in a field
+const FIELD_SAFE_KEY = /^(F\d{1,2}|Escape)$|^(Ctrl|Alt|Meta)\+/;
+
+export const isFieldSafeKey = (keyName) => FIELD_SAFE_KEY.test(keyName || "");
+
+/**
+ * Short label for showing a key on screen
+ */
+export const formatKeyName = (keyName) =>
+  (keyName || "")
+    .replace("Arrow", "")
+    .replace("Escape", "Esc")
+    .replace("Delete", "Del")
+    .replace("PageUp", "PgUp")
+    .replace("PageDown", "PgDn");
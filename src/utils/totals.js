@@ -0,0 +1,132 @@
+// src/utils/totals.js
+import { getDiscountAmount } from "./discounts";
+
+export const DEFAULT_TAX_RATE = 16;
+
+/**
+ * Read the VAT configuration out of the business settings
+ */
+export const getTaxConfig = (settings) => {
+  const tax = settings?.sales?.tax || {};
+
+  return {
+    enabled: tax.enabled ?? true,
+    rate: tax.rate ?? DEFAULT_TAX_RATE,
+    inclusive: tax.inclusive ?? true,
+  };
+};
+
+/**
+ * Round to two decimal places without floating point drift
+ */
+export const roundMoney = (amount) =>
+  Math.round((amount + Number.EPSILON) * 100) / 100;
+
+/**
+ * Work out line, discount, VAT and grand totals for a list of items.
+ *
+ * Items need `unitPrice` and `quantity`, and may carry a `discount` in the
+ * shape produced by the discount modal. The cart discount is taken off what
+ * is left after line discounts. With inclusive pricing the VAT is already
+ * part of the price, otherwise it is added on top. The grand total is
+ * rounded to the nearest shilling and the difference reported as `rounding`.
+ */
+export const calculateTotals = (
+  items,
+  { cartDiscount = null, tax = getTaxConfig() } = {}
+) => {
+  const lines = items.map((item) => {
+    const gross = item.unitPrice * item.quantity;
+    const discount = roundMoney(getDiscountAmount(item.discount, gross));
+
+    return {
+      ...item,
+      discountAmount: discount,
+      subtotal: roundMoney(gross - discount),
+    };
+  });
+
+  const subtotal = roundMoney(
+    items.reduce((sum, item) => sum + item.unitPrice * item.quantity, 0)
+  );
+  const itemDiscount = roundMoney(
+    lines.reduce((sum, line) => sum + line.discountAmount, 0)
+  );
+  const cartDiscountAmount = roundMoney(
+    getDiscountAmount(cartDiscount, subtotal - itemDiscount)
+  );
+  const discount = roundMoney(itemDiscount + cartDiscountAmount);
+  const net = roundMoney(subtotal - discount);
+
+  let taxAmount = 0;
+  if (tax.enabled && tax.rate > 0) {
+    taxAmount = tax.inclusive
+      ? (net * tax.rate) / (100 + tax.rate)
+      : (net * tax.rate) / 100;
+  }
+  taxAmount = roundMoney(taxAmount);
+
+  const unrounded = tax.inclusive ? net : roundMoney(net + taxAmount);
+  const total = Math.round(unrounded);
+
+  return {
+    lines,
+    subtotal,
+    itemDiscount,
+    cartDiscount: cartDiscountAmount,
+    discount,
+    taxableAmount: roundMoney(tax.inclusive ? net - taxAmount : net),
+    tax: taxAmount,
+    taxRate: tax.enabled ? tax.rate : 0,
+    taxInclusive: tax.inclusive,
+    rounding: roundMoney(total - unrounded),
+    total,
+  };
+};
+
+/**
+ * The totals object the sales and orders API expects
+ */
+export const toApiTotals = (totals) => ({
+  subtotal: totals.subtotal,
+  discount: totals.discount,
+  tax: totals.tax,
+  taxRate: totals.taxRate,
+  taxInclusive: totals.taxInclusive,
+  rounding: totals.rounding,
+  total: totals.total,
+});
+
+/**
+ * Work out how much to refund for part of a sale.
+ *
+ * Each refunded unit is worth its share of the line subtotal, scaled by how
+ * the sale total compares to the line subtotals so cart discounts, VAT added
+ * on top and rounding are refunded in proportion.
+ */
+export const calculateRefundAmount = (saleItems, refundItems, saleTotals) => {
+  const getLineSubtotal = (item) =>
+    item.subtotal ?? item.unitPrice * item.quantity;
+  const lineTotal = saleItems.reduce(
+    (sum, item) => sum + getLineSubtotal(item),
+    0
+  );
+  const ratio =
+    lineTotal > 0 && saleTotals?.total > 0 ? saleTotals.total / lineTotal : 1;
+
+  const amount = refundItems.reduce((sum, refundItem) => {
+    const saleItem = saleItems.find(
+      (item) =>
+        (item.product?._id || item.product) === refundItem.productId &&
+        (item.variant || null) === (refundItem.variant || null)
+    );
+    if (!saleItem || !refundItem.quantity) return sum;
+
+    const unitValue = saleItem.quantity
+      ? getLineSubtotal(saleItem) / saleItem.quantity
+      : saleItem.unitPrice;
+    return sum + unitValue * refundItem.quantity;
+  }, 0);
+
+  return Math.round(amount * ratio);
+};
@@ -0,0 +1,147 @@
+// src/utils/totals.test.js
+import { calculateRefundAmount, calculateTotals } from "./totals";
+
+const INCLUSIVE = { enabled: true, rate: 16, inclusive: true };
+const EXCLUSIVE = { enabled: true, rate: 16, inclusive: false };
+
+describe("calculateTotals", () => {
+  it("takes VAT out of inclusive prices", () => {
+    const totals = calculateTotals([{ unitPrice: 116, quantity: 2 }], {
+      tax: INCLUSIVE,
+    });
+
+    expect(totals).toMatchObject({
+      subtotal: 232,
+      tax: 32,
+      taxableAmount: 200,
+      taxRate: 16,
+      taxInclusive: true,
+      rounding: 0,
+      total: 232,
+    });
+  });
+
+  it("adds VAT on top of exclusive prices", () => {
+    const totals = calculateTotals([{ unitPrice: 100, quantity: 3 }], {
+      tax: EXCLUSIVE,
+    });
+
+    expect(totals).toMatchObject({
+      subtotal: 300,
+      tax: 48,
+      taxableAmount: 300,
+      total: 348,
+    });
+  });
+
+  it("rounds the total to the nearest shilling and reports the difference", () => {
+    expect(
+      calculateTotals([{ unitPrice: 99.4, quantity: 1 }], { tax: INCLUSIVE })
+    ).toMatchObject({ total: 99, rounding: -0.4 });
+
+    expect(
+      calculateTotals([{ unitPrice: 10.5, quantity: 1 }], { tax: EXCLUSIVE })
+    ).toMatchObject({ tax: 1.68, total: 12, rounding: -0.18 });
+  });
+
+  it("takes the cart discount off what is left after line discounts", () => {
+    const totals = calculateTotals(
+      [
+        {
+          unitPrice: 200,
+          quantity: 1,
+          discount: { type: "percentage", value: 10, percentage: 10 },
+        },
+        { unitPrice: 20, quantity: 1 },
+      ],
+      {
+        cartDiscount: { type: "percentage", value: 10, percentage: 10 },
+        tax: INCLUSIVE,
+      }
+    );
+
+    expect(totals.lines[0]).toMatchObject({
+      discountAmount: 20,
+      subtotal: 180,
+    });
+    expect(totals).toMatchObject({
+      subtotal: 220,
+      itemDiscount: 20,
+      cartDiscount: 20,
+      discount: 40,
+      total: 180,
+    });
+  });
+
+  it("charges no VAT when it is turned off", () => {
+    const totals = calculateTotals([{ unitPrice: 100, quantity: 1 }], {
+      tax: { ...EXCLUSIVE, enabled: false },
+    });
+
+    expect(totals).toMatchObject({ tax: 0, taxRate: 0, total: 100 });
+  });
+});
+
+describe("calculateRefundAmount", () => {
+  const saleItems = [
+    { product: "sugar", quantity: 2, unitPrice: 100, subtotal: 200 },
+    { product: { _id: "salt" }, quantity: 1, unitPrice: 50, subtotal: 50 },
+    { product: "soap", variant: "large", quantity: 4, unitPrice: 25 },
+  ];
+
+  it("refunds each unit at its share of the line subtotal", () => {
+    expect(
+      calculateRefundAmount(
+        saleItems,
+        [
+          { productId: "sugar", quantity: 1 },
+          { productId: "salt", quantity: 1 },
+        ],
+        { total: 350 }
+      )
+    ).toBe(150);
+  });
+
+  it("scales the refund by cart discounts and VAT on the sale total", () => {
+    // A 10% cart discount brought the 350 of lines down to 315
+    expect(
+      calculateRefundAmount(saleItems, [{ productId: "sugar", quantity: 1 }], {
+        total: 315,
+      })
+    ).toBe(90);
+
+    // Exclusive VAT took it up to 406
+    expect(
+      calculateRefundAmount(saleItems, [{ productId: "salt", quantity: 1 }], {
+        total: 406,
+      })
+    ).toBe(58);
+  });
+
+  it("refunds the whole sale total when everything comes back", () => {
+    expect(
+      calculateRefundAmount(
+        saleItems,
+        [
+          { productId: "sugar", quantity: 2 },
+          { productId: "salt", quantity: 1 },
+          { productId: "soap", variant: "large", quantity: 4 },
+        ],
+        { total: 315 }
+      )
+    ).toBe(315);
+  });
+
+  it("only matches lines of the same variant", () => {
+    expect(
+      calculateRefundAmount(
+        saleItems,
+        [
+          { productId: "soap", quantity: 1 },
+          { productId: "soap", variant: "small", quantity: 1 },
+        ],
+        { total: 350 }
+      )
+    ).toBe(0);
+  });
+});
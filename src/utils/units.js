@@ -0,0 +1,95 @@
+// src/utils/units.js
+
+/**
+ * Units a product can be sold in. `precision` is how many decimal places a
+ * quantity may have, `step` is how far the +/- buttons move it and
+ * `measured` marks units that are weighed or measured out rather than
+ * counted.
+ */
+export const UNITS = [
+  { value: "piece", label: "Piece", precision: 0, step: 1 },
+  {
+    value: "kg",
+    label: "Kilogram (kg)",
+    precision: 3,
+    step: 0.1,
+    measured: true,
+  },
+  { value: "g", label: "Gram (g)", precision: 0, step: 50, measured: true },
+  { value: "l", label: "Liter (l)", precision: 3, step: 0.1, measured: true },
+  {
+    value: "ml",
+    label: "Milliliter (ml)",
+    precision: 0,
+    step: 50,
+    measured: true,
+  },
+  { value: "m", label: "Metre (m)", precision: 2, step: 0.1, measured: true },
+  { value: "dozen", label: "Dozen", precision: 0, step: 1 },
+  { value: "pack", label: "Pack", precision: 0, step: 1 },
+  { value: "box", label: "Box", precision: 0, step: 1 },
+  { value: "bag", label: "Bag", precision: 0, step: 1 },
+  { value: "bottle", label: "Bottle", precision: 0, step: 1 },
+  { value: "can", label: "Can", precision: 0, step: 1 },
+];
+
+const DEFAULT_UNIT = UNITS[0];
+
+// Stock and quantities are compared at the finest precision any unit uses
+const MAX_PRECISION = 3;
+
+export const getUnit = (unit) =>
+  UNITS.find((option) => option.value === unit) || DEFAULT_UNIT;
+
+export const isMeasuredUnit = (unit) => Boolean(getUnit(unit).measured);
+
+/**
+ * Round a quantity to the precision its unit allows
+ */
+export const roundQuantity = (quantity, unit) => {
+  const factor = 10 ** getUnit(unit).precision;
+  return Math.round((Number(quantity) || 0) * factor) / factor;
+};
+
+/**
+ * Compare two quantities without floating point noise, e.g. 0.1 + 0.2
+ * against 0.3. Returns a negative number, zero or a positive number.
+ */
+export const compareQuantities = (a, b) => {
+  const factor = 10 ** MAX_PRECISION;
+  return Math.round(a * factor) - Math.round(b * factor);
+};
+
+export const exceedsStock = (quantity, stock) =>
+  compareQuantities(quantity, stock) > 0;
+
+/**
+ * Quantity with its unit for measured units, e.g. "1.25 kg", and the bare
+ * number for counted ones
+ */
+export const formatQuantity = (quantity, unit) => {
+  const { precision, value, measured } = getUnit(unit);
+  if (!measured) return String(roundQuantity(quantity, unit));
+
+  return `${roundQuantity(quantity, unit).toLocaleString("en-KE", {
+    maximumFractionDigits: precision,
+  })} ${value}`;
+};
+
+/**
+ * Quantity a new cart line starts at: one whole unit, or one step for
+ * units counted in small amounts such as grams
+ */
+export const getDefaultQuantity = (unit) => Math.max(1, getUnit(unit).step);
+
+// Scales weigh in kilograms
+const WEIGHT_FACTORS = { kg: 1, g: 1000 };
+
+/**
+ * Express a weight in kilograms in the product's own unit, or null when
+ * the product isn't sold by weight
+ */
+export const fromKilograms = (weight, unit) =>
+  WEIGHT_FACTORS[unit]
+    ? roundQuantity(weight * WEIGHT_FACTORS[unit], unit)
+    : null;
@@ -0,0 +1,256 @@
+// src/utils/variants.js
+import { getExpectedCheckDigit } from "./barcodes";
+import { takeBatchStock, tracksBatches } from "./batches";
+import { roundQuantity } from "./units";
+
+export const MAX_VARIANT_OPTIONS = 3;
+
+/**
+ * Split a comma separated list of option values, dropping blanks and
+ * repeats
+ */
+export const parseOptionValues = (text) => [
+  ...new Set(
+    text
+      .split(",")
+      .map((value) => value.trim())
+      .filter(Boolean)
+  ),
+];
+
+/**
+ * Every combination of the option values, as `{ Size: "M", Colour: "Red" }`
+ * objects in the order the options were defined
+ */
+export const getOptionCombinations = (options) =>
+  options
+    .filter((option) => option.name.trim() && option.values.length > 0)
+    .reduce(
+      (combinations, option) =>
+        combinations.flatMap((combination) =>
+          option.values.map((value) => ({
+            ...combination,
+            [option.name.trim()]: value,
+          }))
+        ),
+      [{}]
+    )
+    .filter((combination) => Object.keys(combination).length > 0);
+
+export const getVariantName = (combination) =>
+  Object.values(combination).join(" / ");
+
+/**
+ * How a variant is told apart before the server has given it an id
+ */
+const getCombinationKey = (combination) =>
+  Object.values(combination).join("|").toLowerCase();
+
+export const getVariantId = (variant) => variant._id || variant.key;
+
+export const hasVariants = (product) => (product?.variants || []).length > 0;
+
+/**
+ * Variants for every option combination. Combinations that already have a
+ * variant keep it, new ones start from the parent's price with no stock.
+ */
+export const buildVariants = (options, existing, parent) =>
+  getOptionCombinations(options).map((combination) => {
+    const key = getCombinationKey(combination);
+    const current = existing.find(
+      (variant) => getCombinationKey(variant.options) === key
+    );
+    if (current) return current;
+
+    const suffix = Object.values(combination)
+      .map((value) => value.replace(/\s+/g, "").toUpperCase())
+      .join("-");
+    return {
+      key,
+      options: combination,
+      name: getVariantName(combination),
+      sku: parent.sku ? `${parent.sku}-${suffix}` : suffix,
+      barcode: "",
+      pricing: { sellingPrice: parent.pricing?.sellingPrice || "" },
+      inventory: { currentStock: 0 },
+      isActive: true,
+    };
+  });
+
+/**
+ * Check each variant the way the product form checks a product. Returns a
+ * message for the first problem found, or null.
+ */
+export const validateVariants = (variants) => {
+  const skus = new Set();
+  const barcodes = new Set();
+
+  for (const variant of variants) {
+    const sku = String(variant.sku || "").trim();
+    const barcode = String(variant.barcode || "").trim();
+
+    if (!sku) return `${variant.name} needs a SKU`;
+    if (skus.has(sku)) return `SKU ${sku} is used by more than one variant`;
+    skus.add(sku);
+
+    if (barcode) {
+      if (barcodes.has(barcode)) {
+        return `Barcode ${barcode} is used by more than one variant`;
+      }
+      const expectedCheckDigit = getExpectedCheckDigit(barcode);
+      if (expectedCheckDigit) {
+        return `${variant.name} barcode check digit should be ${expectedCheckDigit}`;
+      }
+      barcodes.add(barcode);
+    }
+
+    if (!(Number(variant.pricing?.sellingPrice) > 0)) {
+      return `${variant.name} needs a selling price`;
+    }
+    if (Number(variant.inventory?.currentStock) < 0) {
+      return `${variant.name} stock cannot be negative`;
+    }
+  }
+  return null;
+};
+
+/**
+ * Variants as they are saved, with the numbers typed into the form parsed
+ */
+export const toVariantPayload = (variants, unit) =>
+  variants.map((variant) => ({
+    ...variant,
+    sku: String(variant.sku || "").trim(),
+    barcode: String(variant.barcode || "").trim() || undefined,
+    pricing: {
+      ...variant.pricing,
+      sellingPrice: parseFloat(variant.pricing?.sellingPrice) || 0,
+    },
+    inventory: {
+      ...variant.inventory,
+      currentStock: roundQuantity(
+        Number(variant.inventory?.currentStock) || 0,
+        unit
+      ),
+    },
+  }));
+
+/**
+ * Total stock across a product's variants, or the product's own stock
+ */
+export const getTotalStock = (product) =>
+  hasVariants(product)
+    ? roundQuantity(
+        product.variants.reduce(
+          (sum, variant) =>
+            sum + (Number(variant.inventory?.currentStock) || 0),
+          0
+        ),
+        product.unit
+      )
+    : product.inventory?.currentStock || 0;
+
+/**
+ * Lowest and highest variant price, or the product's own price for both
+ */
+export const getPriceRange = (product) => {
+  if (!hasVariants(product)) {
+    const price = product.pricing?.sellingPrice || 0;
+    return { min: price, max: price };
+  }
+  const prices = product.variants.map(
+    (variant) => Number(variant.pricing?.sellingPrice) || 0
+  );
+  return { min: Math.min(...prices), max: Math.max(...prices) };
+};
+
+/**
+ * The option axes a product's variants are picked by, with the values its
+ * variants actually use
+ */
+export const getVariantOptions = (product) => {
+  const options = new Map();
+  for (const variant of product?.variants || []) {
+    for (const [name, value] of Object.entries(variant.options || {})) {
+      options.set(name, [...new Set([...(options.get(name) || []), value])]);
+    }
+  }
+  return [...options].map(([name, values]) => ({ name, values }));
+};
+
+/**
+ * The variant whose barcode or SKU is one of `codes`
+ */
+export const findVariantByCode = (product, codes) =>
+  (product?.variants || []).find(
+    (variant) =>
+      variant.isActive !== false &&
+      (codes.includes(variant.barcode) || codes.includes(variant.sku))
+  );
+
+/**
+ * The variant matching a full set of chosen option values
+ */
+export const findVariantByOptions = (product, selection) =>
+  (product?.variants || []).find((variant) =>
+    Object.entries(variant.options || {}).every(
+      ([name, value]) => selection[name] === value
+    )
+  );
+
+/**
+ * A variant dressed up as a product, so the cart, pricing and stock checks
+ * treat it like any other product. Variants without a wholesale price of
+ * their own take the product's.
+ */
+export const getVariantProduct = (product, variant) => ({
+  ...product,
+  name: `${product.name} (${variant.name})`,
+  sku: variant.sku,
+  barcode: variant.barcode,
+  pricing: {
+    ...product.pricing,
+    ...variant.pricing,
+  },
+  inventory: {
+    ...product.inventory,
+    currentStock: Number(variant.inventory?.currentStock) || 0,
+  },
+});
+
+/**
+ * Take sold quantities off a product's stock, and off each variant or
+ * batch that was sold. `items` are sale or cart lines for this product.
+ * Products with variants don't track batches.
+ */
+export const takeStock = (product, items) => {
+  const sold = (filter) =>
+    items.filter(filter).reduce((sum, item) => sum + item.quantity, 0);
+  const remaining = (stock, quantity) =>
+    Math.max(0, roundQuantity((stock || 0) - quantity, product.unit));
+  const total = sold(() => true);
+
+  return {
+    ...product,
+    inventory: {
+      ...product.inventory,
+      currentStock: remaining(product.inventory?.currentStock, total),
+    },
+    ...(tracksBatches(product) &&
+      !hasVariants(product) && {
+        batches: takeBatchStock(product, total),
+      }),
+    ...(hasVariants(product) && {
+      variants: product.variants.map((variant) => ({
+        ...variant,
+        inventory: {
+          ...variant.inventory,
+          currentStock: remaining(
+            variant.inventory?.currentStock,
+            sold((item) => item.variant === getVariantId(variant))
+          ),
+        },
+      })),
+    }),
+  };
+};